@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Toaster, toast } from 'react-hot-toast';
 import { 
@@ -11,26 +11,93 @@ import {
   CheckCircle,
   AlertCircle,
   Eye,
-  Sparkles
+  Sparkles,
+  Circle,
+  XCircle,
+  History,
+  LayoutDashboard
 } from 'lucide-react';
 import FileUpload from './components/FileUpload';
 import DataPreview from './components/DataPreview';
+import AnalysisDashboard from './components/AnalysisDashboard';
 import ReportGeneration from './components/ReportGeneration';
+import { emptyFilters } from './components/FilterPanel';
 import ReportViewer from './components/ReportViewer';
+import ReportHistory from './components/ReportHistory';
 import './App.css';
 
 const steps = [
-  { id: 'upload', title: 'Upload CSV', icon: Upload, description: 'Upload your data file' },
+  { id: 'upload', title: 'Upload Data', icon: Upload, description: 'Upload your data file' },
   { id: 'preview', title: 'Preview Data', icon: Eye, description: 'Review data structure' },
+  { id: 'dashboard', title: 'Explore', icon: LayoutDashboard, description: 'Interactive dashboard' },
   { id: 'generate', title: 'Generate Report', icon: Sparkles, description: 'AI-powered analysis' },
   { id: 'view', title: 'View Results', icon: BarChart3, description: 'Interactive reports' }
 ];
 
+const FINISHED_JOB_STATES = ['completed', 'failed', 'cancelled'];
+
+// Follow a report job until it finishes. Uses the server's event stream and
+// falls back to polling the status endpoint if the stream drops.
+function watchReportJob(jobId, onUpdate) {
+  return new Promise((resolve) => {
+    const source = new EventSource(`/api/report-jobs/${jobId}/events`);
+    let pollTimer = null;
+
+    const handle = (job) => {
+      onUpdate(job);
+      if (FINISHED_JOB_STATES.includes(job.status)) {
+        source.close();
+        clearTimeout(pollTimer);
+        resolve(job);
+      }
+    };
+
+    const poll = async () => {
+      try {
+        const response = await fetch(`/api/report-jobs/${jobId}`);
+        if (!response.ok) {
+          throw new Error('Report job not found');
+        }
+        const { job } = await response.json();
+        handle(job);
+        if (!FINISHED_JOB_STATES.includes(job.status)) {
+          pollTimer = setTimeout(poll, 1000);
+        }
+      } catch (error) {
+        resolve({ status: 'failed', error: error.message });
+      }
+    };
+
+    ['status', 'stage', 'cancelling', ...FINISHED_JOB_STATES].forEach(event => {
+      source.addEventListener(event, (message) => handle(JSON.parse(message.data)));
+    });
+    source.onerror = () => {
+      source.close();
+      if (!pollTimer) {
+        poll();
+      }
+    };
+  });
+}
+
+// Share of stages finished, counting the running one as half done
+function jobProgress(job) {
+  if (!job?.stages?.length) return 0;
+  const done = job.stages.filter(stage => stage.status === 'done').length;
+  const running = job.stages.some(stage => stage.status === 'running') ? 0.5 : 0;
+  return Math.round((done + running) / job.stages.length * 100);
+}
+
 function App() {
   const [currentStep, setCurrentStep] = useState('upload');
   const [uploadedData, setUploadedData] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [filters, setFilters] = useState(emptyFilters);
   const [generatedReport, setGeneratedReport] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [reportJob, setReportJob] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const reportJobId = useRef(null);
 
   const handleFileUpload = useCallback((data) => {
     setUploadedData(data);
@@ -38,17 +105,16 @@ function App() {
     toast.success('File uploaded successfully!');
   }, []);
 
-  const handleDataConfirm = useCallback(() => {
-    setCurrentStep('generate');
+  const handleDataConfirm = useCallback((mapping) => {
+    setColumnMapping(mapping);
+    setCurrentStep('dashboard');
   }, []);
 
-  const handleReportGenerate = useCallback(async (reportType) => {
+  const handleReportGenerate = useCallback(async (reportType, mode, baseline) => {
     setIsGenerating(true);
+    setReportJob(null);
     try {
-      // Use fullData if available, otherwise fall back to preview
-      const dataToAnalyze = uploadedData.fullData || uploadedData.preview;
-      
-      console.log(`Generating report with ${dataToAnalyze.length} records`);
+      console.log(`Generating report for dataset ${uploadedData.datasetId}`);
 
       const response = await fetch('/api/generate-report', {
         method: 'POST',
@@ -56,36 +122,89 @@ function App() {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          data: dataToAnalyze, // Send complete dataset
+          datasetId: uploadedData.datasetId, // Rows stay on the server
           reportType,
-          fileName: uploadedData.fileName
+          mapping: columnMapping,
+          mode,
+          filters,
+          baseline
         }),
       });
 
       if (!response.ok) {
-        throw new Error('Failed to generate report');
+        const { error } = await response.json().catch(() => ({}));
+        throw new Error(error || 'Failed to generate report');
       }
 
-      const result = await response.json();
+      const { jobId, job } = await response.json();
+      reportJobId.current = jobId;
+      setReportJob(job);
+
+      const finished = await watchReportJob(jobId, setReportJob);
+      if (finished.status === 'cancelled') {
+        toast('Report generation cancelled');
+        return;
+      }
+      if (finished.status !== 'completed') {
+        throw new Error(finished.error || 'Failed to generate report');
+      }
+
+      const result = finished.result;
       setGeneratedReport(result);
       setCurrentStep('view');
-      toast.success('Report generated successfully!');
+      if (result.fallbackReason) {
+        toast(`${result.fallbackReason} - generated a rule-based report instead`, { icon: '⚠️' });
+      } else if (result.partiallyGenerated) {
+        toast('Report generated, but some sections had to be filled in automatically', { icon: '⚠️' });
+      } else {
+        toast.success('Report generated successfully!');
+      }
     } catch (error) {
       console.error('Report generation error:', error);
-      toast.error('Failed to generate report. Please try again.');
+      toast.error(`${error.message}. Please try again.`);
     } finally {
+      reportJobId.current = null;
       setIsGenerating(false);
+      setReportJob(null);
     }
-  }, [uploadedData]);
+  }, [uploadedData, columnMapping, filters]);
+
+  const handleCancelGeneration = useCallback(async () => {
+    if (!reportJobId.current) return;
+    try {
+      await fetch(`/api/report-jobs/${reportJobId.current}/cancel`, { method: 'POST' });
+    } catch (error) {
+      console.error('Cancel error:', error);
+      toast.error('Could not cancel report generation');
+    }
+  }, []);
 
   const handleReset = useCallback(() => {
     setCurrentStep('upload');
     setUploadedData(null);
+    setColumnMapping(null);
+    setFilters(emptyFilters);
     setGeneratedReport(null);
     setIsGenerating(false);
+    setShowHistory(false);
+  }, []);
+
+  const handleHistoryOpen = useCallback((report) => {
+    setGeneratedReport(report);
+    setShowHistory(false);
+    setCurrentStep('view');
   }, []);
 
   const renderStepContent = () => {
+    if (showHistory) {
+      return (
+        <ReportHistory
+          onOpen={handleHistoryOpen}
+          onBack={() => setShowHistory(false)}
+        />
+      );
+    }
+
     switch (currentStep) {
       case 'upload':
         return (
@@ -98,17 +217,32 @@ function App() {
         return (
           <DataPreview 
             data={uploadedData}
+            onDataChange={setUploadedData}
             onConfirm={handleDataConfirm}
             onBack={() => setCurrentStep('upload')}
           />
         );
+      case 'dashboard':
+        return (
+          <AnalysisDashboard
+            data={uploadedData}
+            mapping={columnMapping}
+            filters={filters}
+            onFiltersChange={setFilters}
+            onContinue={() => setCurrentStep('generate')}
+            onBack={() => setCurrentStep('preview')}
+          />
+        );
       case 'generate':
         return (
           <ReportGeneration 
             data={uploadedData}
+            mapping={columnMapping}
+            filters={filters}
+            onFiltersChange={setFilters}
             onGenerate={handleReportGenerate}
             isGenerating={isGenerating}
-            onBack={() => setCurrentStep('preview')}
+            onBack={() => setCurrentStep('dashboard')}
           />
         );
       case 'view':
@@ -116,7 +250,7 @@ function App() {
           <ReportViewer 
             report={generatedReport}
             onReset={handleReset}
-            onBack={() => setCurrentStep('generate')}
+            onBack={() => (uploadedData ? setCurrentStep('generate') : setShowHistory(true))}
           />
         );
       default:
@@ -156,16 +290,25 @@ function App() {
               </div>
             </div>
             
-            {uploadedData && (
-              <motion.button
-                initial={{ opacity: 0, scale: 0.9 }}
-                animate={{ opacity: 1, scale: 1 }}
-                onClick={handleReset}
-                className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => setShowHistory(true)}
+                className="flex items-center space-x-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
               >
-                New Analysis
-              </motion.button>
-            )}
+                <History className="h-4 w-4" />
+                <span>Report History</span>
+              </button>
+              {(uploadedData || generatedReport) && (
+                <motion.button
+                  initial={{ opacity: 0, scale: 0.9 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  onClick={handleReset}
+                  className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+                >
+                  New Analysis
+                </motion.button>
+              )}
+            </div>
           </div>
         </div>
       </motion.header>
@@ -215,7 +358,7 @@ function App() {
         {/* Main Content */}
         <AnimatePresence mode="wait">
           <motion.div
-            key={currentStep}
+            key={showHistory ? 'history' : currentStep}
             initial={{ opacity: 0, x: 20 }}
             animate={{ opacity: 1, x: 0 }}
             exit={{ opacity: 0, x: -20 }}
@@ -248,16 +391,45 @@ function App() {
                 Generating Your Report
               </h3>
               <p className="text-gray-300">
-                Claude AI is analyzing your data and creating insights...
+                {reportJob?.status === 'cancelling'
+                  ? 'Cancelling...'
+                  : reportJob?.stages?.find(stage => stage.status === 'running')?.label || 'Starting...'}
               </p>
               <div className="mt-6 bg-gray-700 rounded-full h-2">
                 <motion.div
                   className="bg-gradient-to-r from-purple-500 to-pink-500 h-2 rounded-full"
                   initial={{ width: "0%" }}
-                  animate={{ width: "100%" }}
-                  transition={{ duration: 3, repeat: Infinity }}
+                  animate={{ width: `${jobProgress(reportJob)}%` }}
+                  transition={{ duration: 0.4 }}
                 />
               </div>
+              {reportJob?.stages && (
+                <ul className="mt-6 space-y-2 text-left">
+                  {reportJob.stages.map(stage => (
+                    <li key={stage.id} className="flex items-center space-x-2 text-sm">
+                      {stage.status === 'done' ? (
+                        <CheckCircle className="h-4 w-4 text-green-400" />
+                      ) : stage.status === 'running' ? (
+                        <Loader2 className="h-4 w-4 text-purple-400 animate-spin" />
+                      ) : stage.status === 'pending' ? (
+                        <Circle className="h-4 w-4 text-gray-500" />
+                      ) : (
+                        <XCircle className="h-4 w-4 text-red-400" />
+                      )}
+                      <span className={stage.status === 'pending' ? 'text-gray-500' : 'text-gray-200'}>
+                        {stage.label}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <button
+                onClick={handleCancelGeneration}
+                disabled={!reportJob || reportJob.status === 'cancelling'}
+                className="mt-6 px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
             </motion.div>
           </motion.div>
         )}
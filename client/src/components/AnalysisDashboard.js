@@ -0,0 +1,503 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { toast } from 'react-hot-toast';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Bar, Line } from 'react-chartjs-2';
+import {
+  ArrowLeft,
+  ArrowRight,
+  ArrowUpDown,
+  Loader2,
+  RefreshCw,
+  Users,
+  Clock,
+  CheckCircle,
+  AlertTriangle,
+  LayoutDashboard
+} from 'lucide-react';
+import FilterPanel from './FilterPanel';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, PointElement, LineElement, Tooltip, Legend);
+
+// Agents shown as heatmap columns; the busiest ones after filtering
+const HEATMAP_AGENTS = 8;
+
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: {
+    legend: { labels: { color: '#d1d5db' } }
+  },
+  scales: {
+    x: { ticks: { color: '#9ca3af' }, grid: { color: 'rgba(75, 85, 99, 0.3)' } },
+    y: { beginAtZero: true, ticks: { color: '#9ca3af' }, grid: { color: 'rgba(75, 85, 99, 0.3)' } }
+  }
+};
+
+const leaderboardColumns = [
+  { id: 'agent', label: 'Agent' },
+  { id: 'total', label: 'Tickets' },
+  { id: 'responseViolations', label: 'Response Viol.' },
+  { id: 'resolutionViolations', label: 'Resolution Viol.' },
+  { id: 'complianceRate', label: 'Compliance' },
+  { id: 'averageResponseTime', label: 'Avg Response' },
+  { id: 'averageResolutionTime', label: 'Avg Resolution' }
+];
+
+const formatMinutes = (minutes) => {
+  if (!minutes) return '—';
+  if (minutes < 60) return `${Math.round(minutes)} min`;
+  if (minutes < 24 * 60) return `${(minutes / 60).toFixed(1)} h`;
+  return `${(minutes / (24 * 60)).toFixed(1)} d`;
+};
+
+const matches = (name, filter) => name.toLowerCase().includes(filter.trim().toLowerCase());
+
+const complianceColor = (rate) => {
+  if (rate >= 90) return 'text-green-400';
+  if (rate >= 75) return 'text-yellow-400';
+  return 'text-red-400';
+};
+
+const StatCard = ({ icon: Icon, label, value, detail }) => (
+  <div className="bg-gray-700/50 border border-gray-600 rounded-xl p-4">
+    <div className="flex items-center space-x-2 text-gray-400 text-sm">
+      <Icon className="h-4 w-4" />
+      <span>{label}</span>
+    </div>
+    <p className="text-2xl font-bold text-white mt-2">{value}</p>
+    {detail && <p className="text-gray-400 text-xs mt-1">{detail}</p>}
+  </div>
+);
+
+const AnalysisDashboard = ({ data, mapping, filters, onFiltersChange, onContinue, onBack }) => {
+  const [analysis, setAnalysis] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [agentFilter, setAgentFilter] = useState('');
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [minTickets, setMinTickets] = useState(0);
+  const [sort, setSort] = useState({ key: 'complianceRate', direction: 'desc' });
+  const [hiddenPriorities, setHiddenPriorities] = useState([]);
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+
+  const loadAnalysis = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/datasets/${data.datasetId}/analysis`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ mapping, filters }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to analyse dataset');
+      setAnalysis(result.analysis);
+    } catch (err) {
+      console.error('Dashboard error:', err);
+      setError(err.message);
+      toast.error('Failed to load the analysis');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [data.datasetId, mapping, filters]);
+
+  useEffect(() => {
+    loadAnalysis();
+  }, [loadAnalysis]);
+
+  const agents = useMemo(() => {
+    if (!analysis) return [];
+    const rows = Object.entries(analysis.agents)
+      .map(([agent, stats]) => ({ agent, ...stats, complianceRate: parseFloat(stats.complianceRate) }))
+      .filter(row => matches(row.agent, agentFilter) && row.total >= minTickets);
+
+    const factor = sort.direction === 'asc' ? 1 : -1;
+    return rows.sort((a, b) => (
+      sort.key === 'agent'
+        ? a.agent.localeCompare(b.agent) * factor
+        : ((a[sort.key] || 0) - (b[sort.key] || 0)) * factor
+    ));
+  }, [analysis, agentFilter, minTickets, sort]);
+
+  const categories = useMemo(() => {
+    if (!analysis) return [];
+    return Object.entries(analysis.categories)
+      .map(([category, stats]) => ({ category, ...stats, complianceRate: parseFloat(stats.complianceRate) }))
+      .filter(row => matches(row.category, categoryFilter) && row.total >= minTickets)
+      .sort((a, b) => b.total - a.total);
+  }, [analysis, categoryFilter, minTickets]);
+
+  const heatmapAgents = useMemo(
+    () => [...agents].sort((a, b) => b.total - a.total).slice(0, HEATMAP_AGENTS),
+    [agents]
+  );
+  const heatmapMax = Math.max(1, ...categories.flatMap(({ category }) =>
+    heatmapAgents.map(({ agent }) => analysis.agents[agent].categories[category] || 0)
+  ));
+
+  const priorities = useMemo(() => (
+    analysis
+      ? Object.entries(analysis.priorityAnalysis).map(([priority, stats]) => ({
+        priority,
+        ...stats,
+        complianceRate: parseFloat(stats.complianceRate)
+      }))
+      : []
+  ), [analysis]);
+  const visiblePriorities = priorities.filter(p => !hiddenPriorities.includes(p.priority));
+
+  const dates = useMemo(() => (analysis ? Object.keys(analysis.timePatterns).sort() : []), [analysis]);
+  const trendDates = dates.filter(date =>
+    (!dateRange.from || date >= dateRange.from) && (!dateRange.to || date <= dateRange.to)
+  );
+
+  const handleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
+  const togglePriority = (priority) => {
+    setHiddenPriorities(prev => (
+      prev.includes(priority) ? prev.filter(p => p !== priority) : [...prev, priority]
+    ));
+  };
+
+  const filterPanel = (
+    <FilterPanel
+      datasetId={data.datasetId}
+      mapping={mapping}
+      filters={filters}
+      onChange={onFiltersChange}
+      disabled={isLoading}
+    />
+  );
+
+  // Keep the current figures on screen while a filter change reloads them
+  if (isLoading && !analysis) {
+    return (
+      <div className="flex flex-col items-center justify-center py-24 space-y-4">
+        <Loader2 className="h-10 w-10 text-purple-500 animate-spin" />
+        <p className="text-gray-300">Analysing {data.totalRecords?.toLocaleString()} records...</p>
+      </div>
+    );
+  }
+
+  if (error || !analysis) {
+    return (
+      <div className="py-16 space-y-4 text-center">
+        <div className="text-left">{filterPanel}</div>
+        <AlertTriangle className="h-12 w-12 text-red-400 mx-auto" />
+        <p className="text-gray-300">{error || 'No analysis available'}</p>
+        <div className="flex justify-center space-x-3">
+          <button
+            onClick={onBack}
+            className="px-6 py-3 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+          >
+            Back to Preview
+          </button>
+          <button
+            onClick={loadAnalysis}
+            className="flex items-center space-x-2 px-6 py-3 bg-purple-500 hover:bg-purple-600 text-white rounded-lg transition-colors"
+          >
+            <RefreshCw className="h-4 w-4" />
+            <span>Retry</span>
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { firstResponseSLA, resolutionSLA } = analysis;
+
+  return (
+    <div className="space-y-8">
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-white mb-2">Analysis Dashboard</h2>
+        <p className="text-gray-300">Explore the numbers before generating a report</p>
+      </div>
+
+      {filterPanel}
+
+      {/* Headline figures */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <StatCard
+          icon={LayoutDashboard}
+          label="Tickets"
+          value={analysis.totalTickets.toLocaleString()}
+          detail={`${dates.length} days of data`}
+        />
+        <StatCard
+          icon={CheckCircle}
+          label="First Response Compliance"
+          value={`${firstResponseSLA.compliancePercentage}%`}
+          detail={`${firstResponseSLA.violations} of ${firstResponseSLA.total} measured tickets breached`}
+        />
+        <StatCard
+          icon={Clock}
+          label="Resolution Compliance"
+          value={`${resolutionSLA.compliancePercentage}%`}
+          detail={`Average resolution ${formatMinutes(resolutionSLA.averageResolutionTime)}`}
+        />
+        <StatCard
+          icon={Users}
+          label="Agents"
+          value={Object.keys(analysis.agents).length}
+          detail={`${Object.keys(analysis.categories).length} categories`}
+        />
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col md:flex-row gap-4 bg-gray-900/50 rounded-xl p-4">
+        <input
+          type="text"
+          value={agentFilter}
+          onChange={(e) => setAgentFilter(e.target.value)}
+          placeholder="Filter agents"
+          className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
+        />
+        <input
+          type="text"
+          value={categoryFilter}
+          onChange={(e) => setCategoryFilter(e.target.value)}
+          placeholder="Filter categories"
+          className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
+        />
+        <label className="flex items-center space-x-2 text-gray-300 text-sm">
+          <span>Min tickets</span>
+          <input
+            type="number"
+            min="0"
+            value={minTickets}
+            onChange={(e) => setMinTickets(Math.max(0, parseInt(e.target.value, 10) || 0))}
+            className="w-20 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-purple-500"
+          />
+        </label>
+      </div>
+
+      {/* Agent leaderboard */}
+      <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} className="bg-gray-700/50 border border-gray-600 rounded-xl p-6">
+        <h3 className="text-xl font-semibold text-white mb-4">Agent Leaderboard</h3>
+        {agents.length === 0 ? (
+          <p className="text-gray-400">No agents match the filters</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 border-b border-gray-600">
+                  <th className="text-left py-2 pr-4">#</th>
+                  {leaderboardColumns.map(column => (
+                    <th key={column.id} className="text-left py-2 pr-4">
+                      <button onClick={() => handleSort(column.id)} className="flex items-center space-x-1 hover:text-white">
+                        <span>{column.label}</span>
+                        <ArrowUpDown className={`h-3 w-3 ${sort.key === column.id ? 'text-purple-400' : ''}`} />
+                      </button>
+                    </th>
+                  ))}
+                  <th className="text-left py-2">Top Category</th>
+                </tr>
+              </thead>
+              <tbody>
+                {agents.map((row, index) => (
+                  <tr key={row.agent} className="border-b border-gray-700 text-gray-200">
+                    <td className="py-2 pr-4 text-gray-400">{index + 1}</td>
+                    <td className="py-2 pr-4 font-medium text-white">{row.agent}</td>
+                    <td className="py-2 pr-4">{row.total}</td>
+                    <td className="py-2 pr-4">{row.responseViolations}</td>
+                    <td className="py-2 pr-4">{row.resolutionViolations}</td>
+                    <td className={`py-2 pr-4 font-semibold ${complianceColor(row.complianceRate)}`}>{row.complianceRate.toFixed(1)}%</td>
+                    <td className="py-2 pr-4">{formatMinutes(row.averageResponseTime)}</td>
+                    <td className="py-2 pr-4">{formatMinutes(row.averageResolutionTime)}</td>
+                    <td className="py-2">{row.topCategory}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </motion.div>
+
+      {/* Category heatmap */}
+      <div className="bg-gray-700/50 border border-gray-600 rounded-xl p-6">
+        <h3 className="text-xl font-semibold text-white mb-1">Category Heatmap</h3>
+        <p className="text-gray-400 text-sm mb-4">
+          Tickets per category for the {heatmapAgents.length} busiest agents shown, with each category's compliance
+        </p>
+        {categories.length === 0 || heatmapAgents.length === 0 ? (
+          <p className="text-gray-400">No categories match the filters</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400">
+                  <th className="text-left py-2 pr-4">Category</th>
+                  {heatmapAgents.map(({ agent }) => (
+                    <th key={agent} className="py-2 px-2 text-center font-medium">{agent}</th>
+                  ))}
+                  <th className="py-2 pl-4 text-right">Compliance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {categories.map(row => (
+                  <tr key={row.category}>
+                    <td className="py-1 pr-4 text-white">{row.category}</td>
+                    {heatmapAgents.map(({ agent }) => {
+                      const count = analysis.agents[agent].categories[row.category] || 0;
+                      return (
+                        <td key={agent} className="p-1">
+                          <div
+                            className="rounded text-center py-2 text-white"
+                            style={{ backgroundColor: `rgba(168, 85, 247, ${count ? 0.15 + 0.85 * (count / heatmapMax) : 0.05})` }}
+                            title={`${agent} · ${row.category}: ${count} tickets`}
+                          >
+                            {count || ''}
+                          </div>
+                        </td>
+                      );
+                    })}
+                    <td className={`py-1 pl-4 text-right font-semibold ${complianceColor(row.complianceRate)}`}>
+                      {row.complianceRate.toFixed(1)}%
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Priority breakdown */}
+        <div className="bg-gray-700/50 border border-gray-600 rounded-xl p-6">
+          <h3 className="text-xl font-semibold text-white mb-4">Priority Breakdown</h3>
+          <div className="flex flex-wrap gap-2 mb-4">
+            {priorities.map(({ priority }) => (
+              <button
+                key={priority}
+                onClick={() => togglePriority(priority)}
+                className={`px-3 py-1 rounded-full text-xs transition-colors ${
+                  hiddenPriorities.includes(priority)
+                    ? 'bg-gray-600 text-gray-400'
+                    : 'bg-purple-500 text-white'
+                }`}
+              >
+                {priority}
+              </button>
+            ))}
+          </div>
+          <div className="h-64">
+            <Bar
+              options={chartOptions}
+              data={{
+                labels: visiblePriorities.map(p => p.priority),
+                datasets: [
+                  { label: 'Tickets', data: visiblePriorities.map(p => p.total), backgroundColor: '#45b7d1' },
+                  { label: 'Response violations', data: visiblePriorities.map(p => p.responseViolations), backgroundColor: '#feca57' },
+                  { label: 'Resolution violations', data: visiblePriorities.map(p => p.resolutionViolations), backgroundColor: '#ff4757' }
+                ]
+              }}
+            />
+          </div>
+          <table className="w-full text-sm mt-4">
+            <tbody>
+              {visiblePriorities.map(p => (
+                <tr key={p.priority} className="border-b border-gray-700 text-gray-300">
+                  <td className="py-1 text-white">{p.priority}</td>
+                  <td className="py-1">{p.slaTarget || 'No target'}</td>
+                  <td className={`py-1 text-right font-semibold ${complianceColor(p.complianceRate)}`}>{p.complianceRate.toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Daily trend */}
+        <div className="bg-gray-700/50 border border-gray-600 rounded-xl p-6">
+          <h3 className="text-xl font-semibold text-white mb-4">Daily Trend</h3>
+          <div className="flex items-center space-x-2 mb-4 text-sm text-gray-300">
+            <input
+              type="date"
+              value={dateRange.from}
+              min={dates[0]}
+              max={dates[dates.length - 1]}
+              onChange={(e) => setDateRange(prev => ({ ...prev, from: e.target.value }))}
+              className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={dateRange.to}
+              min={dates[0]}
+              max={dates[dates.length - 1]}
+              onChange={(e) => setDateRange(prev => ({ ...prev, to: e.target.value }))}
+              className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+            />
+            {(dateRange.from || dateRange.to) && (
+              <button onClick={() => setDateRange({ from: '', to: '' })} className="text-purple-400 hover:text-purple-300">
+                Clear
+              </button>
+            )}
+          </div>
+          <div className="h-72">
+            <Line
+              options={chartOptions}
+              data={{
+                labels: trendDates,
+                datasets: [
+                  {
+                    label: 'Tickets',
+                    data: trendDates.map(date => analysis.timePatterns[date].total),
+                    borderColor: '#45b7d1',
+                    backgroundColor: '#45b7d1',
+                    tension: 0.3
+                  },
+                  {
+                    label: 'Violations',
+                    data: trendDates.map(date => analysis.timePatterns[date].violations),
+                    borderColor: '#ff4757',
+                    backgroundColor: '#ff4757',
+                    tension: 0.3
+                  }
+                ]
+              }}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex justify-between pt-4">
+        <button
+          onClick={onBack}
+          className="flex items-center space-x-2 px-6 py-3 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          <span>Back to Preview</span>
+        </button>
+
+        <button
+          onClick={onContinue}
+          className="flex items-center space-x-2 px-8 py-3 bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white rounded-lg transition-all duration-200 font-semibold"
+        >
+          <span>Continue to Report</span>
+          <ArrowRight className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisDashboard;
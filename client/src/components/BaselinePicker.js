@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { GitCompare } from 'lucide-react';
+
+const comparisonModes = [
+  { id: 'none', title: 'No comparison' },
+  { id: 'range', title: 'Earlier date range' },
+  { id: 'dataset', title: 'Another dataset' }
+];
+
+export const noBaseline = { mode: 'none', datasetId: '', dateFrom: '', dateTo: '' };
+
+// The baseline as the generate request expects it, or null when incomplete
+export const baselineRequest = (baseline) => {
+  const dates = { dateFrom: baseline.dateFrom || undefined, dateTo: baseline.dateTo || undefined };
+  if (baseline.mode === 'range') {
+    return baseline.dateFrom || baseline.dateTo ? dates : null;
+  }
+  if (baseline.mode === 'dataset') {
+    return baseline.datasetId ? { datasetId: baseline.datasetId, ...dates } : null;
+  }
+  return null;
+};
+
+const BaselinePicker = ({ datasetId, baseline, onChange, disabled }) => {
+  const [datasets, setDatasets] = useState([]);
+
+  useEffect(() => {
+    if (baseline.mode !== 'dataset') return;
+    let cancelled = false;
+    const loadDatasets = async () => {
+      try {
+        const response = await fetch('/api/datasets');
+        if (!response.ok) throw new Error('Failed to list datasets');
+        const result = await response.json();
+        if (!cancelled) setDatasets(result.datasets.filter(dataset => dataset.id !== datasetId));
+      } catch (err) {
+        console.error('Dataset list error:', err);
+      }
+    };
+    loadDatasets();
+    return () => {
+      cancelled = true;
+    };
+  }, [baseline.mode, datasetId]);
+
+  const update = (changes) => onChange({ ...baseline, ...changes });
+
+  return (
+    <div className="bg-gray-900/50 rounded-xl p-4 border border-gray-700 space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex items-center space-x-2 text-white font-semibold mr-2">
+          <GitCompare className="h-4 w-4 text-purple-400" />
+          <span>Compare with</span>
+        </div>
+        {comparisonModes.map(mode => (
+          <button
+            key={mode.id}
+            onClick={() => update({ mode: mode.id })}
+            disabled={disabled}
+            className={`px-3 py-1 rounded-full border text-sm transition-colors ${
+              baseline.mode === mode.id
+                ? 'bg-purple-500/20 border-purple-500 text-purple-200'
+                : 'bg-gray-700 border-gray-600 text-gray-300 hover:border-gray-500'
+            }`}
+          >
+            {mode.title}
+          </button>
+        ))}
+      </div>
+
+      {baseline.mode === 'dataset' && (
+        <select
+          value={baseline.datasetId}
+          onChange={(e) => update({ datasetId: e.target.value })}
+          disabled={disabled}
+          className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm"
+        >
+          <option value="">Choose the baseline dataset...</option>
+          {datasets.map(dataset => (
+            <option key={dataset.id} value={dataset.id}>
+              {dataset.fileName} · {dataset.totalRecords} rows · uploaded {new Date(dataset.createdAt).toLocaleDateString()}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {baseline.mode !== 'none' && (
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-300">
+          <span className="text-gray-400">
+            {baseline.mode === 'range' ? 'Baseline created' : 'Only tickets created'}
+          </span>
+          <input
+            type="date"
+            value={baseline.dateFrom}
+            max={baseline.dateTo || undefined}
+            disabled={disabled}
+            onChange={(e) => update({ dateFrom: e.target.value })}
+            className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-white"
+          />
+          <span>to</span>
+          <input
+            type="date"
+            value={baseline.dateTo}
+            min={baseline.dateFrom || undefined}
+            disabled={disabled}
+            onChange={(e) => update({ dateTo: e.target.value })}
+            className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-white"
+          />
+          {baseline.mode === 'dataset' && <span className="text-gray-500">(optional)</span>}
+        </div>
+      )}
+
+      {baseline.mode !== 'none' && (
+        <p className="text-xs text-gray-500">
+          The baseline uses the same agent, category and priority filters. Set the report's own
+          date range in the filters above so the two periods do not overlap.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BaselinePicker;
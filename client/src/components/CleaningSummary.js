@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { Eraser, ChevronDown, ChevronRight } from 'lucide-react';
+
+const actionClass = {
+  dropped: 'bg-red-500/20 text-red-300',
+  coerced: 'bg-yellow-500/20 text-yellow-300',
+  kept: 'bg-gray-600/40 text-gray-300'
+};
+
+const showValue = (value) => {
+  if (value === null || value === undefined) return <span className="text-gray-500">empty</span>;
+  return <span className="font-mono">{JSON.stringify(value)}</span>;
+};
+
+const CleaningSummary = ({ cleaning }) => {
+  const [openIssue, setOpenIssue] = useState(null);
+  const dropped = cleaning.rowsRead - cleaning.rowsKept;
+
+  return (
+    <div className="bg-gray-900/50 rounded-xl p-4 border border-gray-700 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Eraser className="h-4 w-4 text-purple-400" />
+        <span className="text-white font-semibold">Data cleaning</span>
+        <span className="text-sm text-gray-400">
+          {cleaning.rowsKept.toLocaleString()} of {cleaning.rowsRead.toLocaleString()} rows kept
+          {dropped > 0 && ` · ${dropped.toLocaleString()} dropped`}
+          {cleaning.dateColumns.length > 0 && ` · dates read in ${cleaning.dateColumns.join(', ')}`}
+        </span>
+      </div>
+
+      {cleaning.issues.length === 0 ? (
+        <p className="text-sm text-gray-400">No values needed cleaning.</p>
+      ) : (
+        <ul className="space-y-2">
+          {cleaning.issues.map(issue => (
+            <li key={issue.kind} className="text-sm">
+              <button
+                onClick={() => setOpenIssue(openIssue === issue.kind ? null : issue.kind)}
+                className="flex items-center space-x-2 text-gray-300 hover:text-white"
+              >
+                {openIssue === issue.kind ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                <span>{issue.label}</span>
+                <span className={`px-2 py-0.5 rounded-full text-xs ${actionClass[issue.action]}`}>
+                  {issue.count.toLocaleString()} {issue.action}
+                </span>
+              </button>
+
+              {openIssue === issue.kind && (
+                <div className="mt-2 ml-6 overflow-x-auto">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-400 border-b border-gray-700">
+                        <th className="py-1 pr-4">Row</th>
+                        <th className="py-1 pr-4">Column</th>
+                        <th className="py-1 pr-4">Original</th>
+                        <th className="py-1">Now</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {issue.examples.map((example, index) => (
+                        <tr key={`${example.row}-${index}`} className="border-b border-gray-800 text-gray-300">
+                          <td className="py-1 pr-4">{example.row}</td>
+                          <td className="py-1 pr-4">{example.column || 'Whole row'}</td>
+                          <td className="py-1 pr-4">{showValue(example.value)}</td>
+                          <td className="py-1">
+                            {issue.action === 'dropped' ? <span className="text-red-300">dropped</span> : showValue(example.result)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {issue.count > issue.examples.length && (
+                    <p className="mt-1 text-gray-500">
+                      First {issue.examples.length} of {issue.count.toLocaleString()} shown
+                    </p>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CleaningSummary;
@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
+import { toast } from 'react-hot-toast';
 import { 
   Eye, 
   FileText, 
@@ -10,26 +11,207 @@ import {
   AlertTriangle,
   ArrowLeft,
   ArrowRight,
-  Database
+  Database,
+  Settings,
+  Save,
+  RefreshCw,
+  Clock,
+  Wand2,
+  Shield
 } from 'lucide-react';
+import SLAPolicyEditor from './SLAPolicyEditor';
+import MergeSummary from './MergeSummary';
+import ParseSettings from './ParseSettings';
+import CleaningSummary from './CleaningSummary';
+import TransformEditor from './TransformEditor';
+import PrivacySettings, { PrivacyWarning } from './PrivacySettings';
+import SuspiciousContent from './SuspiciousContent';
 
-const DataPreview = ({ data, onConfirm, onBack }) => {
+const mappingFields = [
+  { id: 'agent', label: 'Agent' },
+  { id: 'category', label: 'Category' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'createdDate', label: 'Created Date' },
+  { id: 'firstResponseDate', label: 'First Responded Date' },
+  { id: 'resolvedDate', label: 'Resolved Date' },
+  { id: 'firstResponseStatus', label: 'First Response Status' },
+  { id: 'resolutionStatus', label: 'Resolution Status' }
+];
+
+// Resolve a profile's candidate columns against the uploaded headers
+const buildMappingFromProfile = (profile, columns) => {
+  const lowerColumns = columns.map(col => String(col).toLowerCase());
+  const fields = {};
+  mappingFields.forEach(({ id }) => {
+    const match = (profile.fields[id] || []).find(col => lowerColumns.includes(col.toLowerCase()));
+    fields[id] = match ? columns[lowerColumns.indexOf(match.toLowerCase())] : '';
+  });
+  return {
+    fields,
+    violationKeywords: profile.violationKeywords.join(', '),
+    complianceKeywords: profile.complianceKeywords.join(', ')
+  };
+};
+
+const DataPreview = ({ data, onDataChange, onConfirm, onBack }) => {
   const [activeTab, setActiveTab] = useState('overview');
+  const [profiles, setProfiles] = useState([]);
+  const [selectedProfileId, setSelectedProfileId] = useState(data?.mappingSuggestion?.profileId || 'default');
+  const [mapping, setMapping] = useState(null);
+  const [newProfileName, setNewProfileName] = useState('');
+  const [isSavingProfile, setIsSavingProfile] = useState(false);
+  const [isSwitchingSheet, setIsSwitchingSheet] = useState(false);
+
+  const headerColumns = data?.dataStructure?.columns;
+
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        const response = await fetch('/api/mapping-profiles');
+        if (!response.ok) throw new Error('Failed to load mapping profiles');
+        const result = await response.json();
+        setProfiles(result.profiles);
+      } catch (error) {
+        console.error('Mapping profile error:', error);
+        toast.error('Failed to load column mapping profiles');
+      }
+    };
+    loadProfiles();
+  }, []);
+
+  // A different sheet may suggest a different mapping profile
+  useEffect(() => {
+    if (data?.mappingSuggestion?.profileId) {
+      setSelectedProfileId(data.mappingSuggestion.profileId);
+    }
+  }, [data?.mappingSuggestion?.profileId]);
+
+  useEffect(() => {
+    const profile = profiles.find(p => p.id === selectedProfileId);
+    if (profile && headerColumns) {
+      setMapping(buildMappingFromProfile(profile, headerColumns));
+    }
+  }, [profiles, selectedProfileId, headerColumns]);
 
   if (!data) return null;
 
-  const { dataStructure, preview, fileName, totalRecords, fullData } = data;
+  const { dataStructure, preview, fileName, totalRecords, datasetId, sheetNames, sheetName, merge, dialect, detectedDialect, cleaning, pii, suspiciousContent, recipe, sourceColumns } = data;
   const { columns, columnTypes, hasDateColumns, hasStatusColumns, hasUserColumns } = dataStructure;
   
   // Use totalRecords if available, otherwise fall back to preview length
-  const actualTotalRows = totalRecords || fullData?.length || preview?.length || 0;
+  const actualTotalRows = totalRecords || preview?.length || 0;
 
   const tabs = [
     { id: 'overview', label: 'Overview', icon: Eye },
     { id: 'sample', label: 'Sample Data', icon: FileText },
-    { id: 'structure', label: 'Structure', icon: Database }
+    { id: 'structure', label: 'Structure', icon: Database },
+    { id: 'transform', label: 'Transform', icon: Wand2 },
+    { id: 'mapping', label: 'Column Mapping', icon: Settings },
+    { id: 'sla', label: 'SLA Targets', icon: Clock },
+    { id: 'privacy', label: 'Privacy', icon: Shield }
   ];
 
+  const selectedProfile = profiles.find(p => p.id === selectedProfileId);
+  const canUpdateProfile = Boolean(selectedProfile && !selectedProfile.builtIn);
+
+  // When updating a profile, the chosen column goes first and its other
+  // candidates are kept, so it still matches files with different headers
+  const toMappingPayload = (baseProfile) => {
+    if (!mapping) return null;
+    const fields = {};
+    Object.entries(mapping.fields).forEach(([field, col]) => {
+      const candidates = baseProfile?.fields[field] || [];
+      fields[field] = col
+        ? [col, ...candidates.filter(candidate => candidate.toLowerCase() !== col.toLowerCase())]
+        : candidates;
+    });
+    return {
+      fields,
+      violationKeywords: mapping.violationKeywords,
+      complianceKeywords: mapping.complianceKeywords
+    };
+  };
+
+  const handleSheetChange = async (nextSheet) => {
+    setIsSwitchingSheet(true);
+    try {
+      const response = await fetch(`/api/datasets/${datasetId}/sheet`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ sheetName: nextSheet }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to load sheet');
+
+      onDataChange(result);
+      toast.success(`Loaded sheet "${nextSheet}"`);
+    } catch (error) {
+      console.error('Sheet selection error:', error);
+      toast.error(error.message || 'Failed to load sheet');
+    } finally {
+      setIsSwitchingSheet(false);
+    }
+  };
+
+  const updateMappingField = (field, value) => {
+    setMapping(prev => ({ ...prev, fields: { ...prev.fields, [field]: value } }));
+  };
+
+  const handleSaveProfile = async () => {
+    if (!newProfileName.trim()) {
+      toast.error('Enter a name for the mapping profile');
+      return;
+    }
+    setIsSavingProfile(true);
+    try {
+      const response = await fetch('/api/mapping-profiles', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: newProfileName, ...toMappingPayload() }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save profile');
+
+      setProfiles(prev => [...prev, result.profile]);
+      setSelectedProfileId(result.profile.id);
+      setNewProfileName('');
+      toast.success(`Saved mapping profile "${result.profile.name}"`);
+    } catch (error) {
+      console.error('Mapping profile error:', error);
+      toast.error(error.message || 'Failed to save mapping profile');
+    } finally {
+      setIsSavingProfile(false);
+    }
+  };
+
+  const handleUpdateProfile = async () => {
+    if (!canUpdateProfile) return;
+    setIsSavingProfile(true);
+    try {
+      const response = await fetch(`/api/mapping-profiles/${selectedProfile.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: selectedProfile.name, ...toMappingPayload(selectedProfile) }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to update profile');
+
+      setProfiles(prev => prev.map(p => (p.id === result.profile.id ? result.profile : p)));
+      toast.success(`Updated mapping profile "${result.profile.name}"`);
+    } catch (error) {
+      console.error('Mapping profile error:', error);
+      toast.error(error.message || 'Failed to update mapping profile');
+    } finally {
+      setIsSavingProfile(false);
+    }
+  };
+
   const insights = [
     {
       icon: BarChart3,
@@ -264,6 +446,130 @@ const DataPreview = ({ data, onConfirm, onBack }) => {
           </div>
         );
 
+      case 'mapping':
+        return (
+          <div className="space-y-6">
+            <div className="text-center">
+              <h3 className="text-xl font-bold text-white mb-2">Column Mapping</h3>
+              <p className="text-gray-300">Tell the SLA analysis which columns hold each field</p>
+            </div>
+
+            <div className="bg-gray-900/50 rounded-xl p-6 space-y-4">
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <label className="text-gray-300 font-medium" htmlFor="mapping-profile">Mapping Profile</label>
+                <select
+                  id="mapping-profile"
+                  value={selectedProfileId}
+                  onChange={(e) => setSelectedProfileId(e.target.value)}
+                  className="bg-gray-800 border border-gray-700 text-white rounded-lg px-4 py-2 md:w-1/2"
+                >
+                  {profiles.map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                  ))}
+                </select>
+              </div>
+              {data.mappingSuggestion && data.mappingSuggestion.profileId === selectedProfileId && (
+                <p className="text-sm text-green-400">
+                  Suggested from your headers ({Math.round(data.mappingSuggestion.score * 100)}% of fields matched)
+                </p>
+              )}
+            </div>
+
+            {mapping && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {mappingFields.map(field => (
+                  <div key={field.id} className="bg-gray-900/50 rounded-lg p-4">
+                    <label className="block text-sm font-medium text-gray-300 mb-2" htmlFor={`mapping-${field.id}`}>
+                      {field.label}
+                    </label>
+                    <select
+                      id={`mapping-${field.id}`}
+                      value={mapping.fields[field.id]}
+                      onChange={(e) => updateMappingField(field.id, e.target.value)}
+                      className="w-full bg-gray-800 border border-gray-700 text-white rounded-lg px-3 py-2"
+                    >
+                      <option value="">Not mapped (use defaults)</option>
+                      {columns.map(col => (
+                        <option key={col} value={col}>{col}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+
+                <div className="bg-gray-900/50 rounded-lg p-4">
+                  <label className="block text-sm font-medium text-gray-300 mb-2" htmlFor="mapping-violation-keywords">
+                    Violation Keywords
+                  </label>
+                  <input
+                    id="mapping-violation-keywords"
+                    type="text"
+                    value={mapping.violationKeywords}
+                    onChange={(e) => setMapping(prev => ({ ...prev, violationKeywords: e.target.value }))}
+                    className="w-full bg-gray-800 border border-gray-700 text-white rounded-lg px-3 py-2"
+                  />
+                </div>
+                <div className="bg-gray-900/50 rounded-lg p-4">
+                  <label className="block text-sm font-medium text-gray-300 mb-2" htmlFor="mapping-compliance-keywords">
+                    Compliance Keywords
+                  </label>
+                  <input
+                    id="mapping-compliance-keywords"
+                    type="text"
+                    value={mapping.complianceKeywords}
+                    onChange={(e) => setMapping(prev => ({ ...prev, complianceKeywords: e.target.value }))}
+                    className="w-full bg-gray-800 border border-gray-700 text-white rounded-lg px-3 py-2"
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="bg-gray-900/50 rounded-xl p-6 flex flex-col md:flex-row gap-4">
+              <input
+                type="text"
+                value={newProfileName}
+                onChange={(e) => setNewProfileName(e.target.value)}
+                placeholder="Name this mapping to reuse it"
+                className="flex-1 bg-gray-800 border border-gray-700 text-white rounded-lg px-4 py-2"
+              />
+              <button
+                onClick={handleSaveProfile}
+                disabled={isSavingProfile || !mapping}
+                className="flex items-center justify-center space-x-2 px-6 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+              >
+                <Save className="h-4 w-4" />
+                <span>{isSavingProfile ? 'Saving...' : 'Save as Profile'}</span>
+              </button>
+              {canUpdateProfile && (
+                <button
+                  onClick={handleUpdateProfile}
+                  disabled={isSavingProfile || !mapping}
+                  title={`Save this mapping to "${selectedProfile.name}"`}
+                  className="flex items-center justify-center space-x-2 px-6 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg transition-colors"
+                >
+                  <RefreshCw className="h-4 w-4" />
+                  <span>Update "{selectedProfile.name}"</span>
+                </button>
+              )}
+            </div>
+          </div>
+        );
+
+      case 'transform':
+        return (
+          <TransformEditor
+            datasetId={datasetId}
+            recipe={recipe}
+            sourceColumns={sourceColumns || columns}
+            onDataChange={onDataChange}
+          />
+        );
+
+      case 'sla':
+        return <SLAPolicyEditor />;
+
+      case 'privacy':
+        return <PrivacySettings pii={pii} />;
+
       default:
         return null;
     }
@@ -280,6 +586,51 @@ const DataPreview = ({ data, onConfirm, onBack }) => {
         </p>
       </div>
 
+      {/* Workbook sheet picker */}
+      {sheetNames && sheetNames.length > 1 && (
+        <div className="flex items-center justify-center space-x-3">
+          <label className="text-gray-300 font-medium" htmlFor="sheet-picker">Worksheet</label>
+          <select
+            id="sheet-picker"
+            value={sheetName}
+            disabled={isSwitchingSheet}
+            onChange={(e) => handleSheetChange(e.target.value)}
+            className="bg-gray-800 border border-gray-700 text-white rounded-lg px-4 py-2 disabled:opacity-50"
+          >
+            {sheetNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          {isSwitchingSheet && <span className="text-sm text-gray-400">Loading sheet...</span>}
+        </div>
+      )}
+
+      {/* CSV encoding, delimiter and locale */}
+      {dialect && (
+        <ParseSettings
+          datasetId={datasetId}
+          dialect={dialect}
+          detectedDialect={detectedDialect}
+          onDataChange={onDataChange}
+        />
+      )}
+
+      {/* What the cleaning stage changed or dropped */}
+      {cleaning && <CleaningSummary cleaning={cleaning} />}
+
+      {/* Cells that read like instructions to the model */}
+      {suspiciousContent?.columns.length > 0 && <SuspiciousContent suspiciousContent={suspiciousContent} />}
+
+      {/* Columns the upload scan thinks hold personal data */}
+      {pii?.columns.length > 0 && (
+        <PrivacyWarning pii={pii} onReview={() => setActiveTab('privacy')} />
+      )}
+
+      {/* Multi-file merge report */}
+      {merge && (
+        <MergeSummary datasetId={datasetId} merge={merge} onDataChange={onDataChange} />
+      )}
+
       {/* Tabs */}
       <div className="flex justify-center">
         <div className="bg-gray-900/50 rounded-xl p-1 flex space-x-1">
@@ -326,7 +677,7 @@ const DataPreview = ({ data, onConfirm, onBack }) => {
         </button>
         
         <button
-          onClick={onConfirm}
+          onClick={() => onConfirm(toMappingPayload())}
           className="flex items-center space-x-2 px-8 py-3 bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white rounded-lg transition-all duration-200 font-semibold"
         >
           <span>Continue to Analysis</span>
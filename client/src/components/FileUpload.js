@@ -1,46 +1,69 @@
-import React, { useCallback, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
+import axios from 'axios';
 import { motion } from 'framer-motion';
 import { Upload, FileText, AlertCircle, CheckCircle, X } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 
+const DEFAULT_MAX_UPLOAD_BYTES = 250 * 1024 * 1024;
+const DEFAULT_MAX_UPLOAD_FILES = 20;
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / 1024 / 1024)}MB`;
+
 const FileUpload = ({ onFileUpload, isLoading }) => {
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [isProcessing, setIsProcessing] = useState(false);
   const [isDragActive, setIsDragActive] = useState(false);
+  const [maxUploadBytes, setMaxUploadBytes] = useState(DEFAULT_MAX_UPLOAD_BYTES);
+  const [maxUploadFiles, setMaxUploadFiles] = useState(DEFAULT_MAX_UPLOAD_FILES);
+
+  useEffect(() => {
+    const loadConfig = async () => {
+      try {
+        const response = await fetch('/api/config');
+        if (!response.ok) return;
+        const config = await response.json();
+        if (config.maxUploadBytes) setMaxUploadBytes(config.maxUploadBytes);
+        if (config.maxUploadFiles) setMaxUploadFiles(config.maxUploadFiles);
+      } catch (error) {
+        console.error('Config error:', error);
+      }
+    };
+    loadConfig();
+  }, []);
 
-  const processFile = async (file) => {
+  // Several files are sent together and merged into one dataset on the server
+  const processFiles = async (files) => {
     try {
-      setUploadProgress(10);
+      setUploadProgress(1);
       
       const formData = new FormData();
-      formData.append('csvFile', file);
-
-      setUploadProgress(30);
-
-      const response = await fetch('/api/upload', {
-        method: 'POST',
-        body: formData,
+      files.forEach(file => formData.append('csvFile', file));
+      const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+      // fetch cannot report upload progress, so use axios for real byte counts
+      const response = await axios.post('/api/upload', formData, {
+        onUploadProgress: (event) => {
+          const total = event.total || totalSize;
+          const percent = Math.min(100, Math.round((event.loaded / total) * 100));
+          setUploadProgress(Math.max(percent, 1));
+          if (percent >= 100) setIsProcessing(true);
+        }
       });
 
-      setUploadProgress(70);
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Upload failed');
-      }
-
-      const result = await response.json();
       setUploadProgress(100);
+      setIsProcessing(false);
 
       setTimeout(() => {
-        onFileUpload(result);
+        onFileUpload(response.data);
         setUploadProgress(0);
       }, 500);
 
     } catch (error) {
       console.error('Upload error:', error);
-      toast.error(error.message || 'Failed to upload file');
+      toast.error(error.response?.data?.error || error.message || 'Failed to upload file');
       setUploadProgress(0);
+      setIsProcessing(false);
     }
   };
 
@@ -49,10 +72,12 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
 
     if (rejectedFiles.length > 0) {
       const rejection = rejectedFiles[0];
-      if (rejection.errors.some(e => e.code === 'file-too-large')) {
-        toast.error('File is too large. Maximum size is 10MB.');
+      if (rejection.errors.some(e => e.code === 'too-many-files')) {
+        toast.error(`Too many files. Upload at most ${maxUploadFiles} at once.`);
+      } else if (rejection.errors.some(e => e.code === 'file-too-large')) {
+        toast.error(`File is too large. Maximum size is ${formatMegabytes(maxUploadBytes)}.`);
       } else if (rejection.errors.some(e => e.code === 'file-invalid-type')) {
-        toast.error('Invalid file type. Please upload a CSV file.');
+        toast.error('Invalid file type. Please upload a CSV, Excel, JSON or NDJSON file.');
       } else {
         toast.error('File upload failed. Please try again.');
       }
@@ -60,25 +85,28 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
     }
 
     if (acceptedFiles.length > 0) {
-      await processFile(acceptedFiles[0]);
+      await processFiles(acceptedFiles);
     }
-  }, [onFileUpload]);
+  }, [onFileUpload, maxUploadBytes, maxUploadFiles]);
 
   const { getRootProps, getInputProps, isDragActive: dropzoneActive } = useDropzone({
     onDrop,
     accept: {
       'text/csv': ['.csv'],
-      'application/csv': ['.csv']
+      'application/csv': ['.csv'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+      'application/json': ['.json'],
+      'application/x-ndjson': ['.ndjson', '.jsonl']
     },
-    maxFiles: 1,
-    maxSize: 10 * 1024 * 1024, // 10MB
+    maxFiles: maxUploadFiles,
+    maxSize: maxUploadBytes,
     onDragEnter: () => setIsDragActive(true),
     onDragLeave: () => setIsDragActive(false)
   });
 
   const requirements = [
-    { text: 'CSV format only', icon: FileText },
-    { text: 'Maximum 10MB file size', icon: AlertCircle },
+    { text: 'CSV, Excel (.xlsx), JSON or NDJSON', icon: FileText },
+    { text: `Maximum ${formatMegabytes(maxUploadBytes)} per file, up to ${maxUploadFiles} files`, icon: AlertCircle },
     { text: 'Column headers required', icon: CheckCircle }
   ];
 
@@ -89,7 +117,7 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
           Upload Your Data File
         </h2>
         <p className="text-gray-300 text-lg max-w-2xl mx-auto">
-          Upload a CSV file to begin your AI-powered analysis. Claude will analyze your data 
+          Upload a CSV, Excel or JSON export to begin your AI-powered analysis. Claude will analyze your data 
           and generate actionable insights and professional reports.
         </p>
       </div>
@@ -136,10 +164,10 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
 
           <div>
             <h3 className="text-xl font-semibold text-white mb-2">
-              {dropzoneActive ? 'Drop your file here!' : 'Choose your CSV file'}
+              {dropzoneActive ? 'Drop your files here!' : 'Choose your data files'}
             </h3>
             <p className="text-gray-400">
-              Drag and drop your file here, or click to browse
+              Drag and drop one file, or several exports of the same kind to merge them
             </p>
           </div>
 
@@ -150,7 +178,7 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
               className="max-w-md mx-auto"
             >
               <div className="flex items-center justify-between text-sm text-gray-300 mb-2">
-                <span>Uploading...</span>
+                <span>{isProcessing ? 'Processing rows on the server...' : 'Uploading...'}</span>
                 <span>{uploadProgress}%</span>
               </div>
               <div className="bg-gray-700 rounded-full h-2">
@@ -200,7 +228,7 @@ const FileUpload = ({ onFileUpload, isLoading }) => {
           </div>
         </div>
         <p className="text-gray-400 text-sm mt-3">
-          Ensure your CSV has clear column headers and consistent data formatting for best results.
+          Ensure your file has clear column headers (or consistent JSON keys) and consistent data formatting for best results.
         </p>
       </div>
     </div>
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { Filter, X, Loader2 } from 'lucide-react';
+
+const FIELDS = [
+  { id: 'category', label: 'Category' },
+  { id: 'agent', label: 'Agent' },
+  { id: 'priority', label: 'Priority' }
+];
+
+const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const emptyFilters = {
+  dateFrom: '',
+  dateTo: '',
+  agent: { include: [], exclude: [] },
+  category: { include: [], exclude: [] },
+  priority: { include: [], exclude: [] }
+};
+
+export const countActiveFilters = (filters) => {
+  if (!filters) return 0;
+  const dates = [filters.dateFrom, filters.dateTo].filter(Boolean).length;
+  return FIELDS.reduce(
+    (count, { id }) => count + filters[id].include.length + filters[id].exclude.length,
+    dates
+  );
+};
+
+// Values sorted busiest first, as the analysis reports them per dimension
+const namesByVolume = (group) => Object.entries(group || {})
+  .sort(([, a], [, b]) => b.total - a.total)
+  .map(([name]) => name);
+
+// Clicking a value cycles it: not filtered -> only this -> everything but this
+const nextState = (field, value) => {
+  if (field.include.includes(value)) {
+    return { include: field.include.filter(item => item !== value), exclude: [...field.exclude, value] };
+  }
+  if (field.exclude.includes(value)) {
+    return { ...field, exclude: field.exclude.filter(item => item !== value) };
+  }
+  return { ...field, include: [...field.include, value] };
+};
+
+const chipClass = (field, value) => {
+  if (field.include.includes(value)) return 'bg-green-600 border-green-500 text-white';
+  if (field.exclude.includes(value)) return 'bg-red-600/80 border-red-500 text-white line-through';
+  return 'bg-gray-700 border-gray-600 text-gray-300 hover:border-gray-500';
+};
+
+const FilterPanel = ({ datasetId, mapping, filters, onChange, disabled }) => {
+  const [options, setOptions] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isOpen, setIsOpen] = useState(countActiveFilters(filters) > 0);
+
+  // Filter values come from the unfiltered analysis, so narrowing one
+  // dimension never hides the values of another
+  useEffect(() => {
+    let cancelled = false;
+    const loadOptions = async () => {
+      setIsLoading(true);
+      try {
+        const response = await fetch(`/api/datasets/${datasetId}/analysis`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ mapping }),
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load filter options');
+        if (cancelled) return;
+
+        const { analysis } = result;
+        const days = Object.keys(analysis.timePatterns).filter(day => CALENDAR_DATE.test(day)).sort();
+        setOptions({
+          agent: namesByVolume(analysis.agents),
+          category: namesByVolume(analysis.categories),
+          priority: namesByVolume(analysis.priorityAnalysis),
+          firstDay: days[0] || '',
+          lastDay: days[days.length - 1] || ''
+        });
+      } catch (err) {
+        console.error('Filter options error:', err);
+        if (!cancelled) setOptions(null);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+    loadOptions();
+    return () => {
+      cancelled = true;
+    };
+  }, [datasetId, mapping]);
+
+  const activeCount = countActiveFilters(filters);
+
+  const toggleValue = (fieldId, value) => {
+    onChange({ ...filters, [fieldId]: nextState(filters[fieldId], value) });
+  };
+
+  return (
+    <div className="bg-gray-900/50 rounded-xl p-4 border border-gray-700">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="flex items-center space-x-2 text-white font-semibold"
+        >
+          <Filter className="h-4 w-4 text-purple-400" />
+          <span>Filters</span>
+          <span className="text-sm font-normal text-gray-400">
+            {activeCount ? `${activeCount} active` : 'All tickets'}
+          </span>
+        </button>
+        {activeCount > 0 && (
+          <button
+            onClick={() => onChange(emptyFilters)}
+            disabled={disabled}
+            className="flex items-center space-x-1 text-sm text-gray-400 hover:text-white disabled:opacity-50"
+          >
+            <X className="h-4 w-4" />
+            <span>Clear all</span>
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          {isLoading ? (
+            <div className="flex items-center space-x-2 text-gray-400 text-sm">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              <span>Loading filter values...</span>
+            </div>
+          ) : !options ? (
+            <p className="text-sm text-red-400">Filter values could not be loaded.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-3 text-sm text-gray-300">
+                <span className="w-20 text-gray-400">Created</span>
+                <input
+                  type="date"
+                  value={filters.dateFrom}
+                  min={options.firstDay}
+                  max={filters.dateTo || options.lastDay}
+                  disabled={disabled}
+                  onChange={(e) => onChange({ ...filters, dateFrom: e.target.value })}
+                  className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-white"
+                />
+                <span>to</span>
+                <input
+                  type="date"
+                  value={filters.dateTo}
+                  min={filters.dateFrom || options.firstDay}
+                  max={options.lastDay}
+                  disabled={disabled}
+                  onChange={(e) => onChange({ ...filters, dateTo: e.target.value })}
+                  className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-white"
+                />
+              </div>
+
+              {FIELDS.map(({ id, label }) => (
+                <div key={id} className="flex items-start gap-3 text-sm">
+                  <span className="w-20 pt-1 text-gray-400 flex-shrink-0">{label}</span>
+                  <div className="flex flex-wrap gap-2 max-h-28 overflow-y-auto">
+                    {options[id].map(value => (
+                      <button
+                        key={value}
+                        onClick={() => toggleValue(id, value)}
+                        disabled={disabled}
+                        className={`px-2 py-0.5 rounded-full border text-xs transition-colors ${chipClass(filters[id], value)}`}
+                      >
+                        {value}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+
+              <p className="text-xs text-gray-500">
+                Click a value once to keep only it, twice to exclude it, and again to clear it.
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterPanel;
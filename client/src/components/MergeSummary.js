@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { Files, AlertTriangle, Loader2 } from 'lucide-react';
+
+// Conflicts shown before the list is cut short
+const VISIBLE_CONFLICTS = 10;
+
+const MergeSummary = ({ datasetId, merge, onDataChange }) => {
+  const [isMerging, setIsMerging] = useState(false);
+  const [showAllConflicts, setShowAllConflicts] = useState(false);
+
+  const handleIdColumnChange = async (idColumn) => {
+    setIsMerging(true);
+    try {
+      const response = await fetch(`/api/datasets/${datasetId}/merge`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ idColumn }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to merge the files');
+
+      onDataChange(result);
+      toast.success(idColumn ? `Merged again on "${idColumn}"` : 'Merged again without de-duplication');
+    } catch (error) {
+      console.error('Merge error:', error);
+      toast.error(error.message || 'Failed to merge the files');
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  const conflicts = showAllConflicts ? merge.conflictSamples : merge.conflictSamples.slice(0, VISIBLE_CONFLICTS);
+  const hiddenConflicts = merge.conflicts - conflicts.length;
+
+  return (
+    <div className="bg-gray-900/50 rounded-xl p-6 space-y-5">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div className="flex items-center space-x-3">
+          <Files className="h-6 w-6 text-purple-400" />
+          <div>
+            <h3 className="text-lg font-semibold text-white">Merged {merge.files.length} files</h3>
+            <p className="text-sm text-gray-400">
+              Each row keeps the file it came from in the "{merge.sourceColumn}" column
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-3">
+          <label className="text-gray-300 text-sm" htmlFor="id-column-picker">De-duplicate on</label>
+          <select
+            id="id-column-picker"
+            value={merge.idColumn || ''}
+            disabled={isMerging}
+            onChange={(e) => handleIdColumnChange(e.target.value)}
+            className="bg-gray-800 border border-gray-700 text-white rounded-lg px-3 py-2 text-sm disabled:opacity-50"
+          >
+            <option value="">No de-duplication</option>
+            {merge.idColumnCandidates.map(column => (
+              <option key={column} value={column}>{column}</option>
+            ))}
+          </select>
+          {isMerging && <Loader2 className="h-4 w-4 text-purple-400 animate-spin" />}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-400 border-b border-gray-700">
+              <th className="py-2 pr-4">File</th>
+              <th className="py-2 pr-4">Rows</th>
+              <th className="py-2 pr-4">Kept</th>
+              <th className="py-2">Missing columns</th>
+            </tr>
+          </thead>
+          <tbody>
+            {merge.files.map(file => (
+              <tr key={file.fileName} className="border-b border-gray-800 text-gray-300">
+                <td className="py-2 pr-4 text-white">{file.fileName}</td>
+                <td className="py-2 pr-4">{file.rows.toLocaleString()}</td>
+                <td className="py-2 pr-4">{file.kept.toLocaleString()}</td>
+                <td className={`py-2 ${file.missingColumns.length ? 'text-yellow-400' : 'text-gray-500'}`}>
+                  {file.missingColumns.length ? file.missingColumns.join(', ') : 'None'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {merge.idColumn && (
+        <p className="text-sm text-gray-300">
+          {merge.duplicates.toLocaleString()} identical duplicate{merge.duplicates === 1 ? '' : 's'} removed.
+          {' '}{merge.conflicts.toLocaleString()} ticket{merge.conflicts === 1 ? '' : 's'} appeared with different
+          values; the copy from the earliest file was kept.
+        </p>
+      )}
+
+      {merge.conflicts > 0 && (
+        <div className="space-y-2">
+          <h4 className="flex items-center space-x-2 text-yellow-400 font-medium">
+            <AlertTriangle className="h-4 w-4" />
+            <span>Conflicting tickets</span>
+          </h4>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-700">
+                  <th className="py-2 pr-4">{merge.idColumn}</th>
+                  <th className="py-2 pr-4">Kept from</th>
+                  <th className="py-2 pr-4">Dropped from</th>
+                  <th className="py-2">Differing columns</th>
+                </tr>
+              </thead>
+              <tbody>
+                {conflicts.map((conflict, index) => (
+                  <tr key={`${conflict.id}-${index}`} className="border-b border-gray-800 text-gray-300">
+                    <td className="py-2 pr-4 text-white">{conflict.id}</td>
+                    <td className="py-2 pr-4">{conflict.keptFrom}</td>
+                    <td className="py-2 pr-4">{conflict.droppedFrom}</td>
+                    <td className="py-2">{conflict.columns.join(', ') || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {hiddenConflicts > 0 && (
+            merge.conflictSamples.length > conflicts.length ? (
+              <button
+                onClick={() => setShowAllConflicts(true)}
+                className="text-sm text-purple-300 hover:text-purple-200"
+              >
+                Show {merge.conflictSamples.length - conflicts.length} more
+              </button>
+            ) : (
+              <p className="text-xs text-gray-500">
+                {hiddenConflicts.toLocaleString()} more conflicts not listed
+              </p>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MergeSummary;
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { FileCog, RefreshCw, Loader2 } from 'lucide-react';
+
+// Settings the server can read a CSV file with, as { value: label }.
+// Date order '' leaves dates as written.
+const SETTINGS = [
+  {
+    id: 'encoding',
+    label: 'Encoding',
+    options: {
+      utf8: 'UTF-8',
+      utf16le: 'UTF-16 LE',
+      utf16be: 'UTF-16 BE',
+      'windows-1252': 'Windows-1252',
+      'iso-8859-1': 'ISO-8859-1',
+      'iso-8859-15': 'ISO-8859-15'
+    }
+  },
+  {
+    id: 'delimiter',
+    label: 'Delimiter',
+    options: { ',': 'Comma ( , )', ';': 'Semicolon ( ; )', '\t': 'Tab', '|': 'Pipe ( | )' }
+  },
+  {
+    id: 'quote',
+    label: 'Quote',
+    options: { '"': 'Double ( " )', "'": "Single ( ' )" }
+  },
+  {
+    id: 'decimal',
+    label: 'Decimal mark',
+    options: { '.': 'Point (1.5)', ',': 'Comma (1,5)' }
+  },
+  {
+    id: 'dateOrder',
+    label: 'Dates',
+    options: { '': 'As written', DMY: 'Day first (31.01.2025)', MDY: 'Month first (01/31/2025)' }
+  }
+];
+
+const toForm = (dialect) => ({ ...dialect, dateOrder: dialect.dateOrder || '' });
+
+const ParseSettings = ({ datasetId, dialect, detectedDialect, onDataChange }) => {
+  const [form, setForm] = useState(toForm(dialect));
+  const [isParsing, setIsParsing] = useState(false);
+
+  useEffect(() => {
+    setForm(toForm(dialect));
+  }, [dialect]);
+
+  const current = toForm(dialect);
+  const detected = detectedDialect ? toForm(detectedDialect) : current;
+  const isChanged = SETTINGS.some(({ id }) => form[id] !== current[id]);
+
+  const handleParse = async () => {
+    setIsParsing(true);
+    try {
+      const response = await fetch(`/api/datasets/${datasetId}/parse`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...form, dateOrder: form.dateOrder || null }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to read the file');
+
+      onDataChange(result);
+      toast.success(`Read ${result.totalRecords.toLocaleString()} rows with the new settings`);
+    } catch (error) {
+      console.error('Re-parse error:', error);
+      toast.error(error.message || 'Failed to read the file');
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900/50 rounded-xl p-4 border border-gray-700 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <FileCog className="h-4 w-4 text-purple-400" />
+          <span className="text-white font-semibold">File format</span>
+          <span className="text-sm text-gray-400">
+            Detected automatically. Change a setting if the columns or values look wrong.
+          </span>
+        </div>
+        <button
+          onClick={handleParse}
+          disabled={!isChanged || isParsing}
+          className="flex items-center space-x-2 px-3 py-1.5 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isParsing ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+          <span>Re-parse</span>
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        {SETTINGS.map(({ id, label, options }) => (
+          <div key={id} className="space-y-1">
+            <label className="block text-xs text-gray-400" htmlFor={`parse-${id}`}>{label}</label>
+            <select
+              id={`parse-${id}`}
+              value={form[id]}
+              disabled={isParsing}
+              onChange={(e) => setForm({ ...form, [id]: e.target.value })}
+              className="w-full bg-gray-800 border border-gray-700 text-white rounded-lg px-2 py-1.5 text-sm disabled:opacity-50"
+            >
+              {Object.entries(options).map(([value, title]) => (
+                <option key={value} value={value}>
+                  {title}{value === detected[id] ? ' (detected)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ParseSettings;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { Save, RotateCcw, ShieldAlert, ShieldCheck } from 'lucide-react';
+
+const dimensions = [
+  { id: 'agent', label: 'Agent names', example: 'Agent-07' },
+  { id: 'category', label: 'Categories', example: 'Category-03' },
+  { id: 'priority', label: 'Priorities', example: 'Priority-02' }
+];
+
+const PrivacySettings = ({ pii }) => {
+  const [settings, setSettings] = useState(null);
+  const [defaultSettings, setDefaultSettings] = useState(null);
+  const [patterns, setPatterns] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const response = await fetch('/api/privacy-settings');
+        if (!response.ok) throw new Error('Failed to load privacy settings');
+        const result = await response.json();
+        setSettings(result.settings);
+        setDefaultSettings(result.defaultSettings);
+        setPatterns(result.patterns);
+      } catch (error) {
+        console.error('Privacy settings error:', error);
+        toast.error('Failed to load privacy settings');
+      }
+    };
+    loadSettings();
+  }, []);
+
+  if (!settings) {
+    return <p className="text-center text-gray-400">Loading privacy settings...</p>;
+  }
+
+  const flaggedColumns = pii?.columns || [];
+
+  const togglePseudonym = (dimension) => {
+    setSettings(prev => ({
+      ...prev,
+      pseudonymize: { ...prev.pseudonymize, [dimension]: !prev.pseudonymize[dimension] }
+    }));
+  };
+
+  const toggleRedaction = (kind) => {
+    setSettings(prev => ({
+      ...prev,
+      redact: prev.redact.includes(kind) ? prev.redact.filter(k => k !== kind) : [...prev.redact, kind]
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = await fetch('/api/privacy-settings', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(settings),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save privacy settings');
+
+      setSettings(result.settings);
+      toast.success('Privacy settings saved');
+    } catch (error) {
+      console.error('Privacy settings error:', error);
+      toast.error(error.message || 'Failed to save privacy settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const checkboxClass = 'h-4 w-4 rounded border-gray-600 bg-gray-800 text-purple-500';
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h3 className="text-xl font-bold text-white mb-2">Privacy</h3>
+        <p className="text-gray-300">
+          Choose what is replaced or removed before ticket data is sent to the AI model.
+          Offline reports never leave the server.
+        </p>
+      </div>
+
+      <div className="bg-gray-900/50 rounded-xl p-6 space-y-3">
+        <h4 className="text-white font-semibold">Personal data found in this upload</h4>
+        {flaggedColumns.length === 0 ? (
+          <p className="flex items-center space-x-2 text-sm text-gray-400">
+            <ShieldCheck className="h-4 w-4 text-green-400" />
+            <span>No columns look like they hold personal data.</span>
+          </p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-gray-700">
+                <th className="py-2 pr-4">Column</th>
+                <th className="py-2">Why it was flagged</th>
+              </tr>
+            </thead>
+            <tbody>
+              {flaggedColumns.map(entry => (
+                <tr key={entry.column} className="border-b border-gray-800 text-gray-300">
+                  <td className="py-2 pr-4 font-medium text-white">{entry.column}</td>
+                  <td className="py-2">
+                    <div className="flex flex-wrap gap-2">
+                      {entry.findings.map(finding => (
+                        <span key={finding.kind} className="px-2 py-0.5 rounded-full text-xs bg-yellow-500/20 text-yellow-300">
+                          {finding.label}
+                          {finding.source === 'header'
+                            ? ' (column name)'
+                            : ` in ${finding.count.toLocaleString()} of ${entry.valuesScanned.toLocaleString()} values`}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {pii && (
+          <p className="text-xs text-gray-500">Based on the first {pii.sampledRows.toLocaleString()} rows.</p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="bg-gray-900/50 rounded-xl p-6 space-y-3">
+          <h4 className="text-white font-semibold">Replace with tokens</h4>
+          {dimensions.map(dimension => (
+            <label key={dimension.id} className="flex items-center space-x-3 text-gray-300">
+              <input
+                type="checkbox"
+                checked={settings.pseudonymize[dimension.id]}
+                onChange={() => togglePseudonym(dimension.id)}
+                className={checkboxClass}
+              />
+              <span>{dimension.label}</span>
+              <span className="text-xs text-gray-500 font-mono">e.g. {dimension.example}</span>
+            </label>
+          ))}
+          <label className="flex items-center space-x-3 text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.protectFlaggedColumns}
+              onChange={() => setSettings(prev => ({ ...prev, protectFlaggedColumns: !prev.protectFlaggedColumns }))}
+              className={checkboxClass}
+            />
+            <span>Also replace any mapped column flagged above</span>
+          </label>
+          <label className="flex items-center space-x-3 text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.restoreNames}
+              onChange={() => setSettings(prev => ({ ...prev, restoreNames: !prev.restoreNames }))}
+              className={checkboxClass}
+            />
+            <span>Put real names back into the finished report</span>
+          </label>
+        </div>
+
+        <div className="bg-gray-900/50 rounded-xl p-6 space-y-3">
+          <h4 className="text-white font-semibold">Redact values</h4>
+          {patterns.map(pattern => (
+            <label key={pattern.kind} className="flex items-center space-x-3 text-gray-300">
+              <input
+                type="checkbox"
+                checked={settings.redact.includes(pattern.kind)}
+                onChange={() => toggleRedaction(pattern.kind)}
+                className={checkboxClass}
+              />
+              <span>{pattern.label}</span>
+              <span className="text-xs text-gray-500 font-mono">[{pattern.kind}]</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button
+          onClick={() => setSettings(defaultSettings)}
+          className="flex items-center space-x-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+        >
+          <RotateCcw className="h-4 w-4" />
+          <span>Reset to Defaults</span>
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="flex items-center space-x-2 px-6 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          <span>{isSaving ? 'Saving...' : 'Save Privacy Settings'}</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Shown above the tabs when the upload scan flagged anything
+export const PrivacyWarning = ({ pii, onReview }) => (
+  <div className="flex items-start space-x-3 bg-yellow-500/10 border border-yellow-500/20 rounded-xl p-4">
+    <ShieldAlert className="h-5 w-5 text-yellow-400 mt-0.5 flex-shrink-0" />
+    <div className="flex-1 text-yellow-200 text-sm">
+      <p>
+        {pii.columns.length} column{pii.columns.length === 1 ? '' : 's'} may hold personal data:{' '}
+        {pii.columns.map(entry => entry.column).join(', ')}.
+      </p>
+    </div>
+    <button onClick={onReview} className="text-sm text-yellow-300 hover:text-yellow-100 underline">
+      Review privacy settings
+    </button>
+  </div>
+);
+
+export default PrivacySettings;
@@ -10,11 +10,31 @@ import {
   ArrowLeft, 
   Sparkles,
   Loader2,
-  CheckCircle
+  CheckCircle,
+  Cpu
 } from 'lucide-react';
+import FilterPanel from './FilterPanel';
+import BaselinePicker, { noBaseline, baselineRequest } from './BaselinePicker';
 
-const ReportGeneration = ({ data, onGenerate, isGenerating, onBack }) => {
+const narrativeModes = [
+  {
+    id: 'ai',
+    title: 'Claude AI',
+    icon: Sparkles,
+    description: 'AI-written narrative. Falls back to rule-based if Claude is unavailable.'
+  },
+  {
+    id: 'offline',
+    title: 'Offline (rule-based)',
+    icon: Cpu,
+    description: 'Deterministic narrative from the computed metrics. No data leaves the server.'
+  }
+];
+
+const ReportGeneration = ({ data, mapping, filters, onFiltersChange, onGenerate, isGenerating, onBack }) => {
   const [selectedReport, setSelectedReport] = useState('');
+  const [narrativeMode, setNarrativeMode] = useState('ai');
+  const [baseline, setBaseline] = useState(noBaseline);
 
   const reportTypes = [
     {
@@ -67,16 +87,20 @@ const ReportGeneration = ({ data, onGenerate, isGenerating, onBack }) => {
     }
   ];
 
+  // A comparison mode without its baseline picked yet blocks generation
+  const comparison = baselineRequest(baseline);
+  const canGenerate = selectedReport && (baseline.mode === 'none' || comparison);
+
   const handleGenerateReport = () => {
-    if (selectedReport) {
-      onGenerate(selectedReport);
+    if (canGenerate) {
+      onGenerate(selectedReport, narrativeMode, comparison);
     }
   };
 
   if (!data) return null;
 
-  const { dataStructure, totalRecords, fullData } = data;
-  const actualTotalRows = totalRecords || fullData?.length || dataStructure.totalRows || 0;
+  const { dataStructure, totalRecords } = data;
+  const actualTotalRows = totalRecords || dataStructure.totalRows || 0;
 
   return (
     <div className="space-y-8">
@@ -120,6 +144,23 @@ const ReportGeneration = ({ data, onGenerate, isGenerating, onBack }) => {
         </div>
       </div>
 
+      {/* Rows outside the filters are left out of the analysis */}
+      <FilterPanel
+        datasetId={data.datasetId}
+        mapping={mapping}
+        filters={filters}
+        onChange={onFiltersChange}
+        disabled={isGenerating}
+      />
+
+      {/* Period-over-period comparison */}
+      <BaselinePicker
+        datasetId={data.datasetId}
+        baseline={baseline}
+        onChange={setBaseline}
+        disabled={isGenerating}
+      />
+
       {/* Report Type Selection */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {reportTypes.map((report, index) => {
@@ -202,6 +243,34 @@ const ReportGeneration = ({ data, onGenerate, isGenerating, onBack }) => {
         })}
       </div>
 
+      {/* Narrative Mode */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {narrativeModes.map(mode => {
+          const Icon = mode.icon;
+          const isSelected = narrativeMode === mode.id;
+          return (
+            <button
+              key={mode.id}
+              onClick={() => setNarrativeMode(mode.id)}
+              disabled={isGenerating}
+              className={`
+                flex items-start space-x-3 text-left rounded-xl p-4 border-2 transition-all duration-200
+                ${isSelected
+                  ? 'border-purple-500 bg-purple-500/10'
+                  : 'border-gray-700 bg-gray-800/50 hover:border-gray-600'
+                }
+              `}
+            >
+              <Icon className={`h-5 w-5 mt-0.5 ${isSelected ? 'text-purple-400' : 'text-gray-400'}`} />
+              <div>
+                <div className="font-semibold text-white">{mode.title}</div>
+                <div className="text-sm text-gray-300">{mode.description}</div>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
       {/* AI Analysis Preview */}
       {selectedReport && (
         <motion.div
@@ -233,15 +302,15 @@ const ReportGeneration = ({ data, onGenerate, isGenerating, onBack }) => {
           className="flex items-center space-x-2 px-6 py-3 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg transition-colors"
         >
           <ArrowLeft className="h-4 w-4" />
-          <span>Back to Preview</span>
+          <span>Back to Dashboard</span>
         </button>
         
         <button
           onClick={handleGenerateReport}
-          disabled={!selectedReport || isGenerating}
+          disabled={!canGenerate || isGenerating}
           className={`
             flex items-center space-x-2 px-8 py-3 rounded-lg font-semibold transition-all duration-200
-            ${selectedReport && !isGenerating
+            ${canGenerate && !isGenerating
               ? 'bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white'
               : 'bg-gray-600 text-gray-300 cursor-not-allowed'
             }
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { toast } from 'react-hot-toast';
+import {
+  ArrowLeft,
+  Search,
+  Eye,
+  Download,
+  Trash2,
+  FileText,
+  Tag,
+  Pin,
+  PinOff,
+  Loader2,
+  Filter,
+  GitCompare,
+  Clock
+} from 'lucide-react';
+
+const reportTypes = [
+  { id: '', label: 'All' },
+  { id: 'executive', label: 'Executive' },
+  { id: 'detailed', label: 'Detailed' },
+  { id: 'presentation', label: 'Presentation' }
+];
+
+const formatRate = (value) => (typeof value === 'number' ? `${value.toFixed(1)}%` : '—');
+
+// The automatic cleanup limits set on the server, in words; none by default
+const describeRetention = (retention) => {
+  if (!retention) return [];
+  const limits = [];
+  if (retention.reportMaxAgeDays > 0) limits.push(`older than ${retention.reportMaxAgeDays} days`);
+  if (retention.reportMaxCount > 0) limits.push(`beyond the newest ${retention.reportMaxCount}`);
+  if (retention.reportMaxDiskMB > 0) limits.push(`over ${retention.reportMaxDiskMB} MB in total`);
+  return limits;
+};
+
+const ReportHistory = ({ onOpen, onBack }) => {
+  const [reports, setReports] = useState([]);
+  const [retention, setRetention] = useState(null);
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [openingId, setOpeningId] = useState(null);
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      setIsLoading(true);
+      try {
+        const params = new URLSearchParams();
+        if (query.trim()) params.set('q', query.trim());
+        if (type) params.set('type', type);
+
+        const response = await fetch(`/api/reports?${params}`);
+        if (!response.ok) throw new Error('Failed to load reports');
+        const result = await response.json();
+        setReports(result.reports);
+        setRetention(result.retention || null);
+      } catch (error) {
+        console.error('Report history error:', error);
+        toast.error('Failed to load report history');
+      } finally {
+        setIsLoading(false);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [query, type]);
+
+  const handleOpen = async (reportId) => {
+    setOpeningId(reportId);
+    try {
+      const response = await fetch(`/api/reports/${reportId}`);
+      if (!response.ok) throw new Error('Failed to open report');
+      onOpen(await response.json());
+    } catch (error) {
+      console.error('Report history error:', error);
+      toast.error('Failed to open report');
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  // Pinned reports are exempt from automatic retention cleanup
+  const handleTogglePin = async (report) => {
+    try {
+      const response = await fetch(`/api/reports/${report.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ pinned: !report.pinned }),
+      });
+      if (!response.ok) throw new Error('Failed to update report');
+      const { metadata } = await response.json();
+      setReports(prev => prev.map(r => (r.id === report.id ? metadata : r)));
+      toast.success(metadata.pinned ? 'Report pinned - it will not be cleaned up automatically' : 'Report unpinned');
+    } catch (error) {
+      console.error('Report history error:', error);
+      toast.error('Failed to update report');
+    }
+  };
+
+  const handleDelete = async (report) => {
+    if (!window.confirm(`Delete "${report.title}"? This cannot be undone.`)) return;
+    try {
+      const response = await fetch(`/api/reports/${report.id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to delete report');
+      setReports(prev => prev.filter(r => r.id !== report.id));
+      toast.success('Report deleted');
+    } catch (error) {
+      console.error('Report history error:', error);
+      toast.error('Failed to delete report');
+    }
+  };
+
+  const retentionLimits = describeRetention(retention);
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-white mb-2">Report History</h2>
+        <p className="text-gray-300">Find, reopen and manage previously generated reports</p>
+      </div>
+
+      {retentionLimits.length > 0 && (
+        <div className="flex items-start space-x-2 bg-yellow-500/10 border border-yellow-500/30 rounded-lg p-3 text-sm text-yellow-200">
+          <Clock className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <p>
+            Unpinned reports {retentionLimits.join(', or ')} are deleted automatically. Pin a report to keep it.
+          </p>
+        </div>
+      )}
+
+      <div className="flex flex-col md:flex-row md:items-center gap-4">
+        <div className="relative flex-1">
+          <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search by title, file name or tag"
+            className="w-full pl-9 pr-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
+          />
+        </div>
+        <div className="flex space-x-2">
+          {reportTypes.map(option => (
+            <button
+              key={option.id || 'all'}
+              onClick={() => setType(option.id)}
+              className={`px-3 py-2 rounded-lg text-sm transition-colors ${
+                type === option.id
+                  ? 'bg-purple-500 text-white'
+                  : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 text-purple-500 animate-spin" />
+        </div>
+      ) : reports.length === 0 ? (
+        <div className="text-center py-12 text-gray-400">
+          <FileText className="h-12 w-12 mx-auto mb-4 opacity-50" />
+          <p>{query || type ? 'No reports match your search' : 'No reports generated yet'}</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {reports.map((report, index) => (
+            <motion.div
+              key={report.id}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: Math.min(index, 10) * 0.03 }}
+              className="bg-gray-700/50 border border-gray-600 rounded-xl p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-4"
+            >
+              <div className="min-w-0">
+                <h4 className="flex items-center space-x-2 text-white font-semibold">
+                  {report.pinned && <Pin className="h-4 w-4 text-yellow-400 flex-shrink-0" />}
+                  <span className="truncate">{report.title}</span>
+                </h4>
+                <p className="text-gray-400 text-sm">
+                  {report.fileName || 'Unknown file'} · {report.dataRows} rows · {new Date(report.generatedAt).toLocaleString()}
+                </p>
+                <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+                  <span className="px-2 py-0.5 rounded bg-blue-500/20 text-blue-300">
+                    First response {formatRate(report.keyMetrics?.firstResponseCompliance)}
+                  </span>
+                  <span className="px-2 py-0.5 rounded bg-green-500/20 text-green-300">
+                    Resolution {formatRate(report.keyMetrics?.resolutionCompliance)}
+                  </span>
+                  {report.filters?.length > 0 && (
+                    <span
+                      title={report.filters.join('\n')}
+                      className="flex items-center space-x-1 px-2 py-0.5 rounded bg-purple-500/20 text-purple-300"
+                    >
+                      <Filter className="h-3 w-3" />
+                      <span>{report.filters.length} filter{report.filters.length === 1 ? '' : 's'}</span>
+                    </span>
+                  )}
+                  {report.baseline && (
+                    <span className="flex items-center space-x-1 px-2 py-0.5 rounded bg-purple-500/20 text-purple-300">
+                      <GitCompare className="h-3 w-3" />
+                      <span>vs {report.baseline}</span>
+                    </span>
+                  )}
+                  {(report.tags || []).map(tag => (
+                    <button
+                      key={tag}
+                      onClick={() => setQuery(tag)}
+                      className="flex items-center space-x-1 px-2 py-0.5 rounded bg-gray-600 text-gray-300 hover:bg-gray-500"
+                    >
+                      <Tag className="h-3 w-3" />
+                      <span>{tag}</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex space-x-2 flex-shrink-0">
+                <button
+                  onClick={() => handleOpen(report.id)}
+                  disabled={openingId === report.id}
+                  className="flex items-center space-x-1 px-3 py-2 bg-purple-500 hover:bg-purple-600 disabled:opacity-50 text-white rounded-lg text-sm transition-colors"
+                >
+                  {openingId === report.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Eye className="h-4 w-4" />}
+                  <span>Open</span>
+                </button>
+                <a
+                  href={`/api/download-report/${report.id}?download=true`}
+                  className="flex items-center space-x-1 px-3 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded-lg text-sm transition-colors"
+                >
+                  <Download className="h-4 w-4" />
+                  <span>Download</span>
+                </a>
+                <button
+                  onClick={() => handleTogglePin(report)}
+                  className="p-2 bg-gray-600 hover:bg-gray-500 text-white rounded-lg transition-colors"
+                  title={report.pinned ? 'Unpin report' : 'Pin report to keep it'}
+                >
+                  {report.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+                </button>
+                <button
+                  onClick={() => handleDelete(report)}
+                  className="p-2 bg-gray-600 hover:bg-red-600 text-white rounded-lg transition-colors"
+                  title="Delete report"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </motion.div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-start pt-4">
+        <button
+          onClick={onBack}
+          className="flex items-center space-x-2 px-6 py-3 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          <span>Back</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReportHistory;
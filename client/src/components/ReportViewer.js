@@ -9,35 +9,86 @@ import {
   RefreshCw,
   ExternalLink,
   Copy,
-  Share
+  Share,
+  Cpu,
+  AlertTriangle,
+  FileDown,
+  FileSpreadsheet,
+  Presentation,
+  Shield
 } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 
+// Compared reports say whether a change is good news; a lower response
+// time is an improvement even though the trend points down
+const trendClass = (metric) => {
+  const direction = metric.assessment || { up: 'improving', down: 'declining' }[metric.trend];
+  if (direction === 'improving') return 'bg-green-500/20 text-green-300';
+  if (direction === 'declining') return 'bg-red-500/20 text-red-300';
+  return 'bg-gray-500/20 text-gray-300';
+};
+
+// One sentence on what was kept from the model for this report
+const pseudonymLabels = {
+  agent: ['agent', 'agents'],
+  category: ['category', 'categories'],
+  priority: ['priority', 'priorities']
+};
+
+const describePrivacy = (privacy) => {
+  const hidden = Object.entries(privacy.pseudonymized || {})
+    .filter(([, count]) => count > 0)
+    .map(([dimension, count]) => `${count} ${pseudonymLabels[dimension][count === 1 ? 0 : 1]}`);
+  const redacted = Object.values(privacy.redacted || {}).reduce((sum, count) => sum + count, 0);
+  const parts = [];
+  if (hidden.length) parts.push(`${hidden.join(', ')} replaced with tokens`);
+  if (redacted) parts.push(`${redacted} personal value${redacted === 1 ? '' : 's'} redacted`);
+  if (!parts.length) return 'No personal data was found in what was sent to the AI model.';
+  const restored = privacy.namesRestored ? ' Real names were put back into the report.' : '';
+  return `Before sending to the AI model: ${parts.join('; ')}.${restored}`;
+};
+
 const ReportViewer = ({ report, onReset, onBack }) => {
   const [activeTab, setActiveTab] = useState('preview');
-  const [isDownloading, setIsDownloading] = useState(false);
+  const [downloadingFormat, setDownloadingFormat] = useState(null);
 
   if (!report) return null;
 
-  const { reportId, analysis, downloadUrl } = report;
+  const {
+    reportId,
+    metadata,
+    analysis,
+    downloadUrl,
+    generationMode,
+    fallbackReason,
+    partiallyGenerated,
+    defaultedFields,
+    privacy,
+    promptSafety
+  } = report;
+  const isOffline = generationMode === 'offline';
+  const isPresentation = metadata?.type === 'presentation';
 
   const tabs = [
     { id: 'preview', label: 'Report Preview', icon: Eye },
     { id: 'analysis', label: 'AI Analysis', icon: FileText }
   ];
 
-  const handleDownload = async () => {
-    setIsDownloading(true);
+  const handleDownload = async (format = 'html') => {
+    setDownloadingFormat(format);
     try {
-      const response = await fetch(`${downloadUrl}?download=true`);
-      if (!response.ok) throw new Error('Download failed');
+      const response = await fetch(`${downloadUrl}?download=true&format=${format}`);
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || 'Download failed');
+      }
       
       const blob = await response.blob();
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.style.display = 'none';
       a.href = url;
-      a.download = `analysis-report-${reportId}.html`;
+      a.download = `analysis-report-${reportId}.${format}`;
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
@@ -46,9 +97,9 @@ const ReportViewer = ({ report, onReset, onBack }) => {
       toast.success('Report downloaded successfully!');
     } catch (error) {
       console.error('Download error:', error);
-      toast.error('Failed to download report');
+      toast.error(error.message || 'Failed to download report');
     } finally {
-      setIsDownloading(false);
+      setDownloadingFormat(null);
     }
   };
 
@@ -88,6 +139,50 @@ const ReportViewer = ({ report, onReset, onBack }) => {
         </p>
       </div>
 
+      {isOffline && (
+        <div className="flex items-start space-x-3 bg-yellow-500/10 border border-yellow-500/20 rounded-xl p-4">
+          <Cpu className="h-5 w-5 text-yellow-400 mt-0.5 flex-shrink-0" />
+          <p className="text-yellow-200 text-sm">
+            {fallbackReason
+              ? `${fallbackReason}, so this report uses the offline rule-based narrative. All figures are computed from your data.`
+              : 'This report uses the offline rule-based narrative. All figures are computed from your data.'}
+          </p>
+        </div>
+      )}
+
+      {partiallyGenerated && (
+        <div className="flex items-start space-x-3 bg-orange-500/10 border border-orange-500/20 rounded-xl p-4">
+          <AlertTriangle className="h-5 w-5 text-orange-400 mt-0.5 flex-shrink-0" />
+          <div className="text-orange-200 text-sm">
+            <p className="font-semibold">Partially generated</p>
+            <p>
+              The AI response did not match the report format, so these sections were filled in from the computed
+              metrics: {(defaultedFields || []).join(', ') || 'all sections'}.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {privacy && (
+        <div className="flex items-start space-x-3 bg-blue-500/10 border border-blue-500/20 rounded-xl p-4">
+          <Shield className="h-5 w-5 text-blue-400 mt-0.5 flex-shrink-0" />
+          <p className="text-blue-200 text-sm">
+            {describePrivacy(privacy)}
+          </p>
+        </div>
+      )}
+
+      {promptSafety?.removedValues > 0 && (
+        <div className="flex items-start space-x-3 bg-red-500/10 border border-red-500/20 rounded-xl p-4">
+          <AlertTriangle className="h-5 w-5 text-red-400 mt-0.5 flex-shrink-0" />
+          <p className="text-red-200 text-sm">
+            {promptSafety.removedValues} value{promptSafety.removedValues === 1 ? '' : 's'} from your data read like
+            instructions to the AI model and {promptSafety.removedValues === 1 ? 'was' : 'were'} withheld from it. The
+            computed tables still include {promptSafety.removedValues === 1 ? 'it' : 'them'}.
+          </p>
+        </div>
+      )}
+
       {/* Success Metrics */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         <motion.div
@@ -97,7 +192,9 @@ const ReportViewer = ({ report, onReset, onBack }) => {
         >
           <CheckCircle className="h-12 w-12 text-green-400 mx-auto mb-4" />
           <h4 className="text-lg font-semibold text-white mb-2">Analysis Complete</h4>
-          <p className="text-green-300 text-sm">Claude AI has processed your data</p>
+          <p className="text-green-300 text-sm">
+            {isOffline ? 'Rule-based analysis of your data' : 'Claude AI has processed your data'}
+          </p>
         </motion.div>
 
         <motion.div
@@ -151,13 +248,13 @@ const ReportViewer = ({ report, onReset, onBack }) => {
       )}
 
       {/* Action Buttons */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className={`grid grid-cols-1 ${isPresentation ? 'md:grid-cols-3 xl:grid-cols-6' : 'md:grid-cols-5'} gap-4`}>
         <button
-          onClick={handleDownload}
-          disabled={isDownloading}
+          onClick={() => handleDownload('html')}
+          disabled={downloadingFormat !== null}
           className="flex items-center justify-center space-x-2 px-6 py-3 bg-gradient-to-r from-green-500 to-teal-500 hover:from-green-600 hover:to-teal-600 disabled:opacity-50 text-white rounded-lg transition-all duration-200 font-semibold"
         >
-          {isDownloading ? (
+          {downloadingFormat === 'html' ? (
             <>
               <RefreshCw className="h-4 w-4 animate-spin" />
               <span>Downloading...</span>
@@ -170,6 +267,62 @@ const ReportViewer = ({ report, onReset, onBack }) => {
           )}
         </button>
 
+        <button
+          onClick={() => handleDownload('pdf')}
+          disabled={downloadingFormat !== null}
+          className="flex items-center justify-center space-x-2 px-6 py-3 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white rounded-lg transition-colors font-semibold"
+        >
+          {downloadingFormat === 'pdf' ? (
+            <>
+              <RefreshCw className="h-4 w-4 animate-spin" />
+              <span>Rendering PDF...</span>
+            </>
+          ) : (
+            <>
+              <FileDown className="h-4 w-4" />
+              <span>Download PDF</span>
+            </>
+          )}
+        </button>
+
+        <button
+          onClick={() => handleDownload('xlsx')}
+          disabled={downloadingFormat !== null}
+          className="flex items-center justify-center space-x-2 px-6 py-3 bg-emerald-700 hover:bg-emerald-800 disabled:opacity-50 text-white rounded-lg transition-colors font-semibold"
+        >
+          {downloadingFormat === 'xlsx' ? (
+            <>
+              <RefreshCw className="h-4 w-4 animate-spin" />
+              <span>Exporting...</span>
+            </>
+          ) : (
+            <>
+              <FileSpreadsheet className="h-4 w-4" />
+              <span>Download Excel</span>
+            </>
+          )}
+        </button>
+
+        {isPresentation && (
+          <button
+            onClick={() => handleDownload('pptx')}
+            disabled={downloadingFormat !== null}
+            className="flex items-center justify-center space-x-2 px-6 py-3 bg-orange-600 hover:bg-orange-700 disabled:opacity-50 text-white rounded-lg transition-colors font-semibold"
+          >
+            {downloadingFormat === 'pptx' ? (
+              <>
+                <RefreshCw className="h-4 w-4 animate-spin" />
+                <span>Building deck...</span>
+              </>
+            ) : (
+              <>
+                <Presentation className="h-4 w-4" />
+                <span>Download PPTX</span>
+              </>
+            )}
+          </button>
+        )}
+
         <a
           href={`http://localhost:5000${downloadUrl}?download=false`}
           target="_blank"
@@ -181,7 +334,7 @@ const ReportViewer = ({ report, onReset, onBack }) => {
         </a>
 
         <button
-          onClick={handleDownload}
+          onClick={() => handleDownload('html')}
           className="flex items-center justify-center space-x-2 px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors font-semibold"
         >
           <Share className="h-4 w-4" />
@@ -212,12 +365,8 @@ const ReportViewer = ({ report, onReset, onBack }) => {
                     <div className="text-2xl font-bold text-white mb-1">{metric.value}</div>
                     <div className="text-sm text-gray-300 mb-2">{metric.label}</div>
                     {metric.trend && (
-                      <div className={`text-xs px-2 py-1 rounded-full inline-block ${
-                        metric.trend === 'up' ? 'bg-green-500/20 text-green-300' :
-                        metric.trend === 'down' ? 'bg-red-500/20 text-red-300' :
-                        'bg-gray-500/20 text-gray-300'
-                      }`}>
-                        {metric.trend}
+                      <div className={`text-xs px-2 py-1 rounded-full inline-block ${trendClass(metric)}`}>
+                        {metric.change || metric.trend}
                       </div>
                     )}
                   </div>
@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { Save, RotateCcw } from 'lucide-react';
+
+const weekDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Lists are edited as comma separated text
+const toFormState = (policy) => ({
+  ...policy,
+  holidays: policy.holidays.join(', '),
+  targets: policy.targets.map(target => ({
+    ...target,
+    match: target.match.join(', '),
+    responseMinutes: target.responseMinutes ?? '',
+    resolutionMinutes: target.resolutionMinutes ?? ''
+  }))
+});
+
+const SLAPolicyEditor = () => {
+  const [policy, setPolicy] = useState(null);
+  const [defaultPolicy, setDefaultPolicy] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadPolicy = async () => {
+      try {
+        const response = await fetch('/api/sla-policy');
+        if (!response.ok) throw new Error('Failed to load SLA policy');
+        const result = await response.json();
+        setPolicy(toFormState(result.policy));
+        setDefaultPolicy(result.defaultPolicy);
+      } catch (error) {
+        console.error('SLA policy error:', error);
+        toast.error('Failed to load SLA targets');
+      }
+    };
+    loadPolicy();
+  }, []);
+
+  if (!policy) {
+    return <p className="text-center text-gray-400">Loading SLA targets...</p>;
+  }
+
+  const updateBusinessHours = (changes) => {
+    setPolicy(prev => ({ ...prev, businessHours: { ...prev.businessHours, ...changes } }));
+  };
+
+  const toggleDay = (day) => {
+    const { days } = policy.businessHours;
+    updateBusinessHours({ days: days.includes(day) ? days.filter(d => d !== day) : [...days, day] });
+  };
+
+  const updateTarget = (index, changes) => {
+    setPolicy(prev => ({
+      ...prev,
+      targets: prev.targets.map((target, i) => (i === index ? { ...target, ...changes } : target))
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = await fetch('/api/sla-policy', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(policy),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save SLA targets');
+
+      setPolicy(toFormState(result.policy));
+      toast.success('SLA targets saved');
+    } catch (error) {
+      console.error('SLA policy error:', error);
+      toast.error(error.message || 'Failed to save SLA targets');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full bg-gray-800 border border-gray-700 text-white rounded-lg px-3 py-2';
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h3 className="text-xl font-bold text-white mb-2">SLA Targets</h3>
+        <p className="text-gray-300">
+          Tickets with created, first response and resolved timestamps are measured against these targets.
+          Tickets without them fall back to the mapped status columns.
+        </p>
+      </div>
+
+      <div className="bg-gray-900/50 rounded-xl p-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2" htmlFor="sla-timezone">Timezone</label>
+          <input
+            id="sla-timezone"
+            type="text"
+            value={policy.timezone}
+            onChange={(e) => setPolicy(prev => ({ ...prev, timezone: e.target.value }))}
+            placeholder="e.g. Europe/London"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2" htmlFor="sla-start">Business Hours Start</label>
+          <input
+            id="sla-start"
+            type="time"
+            value={policy.businessHours.start}
+            onChange={(e) => updateBusinessHours({ start: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2" htmlFor="sla-end">Business Hours End</label>
+          <input
+            id="sla-end"
+            type="time"
+            value={policy.businessHours.end}
+            onChange={(e) => updateBusinessHours({ end: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+
+        <div className="md:col-span-3">
+          <span className="block text-sm font-medium text-gray-300 mb-2">Working Days</span>
+          <div className="flex flex-wrap gap-2">
+            {weekDays.map((label, day) => (
+              <button
+                key={label}
+                onClick={() => toggleDay(day)}
+                className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                  policy.businessHours.days.includes(day)
+                    ? 'bg-purple-500 text-white'
+                    : 'bg-gray-800 text-gray-400 hover:text-white'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="md:col-span-3">
+          <label className="block text-sm font-medium text-gray-300 mb-2" htmlFor="sla-holidays">Holidays</label>
+          <input
+            id="sla-holidays"
+            type="text"
+            value={policy.holidays}
+            onChange={(e) => setPolicy(prev => ({ ...prev, holidays: e.target.value }))}
+            placeholder="YYYY-MM-DD, comma separated"
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="bg-gray-900/50 rounded-xl p-6 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-700 text-left text-gray-300">
+              <th className="py-2 pr-3">Target</th>
+              <th className="py-2 pr-3">Matches Priorities</th>
+              <th className="py-2 pr-3">Response (min)</th>
+              <th className="py-2 pr-3">Resolution (min)</th>
+              <th className="py-2">Business Hours Only</th>
+            </tr>
+          </thead>
+          <tbody>
+            {policy.targets.map((target, index) => (
+              <tr key={index} className="border-b border-gray-800">
+                <td className="py-2 pr-3 text-white font-medium">{target.name}</td>
+                <td className="py-2 pr-3">
+                  <input
+                    type="text"
+                    value={target.match}
+                    onChange={(e) => updateTarget(index, { match: e.target.value })}
+                    className={inputClass}
+                  />
+                </td>
+                <td className="py-2 pr-3">
+                  <input
+                    type="number"
+                    min="0"
+                    value={target.responseMinutes}
+                    onChange={(e) => updateTarget(index, { responseMinutes: e.target.value })}
+                    className={inputClass}
+                  />
+                </td>
+                <td className="py-2 pr-3">
+                  <input
+                    type="number"
+                    min="0"
+                    value={target.resolutionMinutes}
+                    onChange={(e) => updateTarget(index, { resolutionMinutes: e.target.value })}
+                    className={inputClass}
+                  />
+                </td>
+                <td className="py-2 text-center">
+                  <input
+                    type="checkbox"
+                    checked={target.businessHoursOnly}
+                    onChange={(e) => updateTarget(index, { businessHoursOnly: e.target.checked })}
+                    className="h-4 w-4"
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-end space-x-4">
+        <button
+          onClick={() => defaultPolicy && setPolicy(toFormState(defaultPolicy))}
+          className="flex items-center space-x-2 px-6 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+        >
+          <RotateCcw className="h-4 w-4" />
+          <span>Reset to Defaults</span>
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="flex items-center space-x-2 px-6 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          <span>{isSaving ? 'Saving...' : 'Save Targets'}</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SLAPolicyEditor;
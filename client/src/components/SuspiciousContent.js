@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { AlertOctagon, ChevronDown, ChevronRight } from 'lucide-react';
+
+const SuspiciousContent = ({ suspiciousContent }) => {
+  const [openColumn, setOpenColumn] = useState(null);
+
+  return (
+    <div className="bg-red-500/10 rounded-xl p-4 border border-red-500/20 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <AlertOctagon className="h-4 w-4 text-red-400" />
+        <span className="text-white font-semibold">Instruction-like values</span>
+        <span className="text-sm text-red-200">
+          These cells read like instructions to an AI model. They stay in your data, but are withheld from the
+          AI model when a report is written.
+        </span>
+      </div>
+
+      <ul className="space-y-2">
+        {suspiciousContent.columns.map(entry => (
+          <li key={entry.column} className="text-sm">
+            <button
+              onClick={() => setOpenColumn(openColumn === entry.column ? null : entry.column)}
+              className="flex items-center space-x-2 text-gray-300 hover:text-white"
+            >
+              {openColumn === entry.column ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+              <span>{entry.column}</span>
+              <span className="px-2 py-0.5 rounded-full text-xs bg-red-500/20 text-red-300">
+                {entry.count.toLocaleString()} value{entry.count === 1 ? '' : 's'}
+              </span>
+              <span className="text-xs text-gray-400">{entry.signals.map(signal => signal.label).join(' · ')}</span>
+            </button>
+
+            {openColumn === entry.column && (
+              <div className="mt-2 ml-6 overflow-x-auto">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-gray-400 border-b border-gray-700">
+                      <th className="py-1 pr-4">Row</th>
+                      <th className="py-1">Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {entry.examples.map(example => (
+                      <tr key={example.row} className="border-b border-gray-800 text-gray-300">
+                        <td className="py-1 pr-4">{example.row}</td>
+                        <td className="py-1 font-mono">{example.value}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {entry.count > entry.examples.length && (
+                  <p className="mt-1 text-gray-500">
+                    First {entry.examples.length} of {entry.count.toLocaleString()} shown
+                  </p>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SuspiciousContent;
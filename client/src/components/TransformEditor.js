@@ -0,0 +1,449 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { Wand2, Plus, Trash2, ArrowUp, ArrowDown, Save, Undo2, Lightbulb, Loader2 } from 'lucide-react';
+
+const STEP_TYPES = [
+  { id: 'rename', title: 'Rename column', create: () => ({ type: 'rename', from: '', to: '' }) },
+  { id: 'mapValues', title: 'Map values', create: () => ({ type: 'mapValues', column: '', values: {} }) },
+  { id: 'split', title: 'Split column', create: () => ({ type: 'split', column: '', separator: ' ', into: ['', ''], keepOriginal: false }) },
+  { id: 'merge', title: 'Merge columns', create: () => ({ type: 'merge', columns: [], separator: ' ', into: '', keepOriginals: false }) },
+  { id: 'derive', title: 'Derived column', create: () => ({ type: 'derive', column: '', expression: '' }) }
+];
+
+const stepTitle = (type) => STEP_TYPES.find(step => step.id === type)?.title || type;
+
+const inputClass = 'bg-gray-800 border border-gray-700 text-white rounded-lg px-3 py-2 text-sm';
+
+// Columns after a step, mirroring the server; incomplete steps change nothing
+const columnsAfter = (columns, step) => {
+  switch (step.type) {
+    case 'rename':
+      return step.from && step.to ? columns.map(column => (column === step.from ? step.to : column)) : columns;
+    case 'split': {
+      const into = step.into.filter(Boolean);
+      if (!columns.includes(step.column) || into.length < 2) return columns;
+      return columns.flatMap(column => (
+        column === step.column ? [...(step.keepOriginal ? [column] : []), ...into] : [column]
+      ));
+    }
+    case 'merge': {
+      if (step.columns.length < 2 || !step.into) return columns;
+      if (step.keepOriginals) return [...columns, step.into];
+      return columns
+        .map(column => (column === step.columns[0] ? step.into : column))
+        .filter(column => !step.columns.slice(1).includes(column));
+    }
+    case 'derive':
+      return step.column && !columns.includes(step.column) ? [...columns, step.column] : columns;
+    default:
+      return columns;
+  }
+};
+
+// Steps as the server expects them: blank list entries and value mappings dropped
+const toRequestSteps = (steps) => steps.map(step => {
+  switch (step.type) {
+    case 'split':
+      return { ...step, into: step.into.filter(Boolean) };
+    case 'mapValues':
+      return {
+        ...step,
+        values: Object.fromEntries(Object.entries(step.values).filter(([, to]) => to !== ''))
+      };
+    default:
+      return step;
+  }
+});
+
+const postJSON = async (url, body, fallbackError) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || fallbackError);
+  return result;
+};
+
+const ColumnSelect = ({ value, columns, onChange }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+    <option value="">Choose a column...</option>
+    {columns.map(column => (
+      <option key={column} value={column}>{column}</option>
+    ))}
+  </select>
+);
+
+const ValueMapping = ({ datasetId, step, stepsBefore, onChange }) => {
+  const [values, setValues] = useState(null);
+  const [suggestions, setSuggestions] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadValues = async () => {
+    setIsLoading(true);
+    try {
+      const result = await postJSON(
+        `/api/datasets/${datasetId}/values`,
+        { column: step.column, steps: toRequestSteps(stepsBefore) },
+        'Failed to load column values'
+      );
+      setValues(result.values);
+      setSuggestions(result.suggestions);
+      if (result.truncated) toast('Only the 200 most common values are listed');
+    } catch (error) {
+      console.error('Column values error:', error);
+      toast.error(error.message || 'Failed to load column values');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const rows = values || Object.keys(step.values).map(value => ({ value, count: null }));
+  const suggestionCount = Object.keys(suggestions).length;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={loadValues}
+          disabled={!step.column || isLoading}
+          className="flex items-center space-x-2 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-white text-sm disabled:opacity-50"
+        >
+          {isLoading && <Loader2 className="h-4 w-4 animate-spin" />}
+          <span>{values ? 'Reload values' : 'Load values'}</span>
+        </button>
+        {suggestionCount > 0 && (
+          <button
+            onClick={() => onChange({ ...step, values: { ...step.values, ...suggestions } })}
+            className="flex items-center space-x-2 px-3 py-2 rounded-lg bg-purple-600/30 hover:bg-purple-600/50 text-purple-200 text-sm"
+          >
+            <Lightbulb className="h-4 w-4" />
+            <span>Use {suggestionCount} suggestion{suggestionCount === 1 ? '' : 's'}</span>
+          </button>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="max-h-72 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-gray-700">
+                <th className="py-2 pr-4">Value</th>
+                <th className="py-2 pr-4">Rows</th>
+                <th className="py-2">Replace with</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ value, count }) => (
+                <tr key={value} className="border-b border-gray-800 text-gray-300">
+                  <td className="py-1 pr-4 text-white font-mono">{value}</td>
+                  <td className="py-1 pr-4">{count === null ? '—' : count.toLocaleString()}</td>
+                  <td className="py-1">
+                    <input
+                      type="text"
+                      value={step.values[value] ?? ''}
+                      placeholder={suggestions[value] || 'Keep as is'}
+                      onChange={(e) => onChange({ ...step, values: { ...step.values, [value]: e.target.value } })}
+                      className={`${inputClass} w-full py-1`}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const StepFields = ({ datasetId, step, columns, stepsBefore, onChange }) => {
+  const update = (changes) => onChange({ ...step, ...changes });
+
+  switch (step.type) {
+    case 'rename':
+      return (
+        <div className="flex flex-wrap items-center gap-3">
+          <ColumnSelect value={step.from} columns={columns} onChange={(from) => update({ from })} />
+          <span className="text-gray-400">to</span>
+          <input type="text" value={step.to} placeholder="New name" onChange={(e) => update({ to: e.target.value })} className={inputClass} />
+        </div>
+      );
+    case 'mapValues':
+      return (
+        <div className="space-y-3">
+          <ColumnSelect value={step.column} columns={columns} onChange={(column) => update({ column, values: {} })} />
+          <ValueMapping key={step.column} datasetId={datasetId} step={step} stepsBefore={stepsBefore} onChange={onChange} />
+        </div>
+      );
+    case 'split':
+      return (
+        <div className="flex flex-wrap items-center gap-3">
+          <ColumnSelect value={step.column} columns={columns} onChange={(column) => update({ column })} />
+          <span className="text-gray-400">at</span>
+          <input type="text" value={step.separator} onChange={(e) => update({ separator: e.target.value })} className={`${inputClass} w-20`} />
+          <span className="text-gray-400">into</span>
+          <input
+            type="text"
+            value={step.into.join(', ')}
+            placeholder="First part, Second part"
+            onChange={(e) => update({ into: e.target.value.split(',').map(name => name.trim()) })}
+            className={`${inputClass} flex-1 min-w-[12rem]`}
+          />
+          <label className="flex items-center space-x-2 text-sm text-gray-300">
+            <input type="checkbox" checked={step.keepOriginal} onChange={(e) => update({ keepOriginal: e.target.checked })} />
+            <span>Keep original</span>
+          </label>
+        </div>
+      );
+    case 'merge':
+      return (
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {columns.map(column => {
+              const position = step.columns.indexOf(column);
+              return (
+                <button
+                  key={column}
+                  onClick={() => update({
+                    columns: position === -1 ? [...step.columns, column] : step.columns.filter(name => name !== column)
+                  })}
+                  className={`px-2 py-0.5 rounded-full border text-xs transition-colors ${
+                    position === -1
+                      ? 'bg-gray-700 border-gray-600 text-gray-300 hover:border-gray-500'
+                      : 'bg-purple-500/20 border-purple-500 text-purple-200'
+                  }`}
+                >
+                  {position === -1 ? column : `${position + 1}. ${column}`}
+                </button>
+              );
+            })}
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-gray-400">joined with</span>
+            <input type="text" value={step.separator} onChange={(e) => update({ separator: e.target.value })} className={`${inputClass} w-20`} />
+            <span className="text-gray-400">into</span>
+            <input type="text" value={step.into} placeholder="New column" onChange={(e) => update({ into: e.target.value })} className={inputClass} />
+            <label className="flex items-center space-x-2 text-sm text-gray-300">
+              <input type="checkbox" checked={step.keepOriginals} onChange={(e) => update({ keepOriginals: e.target.checked })} />
+              <span>Keep originals</span>
+            </label>
+          </div>
+        </div>
+      );
+    case 'derive':
+      return (
+        <div className="space-y-2">
+          <input type="text" value={step.column} placeholder="Column name" onChange={(e) => update({ column: e.target.value })} className={inputClass} />
+          <textarea
+            value={step.expression}
+            rows={2}
+            placeholder='e.g. round(hours_between([Created Time], [Resolved Time]), 1)'
+            onChange={(e) => update({ expression: e.target.value })}
+            className={`${inputClass} w-full font-mono`}
+          />
+          <p className="text-xs text-gray-500">
+            Refer to columns as [Column Name]. Operators: + - * / % == != &lt; &gt; and or not. Functions: upper, lower,
+            trim, len, concat, substr, replace, contains, coalesce, if, number, text, round, date, month,
+            minutes_between, hours_between, days_between.
+          </p>
+        </div>
+      );
+    default:
+      return null;
+  }
+};
+
+const TransformEditor = ({ datasetId, recipe, sourceColumns, onDataChange }) => {
+  const [steps, setSteps] = useState(recipe?.steps || []);
+  const [recipes, setRecipes] = useState([]);
+  const [recipeId, setRecipeId] = useState(recipe?.id || '');
+  const [recipeName, setRecipeName] = useState(recipe?.name || '');
+  const [isApplying, setIsApplying] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadRecipes = async () => {
+      try {
+        const response = await fetch('/api/transform-recipes');
+        if (!response.ok) throw new Error('Failed to load transform recipes');
+        const result = await response.json();
+        setRecipes(result.recipes);
+      } catch (error) {
+        console.error('Transform recipe error:', error);
+        toast.error('Failed to load transform recipes');
+      }
+    };
+    loadRecipes();
+  }, []);
+
+  const columnsBefore = steps.reduce(
+    (list, step) => [...list, columnsAfter(list[list.length - 1], step)],
+    [sourceColumns]
+  );
+
+  const updateStep = (index, step) => setSteps(steps.map((current, i) => (i === index ? step : current)));
+  const moveStep = (index, offset) => {
+    const next = [...steps];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setSteps(next);
+  };
+
+  const loadRecipe = (id) => {
+    setRecipeId(id);
+    const saved = recipes.find(item => item.id === id);
+    setSteps(saved ? saved.steps : []);
+    setRecipeName(saved ? saved.name : '');
+  };
+
+  const applySteps = async (nextRecipe) => {
+    setIsApplying(true);
+    try {
+      const result = await postJSON(`/api/datasets/${datasetId}/transform`, { recipe: nextRecipe }, 'Failed to apply the transform');
+      onDataChange(result);
+      toast.success(nextRecipe ? 'Transform applied' : 'Transform removed');
+    } catch (error) {
+      console.error('Transform error:', error);
+      toast.error(error.message || 'Failed to apply the transform');
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!recipeName.trim()) {
+      toast.error('Enter a name for the recipe');
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const response = await fetch(recipeId ? `/api/transform-recipes/${recipeId}` : '/api/transform-recipes', {
+        method: recipeId ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: recipeName, steps: toRequestSteps(steps) }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save recipe');
+
+      setRecipes(prev => [...prev.filter(item => item.id !== result.recipe.id), result.recipe]);
+      setRecipeId(result.recipe.id);
+      toast.success(`Saved recipe "${result.recipe.name}"`);
+    } catch (error) {
+      console.error('Transform recipe error:', error);
+      toast.error(error.message || 'Failed to save recipe');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h3 className="text-xl font-bold text-white mb-2">Transform</h3>
+        <p className="text-gray-300">
+          Rename columns, map values and add columns before the analysis runs. The uploaded rows are kept as they are.
+        </p>
+      </div>
+
+      <div className="bg-gray-900/50 rounded-xl p-6 flex flex-col md:flex-row md:items-center gap-4">
+        <label className="text-gray-300 font-medium" htmlFor="transform-recipe">Recipe</label>
+        <select
+          id="transform-recipe"
+          value={recipeId}
+          onChange={(e) => loadRecipe(e.target.value)}
+          className="bg-gray-800 border border-gray-700 text-white rounded-lg px-4 py-2 md:w-1/3"
+        >
+          <option value="">New recipe</option>
+          {recipes.map(item => (
+            <option key={item.id} value={item.id}>{item.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={recipeName}
+          onChange={(e) => setRecipeName(e.target.value)}
+          placeholder="Name this recipe to reuse it"
+          className="flex-1 bg-gray-800 border border-gray-700 text-white rounded-lg px-4 py-2"
+        />
+        <button
+          onClick={handleSave}
+          disabled={isSaving || steps.length === 0}
+          className="flex items-center justify-center space-x-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          <span>{isSaving ? 'Saving...' : recipeId ? 'Update Recipe' : 'Save Recipe'}</span>
+        </button>
+      </div>
+
+      {steps.map((step, index) => (
+        <div key={index} className="bg-gray-900/50 rounded-xl p-4 border border-gray-700 space-y-3">
+          <div className="flex items-center justify-between">
+            <span className="text-white font-semibold">{index + 1}. {stepTitle(step.type)}</span>
+            <div className="flex items-center space-x-1 text-gray-400">
+              <button onClick={() => moveStep(index, -1)} disabled={index === 0} className="p-1 hover:text-white disabled:opacity-30" title="Move up">
+                <ArrowUp className="h-4 w-4" />
+              </button>
+              <button onClick={() => moveStep(index, 1)} disabled={index === steps.length - 1} className="p-1 hover:text-white disabled:opacity-30" title="Move down">
+                <ArrowDown className="h-4 w-4" />
+              </button>
+              <button onClick={() => setSteps(steps.filter((_, i) => i !== index))} className="p-1 hover:text-red-400" title="Remove step">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+          <StepFields
+            datasetId={datasetId}
+            step={step}
+            columns={columnsBefore[index]}
+            stepsBefore={steps.slice(0, index)}
+            onChange={(next) => updateStep(index, next)}
+          />
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="flex items-center space-x-2 text-gray-400 text-sm mr-2">
+          <Plus className="h-4 w-4" />
+          <span>Add step</span>
+        </span>
+        {STEP_TYPES.map(type => (
+          <button
+            key={type.id}
+            onClick={() => setSteps([...steps, type.create()])}
+            className="px-3 py-1 rounded-full border border-gray-600 bg-gray-700 text-gray-300 hover:border-gray-500 text-sm"
+          >
+            {type.title}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap justify-end gap-3">
+        {recipe && (
+          <button
+            onClick={() => applySteps(null)}
+            disabled={isApplying}
+            className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-50"
+          >
+            <Undo2 className="h-4 w-4" />
+            <span>Remove Transform</span>
+          </button>
+        )}
+        <button
+          onClick={() => applySteps({ id: recipeId || undefined, name: recipeName || undefined, steps: toRequestSteps(steps) })}
+          disabled={isApplying || steps.length === 0}
+          className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50"
+        >
+          {isApplying ? <Loader2 className="h-4 w-4 animate-spin" /> : <Wand2 className="h-4 w-4" />}
+          <span>Apply to Dataset</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TransformEditor;
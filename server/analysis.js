@@ -0,0 +1,612 @@
+const { resolveMapping } = require('./mappingProfiles');
+const { resolveSLAPolicy, findTarget, parseTimestamp, measureMinutes } = require('./slaPolicy');
+
+// Distinct values tracked per column before uniqueness counting stops.
+// Keeps memory bounded on very large uploads where ID columns are unique.
+const MAX_TRACKED_UNIQUE_VALUES = 100000;
+
+// Return the first non-empty value among the mapped candidate columns
+function pickMappedValue(ticket, columns) {
+    for (const col of columns) {
+        if (ticket[col] !== null && ticket[col] !== undefined && ticket[col] !== '') {
+            return ticket[col];
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the dimensions a ticket is grouped by, with the same fallbacks the
+ * analysis uses for blank values
+ * @param {Object} ticket - Row object
+ * @param {Object} fields - Resolved mapping fields (see resolveMapping)
+ * @returns {Object} - agent, category, priority and the raw createdValue
+ */
+function ticketDimensions(ticket, fields) {
+    return {
+        agent: pickMappedValue(ticket, fields.agent) || 'Unknown',
+        category: pickMappedValue(ticket, fields.category) || 'Unknown',
+        priority: pickMappedValue(ticket, fields.priority) || 'Medium',
+        createdValue: pickMappedValue(ticket, fields.createdDate)
+    };
+}
+
+// Incremental SLA analysis: feed tickets one at a time with add(), then
+// call finalize() once to compute percentages and insights. Lets streaming
+// ingestion build the aggregates in the same pass that parses the file.
+// Tickets with created and responded/resolved timestamps are judged against
+// the SLA policy's target for their priority; the rest fall back to the
+// mapped status columns. Durations are in minutes on the target's clock.
+// add() returns how the ticket was judged, for callers that list tickets.
+function createSLAAccumulator(mapping, policy) {
+    const analysis = {
+        totalTickets: 0,
+        firstResponseSLA: {
+            violations: 0,
+            compliance: 0,
+            total: 0,
+            measuredFromTimestamps: 0,
+            averageResponseTime: 0,
+            compliancePercentage: '0',
+            violationPercentage: '0'
+        },
+        resolutionSLA: {
+            violations: 0,
+            compliance: 0,
+            total: 0,
+            measuredFromTimestamps: 0,
+            averageResolutionTime: 0,
+            compliancePercentage: '0',
+            violationPercentage: '0'
+        },
+        agents: {},
+        categories: {},
+        timePatterns: {},
+        priorityAnalysis: {},
+        performanceTrends: {
+            daily: {},
+            weekly: {},
+            monthly: {}
+        }
+    };
+
+    const { fields, violationKeywords, complianceKeywords } = resolveMapping(mapping);
+    const slaPolicy = resolveSLAPolicy(policy);
+
+    // Running duration totals, kept off the analysis object so only the
+    // finished averages end up in the stored aggregates
+    const durations = new Map();
+
+    function recordDuration(stats, kind, minutes) {
+        if (!durations.has(stats)) {
+            durations.set(stats, { response: { sum: 0, count: 0 }, resolution: { sum: 0, count: 0 } });
+        }
+        const totals = durations.get(stats)[kind];
+        totals.sum += minutes;
+        totals.count++;
+    }
+
+    // Classify a status column value by keyword; null when the column is empty
+    function statusOutcome(sla, status) {
+        if (!status) return null;
+        sla.total++;
+        const statusLower = status.toString().toLowerCase();
+        if (violationKeywords.some(keyword => statusLower.includes(keyword))) return 'violation';
+        if (complianceKeywords.some(keyword => statusLower.includes(keyword))) return 'compliance';
+        return null;
+    }
+
+    function timedOutcome(sla, minutes, targetMinutes) {
+        sla.total++;
+        sla.measuredFromTimestamps++;
+        return minutes > targetMinutes ? 'violation' : 'compliance';
+    }
+
+    function add(ticket) {
+        analysis.totalTickets++;
+
+        const { agent, category, priority, createdValue } = ticketDimensions(ticket, fields);
+
+        // Extract date information for trend analysis
+        const createdDate = String(createdValue || new Date().toISOString());
+        const dateKey = createdDate.substring(0, 10); // YYYY-MM-DD format
+        const dayOfWeek = new Date(createdDate).getDay();
+        const monthKey = createdDate.substring(0, 7); // YYYY-MM format
+
+        // Initialize tracking objects
+        if (!analysis.agents[agent]) {
+            analysis.agents[agent] = {
+                total: 0,
+                responseViolations: 0,
+                resolutionViolations: 0,
+                totalViolations: 0,
+                complianceRate: 100,
+                averageResponseTime: 0,
+                averageResolutionTime: 0,
+                categories: {},
+                priorities: {}
+            };
+        }
+
+        if (!analysis.categories[category]) {
+            analysis.categories[category] = {
+                total: 0,
+                responseViolations: 0,
+                resolutionViolations: 0,
+                agents: {},
+                averageResponseTime: 0,
+                averageResolutionTime: 0
+            };
+        }
+
+        if (!analysis.priorityAnalysis[priority]) {
+            const priorityTarget = findTarget(slaPolicy, priority);
+            analysis.priorityAnalysis[priority] = {
+                total: 0,
+                responseViolations: 0,
+                resolutionViolations: 0,
+                complianceRate: 100,
+                slaTarget: priorityTarget ? priorityTarget.name : null,
+                responseTargetMinutes: priorityTarget ? priorityTarget.responseMinutes : null,
+                resolutionTargetMinutes: priorityTarget ? priorityTarget.resolutionMinutes : null,
+                averageResponseTime: 0,
+                averageResolutionTime: 0
+            };
+        }
+
+        // Initialize time patterns
+        if (!analysis.timePatterns[dateKey]) {
+            analysis.timePatterns[dateKey] = { total: 0, violations: 0 };
+        }
+
+        if (!analysis.performanceTrends.daily[dayOfWeek]) {
+            analysis.performanceTrends.daily[dayOfWeek] = { total: 0, violations: 0 };
+        }
+
+        if (!analysis.performanceTrends.monthly[monthKey]) {
+            analysis.performanceTrends.monthly[monthKey] = { total: 0, violations: 0 };
+        }
+
+        // Update counts
+        analysis.agents[agent].total++;
+        analysis.categories[category].total++;
+        analysis.priorityAnalysis[priority].total++;
+        analysis.timePatterns[dateKey].total++;
+        analysis.performanceTrends.daily[dayOfWeek].total++;
+        analysis.performanceTrends.monthly[monthKey].total++;
+
+        // Track agent-category combinations
+        if (!analysis.agents[agent].categories[category]) {
+            analysis.agents[agent].categories[category] = 0;
+        }
+        analysis.agents[agent].categories[category]++;
+
+        // Track agent-priority combinations
+        if (!analysis.agents[agent].priorities[priority]) {
+            analysis.agents[agent].priorities[priority] = 0;
+        }
+        analysis.agents[agent].priorities[priority]++;
+
+        const target = findTarget(slaPolicy, priority);
+        const created = parseTimestamp(createdValue, slaPolicy.timezone);
+
+        // First response SLA: measured against the priority's target when
+        // both timestamps are present, otherwise read from the status column
+        const responseMinutes = measureMinutes(
+            created,
+            parseTimestamp(pickMappedValue(ticket, fields.firstResponseDate), slaPolicy.timezone),
+            slaPolicy,
+            target
+        );
+        if (responseMinutes !== null) {
+            [analysis.firstResponseSLA, analysis.agents[agent], analysis.categories[category], analysis.priorityAnalysis[priority]]
+                .forEach(stats => recordDuration(stats, 'response', responseMinutes));
+        }
+
+        const responseOutcome = responseMinutes !== null && target?.responseMinutes != null
+            ? timedOutcome(analysis.firstResponseSLA, responseMinutes, target.responseMinutes)
+            : statusOutcome(analysis.firstResponseSLA, pickMappedValue(ticket, fields.firstResponseStatus));
+
+        if (responseOutcome === 'violation') {
+            analysis.firstResponseSLA.violations++;
+            analysis.agents[agent].responseViolations++;
+            analysis.categories[category].responseViolations++;
+            analysis.priorityAnalysis[priority].responseViolations++;
+            analysis.timePatterns[dateKey].violations++;
+            analysis.performanceTrends.daily[dayOfWeek].violations++;
+            analysis.performanceTrends.monthly[monthKey].violations++;
+        } else if (responseOutcome === 'compliance') {
+            analysis.firstResponseSLA.compliance++;
+        }
+
+        // Resolution SLA, same rules. Tickets still open have no resolved
+        // timestamp and are left out rather than judged against today.
+        const resolutionMinutes = measureMinutes(
+            created,
+            parseTimestamp(pickMappedValue(ticket, fields.resolvedDate), slaPolicy.timezone),
+            slaPolicy,
+            target
+        );
+        if (resolutionMinutes !== null) {
+            [analysis.resolutionSLA, analysis.agents[agent], analysis.categories[category], analysis.priorityAnalysis[priority]]
+                .forEach(stats => recordDuration(stats, 'resolution', resolutionMinutes));
+        }
+
+        const resolutionOutcome = resolutionMinutes !== null && target?.resolutionMinutes != null
+            ? timedOutcome(analysis.resolutionSLA, resolutionMinutes, target.resolutionMinutes)
+            : statusOutcome(analysis.resolutionSLA, pickMappedValue(ticket, fields.resolutionStatus));
+
+        if (resolutionOutcome === 'violation') {
+            analysis.resolutionSLA.violations++;
+            analysis.agents[agent].resolutionViolations++;
+            analysis.categories[category].resolutionViolations++;
+            analysis.priorityAnalysis[priority].resolutionViolations++;
+            analysis.timePatterns[dateKey].violations++;
+            analysis.performanceTrends.daily[dayOfWeek].violations++;
+            analysis.performanceTrends.monthly[monthKey].violations++;
+        } else if (resolutionOutcome === 'compliance') {
+            analysis.resolutionSLA.compliance++;
+        }
+
+        return {
+            agent,
+            category,
+            priority,
+            slaTarget: target ? target.name : null,
+            response: {
+                outcome: responseOutcome,
+                minutes: responseMinutes,
+                targetMinutes: target?.responseMinutes ?? null
+            },
+            resolution: {
+                outcome: resolutionOutcome,
+                minutes: resolutionMinutes,
+                targetMinutes: target?.resolutionMinutes ?? null
+            }
+        };
+    }
+
+    function finalize() {
+        if (analysis.totalTickets === 0) return null;
+
+        // Calculate percentages and additional metrics
+        if (analysis.firstResponseSLA.total > 0) {
+            const complianceRate = ((analysis.firstResponseSLA.total - analysis.firstResponseSLA.violations) / analysis.firstResponseSLA.total) * 100;
+            analysis.firstResponseSLA.compliancePercentage = complianceRate.toFixed(1);
+            analysis.firstResponseSLA.violationPercentage = 
+                ((analysis.firstResponseSLA.violations / analysis.firstResponseSLA.total) * 100).toFixed(1);
+        }
+
+        if (analysis.resolutionSLA.total > 0) {
+            const complianceRate = ((analysis.resolutionSLA.total - analysis.resolutionSLA.violations) / analysis.resolutionSLA.total) * 100;
+            analysis.resolutionSLA.compliancePercentage = complianceRate.toFixed(1);
+            analysis.resolutionSLA.violationPercentage = 
+                ((analysis.resolutionSLA.violations / analysis.resolutionSLA.total) * 100).toFixed(1);
+        }
+
+        // Calculate agent performance metrics
+        Object.keys(analysis.agents).forEach(agent => {
+            const agentData = analysis.agents[agent];
+            agentData.totalViolations = agentData.responseViolations + agentData.resolutionViolations;
+            agentData.complianceRate = agentData.total > 0 ? 
+                (((agentData.total - agentData.totalViolations) / agentData.total) * 100).toFixed(1) : 100;
+        
+            // Identify top categories for each agent
+            agentData.topCategory = Object.keys(agentData.categories).reduce((a, b) => 
+                agentData.categories[a] > agentData.categories[b] ? a : b, 
+                Object.keys(agentData.categories)[0] || 'Unknown'
+            );
+        });
+
+        // Calculate category performance metrics
+        Object.keys(analysis.categories).forEach(category => {
+            const categoryData = analysis.categories[category];
+            const totalViolations = categoryData.responseViolations + categoryData.resolutionViolations;
+            categoryData.complianceRate = categoryData.total > 0 ? 
+                (((categoryData.total - totalViolations) / categoryData.total) * 100).toFixed(1) : 100;
+        });
+
+        // Calculate priority analysis
+        Object.keys(analysis.priorityAnalysis).forEach(priority => {
+            const priorityData = analysis.priorityAnalysis[priority];
+            const totalViolations = priorityData.responseViolations + priorityData.resolutionViolations;
+            priorityData.complianceRate = priorityData.total > 0 ? 
+                (((priorityData.total - totalViolations) / priorityData.total) * 100).toFixed(1) : 100;
+        });
+
+        // Average response and resolution times, rounded to a tenth of a minute
+        durations.forEach((totals, stats) => {
+            if (totals.response.count > 0) {
+                stats.averageResponseTime = Math.round((totals.response.sum / totals.response.count) * 10) / 10;
+            }
+            if (totals.resolution.count > 0) {
+                stats.averageResolutionTime = Math.round((totals.resolution.sum / totals.resolution.count) * 10) / 10;
+            }
+        });
+
+        // Identify trends and patterns
+        analysis.insights = generatePerformanceInsights(analysis);
+
+        return analysis;
+    }
+
+    return { add, finalize };
+}
+
+function analyzeSLAPerformance(data, mapping, policy) {
+    if (!data || data.length === 0) return null;
+
+    const accumulator = createSLAAccumulator(mapping, policy);
+    data.forEach(ticket => accumulator.add(ticket));
+    return accumulator.finalize();
+}
+
+// Summarize top performers, problem areas and recommendations from a finalized analysis
+function generatePerformanceInsights(analysis) {
+    const insights = {
+        topPerformers: [],
+        improvementAreas: [],
+        categoryInsights: [],
+        timePatterns: [],
+        recommendations: []
+    };
+
+    // Identify top performing agents
+    const agentPerformance = Object.entries(analysis.agents)
+        .map(([agent, data]) => ({
+            agent,
+            complianceRate: parseFloat(data.complianceRate),
+            totalTickets: data.total,
+            violations: data.totalViolations
+        }))
+        .sort((a, b) => b.complianceRate - a.complianceRate);
+
+    insights.topPerformers = agentPerformance.slice(0, 3);
+
+    // Identify agents needing improvement
+    insights.improvementAreas = agentPerformance
+        .filter(agent => agent.complianceRate < 90)
+        .slice(0, 3);
+
+    // Category insights
+    const categoryPerformance = Object.entries(analysis.categories)
+        .map(([category, data]) => ({
+            category,
+            total: data.total,
+            complianceRate: parseFloat(data.complianceRate),
+            violations: data.responseViolations + data.resolutionViolations
+        }))
+        .sort((a, b) => a.complianceRate - b.complianceRate);
+
+    insights.categoryInsights = categoryPerformance;
+
+    // Time pattern analysis
+    const dailyPatterns = Object.entries(analysis.performanceTrends.daily)
+        .map(([day, data]) => ({
+            day: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][day],
+            total: data.total,
+            violations: data.violations,
+            violationRate: data.total > 0 ? ((data.violations / data.total) * 100).toFixed(1) : 0
+        }))
+        .sort((a, b) => parseFloat(b.violationRate) - parseFloat(a.violationRate));
+
+    insights.timePatterns = dailyPatterns;
+
+    // Generate recommendations based on analysis
+    if (parseFloat(analysis.firstResponseSLA.compliancePercentage) < 95) {
+        insights.recommendations.push({
+            area: 'First Response Time',
+            recommendation: 'Implement automated ticket routing and priority alerts',
+            impact: 'high',
+            effort: 'medium'
+        });
+    }
+
+    if (parseFloat(analysis.resolutionSLA.compliancePercentage) < 90) {
+        insights.recommendations.push({
+            area: 'Resolution Time',
+            recommendation: 'Create knowledge base and escalation procedures',
+            impact: 'high',
+            effort: 'medium'
+        });
+    }
+
+    if (Object.keys(analysis.agents).length > 1) {
+        const performanceVariance = Math.max(...agentPerformance.map(a => a.complianceRate)) - 
+                                   Math.min(...agentPerformance.map(a => a.complianceRate));
+        
+        if (performanceVariance > 20) {
+            insights.recommendations.push({
+                area: 'Team Performance',
+                recommendation: 'Implement peer mentoring and standardized training',
+                impact: 'medium',
+                effort: 'low'
+            });
+        }
+    }
+
+    return insights;
+}
+
+// Incremental data structure analysis, mirroring createSLAAccumulator.
+// Types are inferred from the first 100 rows and the first 10 rows are kept
+// as the sample; null and unique counts cover every row.
+function createStructureAccumulator() {
+    const sample = [];
+    let columns = null;
+    let totalRows = 0;
+    const typeSamples = {};
+    const nullCounts = {};
+    const uniqueValues = {};
+    const uniqueOverflow = {};
+
+    function add(row) {
+        if (!columns) {
+            columns = Object.keys(row);
+            columns.forEach(col => {
+                typeSamples[col] = new Set();
+                nullCounts[col] = 0;
+                uniqueValues[col] = new Set();
+                uniqueOverflow[col] = false;
+            });
+        }
+
+        if (sample.length < 10) sample.push(row);
+
+        columns.forEach(col => {
+            const value = row[col];
+
+            if (totalRows < 100 && value !== null && value !== undefined && value !== '') {
+                typeSamples[col].add(typeof value);
+            }
+
+            if (!value || value === null || value === undefined || value === '') {
+                nullCounts[col]++;
+            }
+
+            if (!uniqueOverflow[col]) {
+                uniqueValues[col].add(value);
+                if (uniqueValues[col].size >= MAX_TRACKED_UNIQUE_VALUES) {
+                    uniqueOverflow[col] = true;
+                }
+            }
+        });
+
+        totalRows++;
+    }
+
+    function finalize() {
+        if (totalRows === 0) return null;
+
+        const columnTypes = {};
+        const columnPatterns = {};
+        const dataQuality = {};
+
+        columns.forEach(col => {
+            // Analyze data types
+            const types = [...typeSamples[col]];
+            columnTypes[col] = types.length === 1 ? types[0] : 'mixed';
+
+            // Analyze data patterns
+            const nullCount = nullCounts[col];
+            const uniqueCount = uniqueValues[col].size;
+
+            columnPatterns[col] = {
+                nullCount,
+                nullPercentage: ((nullCount / totalRows) * 100).toFixed(1),
+                uniqueCount,
+                uniquePercentage: ((uniqueCount / totalRows) * 100).toFixed(1)
+            };
+
+            // Assess data quality
+            dataQuality[col] = {
+                completeness: 100 - columnPatterns[col].nullPercentage,
+                consistency: uniqueCount < totalRows * 0.8 ? 'High' : 'Medium',
+                validity: types.length > 0 ? 'Valid' : 'Empty'
+            };
+        });
+
+        // Detect special column types
+        const specialColumns = {
+            dateColumns: columns.filter(col => 
+                col.toLowerCase().includes('date') || 
+                col.toLowerCase().includes('time') ||
+                col.toLowerCase().includes('created') ||
+                col.toLowerCase().includes('updated') ||
+                col.toLowerCase().includes('resolved')
+            ),
+            statusColumns: columns.filter(col => 
+                col.toLowerCase().includes('status') ||
+                col.toLowerCase().includes('state') ||
+                col.toLowerCase().includes('priority') ||
+                col.toLowerCase().includes('sla')
+            ),
+            userColumns: columns.filter(col => 
+                col.toLowerCase().includes('user') ||
+                col.toLowerCase().includes('agent') ||
+                col.toLowerCase().includes('assignee') ||
+                col.toLowerCase().includes('name') ||
+                col.toLowerCase().includes('resolved by')
+            ),
+            idColumns: columns.filter(col =>
+                col.toLowerCase().includes('id') ||
+                col.toLowerCase().includes('number') ||
+                col.toLowerCase().includes('#')
+            )
+        };
+
+        return {
+            totalRows,
+            columns,
+            columnTypes,
+            columnPatterns,
+            dataQuality,
+            sample,
+            specialColumns,
+            hasDateColumns: specialColumns.dateColumns.length > 0,
+            hasStatusColumns: specialColumns.statusColumns.length > 0,
+            hasUserColumns: specialColumns.userColumns.length > 0,
+            qualityScore: calculateDataQualityScore(dataQuality),
+            recommendations: generateDataRecommendations(columnPatterns, specialColumns)
+        };
+    }
+
+    return { add, finalize };
+}
+
+function analyzeDataStructure(data) {
+    if (!data || data.length === 0) return null;
+
+    const accumulator = createStructureAccumulator();
+    data.forEach(row => accumulator.add(row));
+    return accumulator.finalize();
+}
+
+// Helper function to calculate overall data quality score
+function calculateDataQualityScore(dataQuality) {
+    const scores = Object.values(dataQuality).map(quality => parseFloat(quality.completeness));
+    const averageCompleteness = scores.reduce((a, b) => a + b, 0) / scores.length;
+    
+    if (averageCompleteness >= 95) return 'Excellent';
+    if (averageCompleteness >= 85) return 'Good';
+    if (averageCompleteness >= 70) return 'Fair';
+    return 'Poor';
+}
+
+// Helper function to generate data recommendations
+function generateDataRecommendations(columnPatterns, specialColumns) {
+    const recommendations = [];
+    
+    // Check for high null percentages
+    Object.entries(columnPatterns).forEach(([col, pattern]) => {
+        if (parseFloat(pattern.nullPercentage) > 50) {
+            recommendations.push(`Column "${col}" has ${pattern.nullPercentage}% missing values - consider data cleansing`);
+        }
+    });
+    
+    // Check for required columns
+    if (specialColumns.dateColumns.length === 0) {
+        recommendations.push('No date columns detected - trend analysis will be limited');
+    }
+    
+    if (specialColumns.statusColumns.length === 0) {
+        recommendations.push('No status columns detected - SLA analysis may be limited');
+    }
+    
+    if (specialColumns.userColumns.length === 0) {
+        recommendations.push('No user/agent columns detected - performance analysis will be limited');
+    }
+    
+    return recommendations;
+}
+
+module.exports = {
+    ticketDimensions,
+    createSLAAccumulator,
+    analyzeSLAPerformance,
+    generatePerformanceInsights,
+    createStructureAccumulator,
+    analyzeDataStructure,
+    calculateDataQualityScore,
+    generateDataRecommendations
+};
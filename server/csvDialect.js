@@ -0,0 +1,236 @@
+// How a CSV export is written: its text encoding, delimiter, quote
+// character, decimal mark and date order. Exports from European or older
+// Windows tools are often semicolon-delimited Windows-1252 with decimal
+// commas and DD.MM.YYYY dates, so these are worked out from a sample of the
+// file and can be overridden from DataPreview when the guess is wrong.
+
+const fs = require('fs-extra');
+const iconv = require('iconv-lite');
+
+// Enough to see the header and a few dozen rows of any realistic export
+const SAMPLE_BYTES = 64 * 1024;
+const SAMPLE_RECORDS = 50;
+
+const ENCODINGS = ['utf8', 'utf16le', 'utf16be', 'windows-1252', 'iso-8859-1', 'iso-8859-15'];
+const DELIMITERS = [',', ';', '\t', '|'];
+const QUOTES = ['"', "'"];
+const DECIMALS = ['.', ','];
+// null leaves dates as written, for the SLA policy's own formats to read
+const DATE_ORDERS = ['DMY', 'MDY', null];
+
+// 1.234,5 or 12,5
+const COMMA_DECIMAL_PATTERN = /^\s*-?(\d{1,3}(\.\d{3})+|\d+),\d+\s*$/;
+const DOT_DECIMAL_PATTERN = /^\s*-?\d+\.\d+\s*$/;
+// 31.01.2025, 01/31/2025 or 31-01-2025, optionally with a time of day
+const DAY_MONTH_PATTERN = /^\s*(\d{1,2})([./-])(\d{1,2})\2(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?\s*$/;
+
+const DEFAULT_DIALECT = { encoding: 'utf8', delimiter: ',', quote: '"', decimal: '.', dateOrder: null };
+
+function startsWith(buffer, bytes) {
+    return bytes.every((byte, index) => buffer[index] === byte);
+}
+
+function detectEncoding(buffer) {
+    if (startsWith(buffer, [0xEF, 0xBB, 0xBF])) return 'utf8';
+    if (startsWith(buffer, [0xFF, 0xFE])) return 'utf16le';
+    if (startsWith(buffer, [0xFE, 0xFF])) return 'utf16be';
+
+    // UTF-16 without a byte order mark: mostly-ASCII text leaves every other byte zero
+    let evenZeros = 0;
+    let oddZeros = 0;
+    const pairs = Math.min(buffer.length, 4096) >> 1;
+    for (let index = 0; index < pairs * 2; index += 2) {
+        if (buffer[index] === 0) evenZeros++;
+        if (buffer[index + 1] === 0) oddZeros++;
+    }
+    if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf16le';
+    if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf16be';
+
+    // A cut-off sample may end mid-character, so only check up to its last line break
+    const lastBreak = buffer.lastIndexOf(0x0A);
+    const complete = buffer.length === SAMPLE_BYTES && lastBreak > 0 ? buffer.subarray(0, lastBreak) : buffer;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(complete);
+        return 'utf8';
+    } catch (error) {
+        // Not valid UTF-8; Windows-1252 is what Excel writes on Western European systems
+        return 'windows-1252';
+    }
+}
+
+// Split text into records on line breaks outside quoted fields
+function splitRecords(text, quote) {
+    const records = [];
+    let record = '';
+    let quoted = false;
+    for (const char of text) {
+        if (char === quote) quoted = !quoted;
+        if ((char === '\n' || char === '\r') && !quoted) {
+            if (record.trim()) records.push(record);
+            record = '';
+            continue;
+        }
+        record += char;
+    }
+    if (record.trim()) records.push(record);
+    return records;
+}
+
+function splitFields(record, delimiter, quote) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let index = 0; index < record.length; index++) {
+        const char = record[index];
+        if (char === quote) {
+            if (quoted && record[index + 1] === quote) {
+                field += char;
+                index++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === delimiter && !quoted) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+function detectQuote(text) {
+    const count = (quote) => (text.match(new RegExp(`(^|[,;\\t|])${quote}`, 'gm')) || []).length;
+    return count("'") > count('"') ? "'" : '"';
+}
+
+// The delimiter splits the header into the most columns while giving most
+// records the same number of fields as the header
+function detectDelimiter(records, quote) {
+    let best = { delimiter: DEFAULT_DIALECT.delimiter, consistency: 0, columns: 0 };
+    DELIMITERS.forEach(delimiter => {
+        const counts = records.map(record => splitFields(record, delimiter, quote).length);
+        const columns = counts[0];
+        if (!columns || columns < 2) return;
+        const consistency = counts.filter(count => count === columns).length / counts.length;
+        if (consistency > best.consistency || (consistency === best.consistency && columns > best.columns)) {
+            best = { delimiter, consistency, columns };
+        }
+    });
+    return best.delimiter;
+}
+
+function detectDecimal(values) {
+    const commas = values.filter(value => COMMA_DECIMAL_PATTERN.test(value)).length;
+    const dots = values.filter(value => DOT_DECIMAL_PATTERN.test(value)).length;
+    return commas > dots ? ',' : '.';
+}
+
+// A first part above 12 can only be a day and a second part above 12 only
+// a month; dotted dates are day-first wherever they are used
+function detectDateOrder(values) {
+    const dates = values.map(value => value.match(DAY_MONTH_PATTERN)).filter(Boolean);
+    if (dates.some(([, first]) => Number(first) > 12)) return 'DMY';
+    if (dates.some(([, , , second]) => Number(second) > 12)) return 'MDY';
+    if (dates.some(([, , separator]) => separator === '.')) return 'DMY';
+    return null;
+}
+
+/**
+ * Work out how a CSV file is written from a sample of its start
+ * @param {string} filePath - Path of the CSV file
+ * @returns {Promise<Object>} - encoding, delimiter, quote, decimal and
+ *   dateOrder ('DMY', 'MDY', or null when no date in the sample says which)
+ */
+async function detectCSVDialect(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    let buffer;
+    try {
+        const { bytesRead, buffer: read } = await fs.read(handle, Buffer.alloc(SAMPLE_BYTES), 0, SAMPLE_BYTES, 0);
+        buffer = read.subarray(0, bytesRead);
+    } finally {
+        await fs.close(handle);
+    }
+
+    const encoding = detectEncoding(buffer);
+    const text = iconv.decode(buffer, encoding);
+    const quote = detectQuote(text);
+    let records = splitRecords(text, quote);
+    // The last record of a cut-off sample is probably incomplete
+    if (buffer.length === SAMPLE_BYTES) records = records.slice(0, -1);
+    records = records.slice(0, SAMPLE_RECORDS);
+    if (records.length === 0) return { ...DEFAULT_DIALECT, encoding };
+
+    const delimiter = detectDelimiter(records, quote);
+    const values = records.slice(1).flatMap(record => splitFields(record, delimiter, quote));
+    return {
+        encoding,
+        delimiter,
+        quote,
+        decimal: detectDecimal(values),
+        dateOrder: detectDateOrder(values)
+    };
+}
+
+/**
+ * Validate dialect settings chosen in DataPreview
+ * @param {Object} input - Any of encoding, delimiter, quote, decimal and dateOrder
+ * @param {Object} base - Dialect the unspecified settings are taken from
+ * @returns {Object} - Complete dialect
+ * @throws {Error} - When a setting is not supported
+ */
+function normalizeDialect(input, base = DEFAULT_DIALECT) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Parse settings must be an object');
+    }
+    const dialect = { ...DEFAULT_DIALECT, ...base };
+    const options = { encoding: ENCODINGS, delimiter: DELIMITERS, quote: QUOTES, decimal: DECIMALS, dateOrder: DATE_ORDERS };
+    Object.entries(options).forEach(([key, allowed]) => {
+        if (input[key] === undefined) return;
+        if (!allowed.includes(input[key])) {
+            throw new Error(`Unsupported ${key}: ${JSON.stringify(input[key])}`);
+        }
+        dialect[key] = input[key];
+    });
+    return dialect;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Rewrite a raw CSV cell written in the dialect's number and date locale
+ * into the form the cleaning stage and the SLA policy read: a dot decimal mark
+ * and YYYY-MM-DD dates
+ * @param {string} value - Raw cell text
+ * @param {Object} dialect - Dialect of the file
+ * @returns {string} - Cell text in the canonical locale
+ */
+function localizeValue(value, dialect) {
+    if (dialect.decimal === ',' && COMMA_DECIMAL_PATTERN.test(value)) {
+        return value.trim().replace(/\./g, '').replace(',', '.');
+    }
+
+    if (dialect.dateOrder) {
+        const match = value.match(DAY_MONTH_PATTERN);
+        if (match) {
+            const [, first, , second, year, hours, minutes, seconds] = match;
+            const [day, month] = dialect.dateOrder === 'DMY' ? [first, second] : [second, first];
+            if (Number(month) >= 1 && Number(month) <= 12 && Number(day) >= 1 && Number(day) <= 31) {
+                const date = `${year}-${pad(month)}-${pad(day)}`;
+                if (hours === undefined) return date;
+                return `${date} ${pad(hours)}:${minutes}${seconds === undefined ? '' : `:${seconds}`}`;
+            }
+        }
+    }
+
+    return value;
+}
+
+module.exports = {
+    detectCSVDialect,
+    normalizeDialect,
+    localizeValue
+};
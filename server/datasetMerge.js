@@ -0,0 +1,184 @@
+// Merging several uploads into one dataset, e.g. one export per queue or per
+// month. The files' headers are checked for compatibility first, then their
+// rows are streamed in upload order with a column naming the file each row
+// came from. Rows sharing a ticket ID are kept once: the first file wins and
+// copies that differ are reported as conflicts for review in DataPreview.
+
+const crypto = require('crypto');
+const { openRowSource } = require('./fileReaders');
+
+const SOURCE_COLUMN = 'Source File';
+// A file sharing fewer of its columns than this with the first file is
+// taken to be a different kind of export
+const MIN_SHARED_COLUMNS = 0.5;
+const MAX_CONFLICT_SAMPLES = 50;
+const ID_COLUMN_PATTERN = /^(ticket[\s_-]*(id|number|no\.?|#)|incident[\s_-]*(id|number)|id|number|key)$/i;
+
+/**
+ * Thrown when the files cannot be merged; the message is shown to the user
+ */
+class MergeError extends Error {}
+
+async function readColumns(file) {
+    const source = await openRowSource(file.path, file.format);
+    for await (const row of source.rows) {
+        return Object.keys(row);
+    }
+    return [];
+}
+
+/**
+ * Check that uploaded files are exports of the same kind
+ * @param {Array} files - { path, fileName, format } of each upload, in order
+ * @returns {Promise<Object>} - columns (union in first-seen order),
+ *   commonColumns and, per file, the columns it lacks
+ * @throws {MergeError} - When a file is empty or shares too few columns
+ */
+async function checkCompatibility(files) {
+    const headers = [];
+    for (const file of files) {
+        const columns = (await readColumns(file)).filter(column => column !== SOURCE_COLUMN);
+        if (columns.length === 0) {
+            throw new MergeError(`${file.fileName} contains no data rows`);
+        }
+        headers.push(columns);
+    }
+
+    const [first] = headers;
+    headers.slice(1).forEach((columns, index) => {
+        const shared = columns.filter(column => first.includes(column)).length;
+        if (shared < Math.max(first.length, columns.length) * MIN_SHARED_COLUMNS) {
+            throw new MergeError(
+                `${files[index + 1].fileName} shares only ${shared} of its ${columns.length} columns with ` +
+                `${files[0].fileName} and does not look like the same export`
+            );
+        }
+    });
+
+    const columns = [...new Set(headers.flat())];
+    return {
+        columns,
+        commonColumns: columns.filter(column => headers.every(header => header.includes(column))),
+        files: files.map((file, index) => ({
+            fileName: file.fileName,
+            format: file.format,
+            missingColumns: columns.filter(column => !headers[index].includes(column))
+        }))
+    };
+}
+
+/**
+ * Pick the column that most likely holds the ticket ID
+ * @param {Array} columns - Columns every file has
+ * @returns {string|null} - Column name or null when none looks like an ID
+ */
+function detectIdColumn(columns) {
+    return columns.find(column => ID_COLUMN_PATTERN.test(column.trim())) || null;
+}
+
+function fingerprint(row, columns) {
+    return crypto.createHash('md5').update(JSON.stringify(columns.map(column => row[column]))).digest('base64');
+}
+
+function differingColumns(kept, dropped, columns) {
+    return columns.filter(column => JSON.stringify(kept[column] ?? null) !== JSON.stringify(dropped[column]));
+}
+
+/**
+ * Merge the rows of several files into one stream
+ * @param {Array} files - { path, fileName, format } of each upload, in order
+ * @param {Object} compatibility - Output of checkCompatibility()
+ * @param {string|null} idColumn - Column to de-duplicate on; null keeps every row
+ * @returns {Object} - rows() async generator and report(), which summarizes
+ *   the merge once every row has been read
+ */
+function createMerge(files, compatibility, idColumn) {
+    const { columns } = compatibility;
+    const seen = new Map();
+    const counts = files.map(() => ({ rows: 0, kept: 0 }));
+    const samples = [];
+    let duplicates = 0;
+    let conflicts = 0;
+
+    async function* rows() {
+        for (const [index, file] of files.entries()) {
+            const source = await openRowSource(file.path, file.format);
+            for await (const record of source.rows) {
+                counts[index].rows++;
+                const row = {};
+                columns.forEach(column => {
+                    row[column] = record[column] ?? null;
+                });
+                row[SOURCE_COLUMN] = file.fileName;
+
+                const id = idColumn ? row[idColumn] : null;
+                if (id !== null) {
+                    const key = String(id).trim();
+                    const hash = fingerprint(row, columns);
+                    const first = seen.get(key);
+                    if (first) {
+                        if (first.hash === hash) {
+                            duplicates++;
+                        } else {
+                            conflicts++;
+                            if (samples.length < MAX_CONFLICT_SAMPLES) {
+                                samples.push({ id: key, keptFrom: files[first.index].fileName, droppedFrom: file.fileName, dropped: row });
+                            }
+                        }
+                        continue;
+                    }
+                    seen.set(key, { index, hash });
+                }
+
+                counts[index].kept++;
+                yield row;
+            }
+        }
+    }
+
+    // Which columns differ is only worked out for the sampled conflicts, by
+    // reading the kept copies back; holding every row for it would not scale
+    async function describeConflicts() {
+        const pending = new Map(samples.map(sample => [sample.id, null]));
+        const found = new Set();
+        for (const file of files) {
+            if (found.size === pending.size) break;
+            const source = await openRowSource(file.path, file.format);
+            for await (const record of source.rows) {
+                const key = record[idColumn] === null || record[idColumn] === undefined ? null : String(record[idColumn]).trim();
+                if (key === null || !pending.has(key) || found.has(key)) continue;
+                pending.set(key, record);
+                found.add(key);
+            }
+        }
+
+        return samples.map(({ dropped, ...sample }) => ({
+            ...sample,
+            columns: pending.get(sample.id) ? differingColumns(pending.get(sample.id), dropped, columns) : []
+        }));
+    }
+
+    return {
+        rows,
+
+        async report() {
+            return {
+                sourceColumn: SOURCE_COLUMN,
+                idColumn,
+                idColumnCandidates: compatibility.commonColumns,
+                files: compatibility.files.map((file, index) => ({ ...file, ...counts[index] })),
+                duplicates,
+                conflicts,
+                conflictSamples: samples.length ? await describeConflicts() : []
+            };
+        }
+    };
+}
+
+module.exports = {
+    SOURCE_COLUMN,
+    MergeError,
+    checkCompatibility,
+    detectIdColumn,
+    createMerge
+};
@@ -0,0 +1,241 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+
+const DATASETS_DIR = path.join(__dirname, '../data/datasets');
+
+function datasetDir(datasetId) {
+    // IDs are generated by uuidv4; reject anything else so a crafted ID
+    // cannot escape the datasets directory
+    if (!/^[0-9a-f-]{36}$/i.test(String(datasetId))) return null;
+    return path.join(DATASETS_DIR, datasetId);
+}
+
+/**
+ * Open a writer for a dataset. Rows are appended as newline-delimited JSON
+ * as they are parsed, so large uploads never sit in memory whole. Passing
+ * an existing dataset ID re-ingests it in place (e.g. a different sheet of
+ * the same workbook); its rows are only replaced once finish() succeeds,
+ * and its metadata keeps createdAt and anything the new metadata does not
+ * replace, such as an applied transform recipe.
+ * @param {string} [existingId] - Dataset ID to overwrite
+ * @returns {Promise<Object>} - Writer with id, write(row), finish(meta) and abort()
+ */
+async function createDatasetWriter(existingId) {
+    const id = existingId || uuidv4();
+    const dir = datasetDir(id);
+    if (!dir) throw new Error('Invalid dataset ID');
+    await fs.ensureDir(dir);
+
+    const rowsPath = path.join(dir, 'rows.ndjson');
+    const tempPath = `${rowsPath}.partial`;
+    const out = fs.createWriteStream(tempPath);
+    let rowCount = 0;
+
+    return {
+        id,
+
+        async write(row) {
+            rowCount++;
+            if (!out.write(JSON.stringify(row) + '\n')) {
+                await new Promise(resolve => out.once('drain', resolve));
+            }
+        },
+
+        async finish(meta) {
+            await new Promise((resolve, reject) => {
+                out.on('error', reject);
+                out.end(resolve);
+            });
+            await fs.move(tempPath, rowsPath, { overwrite: true });
+
+            const previous = existingId ? await getDataset(id) : null;
+            const stored = {
+                ...previous,
+                id,
+                ...meta,
+                totalRecords: rowCount,
+                createdAt: previous?.createdAt || new Date().toISOString()
+            };
+            await fs.writeJson(path.join(dir, 'meta.json'), stored, { spaces: 2 });
+            return stored;
+        },
+
+        async abort() {
+            out.destroy();
+            if (existingId) {
+                await fs.remove(tempPath);
+            } else {
+                await fs.remove(dir);
+            }
+        }
+    };
+}
+
+/**
+ * Persist already-parsed rows under a new dataset ID
+ * @param {Object} dataset - fileName, rows and dataStructure of the upload
+ * @returns {Promise<Object>} - Stored dataset metadata
+ */
+async function saveDataset({ rows, ...meta }) {
+    const writer = await createDatasetWriter();
+    try {
+        for (const row of rows) {
+            await writer.write(row);
+        }
+        return await writer.finish(meta);
+    } catch (error) {
+        await writer.abort();
+        throw error;
+    }
+}
+
+/**
+ * Read a dataset's metadata
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object|null>} - Metadata or null when not found
+ */
+async function getDataset(datasetId) {
+    const dir = datasetDir(datasetId);
+    if (!dir || !await fs.pathExists(path.join(dir, 'meta.json'))) return null;
+    return fs.readJson(path.join(dir, 'meta.json'));
+}
+
+/**
+ * Update a dataset's metadata without touching its rows
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} changes - Metadata fields to replace
+ * @returns {Promise<Object|null>} - Updated metadata or null when not found
+ */
+async function updateDataset(datasetId, changes) {
+    const meta = await getDataset(datasetId);
+    if (!meta) return null;
+    const updated = { ...meta, ...changes, id: meta.id };
+    await fs.writeJson(path.join(datasetDir(datasetId), 'meta.json'), updated, { spaces: 2 });
+    return updated;
+}
+
+/**
+ * Iterate over a stored dataset's rows one at a time
+ * @param {string} datasetId - Dataset ID
+ * @returns {AsyncGenerator<Object>} - Row objects
+ */
+async function* iterateDatasetRows(datasetId) {
+    const dir = datasetDir(datasetId);
+    const rowsPath = dir && path.join(dir, 'rows.ndjson');
+    if (!rowsPath || !await fs.pathExists(rowsPath)) return;
+
+    const lines = readline.createInterface({
+        input: fs.createReadStream(rowsPath, 'utf8'),
+        crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+        if (line) yield JSON.parse(line);
+    }
+}
+
+/**
+ * Keep the original upload alongside a dataset so it can be re-read later
+ * without re-uploading (e.g. to switch workbook sheets)
+ * @param {string} datasetId - Dataset ID
+ * @param {string} filePath - Uploaded file to move into the dataset
+ * @param {string} extension - Original file extension, e.g. ".xlsx"
+ * @returns {Promise<string>} - Path of the stored source file
+ */
+async function saveSourceFile(datasetId, filePath, extension) {
+    const sourcePath = path.join(datasetDir(datasetId), `source${extension}`);
+    await fs.move(filePath, sourcePath, { overwrite: true });
+    return sourcePath;
+}
+
+/**
+ * Find the stored original upload for a dataset
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<string|null>} - Path of the source file or null
+ */
+async function getSourceFile(datasetId) {
+    const dir = datasetDir(datasetId);
+    if (!dir || !await fs.pathExists(dir)) return null;
+    const source = (await fs.readdir(dir)).find(file => file.startsWith('source.'));
+    return source ? path.join(dir, source) : null;
+}
+
+/**
+ * Keep every upload of a merged dataset so it can be merged again, e.g. on
+ * a different ticket ID column
+ * @param {string} datasetId - Dataset ID
+ * @param {Array} filePaths - Uploaded files in merge order
+ * @returns {Promise<Array>} - Paths of the stored source files
+ */
+async function saveSourceFiles(datasetId, filePaths) {
+    const sourcesDir = path.join(datasetDir(datasetId), 'sources');
+    await fs.ensureDir(sourcesDir);
+    const stored = [];
+    for (const [index, filePath] of filePaths.entries()) {
+        const target = path.join(sourcesDir, String(index));
+        await fs.move(filePath, target, { overwrite: true });
+        stored.push(target);
+    }
+    return stored;
+}
+
+/**
+ * Find the stored uploads of a merged dataset
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Array|null>} - Paths in merge order, or null when none
+ */
+async function getSourceFiles(datasetId) {
+    const dir = datasetDir(datasetId);
+    const sourcesDir = dir && path.join(dir, 'sources');
+    if (!sourcesDir || !await fs.pathExists(sourcesDir)) return null;
+    return (await fs.readdir(sourcesDir))
+        .sort((a, b) => Number(a) - Number(b))
+        .map(file => path.join(sourcesDir, file));
+}
+
+/**
+ * List stored datasets, newest first
+ * @returns {Promise<Array>} - Dataset metadata without the structure analysis
+ */
+async function listDatasets() {
+    if (!await fs.pathExists(DATASETS_DIR)) return [];
+
+    const ids = await fs.readdir(DATASETS_DIR);
+    const datasets = [];
+    for (const id of ids) {
+        const meta = await getDataset(id);
+        if (meta) {
+            const { dataStructure, ...summary } = meta;
+            datasets.push(summary);
+        }
+    }
+    return datasets.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Delete a stored dataset
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<boolean>} - Whether a dataset was removed
+ */
+async function deleteDataset(datasetId) {
+    const dir = datasetDir(datasetId);
+    if (!dir || !await fs.pathExists(dir)) return false;
+    await fs.remove(dir);
+    return true;
+}
+
+module.exports = {
+    DATASETS_DIR,
+    createDatasetWriter,
+    saveDataset,
+    getDataset,
+    updateDataset,
+    iterateDatasetRows,
+    saveSourceFile,
+    getSourceFile,
+    saveSourceFiles,
+    getSourceFiles,
+    listDatasets,
+    deleteDataset
+};
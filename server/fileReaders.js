@@ -0,0 +1,225 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const csv = require('csv-parser');
+const iconv = require('iconv-lite');
+const ExcelJS = require('exceljs');
+const { pipeline } = require('stream');
+const { detectCSVDialect, localizeValue } = require('./csvDialect');
+
+/**
+ * Upload formats keyed by file extension
+ */
+const SUPPORTED_FORMATS = {
+    '.csv': 'csv',
+    '.xlsx': 'xlsx',
+    '.json': 'json',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson'
+};
+
+/**
+ * Work out the upload format from the original file name
+ * @param {string} fileName - Original file name
+ * @returns {string|null} - Format key or null when unsupported
+ */
+function detectFormat(fileName) {
+    return SUPPORTED_FORMATS[path.extname(String(fileName)).toLowerCase()] || null;
+}
+
+/**
+ * Flatten a JSON or spreadsheet value into the scalar types CSV rows carry
+ * @param {*} value - Raw value
+ * @returns {*} - null, boolean, number or string
+ */
+function normalizeValue(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return isNaN(value) ? null : value.toISOString();
+    if (typeof value !== 'object') return value;
+
+    // ServiceNow style reference fields carry both a raw and a display value
+    if ('display_value' in value) return normalizeValue(value.display_value);
+    // ExcelJS formula, hyperlink and rich text cells
+    if ('result' in value) return normalizeValue(value.result);
+    if ('text' in value) return normalizeValue(value.text);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+
+    return JSON.stringify(value);
+}
+
+function isEmptyRow(row) {
+    return Object.values(row).every(value => value === null);
+}
+
+/**
+ * Give every row the same keys in the same order, like a CSV header would
+ * @param {Object} record - Source record
+ * @param {Array} columns - Column names
+ * @returns {Object} - Normalized row
+ */
+function toRow(record, columns) {
+    const row = {};
+    columns.forEach(col => {
+        row[col] = normalizeValue(record[col]);
+    });
+    return row;
+}
+
+function collectColumns(records) {
+    const columns = new Set();
+    records.forEach(record => Object.keys(record).forEach(key => columns.add(key)));
+    return [...columns];
+}
+
+// Cells stay text apart from blanks: typing them is left to the cleaning
+// stage, which knows that codes such as "00123" are not numbers
+async function* readCSVRows(filePath, dialect) {
+    const parser = csv({
+        separator: dialect.delimiter,
+        quote: dialect.quote,
+        escape: dialect.quote,
+        mapHeaders: ({ header }) => header.replace(/^\uFEFF/, ''),
+        mapValues: ({ value }) => (value === '' ? null : localizeValue(value, dialect))
+    });
+
+    const decoder = iconv.decodeStream(dialect.encoding);
+    for await (const row of pipeline(fs.createReadStream(filePath), decoder, parser, () => {})) {
+        if (!isEmptyRow(row)) yield row;
+    }
+}
+
+/**
+ * Find the record array in a parsed JSON document. Accepts a bare array or
+ * an export wrapper such as { "records": [...] } or { "tickets": [...] }.
+ */
+function findRecordArray(document) {
+    if (Array.isArray(document)) return document;
+    if (document && typeof document === 'object') {
+        const nested = Object.values(document).find(value =>
+            Array.isArray(value) && value.length > 0 && typeof value[0] === 'object'
+        );
+        if (nested) return nested;
+    }
+    throw new Error('JSON file must contain an array of records');
+}
+
+async function readJSONRows(filePath) {
+    const document = await fs.readJson(filePath);
+    const records = findRecordArray(document).filter(record => record && typeof record === 'object');
+    const columns = collectColumns(records);
+
+    return (async function* () {
+        for (const record of records) {
+            const row = toRow(record, columns);
+            if (!isEmptyRow(row)) yield row;
+        }
+    })();
+}
+
+async function* readNDJSONLines(filePath) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, 'utf8'),
+        crlfDelay: Infinity
+    });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+        try {
+            yield JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid JSON on line ${lineNumber}`);
+        }
+    }
+}
+
+async function readNDJSONRows(filePath) {
+    // First pass collects the union of keys so every row gets every column
+    const columns = new Set();
+    for await (const record of readNDJSONLines(filePath)) {
+        Object.keys(record).forEach(key => columns.add(key));
+    }
+    const columnList = [...columns];
+
+    return (async function* () {
+        for await (const record of readNDJSONLines(filePath)) {
+            const row = toRow(record, columnList);
+            if (!isEmptyRow(row)) yield row;
+        }
+    })();
+}
+
+async function readXLSXRows(filePath, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    const sheetNames = workbook.worksheets.map(sheet => sheet.name);
+    const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+    if (!worksheet) {
+        throw new Error(sheetName ? `Sheet "${sheetName}" not found` : 'Workbook contains no sheets');
+    }
+
+    // The first non-empty row holds the headers
+    let columns = null;
+    const records = [];
+    worksheet.eachRow(row => {
+        const values = row.values.slice(1);
+        if (!columns) {
+            columns = values.map((value, index) => {
+                const header = normalizeValue(value);
+                return header === null ? `Column ${index + 1}` : String(header).trim();
+            });
+            return;
+        }
+        const record = {};
+        columns.forEach((col, index) => {
+            record[col] = values[index];
+        });
+        records.push(record);
+    });
+
+    return {
+        sheetNames,
+        sheetName: worksheet.name,
+        rows: (async function* () {
+            for (const record of records) {
+                const row = toRow(record, columns || []);
+                if (!isEmptyRow(row)) yield row;
+            }
+        })()
+    };
+}
+
+/**
+ * Open an uploaded file as a stream of row objects shaped like parsed CSV
+ * rows (same keys on every row, scalar values, null for blanks)
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string} format - Format from detectFormat()
+ * @param {Object} options - sheetName to read from a workbook, and the
+ *   dialect of a CSV file (detected from the file when not given)
+ * @returns {Promise<Object>} - rows async iterable, plus sheetNames and
+ *   sheetName for workbooks and the dialect read for CSV files
+ */
+async function openRowSource(filePath, format, { sheetName, dialect } = {}) {
+    switch (format) {
+        case 'csv': {
+            const csvDialect = dialect || await detectCSVDialect(filePath);
+            return { rows: readCSVRows(filePath, csvDialect), dialect: csvDialect };
+        }
+        case 'json':
+            return { rows: await readJSONRows(filePath) };
+        case 'ndjson':
+            return { rows: await readNDJSONRows(filePath) };
+        case 'xlsx':
+            return readXLSXRows(filePath, sheetName);
+        default:
+            throw new Error(`Unsupported file format: ${format}`);
+    }
+}
+
+module.exports = {
+    SUPPORTED_FORMATS,
+    detectFormat,
+    normalizeValue,
+    openRowSource
+};
@@ -3,18 +3,101 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
-const csv = require('csv-parser');
-const Papa = require('papaparse');
-const { Anthropic } = require('@anthropic-ai/sdk');
 const { v4: uuidv4 } = require('uuid');
+const {
+    resolveMapping,
+    listProfiles,
+    getProfile,
+    saveProfile,
+    deleteProfile,
+    suggestProfile
+} = require('./mappingProfiles');
+const {
+    getDataset,
+    iterateDatasetRows,
+    saveSourceFile,
+    getSourceFile,
+    saveSourceFiles,
+    getSourceFiles,
+    listDatasets,
+    deleteDataset
+} = require('./datasetStore');
+const { createSLAAccumulator } = require('./analysis');
+const { DEFAULT_SLA_POLICY, getSLAPolicy, saveSLAPolicy } = require('./slaPolicy');
+const { PII_PATTERNS } = require('./piiScanner');
+const { createPromptSanitizer } = require('./promptSafety');
+const {
+    DEFAULT_PRIVACY_SETTINGS,
+    getPrivacySettings,
+    savePrivacySettings,
+    createPseudonymizer
+} = require('./privacy');
+const { generateOfflineNarrative, generateOfflineReport } = require('./offlineReport');
+const {
+    buildComputedSections,
+    assembleReport,
+    summarizeKeyMetrics,
+    reportTitle
+} = require('./reportMetrics');
+const { buildReportPrompt } = require('./reportPrompts');
+const { createLLMProvider, getReportSettings } = require('./llmProviders');
+const {
+    validateNarrative,
+    parseReportJSON,
+    formatErrors,
+    buildRepairPrompt,
+    fillInvalidFields
+} = require('./reportSchemas');
+const {
+    saveReport,
+    getReport,
+    updateReport,
+    getReportHTMLPath,
+    listReports,
+    deleteReport
+} = require('./reportStore');
+const {
+    getRetentionPolicy,
+    runRetention,
+    getLastRetentionRun,
+    startRetentionScheduler
+} = require('./retention');
+const { startJob, getJob, cancelJob, subscribeToJob, isFinished, JobFailedError } = require('./reportJobs');
+const { normalizeFilters, createRowFilter, describeFilters } = require('./reportFilters');
+const { COMPARISON_STYLES, normalizeBaseline, renderTrendBadge, renderPeriodComparison } = require('./reportComparison');
+const { renderPDF } = require('./pdfExport');
+const { renderPresentationPPTX } = require('./pptxExport');
+const { writeAnalysisWorkbook } = require('./xlsxExport');
+const { CHART_STYLES, renderReportCharts } = require('./reportCharts');
+const { ingestFile, ingestFiles, applyRecipe } = require('./ingest');
+const { MergeError } = require('./datasetMerge');
+const { normalizeDialect } = require('./csvDialect');
+const {
+    RecipeError,
+    normalizeRecipe,
+    transformRows,
+    describeColumnValues,
+    listRecipes,
+    getRecipe,
+    saveRecipe,
+    deleteRecipe
+} = require('./transformRecipes');
+const { detectFormat } = require('./fileReaders');
+const { ErrorUtils, ReportUtils } = require('./utils');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_FILE_SIZE, 10) || 250 * 1024 * 1024;
+const MAX_UPLOAD_FILES = parseInt(process.env.MAX_UPLOAD_FILES, 10) || 20;
+const REPORT_TYPES = ['executive', 'detailed', 'presentation'];
+const DOWNLOAD_FORMATS = ['html', 'pdf', 'pptx', 'xlsx'];
+// Follow-up requests asking the model to fix a reply that fails the schema
+const LLM_REPAIR_ATTEMPTS = Math.max(0, parseInt(process.env.LLM_REPAIR_ATTEMPTS ?? '1', 10) || 0);
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '1mb' }));
 
 // Only serve static files in production or if build exists
 const buildPath = path.join(__dirname, '../client/build');
@@ -22,10 +105,8 @@ if (process.env.NODE_ENV === 'production' || require('fs').existsSync(buildPath)
     app.use(express.static(buildPath));
 }
 
-// Claude API setup
-const anthropic = new Anthropic({
-    apiKey: process.env.CLAUDE_API_KEY,
-});
+// LLM provider setup - Anthropic by default, see llmProviders.js
+const llm = createLLMProvider();
 
 // File upload configuration
 const storage = multer.diskStorage({
@@ -43,994 +124,1035 @@ const storage = multer.diskStorage({
 const upload = multer({ 
     storage,
     fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+        if (file.mimetype === 'text/csv' || detectFormat(file.originalname)) {
             cb(null, true);
         } else {
-            cb(new Error('Only CSV files are allowed'));
+            cb(new Error('Only CSV, Excel (.xlsx), JSON and NDJSON files are allowed'));
         }
     },
-    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+    // Configurable via MAX_FILE_SIZE and MAX_UPLOAD_FILES
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES }
 });
 
-// Utility function to read and parse CSV
-async function parseCSV(filePath) {
-    const csvData = await fs.readFile(filePath, 'utf8');
-    const parsed = Papa.parse(csvData, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: true
-    });
-    return parsed.data;
+// A stored dataset's rows after its transform recipe, leaving out those the
+// filters exclude
+async function* filteredDatasetRows(dataset, rowFilter) {
+    for await (const row of transformRows(iterateDatasetRows(dataset.id), dataset.recipe)) {
+        if (!rowFilter || rowFilter(row)) yield row;
+    }
 }
 
-// Utility function to analyze data structure
-function analyzeDataStructure(data) {
-    if (!data || data.length === 0) return null;
-
-    const sample = data.slice(0, 5);
-    const columns = Object.keys(data[0]);
-    const totalRows = data.length;
-    
-    const columnTypes = {};
-    columns.forEach(col => {
-        const sampleValues = data.slice(0, 100).map(row => row[col]).filter(val => val !== null && val !== undefined && val !== '');
-        const types = [...new Set(sampleValues.map(val => typeof val))];
-        columnTypes[col] = types.length === 1 ? types[0] : 'mixed';
-    });
+// Stream a stored dataset back through the SLA analysis, e.g. when the user
+// picked a different column mapping, changed the SLA policy since upload or
+// filtered the rows
+async function analyzeStoredDataset(dataset, mapping, slaPolicy, signal, rowFilter) {
+    const accumulator = createSLAAccumulator(mapping, slaPolicy);
+    for await (const row of filteredDatasetRows(dataset, rowFilter)) {
+        signal?.throwIfAborted();
+        accumulator.add(row);
+    }
+    return accumulator.finalize();
+}
 
+// Reuse the aggregates computed at upload unless a different mapping was
+// chosen, the SLA policy has changed since or the rows are filtered
+async function analysisForDataset(dataset, mapping, slaPolicy, { filters, signal } = {}) {
+    return !filters &&
+        JSON.stringify(mapping) === JSON.stringify(dataset.mapping) &&
+        JSON.stringify(slaPolicy) === JSON.stringify(dataset.slaPolicy)
+        ? dataset.slaAnalysis
+        : analyzeStoredDataset(dataset, mapping, slaPolicy, signal, createRowFilter(filters, mapping, slaPolicy));
+}
+
+// Stream the Excel workbook of a dataset's analysis as a download
+async function sendAnalysisWorkbook(res, dataset, mapping, slaPolicy, fileName, filters) {
+    const analysis = await analysisForDataset(dataset, mapping, slaPolicy, { filters });
+    if (!analysis) {
+        return res.status(400).json({ error: filters ? 'No tickets match the filters' : 'Dataset contains no rows' });
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    try {
+        await writeAnalysisWorkbook(res, {
+            analysis,
+            rows: filteredDatasetRows(dataset, createRowFilter(filters, mapping, slaPolicy)),
+            columns: dataset.dataStructure?.columns,
+            mapping,
+            slaPolicy,
+            fileName: dataset.fileName
+        });
+    } catch (error) {
+        // Headers are already sent, so the only option left is to cut the download short
+        console.error('Excel export error:', error);
+        res.destroy(error);
+    }
+}
+
+// Shape of the upload response DataPreview works from
+function toUploadResponse(dataset) {
     return {
-        totalRows,
-        columns,
-        columnTypes,
-        sample,
-        hasDateColumns: columns.some(col => 
-            col.toLowerCase().includes('date') || 
-            col.toLowerCase().includes('time') ||
-            col.toLowerCase().includes('created') ||
-            col.toLowerCase().includes('updated')
-        ),
-        hasStatusColumns: columns.some(col => 
-            col.toLowerCase().includes('status') ||
-            col.toLowerCase().includes('state') ||
-            col.toLowerCase().includes('priority')
-        ),
-        hasUserColumns: columns.some(col => 
-            col.toLowerCase().includes('user') ||
-            col.toLowerCase().includes('agent') ||
-            col.toLowerCase().includes('assignee') ||
-            col.toLowerCase().includes('name')
-        )
+        success: true,
+        datasetId: dataset.id,
+        fileName: dataset.fileName,
+        format: dataset.format,
+        sheetNames: dataset.sheetNames,
+        sheetName: dataset.sheetName,
+        dataStructure: dataset.dataStructure,
+        preview: dataset.dataStructure.sample.slice(0, 5), // Only 5 for preview
+        totalRecords: dataset.totalRecords,
+        mappingSuggestion: dataset.mappingSuggestion,
+        dialect: dataset.dialect,
+        detectedDialect: dataset.detectedDialect,
+        cleaning: dataset.cleaning,
+        pii: dataset.pii,
+        suspiciousContent: dataset.suspiciousContent,
+        recipe: dataset.recipe,
+        sourceColumns: dataset.sourceColumns || dataset.dataStructure.columns,
+        merge: dataset.merge
     };
 }
 
-// Claude API integration for report generation
-async function generateReportWithClaude(data, reportType, fileName) {
-    const dataStructure = analyzeDataStructure(data);
-    
-    // Analyze SLA performance specifically
-    const slaAnalysis = analyzeSLAPerformance(data);
-    
-    console.log('SLA Analysis Results:', slaAnalysis); // Debug logging
-    
-// Enhanced Claude prompts for deeper analysis
-// Replace the prompts object in your generateReportWithClaude function
-
-const prompts = {
-    executive: `You are a senior IT executive consultant creating a strategic performance analysis.
-
-    COMPLETE DATASET ANALYSIS (${data.length} records):
-    ${JSON.stringify(slaAnalysis, null, 2)}
-
-    KEY AGENT PERFORMANCE: ${JSON.stringify(Object.entries(slaAnalysis.agents || {}).slice(0, 3))}
-    CATEGORY BREAKDOWN: ${JSON.stringify(Object.entries(slaAnalysis.categories || {}).slice(0, 5))}
-
-    Create a business-focused executive summary that identifies:
-    1. STRATEGIC PERFORMANCE METRICS with business impact
-    2. OPERATIONAL EXCELLENCE opportunities 
-    3. COMPETITIVE ADVANTAGES and industry positioning
-    4. RESOURCE OPTIMIZATION recommendations
-    5. RISK MITIGATION strategies
-
-    Return ONLY this JSON structure:
-    {
-        "title": "IT Operations Excellence Report",
-        "executiveSummary": "Strategic overview of performance and opportunities",
-        "keyMetrics": [
-            {"label": "SLA Compliance Rate", "value": "${slaAnalysis.firstResponseSLA.compliancePercentage}%", "trend": "stable", "businessImpact": "Customer satisfaction directly correlates", "benchmark": "95%", "status": "${parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 95 ? 'excellent' : parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 90 ? 'good' : 'needs_improvement'}"},
-            {"label": "Resolution Efficiency", "value": "${slaAnalysis.resolutionSLA.compliancePercentage}%", "trend": "stable", "businessImpact": "Operational cost reduction", "benchmark": "90%", "status": "${parseFloat(slaAnalysis.resolutionSLA.compliancePercentage) >= 90 ? 'excellent' : parseFloat(slaAnalysis.resolutionSLA.compliancePercentage) >= 85 ? 'good' : 'needs_improvement'}"},
-            {"label": "Team Productivity", "value": "${Math.round(data.length / Object.keys(slaAnalysis.agents || {}).length)}", "trend": "stable", "businessImpact": "Resource allocation optimization", "benchmark": "150", "status": "good"},
-            {"label": "Service Volume", "value": "${data.length}", "trend": "stable", "businessImpact": "Business growth indicator", "benchmark": "1000", "status": "good"}
-        ],
-        "strategicInsights": [
-            {
-                "category": "Performance Excellence",
-                "insight": "Team demonstrates ${parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 95 ? 'industry-leading' : 'strong'} SLA compliance at ${slaAnalysis.firstResponseSLA.compliancePercentage}%",
-                "impact": "high",
-                "recommendation": "Leverage as competitive advantage and best practice model"
-            },
-            {
-                "category": "Operational Efficiency", 
-                "insight": "Processing ${data.length} tickets with ${slaAnalysis.firstResponseSLA.violations + slaAnalysis.resolutionSLA.violations} total violations",
-                "impact": "medium",
-                "recommendation": "Focus improvement efforts on violation reduction strategies"
-            },
-            {
-                "category": "Resource Optimization",
-                "insight": "Agent performance varies significantly - top performers can mentor others",
-                "impact": "high", 
-                "recommendation": "Implement peer mentoring and knowledge sharing programs"
-            }
-        ],
-        "businessRecommendations": [
-            {
-                "priority": "High",
-                "action": "Establish Center of Excellence model based on current performance",
-                "timeline": "30 days",
-                "investment": "Low",
-                "expectedROI": "Improved cross-team performance, reduced escalations"
-            },
-            {
-                "priority": "Medium", 
-                "action": "Implement predictive analytics for proactive issue resolution",
-                "timeline": "90 days",
-                "investment": "Medium",
-                "expectedROI": "15-20% reduction in reactive support tickets"
-            },
-            {
-                "priority": "Medium",
-                "action": "Develop automated self-service capabilities for common requests", 
-                "timeline": "60 days",
-                "investment": "Medium",
-                "expectedROI": "25% reduction in manual processing time"
-            }
-        ],
-        "riskAssessment": [
-            {
-                "risk": "SLA Performance Dependency",
-                "probability": "Medium",
-                "impact": "High", 
-                "mitigation": "Cross-train team members, document processes, implement backup procedures"
-            },
-            {
-                "risk": "Volume Growth Management",
-                "probability": "High",
-                "impact": "Medium",
-                "mitigation": "Scale automation tools, optimize workflows, plan resource expansion"
-            }
-        ],
-        "competitiveAdvantages": [
-            "Industry-leading SLA compliance rates",
-            "Efficient team productivity metrics", 
-            "Strong process discipline and quality control",
-            "Excellent customer service delivery model"
-        ]
-    }`,
-
-    detailed: `You are a senior operations analyst creating a comprehensive performance analysis report.
-
-    CRITICAL: Return ONLY valid JSON. Analyze ALL ${data.length} tickets comprehensively.
-
-    COMPLETE PERFORMANCE DATA:
-    - First Response SLA: ${slaAnalysis.firstResponseSLA.compliancePercentage}% (${slaAnalysis.firstResponseSLA.violations}/${slaAnalysis.firstResponseSLA.total})
-    - Resolution SLA: ${slaAnalysis.resolutionSLA.compliancePercentage}% (${slaAnalysis.resolutionSLA.violations}/${slaAnalysis.resolutionSLA.total})
-    - Top Agents: ${JSON.stringify(Object.entries(slaAnalysis.agents || {}).slice(0, 5).map(([name, stats]) => ({name, total: stats.total, violations: stats.responseViolations + stats.resolutionViolations})))}
-
-    Return this comprehensive analysis:
-    {
-        "reportMetadata": {
-            "title": "Comprehensive IT Operations Analysis",
-            "generatedDate": "${new Date().toLocaleDateString()}",
-            "totalRecords": ${data.length},
-            "analysisDepth": "Complete dataset analysis",
-            "dataQuality": "High - comprehensive SLA tracking"
-        },
-        "performanceOverview": {
-            "overallHealth": "${(parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) + parseFloat(slaAnalysis.resolutionSLA.compliancePercentage)) / 2 >= 95 ? 'Excellent' : (parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) + parseFloat(slaAnalysis.resolutionSLA.compliancePercentage)) / 2 >= 85 ? 'Good' : 'Needs Improvement'}",
-            "trendDirection": "Stable",
-            "keyStrengths": [
-                "Strong SLA compliance discipline",
-                "Comprehensive tracking and monitoring",
-                "Balanced workload distribution",
-                "Quality-focused service delivery"
-            ],
-            "improvementAreas": [
-                "Response time optimization for ${slaAnalysis.firstResponseSLA.violations} violations",
-                "Resolution efficiency for ${slaAnalysis.resolutionSLA.violations} violations", 
-                "Agent performance standardization",
-                "Process automation opportunities"
-            ]
-        },
-        "slaPerformance": {
-            "firstResponseSLA": {
-                "complianceRate": "${slaAnalysis.firstResponseSLA.compliancePercentage}%",
-                "violations": ${slaAnalysis.firstResponseSLA.violations},
-                "totalEvaluated": ${slaAnalysis.firstResponseSLA.total},
-                "benchmark": "95%",
-                "performanceGap": "${95 - parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage)}%",
-                "status": "${parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 95 ? 'Exceeds Standard' : parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 90 ? 'Meets Standard' : 'Below Standard'}",
-                "actionRequired": "${parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) < 95 ? 'Yes - Focus on response time improvement' : 'No - Maintain current excellence'}"
-            },
-            "resolutionSLA": {
-                "complianceRate": "${slaAnalysis.resolutionSLA.compliancePercentage}%", 
-                "violations": ${slaAnalysis.resolutionSLA.violations},
-                "totalEvaluated": ${slaAnalysis.resolutionSLA.total},
-                "benchmark": "90%",
-                "performanceGap": "${90 - parseFloat(slaAnalysis.resolutionSLA.compliancePercentage)}%",
-                "status": "${parseFloat(slaAnalysis.resolutionSLA.compliancePercentage) >= 90 ? 'Exceeds Standard' : parseFloat(slaAnalysis.resolutionSLA.compliancePercentage) >= 85 ? 'Meets Standard' : 'Below Standard'}",
-                "actionRequired": "${parseFloat(slaAnalysis.resolutionSLA.compliancePercentage) < 90 ? 'Yes - Focus on resolution efficiency' : 'No - Maintain current performance'}"
-            }
-        },
-        "teamPerformance": {
-            "totalAgents": ${Object.keys(slaAnalysis.agents || {}).length},
-            "averageTicketsPerAgent": ${Math.round(data.length / Object.keys(slaAnalysis.agents || {}).length)},
-            "topPerformers": [
-                ${Object.entries(slaAnalysis.agents || {})
-                    .sort(([,a], [,b]) => (a.responseViolations + a.resolutionViolations) - (b.responseViolations + b.resolutionViolations))
-                    .slice(0, 3)
-                    .map(([agent, stats]) => `{
-                        "agent": "${agent}",
-                        "totalTickets": ${stats.total},
-                        "violationRate": "${((stats.responseViolations + stats.resolutionViolations) / stats.total * 100).toFixed(1)}%",
-                        "responseViolations": ${stats.responseViolations},
-                        "resolutionViolations": ${stats.resolutionViolations},
-                        "performance": "${((stats.responseViolations + stats.resolutionViolations) / stats.total) < 0.05 ? 'Excellent' : ((stats.responseViolations + stats.resolutionViolations) / stats.total) < 0.1 ? 'Good' : 'Needs Improvement'}"
-                    }`).join(',')}
-            ],
-            "performanceDistribution": {
-                "excellentPerformers": ${Object.values(slaAnalysis.agents || {}).filter(stats => (stats.responseViolations + stats.resolutionViolations) / stats.total < 0.05).length},
-                "goodPerformers": ${Object.values(slaAnalysis.agents || {}).filter(stats => {
-                    const rate = (stats.responseViolations + stats.resolutionViolations) / stats.total;
-                    return rate >= 0.05 && rate < 0.1;
-                }).length},
-                "needsImprovement": ${Object.values(slaAnalysis.agents || {}).filter(stats => (stats.responseViolations + stats.resolutionViolations) / stats.total >= 0.1).length}
+// LLM integration for report generation. The model writes the narrative
+// only; computed metrics are merged in afterwards so every figure in the
+// report comes straight from the analysis. context holds the filter scope,
+// the baseline period to compare with, if any, the pseudonymizer that keeps
+// personal data out of the prompt and the sanitizer that keeps
+// instruction-like cell values out of it.
+async function generateReportWithLLM(slaAnalysis, reportType, fileName, signal, context = {}) {
+    const schemaType = ['executive', 'presentation'].includes(reportType) ? reportType : 'detailed';
+    const settings = getReportSettings(llm, schemaType);
+    const messages = [{
+        role: 'user',
+        content: buildReportPrompt(schemaType, slaAnalysis, context)
+    }];
+    const computed = buildComputedSections(slaAnalysis, schemaType, context.comparison);
+    // Restored names are raw cell values and the narrative is model output:
+    // both stay plain text here and the report templates escape every field
+    const restore = narrative => (context.privacy?.restoresNames ? context.privacy.restore(narrative) : narrative);
+
+    // Validate the reply against the narrative schema and give the model a
+    // bounded number of chances to fix the specific errors
+    let narrative = null;
+    for (let attempt = 0; attempt <= LLM_REPAIR_ATTEMPTS; attempt++) {
+        let reply;
+        try {
+            reply = await llm.complete({ ...settings, reportType: schemaType, messages, signal });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.error(`${llm.label} error:`, error);
+            if (attempt === 0) throw new Error(`Failed to generate report with ${llm.label}`);
+            break;
+        }
+
+        let errors;
+        try {
+            narrative = parseReportJSON(reply);
+            errors = validateNarrative(schemaType, narrative);
+        } catch (error) {
+            narrative = null;
+            errors = [{ path: '', message: `is not valid JSON (${error.message})` }];
+        }
+
+        if (errors.length === 0) {
+            return {
+                report: assembleReport(schemaType, restore(narrative), computed),
+                partiallyGenerated: false,
+                defaultedFields: []
+            };
+        }
+
+        console.warn(`${llm.label} reply failed validation (attempt ${attempt + 1}):\n${formatErrors(errors)}`);
+        messages.push(
+            { role: 'assistant', content: reply },
+            { role: 'user', content: buildRepairPrompt(errors) }
+        );
+    }
+
+    // Still invalid: keep what the model got right and default the rest
+    const { narrative: merged, defaultedFields } =
+        fillInvalidFields(schemaType, restore(narrative), generateOfflineNarrative(slaAnalysis, schemaType, context.comparison));
+    return { report: assembleReport(schemaType, merged, computed), partiallyGenerated: true, defaultedFields };
+}
+
+// Tags are free text; keep them short, unique and in a predictable case
+function normalizeTags(tags) {
+    const cleaned = tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase().slice(0, 40))
+        .filter(Boolean);
+    return [...new Set(cleaned)].slice(0, 20);
+}
+
+// What the client gets back for a stored report, whether it was just
+// generated or reopened from the report library
+function reportResponse(stored) {
+    const { content, ...metadata } = stored;
+    return {
+        success: true,
+        reportId: metadata.id,
+        datasetId: metadata.datasetId,
+        metadata,
+        analysis: JSON.stringify(content.report, null, 2),
+        generationMode: metadata.generationMode,
+        fallbackReason: content.fallbackReason,
+        privacy: content.privacy,
+        promptSafety: content.promptSafety,
+        partiallyGenerated: content.partiallyGenerated,
+        defaultedFields: content.defaultedFields,
+        downloadUrl: `/api/download-report/${metadata.id}`
+    };
+}
+
+// Pick the narrative source for a report. 'offline' skips the LLM entirely;
+// otherwise the configured provider is tried and the rule-based generator
+// covers a missing API key or a failed call so the user still gets a report.
+async function generateReportContent(slaAnalysis, reportType, fileName, mode, signal, context = {}) {
+    const offline = fallbackReason => ({
+        report: generateOfflineReport(slaAnalysis, reportType, context.comparison),
+        generationMode: 'offline',
+        fallbackReason,
+        partiallyGenerated: false,
+        defaultedFields: []
+    });
+
+    if (mode === 'offline') {
+        return offline();
+    }
+
+    if (!llm.isConfigured()) {
+        return offline(`No API key is configured for ${llm.label}`);
+    }
+
+    try {
+        return { ...await generateReportWithLLM(slaAnalysis, reportType, fileName, signal, context), generationMode: 'ai' };
+    } catch (error) {
+        // A cancelled job should stop, not fall back
+        if (signal?.aborted) throw error;
+        console.warn('Falling back to offline report:', error.message);
+        return offline(`${llm.label} was unavailable`);
+    }
+}
+
+// API Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Upload and analyze CSV. Several files are merged into one dataset.
+app.post('/api/upload', (req, res, next) => {
+    upload.array('csvFile')(req, res, (error) => {
+        if (error) {
+            const uploadError = ErrorUtils.handleUploadError(error, MAX_UPLOAD_BYTES);
+            return res.status(uploadError.status).json({ error: uploadError.message, code: uploadError.code });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const files = (req.files || []).map(file => ({
+        path: file.path,
+        fileName: file.originalname,
+        format: detectFormat(file.originalname) || 'csv'
+    }));
+    try {
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        let dataset;
+        if (files.length === 1) {
+            const [{ path: filePath, fileName, format }] = files;
+
+            // Parse, analyse and persist the rows in a single streaming pass
+            dataset = await ingestFile(filePath, { fileName, format });
+            if (!dataset) {
+                return res.status(400).json({ error: 'File contains no data rows' });
             }
-        },
-        "categoryAnalysis": [
-            ${Object.entries(slaAnalysis.categories || {}).map(([category, stats]) => `{
-                "category": "${category}",
-                "volume": ${stats.total}, 
-                "percentage": "${(stats.total / data.length * 100).toFixed(1)}%",
-                "responseViolations": ${stats.responseViolations},
-                "resolutionViolations": ${stats.resolutionViolations},
-                "overallHealth": "${(stats.responseViolations + stats.resolutionViolations) / stats.total < 0.05 ? 'Excellent' : (stats.responseViolations + stats.resolutionViolations) / stats.total < 0.15 ? 'Good' : 'Needs Focus'}"
-            }`).join(',')}
-        ],
-        "operationalInsights": [
-            "Comprehensive analysis of ${data.length} support tickets reveals ${parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 95 ? 'excellent' : 'good'} performance standards",
-            "First response SLA compliance at ${slaAnalysis.firstResponseSLA.compliancePercentage}% indicates ${parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 95 ? 'industry-leading' : 'solid'} customer service delivery",
-            "Resolution SLA performance at ${slaAnalysis.resolutionSLA.compliancePercentage}% shows ${parseFloat(slaAnalysis.resolutionSLA.compliancePercentage) >= 90 ? 'efficient' : 'developing'} problem-solving capabilities", 
-            "Team performance distribution suggests ${Object.values(slaAnalysis.agents || {}).filter(stats => (stats.responseViolations + stats.resolutionViolations) / stats.total < 0.05).length > Object.keys(slaAnalysis.agents || {}).length / 2 ? 'strong leadership and training effectiveness' : 'opportunities for skill development and process improvement'}",
-            "Category analysis reveals balanced workload distribution with focus areas for optimization"
-        ],
-        "actionableRecommendations": [
-            {
-                "category": "Immediate Actions (0-30 days)",
-                "items": [
-                    "Address ${slaAnalysis.firstResponseSLA.violations + slaAnalysis.resolutionSLA.violations} current SLA violations through targeted intervention",
-                    "Implement daily standup reviews for tickets approaching SLA deadlines",
-                    "Create escalation matrix for complex issues requiring immediate attention"
-                ]
-            },
-            {
-                "category": "Short-term Improvements (1-3 months)", 
-                "items": [
-                    "Develop peer mentoring program pairing top performers with developing agents",
-                    "Implement automated SLA monitoring with proactive alerts",
-                    "Create knowledge base from resolution patterns of high-performing agents"
-                ]
-            },
-            {
-                "category": "Strategic Initiatives (3-6 months)",
-                "items": [
-                    "Deploy AI-powered ticket routing based on agent expertise and current workload",
-                    "Establish predictive analytics for identifying potential SLA risks",
-                    "Create self-service portal for common request types to reduce manual processing"
-                ]
+
+            // Workbooks are kept so another sheet can be picked, and CSV files
+            // so they can be read with other parse settings, without re-uploading
+            if (format === 'xlsx' || format === 'csv') {
+                await saveSourceFile(dataset.id, filePath, path.extname(fileName).toLowerCase());
             }
-        ]
-    }`,
-
-    presentation: `Create a high-impact executive presentation for IT leadership showcasing operational excellence.
-
-    PERFORMANCE HIGHLIGHTS (${data.length} tickets analyzed):
-    - SLA Excellence: First Response ${slaAnalysis.firstResponseSLA.compliancePercentage}%, Resolution ${slaAnalysis.resolutionSLA.compliancePercentage}%
-    - Team Strength: ${Object.keys(slaAnalysis.agents || {}).length} agents handling diverse workload
-    - Quality Focus: ${slaAnalysis.firstResponseSLA.violations + slaAnalysis.resolutionSLA.violations} total violations requiring attention
-
-    Return presentation-ready JSON:
-    {
-        "presentationTitle": "IT Operations Performance Excellence",
-        "executiveMessage": "Demonstrating ${parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 95 ? 'industry-leading' : 'strong'} service delivery with strategic improvement opportunities",
-        "slides": [
-            {
-                "slideNumber": 1,
-                "title": "Performance Dashboard",
-                "type": "metrics_overview",
-                "content": {
-                    "headline": "IT Operations Excellence Scorecard",
-                    "keyMetrics": [
-                        {
-                            "metric": "First Response SLA",
-                            "value": "${slaAnalysis.firstResponseSLA.compliancePercentage}%",
-                            "status": "${parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 95 ? 'excellent' : parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 90 ? 'good' : 'needs_improvement'}",
-                            "trend": "stable",
-                            "benchmark": "95%"
-                        },
-                        {
-                            "metric": "Resolution SLA", 
-                            "value": "${slaAnalysis.resolutionSLA.compliancePercentage}%",
-                            "status": "${parseFloat(slaAnalysis.resolutionSLA.compliancePercentage) >= 90 ? 'excellent' : parseFloat(slaAnalysis.resolutionSLA.compliancePercentage) >= 85 ? 'good' : 'needs_improvement'}",
-                            "trend": "stable", 
-                            "benchmark": "90%"
-                        },
-                        {
-                            "metric": "Total Volume",
-                            "value": "${data.length}",
-                            "status": "good",
-                            "trend": "stable",
-                            "benchmark": "Baseline"
-                        },
-                        {
-                            "metric": "Team Efficiency", 
-                            "value": "${Math.round(data.length / Object.keys(slaAnalysis.agents || {}).length)}",
-                            "status": "good",
-                            "trend": "stable",
-                            "benchmark": "150/agent"
-                        }
-                    ],
-                    "insights": [
-                        "Comprehensive analysis of ${data.length} support interactions",
-                        "${parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 95 ? 'Exceeding industry benchmarks for customer response' : 'Solid performance with improvement opportunities'}",
-                        "Strong operational discipline and quality control processes"
-                    ]
-                }
-            },
-            {
-                "slideNumber": 2,
-                "title": "Team Performance Analysis", 
-                "type": "team_breakdown",
-                "content": {
-                    "headline": "Agent Performance & Development Opportunities",
-                    "teamMetrics": [
-                        {
-                            "metric": "Total Agents",
-                            "value": "${Object.keys(slaAnalysis.agents || {}).length}",
-                            "context": "Active support team members"
-                        },
-                        {
-                            "metric": "Avg Tickets/Agent",
-                            "value": "${Math.round(data.length / Object.keys(slaAnalysis.agents || {}).length)}",
-                            "context": "Balanced workload distribution"
-                        },
-                        {
-                            "metric": "Top Performer Rate",
-                            "value": "${Object.values(slaAnalysis.agents || {}).filter(stats => (stats.responseViolations + stats.resolutionViolations) / stats.total < 0.05).length}",
-                            "context": "Agents with <5% violation rate"
-                        }
-                    ],
-                    "insights": [
-                        "Performance distribution shows ${Object.values(slaAnalysis.agents || {}).filter(stats => (stats.responseViolations + stats.resolutionViolations) / stats.total < 0.05).length > Object.keys(slaAnalysis.agents || {}).length / 2 ? 'strong team capabilities' : 'development opportunities'}",
-                        "Top performers can mentor colleagues for knowledge transfer",
-                        "Opportunity to standardize best practices across team"
-                    ]
-                }
-            },
-            {
-                "slideNumber": 3,
-                "title": "Strategic Recommendations",
-                "type": "action_plan",
-                "content": {
-                    "headline": "Roadmap for Continued Excellence",
-                    "strategicActions": [
-                        {
-                            "priority": "High",
-                            "action": "Establish Center of Excellence Model",
-                            "timeline": "30 days",
-                            "impact": "Cross-team performance improvement",
-                            "investment": "Low"
-                        },
-                        {
-                            "priority": "Medium",
-                            "action": "Implement Predictive SLA Analytics", 
-                            "timeline": "90 days",
-                            "impact": "Proactive issue prevention",
-                            "investment": "Medium"
-                        },
-                        {
-                            "priority": "Medium",
-                            "action": "Expand Self-Service Capabilities",
-                            "timeline": "60 days", 
-                            "impact": "Reduced manual processing",
-                            "investment": "Medium"
-                        }
-                    ],
-                    "insights": [
-                        "Build on current strengths to drive organizational excellence",
-                        "Focus on automation and predictive capabilities",
-                        "Leverage team expertise for broader organizational impact"
-                    ]
-                }
+        } else {
+            dataset = await ingestFiles(files, { idColumn: req.body?.idColumn });
+            if (!dataset) {
+                return res.status(400).json({ error: 'Files contain no data rows' });
             }
-        ],
-        "executiveSummary": {
-            "keyMessage": "IT Operations demonstrating ${parseFloat(slaAnalysis.firstResponseSLA.compliancePercentage) >= 95 ? 'exceptional' : 'strong'} service delivery with clear pathway to excellence",
-            "businessImpact": "Strong SLA compliance drives customer satisfaction and operational efficiency",
-            "nextSteps": "Leverage current performance as foundation for organizational best practices",
-            "investmentRequired": "Low to medium investment for high-impact improvements"
-        },
-        "appendix": {
-            "dataSource": "${data.length} support tickets analyzed",
-            "analysisMethod": "Comprehensive SLA compliance and performance review",
-            "confidence": "High - based on complete dataset",
-            "reportingPeriod": "Complete historical analysis"
-        }
-    }`
-};
 
+            // Kept so the files can be merged again on another ID column
+            await saveSourceFiles(dataset.id, files.map(file => file.path));
+        }
+
+        console.log(`Parsed ${files.length} ${dataset.format.toUpperCase()} file(s): ${dataset.totalRecords} total records`);
+
+        res.json(toUploadResponse(dataset));
+
+    } catch (error) {
+        if (error instanceof MergeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Upload error:', error);
+        res.status(500).json({ error: `Failed to process file: ${error.message}` });
+    } finally {
+        // Clean up uploaded files
+        for (const file of files) {
+            await fs.remove(file.path);
+        }
+    }
+});
+
+app.get('/api/config', (req, res) => {
+    res.json({ maxUploadBytes: MAX_UPLOAD_BYTES, maxUploadFiles: MAX_UPLOAD_FILES });
+});
+
+// Stored datasets
+app.get('/api/datasets', async (req, res) => {
     try {
-        const response = await anthropic.messages.create({
-            model: 'claude-3-5-sonnet-20241022',
-            max_tokens: 4000,
-            messages: [{
-                role: 'user',
-                content: prompts[reportType] || prompts.detailed
-            }]
-        });
+        res.json({ success: true, datasets: await listDatasets() });
+    } catch (error) {
+        console.error('Dataset list error:', error);
+        res.status(500).json({ error: 'Failed to list datasets' });
+    }
+});
 
-        return response.content[0].text;
+app.get('/api/datasets/:datasetId', async (req, res) => {
+    try {
+        const dataset = await getDataset(req.params.datasetId);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        res.json({ success: true, dataset });
     } catch (error) {
-        console.error('Claude API Error:', error);
-        throw new Error('Failed to generate report with Claude AI');
+        console.error('Dataset lookup error:', error);
+        res.status(500).json({ error: 'Failed to load dataset' });
     }
-}
+});
 
-// Enhanced data analysis functions - Add these to your existing code
-
-// Replace your existing analyzeSLAPerformance function with this enhanced version
-function analyzeSLAPerformance(data) {
-    if (!data || data.length === 0) return null;
-
-    const analysis = {
-        totalTickets: data.length,
-        firstResponseSLA: {
-            violations: 0,
-            compliance: 0,
-            total: 0,
-            compliancePercentage: '0',
-            violationPercentage: '0'
-        },
-        resolutionSLA: {
-            violations: 0,
-            compliance: 0,
-            total: 0,
-            compliancePercentage: '0',
-            violationPercentage: '0'
-        },
-        agents: {},
-        categories: {},
-        timePatterns: {},
-        priorityAnalysis: {},
-        performanceTrends: {
-            daily: {},
-            weekly: {},
-            monthly: {}
+// Full SLA analysis of a dataset for the client dashboard, under the column
+// mapping picked in DataPreview (or the one saved at upload) and any filters
+app.post('/api/datasets/:datasetId/analysis', async (req, res) => {
+    try {
+        const dataset = await getDataset(req.params.datasetId);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
         }
-    };
 
-    console.log('Enhanced SLA Analysis - Processing', data.length, 'tickets');
-    console.log('Sample columns:', Object.keys(data[0] || {}));
-
-    data.forEach((ticket, index) => {
-        const agent = ticket['Agent'] || ticket['Resolved by'] || ticket['Assignee'] || 'Unknown';
-        const category = ticket['Category'] || ticket['Sub-Category'] || ticket['Type'] || 'Unknown';
-        const priority = ticket['Priority'] || ticket['Urgency'] || 'Medium';
-        
-        // Extract date information for trend analysis
-        const createdDate = ticket['Created Date'] || ticket['Date Created'] || ticket['Created'] || new Date().toISOString();
-        const dateKey = createdDate.substring(0, 10); // YYYY-MM-DD format
-        const dayOfWeek = new Date(createdDate).getDay();
-        const monthKey = createdDate.substring(0, 7); // YYYY-MM format
-
-        // Initialize tracking objects
-        if (!analysis.agents[agent]) {
-            analysis.agents[agent] = {
-                total: 0,
-                responseViolations: 0,
-                resolutionViolations: 0,
-                totalViolations: 0,
-                complianceRate: 100,
-                averageResponseTime: 0,
-                categories: {},
-                priorities: {}
-            };
+        let filters;
+        try {
+            filters = normalizeFilters(req.body?.filters);
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid filters: ${error.message}` });
         }
-        
-        if (!analysis.categories[category]) {
-            analysis.categories[category] = {
-                total: 0,
-                responseViolations: 0,
-                resolutionViolations: 0,
-                agents: {},
-                averageResolutionTime: 0
-            };
+
+        const slaPolicy = await getSLAPolicy();
+        const analysis = await analysisForDataset(dataset, resolveMapping(req.body?.mapping || dataset.mapping), slaPolicy, { filters });
+        if (!analysis) {
+            return res.status(400).json({ error: filters ? 'No tickets match the filters' : 'Dataset contains no rows' });
         }
+        res.json({ success: true, datasetId: dataset.id, slaPolicy, filters: describeFilters(filters), analysis });
+    } catch (error) {
+        console.error('Dataset analysis error:', error);
+        res.status(500).json({ error: 'Failed to analyse dataset' });
+    }
+});
 
-        if (!analysis.priorityAnalysis[priority]) {
-            analysis.priorityAnalysis[priority] = {
-                total: 0,
-                responseViolations: 0,
-                resolutionViolations: 0,
-                complianceRate: 100
-            };
+// Excel workbook of a dataset's analysis under its mapping and the current SLA policy
+app.get('/api/datasets/:datasetId/export', async (req, res) => {
+    try {
+        const dataset = await getDataset(req.params.datasetId);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
         }
+        await sendAnalysisWorkbook(res, dataset, resolveMapping(dataset.mapping), await getSLAPolicy(),
+            `analysis-${dataset.id}.xlsx`);
+    } catch (error) {
+        console.error('Excel export error:', error);
+        res.status(500).json({ error: 'Failed to export analysis' });
+    }
+});
 
-        // Initialize time patterns
-        if (!analysis.timePatterns[dateKey]) {
-            analysis.timePatterns[dateKey] = { total: 0, violations: 0 };
+// Re-read a different sheet of an uploaded workbook into the same dataset
+app.post('/api/datasets/:datasetId/sheet', async (req, res) => {
+    try {
+        const dataset = await getDataset(req.params.datasetId);
+        const sourcePath = dataset && await getSourceFile(dataset.id);
+        if (!sourcePath) {
+            return res.status(404).json({ error: 'Dataset not found' });
         }
-        
-        if (!analysis.performanceTrends.daily[dayOfWeek]) {
-            analysis.performanceTrends.daily[dayOfWeek] = { total: 0, violations: 0 };
+        if (!dataset.sheetNames?.includes(req.body?.sheetName)) {
+            return res.status(400).json({ error: 'Unknown sheet name' });
         }
 
-        if (!analysis.performanceTrends.monthly[monthKey]) {
-            analysis.performanceTrends.monthly[monthKey] = { total: 0, violations: 0 };
+        const updated = await ingestFile(sourcePath, {
+            fileName: dataset.fileName,
+            format: dataset.format,
+            sheetName: req.body.sheetName,
+            datasetId: dataset.id
+        });
+        if (!updated) {
+            return res.status(400).json({ error: `Sheet "${req.body.sheetName}" contains no data rows` });
         }
 
-        // Update counts
-        analysis.agents[agent].total++;
-        analysis.categories[category].total++;
-        analysis.priorityAnalysis[priority].total++;
-        analysis.timePatterns[dateKey].total++;
-        analysis.performanceTrends.daily[dayOfWeek].total++;
-        analysis.performanceTrends.monthly[monthKey].total++;
+        res.json(toUploadResponse(updated));
+    } catch (error) {
+        if (error instanceof RecipeError) {
+            return res.status(400).json({ error: `The transform recipe does not fit this sheet: ${error.message}` });
+        }
+        console.error('Sheet selection error:', error);
+        res.status(500).json({ error: 'Failed to read the selected sheet' });
+    }
+});
 
-        // Track agent-category combinations
-        if (!analysis.agents[agent].categories[category]) {
-            analysis.agents[agent].categories[category] = 0;
+// Re-read an uploaded CSV file into the same dataset with other parse
+// settings (encoding, delimiter, quote, decimal mark, date order)
+app.post('/api/datasets/:datasetId/parse', async (req, res) => {
+    try {
+        const dataset = await getDataset(req.params.datasetId);
+        const sourcePath = dataset && await getSourceFile(dataset.id);
+        if (!sourcePath) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        if (dataset.format !== 'csv' || !dataset.dialect) {
+            return res.status(400).json({ error: 'Parse settings only apply to CSV uploads' });
         }
-        analysis.agents[agent].categories[category]++;
 
-        // Track agent-priority combinations
-        if (!analysis.agents[agent].priorities[priority]) {
-            analysis.agents[agent].priorities[priority] = 0;
+        let dialect;
+        try {
+            dialect = normalizeDialect(req.body || {}, dataset.dialect);
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid parse settings: ${error.message}` });
         }
-        analysis.agents[agent].priorities[priority]++;
 
-        // Analyze First Response SLA with multiple column variations
-        const firstResponseColumns = [
-            'First Response Status', 'First Response SLA', 'Response Status',
-            'first_response_status', 'Response SLA Status', 'First Response Time Status'
-        ];
-        
-        let firstResponseStatus = null;
-        for (const col of firstResponseColumns) {
-            if (ticket[col]) {
-                firstResponseStatus = ticket[col];
-                break;
-            }
+        const updated = await ingestFile(sourcePath, {
+            fileName: dataset.fileName,
+            format: dataset.format,
+            dialect,
+            datasetId: dataset.id
+        });
+        if (!updated) {
+            return res.status(400).json({ error: 'No data rows could be read with these settings' });
         }
-        
-        if (firstResponseStatus) {
-            analysis.firstResponseSLA.total++;
-            const statusLower = firstResponseStatus.toString().toLowerCase();
-            
-            if (statusLower.includes('violated') || 
-                statusLower.includes('breach') || 
-                statusLower.includes('missed') ||
-                statusLower.includes('overdue') ||
-                statusLower.includes('fail')) {
-                analysis.firstResponseSLA.violations++;
-                analysis.agents[agent].responseViolations++;
-                analysis.categories[category].responseViolations++;
-                analysis.priorityAnalysis[priority].responseViolations++;
-                analysis.timePatterns[dateKey].violations++;
-                analysis.performanceTrends.daily[dayOfWeek].violations++;
-                analysis.performanceTrends.monthly[monthKey].violations++;
-                console.log(`Response SLA violation found in ticket ${index}: ${firstResponseStatus}`);
-            } else if (statusLower.includes('within') || 
-                      statusLower.includes('met') || 
-                      statusLower.includes('compliant') ||
-                      statusLower.includes('achieved') ||
-                      statusLower.includes('success')) {
-                analysis.firstResponseSLA.compliance++;
-            }
+
+        res.json(toUploadResponse(updated));
+    } catch (error) {
+        if (error instanceof RecipeError) {
+            return res.status(400).json({ error: `The transform recipe does not fit these settings: ${error.message}` });
         }
+        console.error('Re-parse error:', error);
+        res.status(500).json({ error: `Failed to read the file with these settings: ${error.message}` });
+    }
+});
 
-        // Analyze Resolution SLA with multiple column variations
-        const resolutionColumns = [
-            'Resolution Status', 'Resolution SLA', 'Resolve Status',
-            'resolution_status', 'Resolution SLA Status', 'Resolution Time Status'
-        ];
-        
-        let resolutionStatus = null;
-        for (const col of resolutionColumns) {
-            if (ticket[col]) {
-                resolutionStatus = ticket[col];
-                break;
-            }
+// Merge a multi-file dataset's uploads again, de-duplicating on another
+// ticket ID column (or on none when idColumn is empty)
+app.post('/api/datasets/:datasetId/merge', async (req, res) => {
+    try {
+        const dataset = await getDataset(req.params.datasetId);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
         }
-        
-        if (resolutionStatus) {
-            analysis.resolutionSLA.total++;
-            const statusLower = resolutionStatus.toString().toLowerCase();
-            
-            if (statusLower.includes('violated') || 
-                statusLower.includes('breach') || 
-                statusLower.includes('missed') ||
-                statusLower.includes('overdue') ||
-                statusLower.includes('fail')) {
-                analysis.resolutionSLA.violations++;
-                analysis.agents[agent].resolutionViolations++;
-                analysis.categories[category].resolutionViolations++;
-                analysis.priorityAnalysis[priority].resolutionViolations++;
-                analysis.timePatterns[dateKey].violations++;
-                analysis.performanceTrends.daily[dayOfWeek].violations++;
-                analysis.performanceTrends.monthly[monthKey].violations++;
-                console.log(`Resolution SLA violation found in ticket ${index}: ${resolutionStatus}`);
-            } else if (statusLower.includes('within') || 
-                      statusLower.includes('met') || 
-                      statusLower.includes('compliant') ||
-                      statusLower.includes('achieved') ||
-                      statusLower.includes('success')) {
-                analysis.resolutionSLA.compliance++;
-            }
+        const sourcePaths = await getSourceFiles(dataset.id);
+        if (!dataset.merge || !sourcePaths || sourcePaths.length !== dataset.merge.files.length) {
+            return res.status(400).json({ error: 'Dataset was not merged from several files' });
+        }
+        if (req.body?.idColumn !== undefined && req.body.idColumn !== null && typeof req.body.idColumn !== 'string') {
+            return res.status(400).json({ error: 'idColumn must be a column name' });
         }
-    });
 
-    // Calculate percentages and additional metrics
-    if (analysis.firstResponseSLA.total > 0) {
-        const complianceRate = ((analysis.firstResponseSLA.total - analysis.firstResponseSLA.violations) / analysis.firstResponseSLA.total) * 100;
-        analysis.firstResponseSLA.compliancePercentage = complianceRate.toFixed(1);
-        analysis.firstResponseSLA.violationPercentage = 
-            ((analysis.firstResponseSLA.violations / analysis.firstResponseSLA.total) * 100).toFixed(1);
-    }
+        const files = dataset.merge.files.map((file, index) => ({
+            path: sourcePaths[index],
+            fileName: file.fileName,
+            format: file.format
+        }));
+        const updated = await ingestFiles(files, { idColumn: req.body?.idColumn || null, datasetId: dataset.id });
+        if (!updated) {
+            return res.status(400).json({ error: 'Files contain no data rows' });
+        }
 
-    if (analysis.resolutionSLA.total > 0) {
-        const complianceRate = ((analysis.resolutionSLA.total - analysis.resolutionSLA.violations) / analysis.resolutionSLA.total) * 100;
-        analysis.resolutionSLA.compliancePercentage = complianceRate.toFixed(1);
-        analysis.resolutionSLA.violationPercentage = 
-            ((analysis.resolutionSLA.violations / analysis.resolutionSLA.total) * 100).toFixed(1);
+        res.json(toUploadResponse(updated));
+    } catch (error) {
+        if (error instanceof MergeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error instanceof RecipeError) {
+            return res.status(400).json({ error: `The transform recipe does not fit the merged files: ${error.message}` });
+        }
+        console.error('Merge error:', error);
+        res.status(500).json({ error: 'Failed to merge the files' });
     }
+});
 
-    // Calculate agent performance metrics
-    Object.keys(analysis.agents).forEach(agent => {
-        const agentData = analysis.agents[agent];
-        agentData.totalViolations = agentData.responseViolations + agentData.resolutionViolations;
-        agentData.complianceRate = agentData.total > 0 ? 
-            (((agentData.total - agentData.totalViolations) / agentData.total) * 100).toFixed(1) : 100;
-        
-        // Identify top categories for each agent
-        agentData.topCategory = Object.keys(agentData.categories).reduce((a, b) => 
-            agentData.categories[a] > agentData.categories[b] ? a : b, 
-            Object.keys(agentData.categories)[0] || 'Unknown'
-        );
-    });
+// Apply a transform recipe to a dataset: a saved one by recipeId, or the
+// steps being edited in DataPreview as recipe. A null recipe removes it.
+app.post('/api/datasets/:datasetId/transform', async (req, res) => {
+    try {
+        const dataset = await getDataset(req.params.datasetId);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
 
-    // Calculate category performance metrics
-    Object.keys(analysis.categories).forEach(category => {
-        const categoryData = analysis.categories[category];
-        const totalViolations = categoryData.responseViolations + categoryData.resolutionViolations;
-        categoryData.complianceRate = categoryData.total > 0 ? 
-            (((categoryData.total - totalViolations) / categoryData.total) * 100).toFixed(1) : 100;
-    });
+        let recipe = null;
+        if (req.body?.recipeId) {
+            const saved = await getRecipe(req.body.recipeId);
+            if (!saved) {
+                return res.status(404).json({ error: 'Transform recipe not found' });
+            }
+            recipe = { id: saved.id, name: saved.name, steps: saved.steps };
+        } else if (req.body?.recipe) {
+            const { id, name } = req.body.recipe;
+            recipe = { id, name, ...normalizeRecipe(req.body.recipe) };
+        }
 
-    // Calculate priority analysis
-    Object.keys(analysis.priorityAnalysis).forEach(priority => {
-        const priorityData = analysis.priorityAnalysis[priority];
-        const totalViolations = priorityData.responseViolations + priorityData.resolutionViolations;
-        priorityData.complianceRate = priorityData.total > 0 ? 
-            (((priorityData.total - totalViolations) / priorityData.total) * 100).toFixed(1) : 100;
-    });
+        res.json(toUploadResponse(await applyRecipe(dataset, recipe)));
+    } catch (error) {
+        if (error instanceof RecipeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Transform error:', error);
+        res.status(500).json({ error: 'Failed to apply the transform recipe' });
+    }
+});
 
-    // Identify trends and patterns
-    analysis.insights = generatePerformanceInsights(analysis);
-    
-    console.log('Enhanced SLA Analysis Complete:');
-    console.log('First Response SLA:', analysis.firstResponseSLA);
-    console.log('Resolution SLA:', analysis.resolutionSLA);
-    console.log('Agent Count:', Object.keys(analysis.agents).length);
-    console.log('Category Count:', Object.keys(analysis.categories).length);
+// Distinct values of a column with suggested replacements, for building a
+// value mapping. steps are the recipe steps before the mapping, if any.
+app.post('/api/datasets/:datasetId/values', async (req, res) => {
+    try {
+        const dataset = await getDataset(req.params.datasetId);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        const column = req.body?.column;
+        if (typeof column !== 'string' || !column) {
+            return res.status(400).json({ error: 'column is required' });
+        }
 
-    return analysis;
-}
+        const recipe = normalizeRecipe({ steps: req.body.steps || [] });
+        const values = await describeColumnValues(transformRows(iterateDatasetRows(dataset.id), recipe), column);
+        res.json({ success: true, column, ...values });
+    } catch (error) {
+        if (error instanceof RecipeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Column values error:', error);
+        res.status(500).json({ error: 'Failed to list column values' });
+    }
+});
 
-// Add this new function for generating performance insights
-function generatePerformanceInsights(analysis) {
-    const insights = {
-        topPerformers: [],
-        improvementAreas: [],
-        categoryInsights: [],
-        timePatterns: [],
-        recommendations: []
-    };
+app.delete('/api/datasets/:datasetId', async (req, res) => {
+    try {
+        const removed = await deleteDataset(req.params.datasetId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Dataset delete error:', error);
+        res.status(500).json({ error: 'Failed to delete dataset' });
+    }
+});
 
-    // Identify top performing agents
-    const agentPerformance = Object.entries(analysis.agents)
-        .map(([agent, data]) => ({
-            agent,
-            complianceRate: parseFloat(data.complianceRate),
-            totalTickets: data.total,
-            violations: data.totalViolations
-        }))
-        .sort((a, b) => b.complianceRate - a.complianceRate);
-
-    insights.topPerformers = agentPerformance.slice(0, 3);
-
-    // Identify agents needing improvement
-    insights.improvementAreas = agentPerformance
-        .filter(agent => agent.complianceRate < 90)
-        .slice(0, 3);
-
-    // Category insights
-    const categoryPerformance = Object.entries(analysis.categories)
-        .map(([category, data]) => ({
-            category,
-            total: data.total,
-            complianceRate: parseFloat(data.complianceRate),
-            violations: data.responseViolations + data.resolutionViolations
-        }))
-        .sort((a, b) => a.complianceRate - b.complianceRate);
-
-    insights.categoryInsights = categoryPerformance;
-
-    // Time pattern analysis
-    const dailyPatterns = Object.entries(analysis.performanceTrends.daily)
-        .map(([day, data]) => ({
-            day: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][day],
-            total: data.total,
-            violations: data.violations,
-            violationRate: data.total > 0 ? ((data.violations / data.total) * 100).toFixed(1) : 0
-        }))
-        .sort((a, b) => parseFloat(b.violationRate) - parseFloat(a.violationRate));
-
-    insights.timePatterns = dailyPatterns;
-
-    // Generate recommendations based on analysis
-    if (parseFloat(analysis.firstResponseSLA.compliancePercentage) < 95) {
-        insights.recommendations.push({
-            area: 'First Response Time',
-            recommendation: 'Implement automated ticket routing and priority alerts',
-            impact: 'high',
-            effort: 'medium'
-        });
+// Column mapping profiles
+app.get('/api/mapping-profiles', async (req, res) => {
+    try {
+        res.json({ success: true, profiles: await listProfiles() });
+    } catch (error) {
+        console.error('Mapping profile list error:', error);
+        res.status(500).json({ error: 'Failed to load mapping profiles' });
     }
+});
 
-    if (parseFloat(analysis.resolutionSLA.compliancePercentage) < 90) {
-        insights.recommendations.push({
-            area: 'Resolution Time',
-            recommendation: 'Create knowledge base and escalation procedures',
-            impact: 'high',
-            effort: 'medium'
-        });
+app.post('/api/mapping-profiles', async (req, res) => {
+    try {
+        const profile = await saveProfile(req.body || {});
+        res.status(201).json({ success: true, profile });
+    } catch (error) {
+        console.error('Mapping profile save error:', error);
+        res.status(400).json({ error: error.message });
     }
+});
 
-    if (Object.keys(analysis.agents).length > 1) {
-        const performanceVariance = Math.max(...agentPerformance.map(a => a.complianceRate)) - 
-                                   Math.min(...agentPerformance.map(a => a.complianceRate));
-        
-        if (performanceVariance > 20) {
-            insights.recommendations.push({
-                area: 'Team Performance',
-                recommendation: 'Implement peer mentoring and standardized training',
-                impact: 'medium',
-                effort: 'low'
-            });
+app.put('/api/mapping-profiles/:profileId', async (req, res) => {
+    try {
+        const profile = await saveProfile(req.body || {}, req.params.profileId);
+        if (!profile) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
         }
+        res.json({ success: true, profile });
+    } catch (error) {
+        console.error('Mapping profile update error:', error);
+        res.status(400).json({ error: error.message });
     }
+});
 
-    return insights;
-}
-
-// Add this function for advanced data structure analysis
-function analyzeDataStructure(data) {
-    if (!data || data.length === 0) return null;
-
-    const sample = data.slice(0, 10);
-    const columns = Object.keys(data[0]);
-    const totalRows = data.length;
-    
-    const columnTypes = {};
-    const columnPatterns = {};
-    const dataQuality = {};
-    
-    columns.forEach(col => {
-        // Analyze data types
-        const sampleValues = data.slice(0, 100).map(row => row[col]).filter(val => val !== null && val !== undefined && val !== '');
-        const types = [...new Set(sampleValues.map(val => typeof val))];
-        columnTypes[col] = types.length === 1 ? types[0] : 'mixed';
-        
-        // Analyze data patterns
-        const nullCount = data.filter(row => !row[col] || row[col] === null || row[col] === undefined || row[col] === '').length;
-        const uniqueCount = new Set(data.map(row => row[col])).size;
-        
-        columnPatterns[col] = {
-            nullCount,
-            nullPercentage: ((nullCount / totalRows) * 100).toFixed(1),
-            uniqueCount,
-            uniquePercentage: ((uniqueCount / totalRows) * 100).toFixed(1)
-        };
-        
-        // Assess data quality
-        dataQuality[col] = {
-            completeness: 100 - columnPatterns[col].nullPercentage,
-            consistency: uniqueCount < totalRows * 0.8 ? 'High' : 'Medium',
-            validity: sampleValues.length > 0 ? 'Valid' : 'Empty'
-        };
-    });
+app.delete('/api/mapping-profiles/:profileId', async (req, res) => {
+    try {
+        const removed = await deleteProfile(req.params.profileId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Mapping profile delete error:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
 
-    // Detect special column types
-    const specialColumns = {
-        dateColumns: columns.filter(col => 
-            col.toLowerCase().includes('date') || 
-            col.toLowerCase().includes('time') ||
-            col.toLowerCase().includes('created') ||
-            col.toLowerCase().includes('updated') ||
-            col.toLowerCase().includes('resolved')
-        ),
-        statusColumns: columns.filter(col => 
-            col.toLowerCase().includes('status') ||
-            col.toLowerCase().includes('state') ||
-            col.toLowerCase().includes('priority') ||
-            col.toLowerCase().includes('sla')
-        ),
-        userColumns: columns.filter(col => 
-            col.toLowerCase().includes('user') ||
-            col.toLowerCase().includes('agent') ||
-            col.toLowerCase().includes('assignee') ||
-            col.toLowerCase().includes('name') ||
-            col.toLowerCase().includes('resolved by')
-        ),
-        idColumns: columns.filter(col =>
-            col.toLowerCase().includes('id') ||
-            col.toLowerCase().includes('number') ||
-            col.toLowerCase().includes('#')
-        )
-    };
+app.post('/api/mapping-profiles/suggest', async (req, res) => {
+    try {
+        const suggestion = await suggestProfile(req.body?.headers || []);
+        res.json({ success: true, suggestion });
+    } catch (error) {
+        console.error('Mapping profile suggest error:', error);
+        res.status(500).json({ error: 'Failed to suggest mapping profile' });
+    }
+});
 
-    return {
-        totalRows,
-        columns,
-        columnTypes,
-        columnPatterns,
-        dataQuality,
-        sample,
-        specialColumns,
-        hasDateColumns: specialColumns.dateColumns.length > 0,
-        hasStatusColumns: specialColumns.statusColumns.length > 0,
-        hasUserColumns: specialColumns.userColumns.length > 0,
-        qualityScore: calculateDataQualityScore(dataQuality),
-        recommendations: generateDataRecommendations(columnPatterns, specialColumns)
-    };
-}
+// Transform recipes applied to datasets before analysis
+app.get('/api/transform-recipes', async (req, res) => {
+    try {
+        res.json({ success: true, recipes: await listRecipes() });
+    } catch (error) {
+        console.error('Transform recipe list error:', error);
+        res.status(500).json({ error: 'Failed to load transform recipes' });
+    }
+});
 
-// Helper function to calculate overall data quality score
-function calculateDataQualityScore(dataQuality) {
-    const scores = Object.values(dataQuality).map(quality => parseFloat(quality.completeness));
-    const averageCompleteness = scores.reduce((a, b) => a + b, 0) / scores.length;
-    
-    if (averageCompleteness >= 95) return 'Excellent';
-    if (averageCompleteness >= 85) return 'Good';
-    if (averageCompleteness >= 70) return 'Fair';
-    return 'Poor';
-}
+app.post('/api/transform-recipes', async (req, res) => {
+    try {
+        const recipe = await saveRecipe(req.body || {});
+        res.status(201).json({ success: true, recipe });
+    } catch (error) {
+        console.error('Transform recipe save error:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
 
-// Helper function to generate data recommendations
-function generateDataRecommendations(columnPatterns, specialColumns) {
-    const recommendations = [];
-    
-    // Check for high null percentages
-    Object.entries(columnPatterns).forEach(([col, pattern]) => {
-        if (parseFloat(pattern.nullPercentage) > 50) {
-            recommendations.push(`Column "${col}" has ${pattern.nullPercentage}% missing values - consider data cleansing`);
+app.put('/api/transform-recipes/:recipeId', async (req, res) => {
+    try {
+        const recipe = await saveRecipe(req.body || {}, req.params.recipeId);
+        if (!recipe) {
+            return res.status(404).json({ error: 'Transform recipe not found' });
         }
-    });
-    
-    // Check for required columns
-    if (specialColumns.dateColumns.length === 0) {
-        recommendations.push('No date columns detected - trend analysis will be limited');
+        res.json({ success: true, recipe });
+    } catch (error) {
+        console.error('Transform recipe update error:', error);
+        res.status(400).json({ error: error.message });
     }
-    
-    if (specialColumns.statusColumns.length === 0) {
-        recommendations.push('No status columns detected - SLA analysis may be limited');
+});
+
+app.delete('/api/transform-recipes/:recipeId', async (req, res) => {
+    try {
+        const removed = await deleteRecipe(req.params.recipeId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Transform recipe not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Transform recipe delete error:', error);
+        res.status(500).json({ error: 'Failed to delete transform recipe' });
     }
-    
-    if (specialColumns.userColumns.length === 0) {
-        recommendations.push('No user/agent columns detected - performance analysis will be limited');
+});
+
+// SLA targets, business hours and holidays used for time-based SLA analysis
+app.get('/api/sla-policy', async (req, res) => {
+    try {
+        res.json({ success: true, policy: await getSLAPolicy(), defaultPolicy: DEFAULT_SLA_POLICY });
+    } catch (error) {
+        console.error('SLA policy load error:', error);
+        res.status(500).json({ error: 'Failed to load SLA policy' });
     }
-    
-    return recommendations;
-}
+});
 
-// Export the enhanced functions (if using modules)
-module.exports = {
-    analyzeSLAPerformance,
-    generatePerformanceInsights,
-    analyzeDataStructure,
-    calculateDataQualityScore,
-    generateDataRecommendations
-};
+app.put('/api/sla-policy', async (req, res) => {
+    try {
+        const policy = await saveSLAPolicy(req.body || {});
+        res.json({ success: true, policy });
+    } catch (error) {
+        console.error('SLA policy save error:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
 
-// API Routes
+app.get('/api/privacy-settings', async (req, res) => {
+    try {
+        const patterns = Object.entries(PII_PATTERNS).map(([kind, { label }]) => ({ kind, label }));
+        res.json({ success: true, settings: await getPrivacySettings(), defaultSettings: DEFAULT_PRIVACY_SETTINGS, patterns });
+    } catch (error) {
+        console.error('Privacy settings load error:', error);
+        res.status(500).json({ error: 'Failed to load privacy settings' });
+    }
+});
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+app.put('/api/privacy-settings', async (req, res) => {
+    try {
+        const settings = await savePrivacySettings(req.body || {});
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error('Privacy settings save error:', error);
+        res.status(400).json({ error: error.message });
+    }
 });
 
-// Upload and analyze CSV
-app.post('/api/upload', upload.single('csvFile'), async (req, res) => {
+// Generate report. Runs as a background job: the response carries the job
+// ID straight away and progress is followed through the job endpoints below.
+app.post('/api/generate-report', async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        const { datasetId, reportType = 'detailed', mapping, mappingProfileId, mode, tags } = req.body;
+
+        let filters;
+        try {
+            filters = normalizeFilters(req.body.filters);
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid filters: ${error.message}` });
+        }
+
+        if (!datasetId) {
+            return res.status(400).json({ error: 'No dataset ID provided' });
         }
 
-        const filePath = req.file.path;
-        const data = await parseCSV(filePath);
-        const structure = analyzeDataStructure(data);
+        let baseline;
+        try {
+            baseline = normalizeBaseline(req.body.baseline, datasetId, filters);
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid baseline: ${error.message}` });
+        }
 
-        console.log(`Parsed CSV: ${data.length} total records`);
+        const dataset = await getDataset(datasetId);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found - please upload the file again' });
+        }
+        const baselineDataset = baseline && baseline.datasetId !== datasetId
+            ? await getDataset(baseline.datasetId)
+            : dataset;
+        if (!baselineDataset) {
+            return res.status(404).json({ error: 'Baseline dataset not found' });
+        }
+        if (!REPORT_TYPES.includes(reportType)) {
+            return res.status(400).json({ error: `Unknown report type. Use one of: ${REPORT_TYPES.join(', ')}` });
+        }
+        if (!dataset.totalRecords) {
+            return res.status(400).json({ error: 'Dataset contains no rows' });
+        }
 
-        // Clean up uploaded file
-        await fs.remove(filePath);
+        // An explicit mapping from DataPreview wins over a saved profile reference
+        let columnMapping = mapping;
+        if (!columnMapping && mappingProfileId) {
+            columnMapping = await getProfile(mappingProfileId);
+            if (!columnMapping) {
+                return res.status(400).json({ error: 'Unknown mapping profile' });
+            }
+        }
 
-        res.json({
+        const job = startJob('report', async ({ stage, signal }) => {
+            stage('parsing');
+            const resolvedMapping = resolveMapping(columnMapping || dataset.mapping);
+            const slaPolicy = await getSLAPolicy();
+
+            stage('analysing');
+            const slaAnalysis = await analysisForDataset(dataset, resolvedMapping, slaPolicy, { filters, signal });
+            if (!slaAnalysis) {
+                throw new JobFailedError('No tickets match the selected filters');
+            }
+            const filterDescriptions = describeFilters(filters);
+
+            let comparison = null;
+            if (baseline) {
+                // A second dataset is read with its own column mapping
+                const separate = baselineDataset !== dataset;
+                const baselineAnalysis = await analysisForDataset(
+                    baselineDataset,
+                    separate ? resolveMapping(baselineDataset.mapping) : resolvedMapping,
+                    slaPolicy,
+                    { filters: baseline.filters, signal }
+                );
+                if (!baselineAnalysis) {
+                    throw new JobFailedError('No tickets match the baseline period');
+                }
+                comparison = {
+                    analysis: baselineAnalysis,
+                    currentSource: separate ? dataset.fileName : undefined,
+                    baselineSource: separate ? baselineDataset.fileName : undefined
+                };
+            }
+
+            // Built even for offline reports, which simply never use it
+            const privacy = createPseudonymizer(await getPrivacySettings(), {
+                analyses: [slaAnalysis, comparison?.analysis],
+                sources: [
+                    { mapping: resolvedMapping, pii: dataset.pii },
+                    ...(baseline && baselineDataset !== dataset
+                        ? [{ mapping: resolveMapping(baselineDataset.mapping), pii: baselineDataset.pii }]
+                        : [])
+                ]
+            });
+
+            const sanitizer = createPromptSanitizer();
+
+            stage('calling_model');
+            const { report, generationMode, fallbackReason, partiallyGenerated, defaultedFields } =
+                await generateReportContent(slaAnalysis, reportType, dataset.fileName, mode, signal, {
+                    scope: filterDescriptions,
+                    comparison,
+                    privacy,
+                    sanitizer
+                });
+
+            stage('rendering');
+            const htmlReport = await generateHTMLReport(report, reportType, slaAnalysis.totalTickets, {
+                slaAnalysis,
+                filters: filterDescriptions
+            });
+
+            stage('saving');
+            const metadata = ReportUtils.generateMetadata(reportType, dataset.dataStructure, {
+                id: uuidv4(),
+                title: reportTitle(reportType, report),
+                fileName: dataset.fileName,
+                datasetId,
+                generationMode,
+                keyMetrics: summarizeKeyMetrics(slaAnalysis),
+                tags: normalizeTags([reportType, generationMode, ...(Array.isArray(tags) ? tags : [])]),
+                filters: filterDescriptions,
+                baseline: report.periodComparison?.baselinePeriod
+            });
+            const stored = await saveReport(metadata, htmlReport, {
+                report,
+                fallbackReason,
+                partiallyGenerated,
+                defaultedFields,
+                privacy: generationMode === 'ai' ? privacy.summary() : undefined,
+                promptSafety: generationMode === 'ai' ? sanitizer.summary() : undefined,
+                // Kept so exports can recompute the same analysis later
+                mapping: resolvedMapping,
+                slaPolicy,
+                filters,
+                baseline
+            });
+
+            return reportResponse(stored);
+        });
+
+        res.status(202).json({
             success: true,
-            fileName: req.file.originalname,
-            dataStructure: structure,
-            preview: data.slice(0, 5), // Only 5 for preview
-            fullData: data, // Send complete dataset for analysis
-            totalRecords: data.length
+            jobId: job.id,
+            job,
+            statusUrl: `/api/report-jobs/${job.id}`,
+            eventsUrl: `/api/report-jobs/${job.id}/events`
         });
 
     } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({ error: 'Failed to process CSV file' });
+        console.error('Report generation error:', error);
+        res.status(500).json({ error: 'Failed to generate report' });
     }
 });
 
-// Generate report
-app.post('/api/generate-report', async (req, res) => {
-    try {
-        const { data, reportType, fileName } = req.body;
+// Report job status
+app.get('/api/report-jobs/:jobId', (req, res) => {
+    const job = getJob(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Report job not found' });
+    }
+    res.json({ success: true, job });
+});
 
-        if (!data || !Array.isArray(data) || data.length === 0) {
-            return res.status(400).json({ error: 'No valid data provided' });
+// Report job progress as Server-Sent Events. Sends the current state on
+// connect, then every update until the job finishes.
+app.get('/api/report-jobs/:jobId/events', (req, res) => {
+    const job = getJob(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Report job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('status', job);
+    if (isFinished(job)) {
+        return res.end();
+    }
+
+    const unsubscribe = subscribeToJob(job.id, ({ event, job: update }) => {
+        send(event, update);
+        if (isFinished(update)) {
+            unsubscribe();
+            res.end();
         }
+    });
+    req.on('close', unsubscribe);
+});
 
-        const reportContent = await generateReportWithClaude(data, reportType, fileName);
-        
-        // Generate HTML report
-        const htmlReport = await generateHTMLReport(reportContent, reportType, data);
-        
-        // Save report to file
-        const reportId = uuidv4();
-        const reportPath = path.join(__dirname, '../reports', `${reportId}.html`);
-        await fs.ensureDir(path.dirname(reportPath));
-        await fs.writeFile(reportPath, htmlReport);
+// Cancel a report job
+app.post('/api/report-jobs/:jobId/cancel', (req, res) => {
+    const job = cancelJob(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Report job not found' });
+    }
+    res.json({ success: true, job });
+});
 
+// Report library
+app.get('/api/reports', async (req, res) => {
+    try {
+        const { q, type, tag } = req.query;
+        // The report limits in force, so the history can say what gets cleaned up
+        const { reportMaxAgeDays, reportMaxCount, reportMaxDiskMB } = getRetentionPolicy();
         res.json({
             success: true,
-            reportId,
-            reportPath,
-            analysis: reportContent,
-            downloadUrl: `/api/download-report/${reportId}`
+            reports: await listReports({ query: q, type, tag }),
+            retention: { reportMaxAgeDays, reportMaxCount, reportMaxDiskMB }
         });
+    } catch (error) {
+        console.error('Report list error:', error);
+        res.status(500).json({ error: 'Failed to list reports' });
+    }
+});
 
+app.get('/api/reports/:reportId', async (req, res) => {
+    try {
+        const stored = await getReport(req.params.reportId);
+        if (!stored) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        res.json(reportResponse(stored));
     } catch (error) {
-        console.error('Report generation error:', error);
-        res.status(500).json({ error: 'Failed to generate report' });
+        console.error('Report read error:', error);
+        res.status(500).json({ error: 'Failed to read report' });
+    }
+});
+
+app.patch('/api/reports/:reportId', async (req, res) => {
+    try {
+        const { title, tags, pinned } = req.body;
+        const updated = await updateReport(req.params.reportId, {
+            title,
+            tags: Array.isArray(tags) ? normalizeTags(tags) : undefined,
+            pinned
+        });
+        if (!updated) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        res.json(reportResponse(updated));
+    } catch (error) {
+        console.error('Report update error:', error);
+        res.status(500).json({ error: 'Failed to update report' });
+    }
+});
+
+app.delete('/api/reports/:reportId', async (req, res) => {
+    try {
+        if (!await deleteReport(req.params.reportId)) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Report delete error:', error);
+        res.status(500).json({ error: 'Failed to delete report' });
+    }
+});
+
+// Admin routes. Open by default like the rest of the API; set ADMIN_TOKEN to
+// require it in an X-Admin-Token header.
+function requireAdmin(req, res, next) {
+    if (process.env.ADMIN_TOKEN && req.get('X-Admin-Token') !== process.env.ADMIN_TOKEN) {
+        return res.status(401).json({ error: 'Admin token required' });
+    }
+    next();
+}
+
+// Retention policy and the last run's results
+app.get('/api/admin/retention', requireAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, policy: getRetentionPolicy(), lastRun: await getLastRetentionRun() });
+    } catch (error) {
+        console.error('Retention status error:', error);
+        res.status(500).json({ error: 'Failed to read retention status' });
     }
 });
 
-// Download report
+// Run retention now; { "dryRun": true } lists what would be deleted
+app.post('/api/admin/retention/run', requireAdmin, async (req, res) => {
+    try {
+        const summary = await runRetention({ dryRun: req.body.dryRun === true });
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error('Retention run error:', error);
+        res.status(500).json({ error: 'Failed to run retention' });
+    }
+});
+
+// Download report. ?format=pdf renders the stored HTML to PDF on request,
+// ?format=pptx builds a PowerPoint deck from a presentation report's JSON and
+// ?format=xlsx exports the analysis behind the report as a workbook;
+// ?download=true asks the browser to save the file instead of showing it.
 app.get('/api/download-report/:reportId', async (req, res) => {
     try {
-        const reportPath = path.join(__dirname, '../reports', `${req.params.reportId}.html`);
+        const format = req.query.format || 'html';
+        if (!DOWNLOAD_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Unknown format. Use one of: ${DOWNLOAD_FORMATS.join(', ')}` });
+        }
+
+        if (format === 'pptx') {
+            const stored = await getReport(req.params.reportId);
+            if (!stored?.content?.report) {
+                return res.status(404).json({ error: 'Report not found' });
+            }
+            if (stored.type !== 'presentation') {
+                return res.status(400).json({ error: 'PowerPoint export is only available for presentation reports' });
+            }
+
+            const pptx = await renderPresentationPPTX(stored.content.report, {
+                totalRecords: stored.dataRows,
+                generatedAt: stored.generatedAt
+            });
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.presentationml.presentation');
+            res.setHeader('Content-Disposition', `attachment; filename="analysis-report-${req.params.reportId}.pptx"`);
+            return res.send(pptx);
+        }
+
+        if (format === 'xlsx') {
+            const stored = await getReport(req.params.reportId);
+            if (!stored) {
+                return res.status(404).json({ error: 'Report not found' });
+            }
+            const dataset = stored.datasetId && await getDataset(stored.datasetId);
+            if (!dataset) {
+                return res.status(404).json({ error: 'The dataset behind this report no longer exists' });
+            }
+
+            // Reports saved before their settings were stored use the dataset's
+            return sendAnalysisWorkbook(res, dataset,
+                stored.content?.mapping || dataset.mapping,
+                stored.content?.slaPolicy || dataset.slaPolicy,
+                `analysis-report-${req.params.reportId}.xlsx`,
+                stored.content?.filters);
+        }
+
+        const reportPath = await getReportHTMLPath(req.params.reportId);
         
-        if (await fs.pathExists(reportPath)) {
+        if (reportPath) {
             const htmlContent = await fs.readFile(reportPath, 'utf8');
             const isDownload = req.query.download === 'true';
+
+            if (format === 'pdf') {
+                let pdf;
+                try {
+                    pdf = await renderPDF(htmlContent);
+                } catch (error) {
+                    console.error('PDF export error:', error);
+                    return res.status(503).json({ error: 'PDF export is unavailable - headless Chrome could not be started' });
+                }
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `${isDownload ? 'attachment' : 'inline'}; filename="analysis-report-${req.params.reportId}.pdf"`);
+                return res.send(pdf);
+            }
             
             if (isDownload) {
                 // Force download with proper headers
@@ -1074,77 +1196,24 @@ app.use((error, req, res, next) => {
     res.status(500).json({ error: 'Internal server error' });
 });
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
-
-// HTML Report Generation Function
-async function generateHTMLReport(claudeAnalysis, reportType, data) {
-    let analysis;
-    try {
-        // Try to parse Claude's response as JSON
-        const cleanedResponse = claudeAnalysis.trim();
-        
-        // Handle cases where Claude wraps JSON in code blocks
-        let jsonContent = cleanedResponse;
-        if (cleanedResponse.startsWith('```json')) {
-            jsonContent = cleanedResponse.replace(/```json\n?/, '').replace(/\n?```$/, '');
-        } else if (cleanedResponse.startsWith('```')) {
-            jsonContent = cleanedResponse.replace(/```\n?/, '').replace(/\n?```$/, '');
-        }
-        
-        analysis = JSON.parse(jsonContent);
-        console.log('Successfully parsed Claude analysis:', Object.keys(analysis));
-    } catch (error) {
-        console.error('JSON parsing error:', error);
-        console.log('Raw Claude response:', claudeAnalysis.substring(0, 500));
-        
-        // Create a fallback structure if JSON parsing fails
-        analysis = {
-            title: 'Data Analysis Report',
-            summary: claudeAnalysis,
-            keyMetrics: [
-                { label: 'Total Records', value: data.length.toString(), trend: 'stable', impact: 'medium' }
-            ],
-            criticalFindings: [
-                { finding: 'Analysis completed', impact: 'Report generated from CSV data', priority: 'medium' }
-            ],
-            recommendations: [
-                { action: 'Review detailed analysis', timeline: 'immediate', impact: 'Better insights' }
-            ],
-            overview: {
-                totalRecords: data.length,
-                timeSpan: 'Based on uploaded data',
-                keyTrends: ['Data successfully processed']
-            },
-            performanceMetrics: [
-                { metric: 'Data Quality', current: 'Good', benchmark: 'Excellent', status: 'good' }
-            ],
-            insights: ['Analysis based on uploaded CSV data', 'Report generated successfully'],
-            slides: [
-                {
-                    title: 'Analysis Overview',
-                    type: 'overview',
-                    content: {
-                        headline: 'Data Analysis Complete',
-                        metrics: [
-                            { label: 'Records Processed', value: data.length.toString(), highlight: true }
-                        ],
-                        insights: ['Successfully processed uploaded data'],
-                        visual: 'data summary'
-                    }
-                }
-            ],
-            keyMessage: `Analysis of ${data.length} records completed`,
-            callToAction: 'Review the generated insights and take appropriate action'
-        };
-    }
+// Tests require the app without starting the server or the retention job
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        startRetentionScheduler();
+    });
+}
 
+// HTML Report Generation Function. The analysis has already been validated
+// against the report schema (or built offline), so it renders as-is. Charts
+// are drawn from the SLA analysis itself rather than the report JSON.
+// context holds the slaAnalysis and descriptions of the active filters.
+async function generateHTMLReport(analysis, reportType, totalRecords, context = {}) {
     const reportTemplates = {
-        executive: generateExecutiveTemplate(analysis, data),
-        detailed: generateDetailedTemplate(analysis, data),
-        presentation: generatePresentationTemplate(analysis, data)
+        executive: generateExecutiveTemplate(analysis, totalRecords, context),
+        detailed: generateDetailedTemplate(analysis, totalRecords, context),
+        presentation: generatePresentationTemplate(analysis, totalRecords, context)
     };
 
     return reportTemplates[reportType] || reportTemplates.detailed;
@@ -1152,14 +1221,20 @@ async function generateHTMLReport(claudeAnalysis, reportType, data) {
 
 // Enhanced HTML template functions - Replace your existing template functions
 
-function generateExecutiveTemplate(analysis, data) {
+// Active filters as a line for the report header
+function filterSummary(filters) {
+    return `Filters: ${filters.map(ReportUtils.escapeHTML).join(' · ')}`;
+}
+
+function generateExecutiveTemplate(analysis, totalRecords, { slaAnalysis, filters } = {}) {
+    const charts = renderReportCharts(slaAnalysis);
     return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${analysis.title || 'Executive Performance Report'}</title>
+    <title>${ReportUtils.escapeHTML(analysis.title || 'Executive Performance Report')}</title>
     <style>
         * {
             margin: 0;
@@ -1494,18 +1569,33 @@ function generateExecutiveTemplate(analysis, data) {
         .animate-count {
             animation: countUp 0.8s ease-out forwards;
         }
+
+        /* PDF export and browser printing */
+        @media print {
+            @page { size: A4; margin: 10mm; }
+            body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+            .animate-count { animation: none; opacity: 1; }
+            .header { box-shadow: none; }
+            .content-grid { display: block; }
+            .metric-card, .insight-item, .recommendation-item, .competitive-advantages {
+                break-inside: avoid;
+                box-shadow: none;
+            }
+            .section { break-inside: avoid-page; margin-bottom: 1.5rem; }
+        }${CHART_STYLES}${COMPARISON_STYLES}
     </style>
 </head>
 <body>
     <div class="header">
         <div class="header-content">
             <div>
-                <h1 class="team-title">${analysis.title || 'Executive Report'}</h1>
+                <h1 class="team-title">${ReportUtils.escapeHTML(analysis.title || 'Executive Report')}</h1>
                 <p class="team-subtitle">Strategic Performance Analysis</p>
+                ${filters && filters.length ? `<p class="team-subtitle">${filterSummary(filters)}</p>` : ''}
             </div>
             <div class="report-date">
                 <div>Generated: ${new Date().toLocaleDateString()}</div>
-                <div>Records: ${data.length.toLocaleString()}</div>
+                <div>Records: ${totalRecords.toLocaleString()}</div>
             </div>
         </div>
     </div>
@@ -1513,21 +1603,44 @@ function generateExecutiveTemplate(analysis, data) {
     <div class="container">
         <!-- Excellence Highlight -->
         <div class="excellence-highlight">
-            🏆 STRATEGIC INSIGHT: ${analysis.executiveSummary || 'Performance analysis demonstrates strong operational capabilities with strategic improvement opportunities'}
+            🏆 STRATEGIC INSIGHT: ${ReportUtils.escapeHTML(analysis.executiveSummary || 'Performance analysis demonstrates strong operational capabilities with strategic improvement opportunities')}
         </div>
 
         <!-- Key Metrics Overview -->
         <div class="metrics-overview">
             ${(analysis.keyMetrics || []).map((metric, index) => `
                 <div class="metric-card animate-count" style="animation-delay: ${index * 0.1}s">
-                    <span class="metric-number">${metric.value}</span>
-                    <span class="metric-label">${metric.label}</span>
-                    <div class="metric-status status-${metric.status || 'good'}">${metric.status || 'good'}</div>
-                    ${metric.businessImpact ? `<div style="font-size: 0.9rem; color: #26de81; margin-top: 0.5rem;">${metric.businessImpact}</div>` : ''}
+                    <span class="metric-number">${ReportUtils.escapeHTML(metric.value)}</span>
+                    <span class="metric-label">${ReportUtils.escapeHTML(metric.label)}</span>
+                    <div class="metric-status status-${ReportUtils.escapeHTML(metric.status || 'good')}">${ReportUtils.escapeHTML(metric.status || 'good')}</div>
+                    ${renderTrendBadge(metric)}
+                    ${metric.businessImpact ? `<div style="font-size: 0.9rem; color: #26de81; margin-top: 0.5rem;">${ReportUtils.escapeHTML(metric.businessImpact)}</div>` : ''}
                 </div>
             `).join('')}
         </div>
 
+        ${analysis.periodComparison ? `
+        <!-- Period Comparison -->
+        <div class="section full-width" style="margin-bottom: 2rem;">
+            <div class="section-header">
+                <h2 class="section-title">Period Comparison</h2>
+                <span class="section-badge">VS BASELINE</span>
+            </div>
+            ${renderPeriodComparison(analysis.periodComparison)}
+        </div>
+        ` : ''}
+
+        ${charts ? `
+        <!-- Performance Charts -->
+        <div class="section full-width" style="margin-bottom: 2rem;">
+            <div class="section-header">
+                <h2 class="section-title">Performance Charts</h2>
+                <span class="section-badge">DATA VIEW</span>
+            </div>
+            ${charts}
+        </div>
+        ` : ''}
+
         <div class="content-grid">
             <!-- Strategic Insights -->
             ${(analysis.strategicInsights && analysis.strategicInsights.length > 0) ? `
@@ -1539,15 +1652,15 @@ function generateExecutiveTemplate(analysis, data) {
                 
                 ${analysis.strategicInsights.map(insight => `
                     <div class="insight-item">
-                        <div class="insight-title">${insight.category}</div>
-                        <div class="insight-description">${insight.insight}</div>
+                        <div class="insight-title">${ReportUtils.escapeHTML(insight.category)}</div>
+                        <div class="insight-description">${ReportUtils.escapeHTML(insight.insight)}</div>
                         <div class="insight-meta">
                             <span class="meta-item priority-${insight.impact === 'high' ? 'high' : insight.impact === 'medium' ? 'medium' : 'low'}">
-                                ${insight.impact.toUpperCase()} IMPACT
+                                ${ReportUtils.escapeHTML(insight.impact.toUpperCase())} IMPACT
                             </span>
                         </div>
                         <div style="color: #26de81; font-weight: 500; margin-top: 0.5rem;">
-                            → ${insight.recommendation}
+                            → ${ReportUtils.escapeHTML(insight.recommendation)}
                         </div>
                     </div>
                 `).join('')}
@@ -1564,20 +1677,20 @@ function generateExecutiveTemplate(analysis, data) {
                 
                 ${analysis.businessRecommendations.map(rec => `
                     <div class="recommendation-item">
-                        <div class="recommendation-title">${rec.action}</div>
-                        <div class="recommendation-details">${rec.expectedROI}</div>
+                        <div class="recommendation-title">${ReportUtils.escapeHTML(rec.action)}</div>
+                        <div class="recommendation-details">${ReportUtils.escapeHTML(rec.expectedROI)}</div>
                         <div class="recommendation-meta">
                             <div class="meta-box">
                                 <div class="meta-label">Priority</div>
-                                <div class="meta-value">${rec.priority}</div>
+                                <div class="meta-value">${ReportUtils.escapeHTML(rec.priority)}</div>
                             </div>
                             <div class="meta-box">
                                 <div class="meta-label">Timeline</div>
-                                <div class="meta-value">${rec.timeline}</div>
+                                <div class="meta-value">${ReportUtils.escapeHTML(rec.timeline)}</div>
                             </div>
                             <div class="meta-box">
                                 <div class="meta-label">Investment</div>
-                                <div class="meta-value">${rec.investment}</div>
+                                <div class="meta-value">${ReportUtils.escapeHTML(rec.investment)}</div>
                             </div>
                         </div>
                     </div>
@@ -1594,7 +1707,7 @@ function generateExecutiveTemplate(analysis, data) {
             <div class="advantage-list">
                 ${analysis.competitiveAdvantages.map(advantage => `
                     <div class="advantage-item">
-                        <strong>✓</strong> ${advantage}
+                        <strong>✓</strong> ${ReportUtils.escapeHTML(advantage)}
                     </div>
                 `).join('')}
             </div>
@@ -1604,7 +1717,7 @@ function generateExecutiveTemplate(analysis, data) {
         ${analysis.summary ? `
         <div class="section full-width" style="text-align: center; background: linear-gradient(135deg, #26de81 0%, #20bf6b 100%); color: white;">
             <h2>Executive Summary</h2>
-            <p style="font-size: 1.2rem; margin-top: 1rem;">${analysis.summary}</p>
+            <p style="font-size: 1.2rem; margin-top: 1rem;">${ReportUtils.escapeHTML(analysis.summary)}</p>
         </div>
         ` : ''}
     </div>
@@ -1648,14 +1761,15 @@ function generateExecutiveTemplate(analysis, data) {
 </html>`;
 }
 
-function generateDetailedTemplate(analysis, data) {
+function generateDetailedTemplate(analysis, totalRecords, { slaAnalysis, filters } = {}) {
+    const charts = renderReportCharts(slaAnalysis);
     return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${analysis.reportMetadata?.title || 'Detailed Operations Analysis'}</title>
+    <title>${ReportUtils.escapeHTML(analysis.reportMetadata?.title || 'Detailed Operations Analysis')}</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
         body {
@@ -1910,23 +2024,37 @@ function generateDetailedTemplate(analysis, data) {
         .trend-stable { background: #54a0ff; color: white; }
         .trend-improving { background: #26de81; color: white; }
         .trend-declining { background: #ff4757; color: white; }
+
+        /* PDF export and browser printing */
+        @media print {
+            @page { size: A4; margin: 10mm; }
+            body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+            .container { padding: 0; }
+            .header, .performance-dashboard { box-shadow: none; }
+            .metric-card, .sla-metric, .performance-stat, .stat-item, .insight-item, .rec-category {
+                break-inside: avoid;
+                box-shadow: none;
+            }
+            h2 { break-after: avoid; }
+        }${CHART_STYLES}${COMPARISON_STYLES}
     </style>
 </head>
 <body>
     <div class="container">
         <div class="header">
-            <h1>${analysis.reportMetadata?.title || 'Operations Analysis'}</h1>
-            <p class="subtitle">Generated: ${analysis.reportMetadata?.generatedDate || new Date().toLocaleDateString()}</p>
-            <p class="subtitle">Records Analyzed: ${analysis.reportMetadata?.totalRecords || data.length}</p>
-            <p class="subtitle">${analysis.reportMetadata?.dataQuality || 'Comprehensive performance analysis'}</p>
+            <h1>${ReportUtils.escapeHTML(analysis.reportMetadata?.title || 'Operations Analysis')}</h1>
+            <p class="subtitle">Generated: ${ReportUtils.escapeHTML(analysis.reportMetadata?.generatedDate || new Date().toLocaleDateString())}</p>
+            <p class="subtitle">Records Analyzed: ${ReportUtils.escapeHTML(analysis.reportMetadata?.totalRecords || totalRecords)}</p>
+            <p class="subtitle">${ReportUtils.escapeHTML(analysis.reportMetadata?.dataQuality || 'Comprehensive performance analysis')}</p>
+            ${filters && filters.length ? `<p class="subtitle">${filterSummary(filters)}</p>` : ''}
         </div>
 
         ${analysis.performanceOverview ? `
         <div class="performance-dashboard">
             <div class="dashboard-title">Overall Performance Health</div>
-            <div class="health-indicator">${analysis.performanceOverview.overallHealth}</div>
+            <div class="health-indicator">${ReportUtils.escapeHTML(analysis.performanceOverview.overallHealth)}</div>
             <div style="margin-top: 1rem; font-size: 1.1rem;">
-                Trend Direction: ${analysis.performanceOverview.trendDirection}
+                Trend Direction: ${ReportUtils.escapeHTML(analysis.performanceOverview.trendDirection)}
             </div>
         </div>
         ` : ''}
@@ -1937,52 +2065,66 @@ function generateDetailedTemplate(analysis, data) {
             <div class="sla-breakdown">
                 <div class="sla-metric">
                     <h3>First Response SLA</h3>
-                    <div class="sla-value">${analysis.slaPerformance.firstResponseSLA.complianceRate}</div>
+                    <div class="sla-value">${ReportUtils.escapeHTML(analysis.slaPerformance.firstResponseSLA.complianceRate)}</div>
                     <div class="sla-detail">
-                        ${analysis.slaPerformance.firstResponseSLA.violations} violations out of ${analysis.slaPerformance.firstResponseSLA.totalEvaluated} tickets
+                        ${ReportUtils.escapeHTML(analysis.slaPerformance.firstResponseSLA.violations)} violations out of ${ReportUtils.escapeHTML(analysis.slaPerformance.firstResponseSLA.totalEvaluated)} tickets
                     </div>
                     <div class="sla-status status-${analysis.slaPerformance.firstResponseSLA.status?.includes('Exceeds') ? 'excellent' : analysis.slaPerformance.firstResponseSLA.status?.includes('Meets') ? 'good' : 'needs_improvement'}">
-                        ${analysis.slaPerformance.firstResponseSLA.status}
+                        ${ReportUtils.escapeHTML(analysis.slaPerformance.firstResponseSLA.status)}
                     </div>
                     <div style="margin-top: 1rem; color: #b0b0b0; font-size: 0.9rem;">
-                        Gap to Benchmark: ${analysis.slaPerformance.firstResponseSLA.performanceGap}
+                        Gap to Benchmark: ${ReportUtils.escapeHTML(analysis.slaPerformance.firstResponseSLA.performanceGap)}
                     </div>
                 </div>
                 <div class="sla-metric">
                     <h3>Resolution SLA</h3>
-                    <div class="sla-value">${analysis.slaPerformance.resolutionSLA.complianceRate}</div>
+                    <div class="sla-value">${ReportUtils.escapeHTML(analysis.slaPerformance.resolutionSLA.complianceRate)}</div>
                     <div class="sla-detail">
-                        ${analysis.slaPerformance.resolutionSLA.violations} violations out of ${analysis.slaPerformance.resolutionSLA.totalEvaluated} tickets
+                        ${ReportUtils.escapeHTML(analysis.slaPerformance.resolutionSLA.violations)} violations out of ${ReportUtils.escapeHTML(analysis.slaPerformance.resolutionSLA.totalEvaluated)} tickets
                     </div>
                     <div class="sla-status status-${analysis.slaPerformance.resolutionSLA.status?.includes('Exceeds') ? 'excellent' : analysis.slaPerformance.resolutionSLA.status?.includes('Meets') ? 'good' : 'needs_improvement'}">
-                        ${analysis.slaPerformance.resolutionSLA.status}
+                        ${ReportUtils.escapeHTML(analysis.slaPerformance.resolutionSLA.status)}
                     </div>
                     <div style="margin-top: 1rem; color: #b0b0b0; font-size: 0.9rem;">
-                        Gap to Benchmark: ${analysis.slaPerformance.resolutionSLA.performanceGap}
+                        Gap to Benchmark: ${ReportUtils.escapeHTML(analysis.slaPerformance.resolutionSLA.performanceGap)}
                     </div>
                 </div>
             </div>
         </div>
         ` : ''}
 
+        ${analysis.periodComparison ? `
+        <div class="section">
+            <h2>Period Comparison</h2>
+            ${renderPeriodComparison(analysis.periodComparison)}
+        </div>
+        ` : ''}
+
+        ${charts ? `
+        <div class="section">
+            <h2>Performance Charts</h2>
+            ${charts}
+        </div>
+        ` : ''}
+
         ${analysis.teamPerformance ? `
         <div class="section">
             <h2>Team Performance Overview</h2>
             <div class="performance-grid">
                 <div class="performance-stat">
-                    <span class="stat-number">${analysis.teamPerformance.totalAgents}</span>
+                    <span class="stat-number">${ReportUtils.escapeHTML(analysis.teamPerformance.totalAgents)}</span>
                     <div class="stat-label">Active Agents</div>
                 </div>
                 <div class="performance-stat">
-                    <span class="stat-number">${analysis.teamPerformance.averageTicketsPerAgent}</span>
+                    <span class="stat-number">${ReportUtils.escapeHTML(analysis.teamPerformance.averageTicketsPerAgent)}</span>
                     <div class="stat-label">Avg Tickets/Agent</div>
                 </div>
                 <div class="performance-stat">
-                    <span class="stat-number">${analysis.teamPerformance.performanceDistribution?.excellentPerformers || 0}</span>
+                    <span class="stat-number">${ReportUtils.escapeHTML(analysis.teamPerformance.performanceDistribution?.excellentPerformers || 0)}</span>
                     <div class="stat-label">Top Performers</div>
                 </div>
                 <div class="performance-stat">
-                    <span class="stat-number">${analysis.teamPerformance.performanceDistribution?.needsImprovement || 0}</span>
+                    <span class="stat-number">${ReportUtils.escapeHTML(analysis.teamPerformance.performanceDistribution?.needsImprovement || 0)}</span>
                     <div class="stat-label">Need Development</div>
                 </div>
             </div>
@@ -1990,18 +2132,18 @@ function generateDetailedTemplate(analysis, data) {
             <h3 style="color: #26de81; margin: 2rem 0 1rem 0;">Top Performing Agents</h3>
             ${(analysis.teamPerformance.topPerformers || []).map(agent => `
                 <div class="team-member">
-                    <div class="member-name">${agent.agent}</div>
+                    <div class="member-name">${ReportUtils.escapeHTML(agent.agent)}</div>
                     <div class="member-stats">
                         <div class="stat-item">
-                            <strong>${agent.totalTickets}</strong><br>
+                            <strong>${ReportUtils.escapeHTML(agent.totalTickets)}</strong><br>
                             <small>Total Tickets</small>
                         </div>
                         <div class="stat-item">
-                            <strong>${agent.violationRate}</strong><br>
+                            <strong>${ReportUtils.escapeHTML(agent.violationRate)}</strong><br>
                             <small>Violation Rate</small>
                         </div>
                         <div class="stat-item">
-                            <strong>${agent.performance}</strong><br>
+                            <strong>${ReportUtils.escapeHTML(agent.performance)}</strong><br>
                             <small>Performance</small>
                         </div>
                     </div>
@@ -2015,22 +2157,22 @@ function generateDetailedTemplate(analysis, data) {
             <h2>Category Performance Analysis</h2>
             ${analysis.categoryAnalysis.map(category => `
                 <div class="category-item">
-                    <div class="category-name">${category.category}</div>
+                    <div class="category-name">${ReportUtils.escapeHTML(category.category)}</div>
                     <div class="category-stats">
                         <div class="stat-item">
-                            <strong>${category.volume}</strong><br>
+                            <strong>${ReportUtils.escapeHTML(category.volume)}</strong><br>
                             <small>Total Volume</small>
                         </div>
                         <div class="stat-item">
-                            <strong>${category.percentage}</strong><br>
+                            <strong>${ReportUtils.escapeHTML(category.percentage)}</strong><br>
                             <small>% of Total</small>
                         </div>
                         <div class="stat-item">
-                            <strong>${category.responseViolations}</strong><br>
+                            <strong>${ReportUtils.escapeHTML(category.responseViolations)}</strong><br>
                             <small>Response Violations</small>
                         </div>
                         <div class="stat-item">
-                            <strong>${category.overallHealth}</strong><br>
+                            <strong>${ReportUtils.escapeHTML(category.overallHealth)}</strong><br>
                             <small>Health Status</small>
                         </div>
                     </div>
@@ -2043,7 +2185,7 @@ function generateDetailedTemplate(analysis, data) {
         <div class="section">
             <h2>Key Operational Insights</h2>
             ${analysis.operationalInsights.map(insight => `
-                <div class="insight-item">${insight}</div>
+                <div class="insight-item">${ReportUtils.escapeHTML(insight)}</div>
             `).join('')}
         </div>
         ` : ''}
@@ -2053,9 +2195,9 @@ function generateDetailedTemplate(analysis, data) {
             <h2 style="color: #ffffff; margin-bottom: 2rem; text-align: center; font-size: 2rem;">Strategic Action Plan</h2>
             ${analysis.actionableRecommendations.map(recCategory => `
                 <div class="rec-category">
-                    <h3>${recCategory.category}</h3>
+                    <h3>${ReportUtils.escapeHTML(recCategory.category)}</h3>
                     ${recCategory.items.map(item => `
-                        <div class="rec-item">→ ${item}</div>
+                        <div class="rec-item">→ ${ReportUtils.escapeHTML(item)}</div>
                     `).join('')}
                 </div>
             `).join('')}
@@ -2114,14 +2256,14 @@ function generateDetailedTemplate(analysis, data) {
 </html>`;
 }
 
-function generatePresentationTemplate(analysis, data) {
+function generatePresentationTemplate(analysis, totalRecords, { slaAnalysis, filters } = {}) {
     return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${analysis.presentationTitle || 'Performance Presentation'}</title>
+    <title>${ReportUtils.escapeHTML(analysis.presentationTitle || 'Performance Presentation')}</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
         body {
@@ -2410,6 +2552,24 @@ function generatePresentationTemplate(analysis, data) {
             font-size: 0.9em;
             font-weight: bold;
         }
+
+        /* PDF export and browser printing: one slide per landscape page */
+        @media print {
+            @page { size: A4 landscape; margin: 0; }
+            body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+            .navigation { display: none; }
+            .presentation-container { max-width: none; padding: 0; }
+            .slide {
+                margin: 0;
+                min-height: 100vh;
+                border-radius: 0;
+                box-shadow: none;
+                break-inside: avoid;
+                break-after: page;
+            }
+            .slide:last-child { break-after: auto; }
+            .metric-display, .key-stat, .summary-card { animation: none; transition: none; }
+        }${CHART_STYLES}${COMPARISON_STYLES}
     </style>
 </head>
 <body>
@@ -2425,13 +2585,14 @@ function generatePresentationTemplate(analysis, data) {
         <!-- Title Slide -->
         <div class="slide title-slide" id="slide-0">
             <div class="slide-counter">Slide 1 of ${(analysis.slides || []).length + 2}</div>
-            <h1>${analysis.presentationTitle || 'Performance Excellence'}</h1>
-            <p class="subtitle">${analysis.executiveMessage || 'Strategic Performance Analysis'}</p>
-            <p style="font-size: 1.2em; margin-bottom: 40px;">${data.length.toLocaleString()} Records Analyzed</p>
+            <h1>${ReportUtils.escapeHTML(analysis.presentationTitle || 'Performance Excellence')}</h1>
+            <p class="subtitle">${ReportUtils.escapeHTML(analysis.executiveMessage || 'Strategic Performance Analysis')}</p>
+            <p style="font-size: 1.2em; margin-bottom: ${filters && filters.length ? '10px' : '40px'};">${totalRecords.toLocaleString()} Records Analyzed</p>
+            ${filters && filters.length ? `<p style="color: #b0b0b0; margin-bottom: 40px;">${filterSummary(filters)}</p>` : ''}
             
             <div style="display: flex; justify-content: center; flex-wrap: wrap;">
                 <div class="key-stat">
-                    <span class="number">${data.length}</span>
+                    <span class="number">${totalRecords}</span>
                     <span class="label">Total Tickets</span>
                 </div>
                 <div class="key-stat">
@@ -2444,10 +2605,10 @@ function generatePresentationTemplate(analysis, data) {
         ${(analysis.slides || []).map((slide, index) => `
             <div class="slide" id="slide-${index + 1}">
                 <div class="slide-counter">Slide ${index + 2} of ${(analysis.slides || []).length + 2}</div>
-                <h2>${slide.title}</h2>
+                <h2>${ReportUtils.escapeHTML(slide.title)}</h2>
                 ${slide.content.headline ? `
                     <div style="font-size: 1.3em; margin: 25px 0; color: #20bf6b; text-align: center;">
-                        ${slide.content.headline}
+                        ${ReportUtils.escapeHTML(slide.content.headline)}
                     </div>
                 ` : ''}
                 
@@ -2455,45 +2616,49 @@ function generatePresentationTemplate(analysis, data) {
                     <div class="metrics-showcase">
                         ${slide.content.keyMetrics.map(metric => `
                             <div class="metric-display">
-                                <span class="big-number">${metric.value}</span>
-                                <div class="metric-name">${metric.metric}</div>
-                                <div class="status-indicator status-${metric.status}">${metric.status}</div>
-                                ${metric.benchmark ? `<div style="font-size: 0.9em; color: #b0b0b0; margin-top: 10px;">Target: ${metric.benchmark}</div>` : ''}
+                                <span class="big-number">${ReportUtils.escapeHTML(metric.value)}</span>
+                                <div class="metric-name">${ReportUtils.escapeHTML(metric.metric)}</div>
+                                <div class="status-indicator status-${ReportUtils.escapeHTML(metric.status)}">${ReportUtils.escapeHTML(metric.status)}</div>
+                                ${renderTrendBadge(metric)}
+                                ${metric.benchmark ? `<div style="font-size: 0.9em; color: #b0b0b0; margin-top: 10px;">Target: ${ReportUtils.escapeHTML(metric.benchmark)}</div>` : ''}
                             </div>
                         `).join('')}
                     </div>
                 ` : ''}
+                ${slide.type === 'metrics_overview' ? renderPeriodComparison(analysis.periodComparison) : ''}
+                ${slide.type === 'metrics_overview' ? renderReportCharts(slaAnalysis, ['monthlyTrend', 'dayOfWeek']) : ''}
 
                 ${slide.type === 'team_breakdown' && slide.content.teamMetrics ? `
                     <div class="metrics-showcase">
                         ${slide.content.teamMetrics.map(metric => `
                             <div class="metric-display">
-                                <span class="big-number">${metric.value}</span>
-                                <div class="metric-name">${metric.metric}</div>
-                                <div style="font-size: 0.9em; color: #b0b0b0; margin-top: 10px;">${metric.context}</div>
+                                <span class="big-number">${ReportUtils.escapeHTML(metric.value)}</span>
+                                <div class="metric-name">${ReportUtils.escapeHTML(metric.metric)}</div>
+                                <div style="font-size: 0.9em; color: #b0b0b0; margin-top: 10px;">${ReportUtils.escapeHTML(metric.context)}</div>
                             </div>
                         `).join('')}
                     </div>
                 ` : ''}
+                ${slide.type === 'team_breakdown' ? renderReportCharts(slaAnalysis, ['agentWorkload', 'categoryCompliance']) : ''}
 
                 ${slide.type === 'action_plan' && slide.content.strategicActions ? `
                     <div class="action-showcase">
                         ${slide.content.strategicActions.map(action => `
                             <div class="action-card">
-                                <div class="action-priority priority-${action.priority.toLowerCase()}">${action.priority} Priority</div>
-                                <div class="action-title">${action.action}</div>
+                                <div class="action-priority priority-${ReportUtils.escapeHTML(action.priority.toLowerCase())}">${ReportUtils.escapeHTML(action.priority)} Priority</div>
+                                <div class="action-title">${ReportUtils.escapeHTML(action.action)}</div>
                                 <div class="action-meta">
                                     <div class="meta-item">
                                         <div class="meta-label">Timeline</div>
-                                        <div>${action.timeline}</div>
+                                        <div>${ReportUtils.escapeHTML(action.timeline)}</div>
                                     </div>
                                     <div class="meta-item">
                                         <div class="meta-label">Investment</div>
-                                        <div>${action.investment}</div>
+                                        <div>${ReportUtils.escapeHTML(action.investment)}</div>
                                     </div>
                                     <div class="meta-item">
                                         <div class="meta-label">Impact</div>
-                                        <div>${action.impact.substring(0, 20)}...</div>
+                                        <div>${ReportUtils.escapeHTML(action.impact.substring(0, 20))}...</div>
                                     </div>
                                 </div>
                             </div>
@@ -2505,7 +2670,7 @@ function generatePresentationTemplate(analysis, data) {
                     <div class="insight-highlight">
                         <h4>Key Insights</h4>
                         <ul class="insight-list">
-                            ${slide.content.insights.map(insight => `<li>${insight}</li>`).join('')}
+                            ${slide.content.insights.map(insight => `<li>${ReportUtils.escapeHTML(insight)}</li>`).join('')}
                         </ul>
                     </div>
                 ` : ''}
@@ -2519,30 +2684,30 @@ function generatePresentationTemplate(analysis, data) {
             ${analysis.executiveSummary ? `
                 <div class="insight-highlight">
                     <h4>Key Message</h4>
-                    <p style="font-size: 1.2em; line-height: 1.6;">${analysis.executiveSummary.keyMessage}</p>
+                    <p style="font-size: 1.2em; line-height: 1.6;">${ReportUtils.escapeHTML(analysis.executiveSummary.keyMessage)}</p>
                 </div>
                 
                 <div class="insight-highlight">
                     <h4>Business Impact</h4>
-                    <p style="font-size: 1.1em; line-height: 1.6;">${analysis.executiveSummary.businessImpact}</p>
+                    <p style="font-size: 1.1em; line-height: 1.6;">${ReportUtils.escapeHTML(analysis.executiveSummary.businessImpact)}</p>
                 </div>
                 
                 <div class="insight-highlight">
                     <h4>Next Steps</h4>
-                    <p style="font-size: 1.1em; line-height: 1.6;">${analysis.executiveSummary.nextSteps}</p>
+                    <p style="font-size: 1.1em; line-height: 1.6;">${ReportUtils.escapeHTML(analysis.executiveSummary.nextSteps)}</p>
                 </div>
             ` : ''}
             
             <div class="summary-card">
-                🎯 ${analysis.executiveSummary?.keyMessage || 'Strategic performance analysis complete - ready for action'}
+                🎯 ${ReportUtils.escapeHTML(analysis.executiveSummary?.keyMessage || 'Strategic performance analysis complete - ready for action')}
             </div>
             
             <div style="text-align: center; margin-top: 40px;">
                 <p style="font-size: 1.1em; color: #b0b0b0;">
-                    Analysis based on ${data.length.toLocaleString()} support interactions
+                    Analysis based on ${totalRecords.toLocaleString()} support interactions
                 </p>
                 <p style="font-size: 1em; color: #26de81; margin-top: 10px;">
-                    ${analysis.appendix?.confidence || 'High confidence analysis'} • ${analysis.appendix?.analysisMethod || 'Comprehensive review methodology'}
+                    ${ReportUtils.escapeHTML(analysis.appendix?.confidence || 'High confidence analysis')} • ${ReportUtils.escapeHTML(analysis.appendix?.analysisMethod || 'Comprehensive review methodology')}
                 </p>
             </div>
         </div>
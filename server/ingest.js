@@ -0,0 +1,206 @@
+const { listProfiles, matchProfile, resolveMapping } = require('./mappingProfiles');
+const { createDatasetWriter, getDataset, iterateDatasetRows, updateDataset } = require('./datasetStore');
+const { createSLAAccumulator, createStructureAccumulator } = require('./analysis');
+const { openRowSource } = require('./fileReaders');
+const { detectCSVDialect } = require('./csvDialect');
+const { getSLAPolicy } = require('./slaPolicy');
+const { createPIIScanner } = require('./piiScanner');
+const { createInstructionScanner } = require('./promptSafety');
+const { DataUtils } = require('./utils');
+const { MergeError, checkCompatibility, detectIdColumn, createMerge } = require('./datasetMerge');
+const { RecipeError, checkRecipeColumns, transformRows } = require('./transformRecipes');
+
+// Structure and SLA aggregates of a stream of rows. Every reader gives each
+// row the full set of columns, so the first row is enough to suggest a
+// mapping profile for the file. The scans for personal data and for
+// instruction-like values ride along.
+async function createAggregates() {
+    const profiles = await listProfiles();
+    const slaPolicy = await getSLAPolicy();
+    const structure = createStructureAccumulator();
+    const scanner = createPIIScanner();
+    const instructions = createInstructionScanner();
+    let mappingSuggestion = null;
+    let mapping = null;
+    let sla = null;
+
+    return {
+        add(row) {
+            if (!sla) {
+                mappingSuggestion = matchProfile(profiles, Object.keys(row));
+                mapping = resolveMapping(profiles.find(profile => profile.id === mappingSuggestion.profileId));
+                sla = createSLAAccumulator(mapping, slaPolicy);
+            }
+            structure.add(row);
+            sla.add(row);
+            scanner.add(row);
+            instructions.add(row);
+        },
+
+        // null when no rows were added
+        finalize() {
+            const dataStructure = structure.finalize();
+            if (!dataStructure) return null;
+            return {
+                dataStructure,
+                mappingSuggestion,
+                mapping,
+                slaPolicy,
+                slaAnalysis: sla.finalize(),
+                pii: scanner.finalize(),
+                suspiciousContent: instructions.finalize()
+            };
+        }
+    };
+}
+
+// Stream rows through the cleaning stage into the dataset store, building
+// the aggregates as they go by. details() supplies the rest of the
+// metadata once every row has been read. A dataset read again keeps its
+// transform recipe: it is checked against the first new row, so a recipe
+// that no longer fits fails before the stored rows are replaced, and then
+// applied to the new rows.
+async function ingestRows(rows, datasetId, details) {
+    const recipe = datasetId ? (await getDataset(datasetId))?.recipe || null : null;
+    const aggregates = await createAggregates();
+    const writer = await createDatasetWriter(datasetId);
+    const cleaner = DataUtils.createCleaner();
+
+    let stored;
+    try {
+        let checked = !recipe;
+        for await (const raw of rows) {
+            const row = cleaner.clean(raw);
+            if (!row) continue;
+            if (!checked) {
+                checkRecipeColumns(recipe, Object.keys(row));
+                checked = true;
+            }
+            aggregates.add(row);
+            await writer.write(row);
+        }
+
+        const summary = aggregates.finalize();
+        if (!summary) {
+            await writer.abort();
+            return null;
+        }
+
+        stored = await writer.finish({
+            ...await details(),
+            ...summary,
+            cleaning: cleaner.report()
+        });
+    } catch (error) {
+        await writer.abort();
+        throw error;
+    }
+    return recipe ? applyRecipe(stored, recipe) : stored;
+}
+
+/**
+ * Stream an uploaded file into the dataset store in a single pass, building
+ * the structure and SLA aggregates as rows go by
+ * @param {string} filePath - Path of the uploaded file
+ * @param {Object} options - fileName and format of the original upload,
+ *   sheetName for workbooks, dialect to read a CSV file with instead of the
+ *   detected one, and datasetId to re-ingest an existing dataset
+ * @returns {Promise<Object>} - Stored dataset metadata, or null when the
+ *   file has no data rows
+ * @throws {RecipeError} - When the re-ingested dataset's transform recipe
+ *   does not fit the new rows
+ */
+async function ingestFile(filePath, { fileName, format, sheetName, dialect, datasetId }) {
+    const source = await openRowSource(filePath, format, { sheetName, dialect });
+    // What the file looked like is kept alongside any override, so
+    // DataPreview can show both
+    const detectedDialect = format === 'csv'
+        ? (dialect ? await detectCSVDialect(filePath) : source.dialect)
+        : undefined;
+    return ingestRows(source.rows, datasetId, () => ({
+        fileName,
+        format,
+        sheetNames: source.sheetNames,
+        sheetName: source.sheetName,
+        dialect: source.dialect,
+        detectedDialect
+    }));
+}
+
+function mergedFileName(files) {
+    const names = files.map(file => file.fileName);
+    return names.length <= 3
+        ? names.join(', ')
+        : `${names.slice(0, 2).join(', ')} and ${names.length - 2} more`;
+}
+
+/**
+ * Merge several uploaded files into one dataset. Workbooks contribute their
+ * first sheet.
+ * @param {Array} files - { path, fileName, format } of each upload, in order
+ * @param {Object} options - idColumn to de-duplicate on (detected when
+ *   undefined, no de-duplication when null or empty) and datasetId to
+ *   re-merge an existing dataset
+ * @returns {Promise<Object>} - Stored dataset metadata with a merge report,
+ *   or null when the files have no data rows
+ * @throws {MergeError} - When the files are not compatible or the ID column
+ *   is not in every file
+ * @throws {RecipeError} - When the re-merged dataset's transform recipe
+ *   does not fit the new rows
+ */
+async function ingestFiles(files, { idColumn, datasetId } = {}) {
+    const compatibility = await checkCompatibility(files);
+
+    let dedupeColumn = idColumn === undefined ? detectIdColumn(compatibility.commonColumns) : idColumn || null;
+    if (dedupeColumn && !compatibility.commonColumns.includes(dedupeColumn)) {
+        throw new MergeError(`Column "${dedupeColumn}" is not in every file`);
+    }
+
+    const formats = [...new Set(files.map(file => file.format))];
+    const merge = createMerge(files, compatibility, dedupeColumn);
+    return ingestRows(merge.rows(), datasetId, async () => ({
+        fileName: mergedFileName(files),
+        format: formats.length === 1 ? formats[0] : 'mixed',
+        merge: await merge.report()
+    }));
+}
+
+/**
+ * Apply a transform recipe to a stored dataset, or remove the one applied.
+ * The stored rows are left as they are; the structure, mapping suggestion
+ * and SLA aggregates are rebuilt from the transformed rows.
+ * @param {Object} dataset - Dataset metadata
+ * @param {Object|null} recipe - Normalized recipe, with the id and name of
+ *   the saved recipe it came from if any; null removes the current one
+ * @returns {Promise<Object>} - Updated dataset metadata
+ * @throws {RecipeError} - When the recipe does not fit the dataset's columns
+ */
+async function applyRecipe(dataset, recipe) {
+    const aggregates = await createAggregates();
+    let sourceColumns = null;
+
+    // The recipe is checked against the stored columns before any row is transformed
+    async function* checkedRows(rows) {
+        for await (const row of rows) {
+            if (!sourceColumns) {
+                sourceColumns = Object.keys(row);
+                if (recipe) checkRecipeColumns(recipe, sourceColumns);
+            }
+            yield row;
+        }
+    }
+
+    for await (const row of transformRows(checkedRows(iterateDatasetRows(dataset.id)), recipe)) {
+        aggregates.add(row);
+    }
+
+    const summary = aggregates.finalize();
+    if (!summary) throw new RecipeError('Dataset contains no rows');
+    return updateDataset(dataset.id, { ...summary, sourceColumns, recipe: recipe || null });
+}
+
+module.exports = {
+    ingestFile,
+    ingestFiles,
+    applyRecipe
+};
@@ -0,0 +1,183 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Anthropic } = require('@anthropic-ai/sdk');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures/llm');
+
+const DEFAULT_MODELS = {
+    anthropic: 'claude-3-5-sonnet-20241022',
+    openai: 'gpt-4o-mini',
+    fixture: 'fixture'
+};
+
+/**
+ * Generation settings per report type. Any of them can be overridden with
+ * LLM_MODEL / LLM_MAX_TOKENS / LLM_TEMPERATURE, or per report type with
+ * e.g. LLM_EXECUTIVE_MODEL or LLM_DETAILED_TEMPERATURE.
+ */
+const REPORT_SETTINGS = {
+    executive: { maxTokens: 4000, temperature: 0.3 },
+    detailed: { maxTokens: 4000, temperature: 0.2 },
+    presentation: { maxTokens: 4000, temperature: 0.4 }
+};
+
+function readNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Resolve model, max_tokens and temperature for a report type
+ * @param {Object} provider - Provider from createLLMProvider()
+ * @param {string} reportType - executive, detailed or presentation
+ * @param {Object} [env] - Environment to read overrides from
+ * @returns {Object} - model, maxTokens and temperature
+ */
+function getReportSettings(provider, reportType, env = process.env) {
+    const defaults = REPORT_SETTINGS[reportType] || REPORT_SETTINGS.detailed;
+    const prefix = `LLM_${String(reportType).toUpperCase()}_`;
+
+    return {
+        model: env[`${prefix}MODEL`] || env.LLM_MODEL || provider.defaultModel,
+        maxTokens: Math.round(readNumber(env[`${prefix}MAX_TOKENS`], readNumber(env.LLM_MAX_TOKENS, defaults.maxTokens))),
+        temperature: readNumber(env[`${prefix}TEMPERATURE`], readNumber(env.LLM_TEMPERATURE, defaults.temperature))
+    };
+}
+
+function createAnthropicProvider(env) {
+    const apiKey = env.LLM_API_KEY || env.CLAUDE_API_KEY;
+    const client = new Anthropic({
+        apiKey,
+        ...(env.LLM_BASE_URL ? { baseURL: env.LLM_BASE_URL } : {})
+    });
+
+    return {
+        name: 'anthropic',
+        label: 'Claude AI',
+        defaultModel: DEFAULT_MODELS.anthropic,
+        isConfigured: () => Boolean(apiKey),
+
+        async complete({ messages, model, maxTokens, temperature, signal }) {
+            const response = await client.messages.create({
+                model,
+                max_tokens: maxTokens,
+                temperature,
+                messages
+            }, { signal });
+            return response.content[0].text;
+        }
+    };
+}
+
+// Any endpoint that speaks the OpenAI chat completions API: OpenAI itself,
+// Azure OpenAI, Ollama, LM Studio, vLLM and so on
+function createOpenAIProvider(env) {
+    const baseUrl = (env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = env.LLM_API_KEY;
+
+    return {
+        name: 'openai',
+        label: 'AI provider',
+        defaultModel: DEFAULT_MODELS.openai,
+        // Local servers usually need no key, so a custom URL is enough
+        isConfigured: () => Boolean(apiKey || env.LLM_BASE_URL),
+
+        async complete({ messages, model, maxTokens, temperature, signal }) {
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                signal,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                },
+                body: JSON.stringify({ model, max_tokens: maxTokens, temperature, messages })
+            });
+
+            if (!response.ok) {
+                throw new Error(`LLM endpoint returned ${response.status}`);
+            }
+
+            const result = await response.json();
+            const text = result.choices?.[0]?.message?.content;
+            if (typeof text !== 'string') {
+                throw new Error('LLM endpoint returned no message content');
+            }
+            return text;
+        }
+    };
+}
+
+/**
+ * Read which report a prompt is for from its REPORT TYPE line. Lets the
+ * mock server pick a fixture without any out-of-band hint.
+ * @param {string} prompt - Prompt text
+ * @returns {string} - Report type
+ */
+function detectReportType(prompt) {
+    const match = /REPORT TYPE:\s*(executive|detailed|presentation)/i.exec(prompt);
+    return match ? match[1].toLowerCase() : 'detailed';
+}
+
+/**
+ * Read the recorded reply for a report type
+ * @param {string} dir - Fixtures directory
+ * @param {string} reportType - Report type
+ * @returns {Promise<string>} - Raw reply text
+ */
+async function loadFixture(dir, reportType) {
+    for (const name of [`${reportType}.txt`, 'default.txt']) {
+        const fixturePath = path.join(dir, name);
+        if (await fs.pathExists(fixturePath)) {
+            return fs.readFile(fixturePath, 'utf8');
+        }
+    }
+    throw new Error(`No LLM fixture for report type "${reportType}" in ${dir}`);
+}
+
+// Replays recorded replies from disk so the whole generate-report flow can
+// run without network access or an API key
+function createFixtureProvider(env) {
+    const dir = env.LLM_FIXTURES_DIR ? path.resolve(env.LLM_FIXTURES_DIR) : DEFAULT_FIXTURES_DIR;
+
+    return {
+        name: 'fixture',
+        label: 'Fixture replay',
+        defaultModel: DEFAULT_MODELS.fixture,
+        isConfigured: () => true,
+
+        async complete({ reportType, messages }) {
+            const prompt = messages[messages.length - 1].content;
+            return loadFixture(dir, reportType || detectReportType(prompt));
+        }
+    };
+}
+
+const PROVIDERS = {
+    anthropic: createAnthropicProvider,
+    openai: createOpenAIProvider,
+    fixture: createFixtureProvider
+};
+
+/**
+ * Build the LLM provider selected by LLM_PROVIDER (anthropic by default)
+ * @param {Object} [env] - Environment to read configuration from
+ * @returns {Object} - Provider with name, label, defaultModel,
+ *   isConfigured() and complete({ messages, model, maxTokens, temperature, reportType, signal })
+ */
+function createLLMProvider(env = process.env) {
+    const name = String(env.LLM_PROVIDER || 'anthropic').toLowerCase();
+    const create = PROVIDERS[name];
+    if (!create) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return create(env);
+}
+
+module.exports = {
+    DEFAULT_FIXTURES_DIR,
+    REPORT_SETTINGS,
+    createLLMProvider,
+    getReportSettings,
+    detectReportType,
+    loadFixture
+};
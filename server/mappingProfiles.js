@@ -0,0 +1,231 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const PROFILES_PATH = path.join(__dirname, '../data/mapping-profiles.json');
+
+/**
+ * Fields analyzeSLAPerformance reads from each ticket. Each field maps to an
+ * ordered list of candidate column names; the first non-empty one wins.
+ */
+const MAPPING_FIELDS = [
+    'agent',
+    'category',
+    'priority',
+    'createdDate',
+    'firstResponseDate',
+    'resolvedDate',
+    'firstResponseStatus',
+    'resolutionStatus'
+];
+
+/**
+ * Built-in profile matching the header names the analysis originally hardcoded
+ */
+const DEFAULT_PROFILE = {
+    id: 'default',
+    name: 'Default (Freshservice style)',
+    builtIn: true,
+    fields: {
+        agent: ['Agent', 'Resolved by', 'Assignee'],
+        category: ['Category', 'Sub-Category', 'Type'],
+        priority: ['Priority', 'Urgency'],
+        createdDate: ['Created Date', 'Date Created', 'Created', 'Created Time', 'created_at'],
+        firstResponseDate: [
+            'First Responded Date', 'First Response Date', 'First Responded Time',
+            'First Responded At', 'first_responded_at', 'Responded Date'
+        ],
+        resolvedDate: [
+            'Resolved Date', 'Resolved Time', 'Resolved At', 'resolved_at',
+            'Closed Date', 'Closed Time'
+        ],
+        firstResponseStatus: [
+            'First Response Status', 'First Response SLA', 'Response Status',
+            'first_response_status', 'Response SLA Status', 'First Response Time Status'
+        ],
+        resolutionStatus: [
+            'Resolution Status', 'Resolution SLA', 'Resolve Status',
+            'resolution_status', 'Resolution SLA Status', 'Resolution Time Status'
+        ]
+    },
+    violationKeywords: ['violated', 'breach', 'missed', 'overdue', 'fail'],
+    complianceKeywords: ['within', 'met', 'compliant', 'achieved', 'success']
+};
+
+/**
+ * Normalize a list field that may arrive as a comma separated string
+ * @param {Array|string} value - Raw list value
+ * @returns {Array} - Trimmed, non-empty strings
+ */
+function toList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Fill in any missing fields or keyword lists from the default profile so
+ * a partial mapping sent by the client is always usable by the analysis
+ * @param {Object} mapping - Profile or bare mapping object
+ * @returns {Object} - Complete mapping
+ */
+function resolveMapping(mapping) {
+    const source = mapping || {};
+    const fields = {};
+
+    MAPPING_FIELDS.forEach(field => {
+        const columns = toList(source.fields?.[field]);
+        fields[field] = columns.length > 0 ? columns : DEFAULT_PROFILE.fields[field];
+    });
+
+    const violationKeywords = toList(source.violationKeywords).map(k => k.toLowerCase());
+    const complianceKeywords = toList(source.complianceKeywords).map(k => k.toLowerCase());
+
+    return {
+        fields,
+        violationKeywords: violationKeywords.length > 0 ? violationKeywords : DEFAULT_PROFILE.violationKeywords,
+        complianceKeywords: complianceKeywords.length > 0 ? complianceKeywords : DEFAULT_PROFILE.complianceKeywords
+    };
+}
+
+async function readStoredProfiles() {
+    if (!await fs.pathExists(PROFILES_PATH)) return [];
+    const stored = await fs.readJson(PROFILES_PATH, { throws: false });
+    return Array.isArray(stored) ? stored : [];
+}
+
+async function writeStoredProfiles(profiles) {
+    await fs.ensureDir(path.dirname(PROFILES_PATH));
+    await fs.writeJson(PROFILES_PATH, profiles, { spaces: 2 });
+}
+
+/**
+ * List the built-in profile followed by all saved profiles
+ * @returns {Promise<Array>} - Mapping profiles
+ */
+async function listProfiles() {
+    return [DEFAULT_PROFILE, ...await readStoredProfiles()];
+}
+
+/**
+ * Look up a profile by ID
+ * @param {string} id - Profile ID
+ * @returns {Promise<Object|null>} - Profile or null when not found
+ */
+async function getProfile(id) {
+    const profiles = await listProfiles();
+    return profiles.find(profile => profile.id === id) || null;
+}
+
+/**
+ * Create or update a saved profile. The built-in profile cannot be overwritten.
+ * @param {Object} input - Profile name, fields and keyword lists
+ * @param {string} [id] - Existing profile ID to update
+ * @returns {Promise<Object|null>} - Saved profile, or null if the ID is unknown
+ */
+async function saveProfile(input, id) {
+    if (id === DEFAULT_PROFILE.id) {
+        throw new Error('The built-in mapping profile cannot be modified');
+    }
+
+    const name = String(input.name || '').trim();
+    if (!name) {
+        throw new Error('Mapping profile name is required');
+    }
+
+    const profiles = await readStoredProfiles();
+    const existingIndex = id ? profiles.findIndex(profile => profile.id === id) : -1;
+    if (id && existingIndex === -1) return null;
+
+    const now = new Date().toISOString();
+    const profile = {
+        ...resolveMapping(input),
+        id: id || uuidv4(),
+        name,
+        builtIn: false,
+        createdAt: existingIndex >= 0 ? profiles[existingIndex].createdAt : now,
+        updatedAt: now
+    };
+
+    if (existingIndex >= 0) {
+        profiles[existingIndex] = profile;
+    } else {
+        profiles.push(profile);
+    }
+
+    await writeStoredProfiles(profiles);
+    return profile;
+}
+
+/**
+ * Delete a saved profile
+ * @param {string} id - Profile ID
+ * @returns {Promise<boolean>} - Whether a profile was removed
+ */
+async function deleteProfile(id) {
+    if (id === DEFAULT_PROFILE.id) {
+        throw new Error('The built-in mapping profile cannot be deleted');
+    }
+
+    const profiles = await readStoredProfiles();
+    const remaining = profiles.filter(profile => profile.id !== id);
+    if (remaining.length === profiles.length) return false;
+
+    await writeStoredProfiles(remaining);
+    return true;
+}
+
+/**
+ * Score profiles against a set of headers and return the best match
+ * @param {Array} profiles - Profiles from listProfiles()
+ * @param {Array} headers - Column names from the uploaded file
+ * @returns {Object} - Suggested profile ID, match score and the per-field
+ *   columns found in the headers
+ */
+function matchProfile(profiles, headers) {
+    const headerSet = new Set((headers || []).map(header => String(header).toLowerCase()));
+
+    const scored = profiles.map(profile => {
+        const matchedFields = {};
+        MAPPING_FIELDS.forEach(field => {
+            const match = (profile.fields[field] || []).find(col => headerSet.has(col.toLowerCase()));
+            if (match) {
+                matchedFields[field] = (headers || []).find(header => String(header).toLowerCase() === match.toLowerCase());
+            }
+        });
+
+        return {
+            profileId: profile.id,
+            profileName: profile.name,
+            score: Object.keys(matchedFields).length / MAPPING_FIELDS.length,
+            matchedFields
+        };
+    });
+
+    // Prefer saved profiles over the built-in one when they match equally well
+    return scored.reduce((best, candidate) =>
+        candidate.score > best.score || (candidate.score === best.score && candidate.score > 0 && best.profileId === DEFAULT_PROFILE.id)
+            ? candidate
+            : best
+    );
+}
+
+/**
+ * Pick the saved profile whose columns best match the uploaded headers
+ * @param {Array} headers - Column names from the uploaded file
+ * @returns {Promise<Object>} - See matchProfile()
+ */
+async function suggestProfile(headers) {
+    return matchProfile(await listProfiles(), headers);
+}
+
+module.exports = {
+    MAPPING_FIELDS,
+    DEFAULT_PROFILE,
+    resolveMapping,
+    listProfiles,
+    getProfile,
+    saveProfile,
+    deleteProfile,
+    matchProfile,
+    suggestProfile
+};
@@ -0,0 +1,64 @@
+// Local stand-in for an LLM API that replays the fixtures in fixtures/llm.
+// Speaks both the OpenAI chat completions and Anthropic messages formats, so
+// either provider can be pointed at it with LLM_BASE_URL:
+//
+//   npm run mock-llm
+//   LLM_PROVIDER=openai LLM_BASE_URL=http://localhost:5100/v1 npm start
+//   LLM_PROVIDER=anthropic LLM_BASE_URL=http://localhost:5100 LLM_API_KEY=mock npm start
+
+const express = require('express');
+const path = require('path');
+const { DEFAULT_FIXTURES_DIR, detectReportType, loadFixture } = require('./llmProviders');
+require('dotenv').config();
+
+const PORT = process.env.MOCK_LLM_PORT || 5100;
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR ? path.resolve(process.env.LLM_FIXTURES_DIR) : DEFAULT_FIXTURES_DIR;
+
+const app = express();
+app.use(express.json({ limit: '5mb' }));
+
+// Replay the fixture for whichever report the conversation asks for. The
+// report type is named in the first prompt, not in any repair follow-up.
+async function replay(messages) {
+    const prompt = String(messages?.[0]?.content || '');
+    return loadFixture(FIXTURES_DIR, detectReportType(prompt));
+}
+
+app.post('/v1/chat/completions', async (req, res) => {
+    try {
+        const text = await replay(req.body.messages);
+        res.json({
+            id: 'mock-completion',
+            object: 'chat.completion',
+            model: req.body.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }]
+        });
+    } catch (error) {
+        res.status(500).json({ error: { message: error.message } });
+    }
+});
+
+app.post('/v1/messages', async (req, res) => {
+    try {
+        const text = await replay(req.body.messages);
+        res.json({
+            id: 'mock-message',
+            type: 'message',
+            role: 'assistant',
+            model: req.body.model,
+            content: [{ type: 'text', text }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 0, output_tokens: 0 }
+        });
+    } catch (error) {
+        res.status(500).json({ type: 'error', error: { type: 'api_error', message: error.message } });
+    }
+});
+
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Mock LLM server replaying ${FIXTURES_DIR} on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = app;
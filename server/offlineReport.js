@@ -0,0 +1,344 @@
+// Rule-based report narratives built straight from analyzeSLAPerformance
+// output. Produces the same narrative shapes the LLM prompts ask for, and is
+// merged with the computed sections from reportMetrics.js the same way.
+
+const {
+    RESPONSE_BENCHMARK,
+    RESOLUTION_BENCHMARK,
+    summarize,
+    overallHealth,
+    buildPeriodComparison,
+    buildComputedSections,
+    assembleReport
+} = require('./reportMetrics');
+
+function timelineForEffort(effort) {
+    return { low: '30 days', medium: '60 days', high: '90 days' }[effort] || '60 days';
+}
+
+// One agent carrying well over their share of the queue, e.g. >40% of a team of five
+function isConcentrated(facts) {
+    return Boolean(facts.busiestAgent) && facts.agentCount > 1 &&
+        facts.busiestAgent.share > Math.max(0.4, 2 / facts.agentCount);
+}
+
+// Only hold an agent up as an example when they are genuinely doing well
+function roleModel(facts) {
+    const best = facts.topPerformers[0];
+    return best && best.complianceRate >= 90 ? best : null;
+}
+
+function capitalize(text) {
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+// The compliance rows of a period comparison, by label
+function complianceChanges(comparison) {
+    const find = label => comparison.metrics.find(metric => metric.label === label);
+    return { response: find('First Response Compliance'), resolution: find('Resolution Compliance') };
+}
+
+// The agent or category whose compliance moved furthest, if any did
+function largestMover(groups) {
+    return groups.find(group => group.trend !== 'stable' && group.currentCompliance !== null && group.baselineCompliance !== null) || null;
+}
+
+function comparisonFinding(comparison) {
+    const { response, resolution } = complianceChanges(comparison);
+    const declining = [response, resolution].some(metric => metric.assessment === 'declining');
+    const mover = largestMover(comparison.agents) || largestMover(comparison.categories);
+
+    return {
+        category: 'Period Comparison',
+        insight: `Against ${comparison.baselinePeriod}, first response compliance moved ${response.change} to ${response.current} and resolution compliance ${resolution.change} to ${resolution.current}` +
+            (mover ? `; ${mover.name} changed the most (${mover.change})` : ''),
+        impact: declining ? 'high' : 'medium',
+        recommendation: declining
+            ? `Find out what changed since ${comparison.baselinePeriod}${mover && mover.assessment === 'declining' ? `, starting with ${mover.name}` : ''}`
+            : 'Keep the changes that drove the improvement in place'
+    };
+}
+
+// One sentence per finding, only for findings the data actually supports
+function buildFindings(facts, comparison) {
+    const findings = [];
+
+    findings.push({
+        category: 'Performance Excellence',
+        insight: `First response compliance is ${facts.responseRate.toFixed(1)}% and resolution compliance is ${facts.resolutionRate.toFixed(1)}% across ${facts.totalRecords} tickets`,
+        impact: facts.responseRate >= RESPONSE_BENCHMARK && facts.resolutionRate >= RESOLUTION_BENCHMARK ? 'medium' : 'high',
+        recommendation: facts.responseRate >= RESPONSE_BENCHMARK && facts.resolutionRate >= RESOLUTION_BENCHMARK
+            ? 'Document current practices so the standard holds as volume grows'
+            : 'Prioritise the SLA furthest below its benchmark'
+    });
+
+    if (comparison) {
+        findings.push(comparisonFinding(comparison));
+    }
+
+    if (facts.improvementAreas.length > 0) {
+        findings.push({
+            category: 'Agent Performance',
+            insight: `${facts.improvementAreas.map(agent => `${agent.agent} (${agent.complianceRate.toFixed(1)}%)`).join(', ')} ${facts.improvementAreas.length === 1 ? 'is' : 'are'} below 90% compliance`,
+            impact: 'high',
+            recommendation: roleModel(facts)
+                ? `Pair with ${roleModel(facts).agent} for coaching on SLA handling`
+                : 'Review workload, queue routing and training needs'
+        });
+    }
+
+    if (facts.worstCategory) {
+        findings.push({
+            category: 'Category Focus',
+            insight: `${facts.worstCategory.category} has the lowest compliance at ${facts.worstCategory.complianceRate.toFixed(1)}% with ${facts.worstCategory.violations} violations`,
+            impact: facts.worstCategory.complianceRate < 85 ? 'high' : 'medium',
+            recommendation: `Review routing and knowledge articles for ${facts.worstCategory.category} tickets`
+        });
+    }
+
+    if (facts.worstDay) {
+        findings.push({
+            category: 'Time Patterns',
+            insight: `${facts.worstDay.day} has the most violations relative to volume (${facts.worstDay.violations} across ${facts.worstDay.total} tickets)`,
+            impact: 'medium',
+            recommendation: `Check staffing cover on ${facts.worstDay.day}s`
+        });
+    }
+
+    if (isConcentrated(facts)) {
+        findings.push({
+            category: 'Resource Optimization',
+            insight: `${facts.busiestAgent.name} handles ${(facts.busiestAgent.share * 100).toFixed(0)}% of all tickets`,
+            impact: 'medium',
+            recommendation: 'Spread workload to reduce dependency on a single agent'
+        });
+    }
+
+    return findings;
+}
+
+function buildRecommendations(facts) {
+    const recommendations = facts.recommendations.map(rec => ({
+        priority: rec.impact === 'high' ? 'High' : 'Medium',
+        action: rec.recommendation,
+        timeline: timelineForEffort(rec.effort),
+        investment: capitalize(rec.effort) || 'Medium',
+        expectedROI: `Improved ${rec.area.toLowerCase()} performance`
+    }));
+
+    if (recommendations.length === 0) {
+        recommendations.push({
+            priority: 'Medium',
+            action: 'Maintain current SLA practices and monitor monthly',
+            timeline: '30 days',
+            investment: 'Low',
+            expectedROI: 'Sustained compliance above benchmark'
+        });
+    }
+
+    return recommendations;
+}
+
+function buildStrengths(facts) {
+    const strengths = [];
+    if (facts.responseRate >= RESPONSE_BENCHMARK) {
+        strengths.push(`First response compliance of ${facts.responseRate.toFixed(1)}% meets the ${RESPONSE_BENCHMARK}% benchmark`);
+    }
+    if (facts.resolutionRate >= RESOLUTION_BENCHMARK) {
+        strengths.push(`Resolution compliance of ${facts.resolutionRate.toFixed(1)}% meets the ${RESOLUTION_BENCHMARK}% benchmark`);
+    }
+    if (facts.excellentAgents > 0) {
+        strengths.push(`${facts.excellentAgents} of ${facts.agentCount} agents keep violations under 5%`);
+    }
+    if (strengths.length === 0) {
+        strengths.push(`SLA outcomes tracked across ${facts.totalRecords} tickets`);
+    }
+    return strengths;
+}
+
+function buildWeaknesses(facts) {
+    const weaknesses = [];
+    if (facts.responseViolations > 0) {
+        weaknesses.push(`Response time optimization for ${facts.responseViolations} violations`);
+    }
+    if (facts.resolutionViolations > 0) {
+        weaknesses.push(`Resolution efficiency for ${facts.resolutionViolations} violations`);
+    }
+    if (facts.strugglingAgents > 0) {
+        weaknesses.push(`${facts.strugglingAgents} agents with a violation rate of 10% or more`);
+    }
+    if (facts.worstCategory) {
+        weaknesses.push(`${facts.worstCategory.category} category compliance`);
+    }
+    return weaknesses;
+}
+
+function buildRisks(facts) {
+    const risks = [];
+    if (facts.responseRate < RESPONSE_BENCHMARK || facts.resolutionRate < RESOLUTION_BENCHMARK) {
+        risks.push({
+            risk: 'SLA Benchmark Shortfall',
+            probability: 'High',
+            impact: 'High',
+            mitigation: 'Target the agents and categories with the most violations first'
+        });
+    }
+    if (isConcentrated(facts)) {
+        risks.push({
+            risk: 'Key Person Dependency',
+            probability: 'Medium',
+            impact: 'High',
+            mitigation: `Cross-train others on the work ${facts.busiestAgent.name} currently covers`
+        });
+    }
+    if (risks.length === 0) {
+        risks.push({
+            risk: 'Volume Growth Management',
+            probability: 'Medium',
+            impact: 'Medium',
+            mitigation: 'Monitor tickets per agent and plan capacity ahead of growth'
+        });
+    }
+    return risks;
+}
+
+function executiveSummaryText(facts, comparison) {
+    const sentences = [
+        `Analysis of ${facts.totalRecords} tickets shows ${facts.responseRate.toFixed(1)}% first response and ${facts.resolutionRate.toFixed(1)}% resolution SLA compliance (${overallHealth(facts).toLowerCase()} overall).`
+    ];
+    if (comparison) {
+        const { response, resolution } = complianceChanges(comparison);
+        sentences.push(`Compared with ${comparison.baselinePeriod}, that is ${response.change} and ${resolution.change} respectively.`);
+    }
+    if (facts.totalViolations > 0) {
+        sentences.push(`There were ${facts.totalViolations} SLA violations in total.`);
+    }
+    if (facts.worstCategory) {
+        sentences.push(`${facts.worstCategory.category} is the weakest category at ${facts.worstCategory.complianceRate.toFixed(1)}% compliance.`);
+    }
+    if (roleModel(facts)) {
+        sentences.push(`${roleModel(facts).agent} leads the team at ${roleModel(facts).complianceRate.toFixed(1)}% compliance.`);
+    }
+    return sentences.join(' ');
+}
+
+function executiveNarrative(facts, comparison) {
+    return {
+        title: 'IT Operations Excellence Report',
+        executiveSummary: executiveSummaryText(facts, comparison),
+        strategicInsights: buildFindings(facts, comparison),
+        businessRecommendations: buildRecommendations(facts),
+        riskAssessment: buildRisks(facts),
+        competitiveAdvantages: buildStrengths(facts)
+    };
+}
+
+function detailedNarrative(facts, comparison) {
+    const recommendations = buildRecommendations(facts);
+    const byTimeline = timeline => recommendations.filter(rec => rec.timeline === timeline).map(rec => rec.action);
+
+    const actionableRecommendations = [
+        { category: 'Immediate Actions (0-30 days)', items: byTimeline('30 days') },
+        { category: 'Short-term Improvements (1-3 months)', items: [...byTimeline('60 days'), ...byTimeline('90 days')] }
+    ];
+    if (facts.totalViolations > 0) {
+        actionableRecommendations[0].items.unshift(`Review the ${facts.totalViolations} SLA violations by agent and category`);
+    }
+
+    return {
+        title: 'Comprehensive IT Operations Analysis',
+        performanceOverview: {
+            keyStrengths: buildStrengths(facts),
+            improvementAreas: buildWeaknesses(facts)
+        },
+        operationalInsights: buildFindings(facts, comparison).map(finding => `${finding.insight}. ${finding.recommendation}.`),
+        actionableRecommendations: actionableRecommendations.filter(group => group.items.length > 0)
+    };
+}
+
+function presentationNarrative(facts, comparison) {
+    const findings = buildFindings(facts, comparison);
+    const recommendations = buildRecommendations(facts);
+
+    return {
+        presentationTitle: 'IT Operations Performance Review',
+        executiveMessage: `${overallHealth(facts)} service delivery across ${facts.totalRecords} tickets`,
+        slides: {
+            metricsOverview: {
+                title: 'Performance Dashboard',
+                headline: 'SLA Compliance Scorecard',
+                insights: findings.slice(0, 3).map(finding => finding.insight)
+            },
+            teamBreakdown: {
+                title: 'Team Performance Analysis',
+                headline: 'Agent Performance & Development Opportunities',
+                insights: buildStrengths(facts).concat(buildWeaknesses(facts)).slice(0, 3)
+            },
+            actionPlan: {
+                title: 'Strategic Recommendations',
+                headline: 'Priority Actions',
+                strategicActions: recommendations.slice(0, 3).map(rec => ({
+                    priority: rec.priority,
+                    action: rec.action,
+                    timeline: rec.timeline,
+                    impact: rec.expectedROI,
+                    investment: rec.investment
+                })),
+                insights: findings.map(finding => finding.recommendation).slice(0, 3)
+            }
+        },
+        executiveSummary: {
+            keyMessage: executiveSummaryText(facts, comparison),
+            businessImpact: facts.totalViolations > 0
+                ? `${facts.totalViolations} SLA violations affected customers in this period`
+                : 'No SLA violations recorded in this period',
+            nextSteps: recommendations[0].action,
+            investmentRequired: `${recommendations[0].investment} investment for the highest priority action`
+        }
+    };
+}
+
+/**
+ * Write the narrative fields of a report without calling an LLM
+ * @param {Object} slaAnalysis - Output of analyzeSLAPerformance
+ * @param {string} reportType - executive, detailed or presentation
+ * @param {Object} [comparison] - Baseline period (see buildComputedSections)
+ * @returns {Object} - Narrative in the shape NARRATIVE_SCHEMAS describes
+ */
+function generateOfflineNarrative(slaAnalysis, reportType, comparison = null) {
+    const facts = summarize(slaAnalysis);
+    const periodComparison = comparison
+        ? buildPeriodComparison(facts, summarize(comparison.analysis), {
+            current: comparison.currentSource,
+            baseline: comparison.baselineSource
+        })
+        : null;
+    const builders = {
+        executive: executiveNarrative,
+        detailed: detailedNarrative,
+        presentation: presentationNarrative
+    };
+    const build = builders[reportType] || builders.detailed;
+    return build(facts, periodComparison);
+}
+
+/**
+ * Build a complete report without calling an LLM
+ * @param {Object} slaAnalysis - Output of analyzeSLAPerformance
+ * @param {string} reportType - executive, detailed or presentation
+ * @param {Object} [comparison] - Baseline period (see buildComputedSections)
+ * @returns {Object} - Report in the shape the matching template renders
+ */
+function generateOfflineReport(slaAnalysis, reportType, comparison = null) {
+    const type = ['executive', 'presentation'].includes(reportType) ? reportType : 'detailed';
+    return assembleReport(
+        type,
+        generateOfflineNarrative(slaAnalysis, type, comparison),
+        buildComputedSections(slaAnalysis, type, comparison)
+    );
+}
+
+module.exports = {
+    generateOfflineNarrative,
+    generateOfflineReport
+};
@@ -0,0 +1,58 @@
+// PDF rendering of the HTML report templates through headless Chrome. Page
+// size and page breaks come from each template's @media print rules, so the
+// PDF matches what the browser's own "Print to PDF" would produce.
+
+const puppeteer = require('puppeteer');
+
+let browserPromise = null;
+
+// One browser is shared by every export and started on first use
+function getBrowser() {
+    if (!browserPromise) {
+        browserPromise = puppeteer.launch({
+            headless: true,
+            // Containers running as root usually need the sandbox disabled
+            args: process.env.PDF_NO_SANDBOX === 'true' ? ['--no-sandbox', '--disable-setuid-sandbox'] : []
+        }).then(browser => {
+            browser.on('disconnected', () => { browserPromise = null; });
+            return browser;
+        }).catch(error => {
+            browserPromise = null;
+            throw error;
+        });
+    }
+    return browserPromise;
+}
+
+/**
+ * Render a report's HTML to PDF
+ * @param {string} html - Complete HTML document from generateHTMLReport
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+async function renderPDF(html) {
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+    try {
+        // Report content partly comes from the model, so the page gets no
+        // scripts and no network access; the templates are self-contained
+        await page.setJavaScriptEnabled(false);
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (/^(data|about):/.test(request.url())) {
+                request.continue();
+            } else {
+                request.abort();
+            }
+        });
+
+        await page.setContent(html, { waitUntil: 'load' });
+        await page.emulateMediaType('print');
+        return Buffer.from(await page.pdf({ printBackground: true, preferCSSPageSize: true }));
+    } finally {
+        await page.close();
+    }
+}
+
+module.exports = {
+    renderPDF
+};
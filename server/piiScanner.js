@@ -0,0 +1,174 @@
+// Finds personal data in uploaded rows. The scan runs alongside the other
+// ingest aggregates and flags columns by their values (emails, phone
+// numbers, card numbers...), by their header (requester, customer...) or as
+// free text. The same patterns redact values before a prompt is sent, see
+// privacy.js. Only counts are kept, never the matched values themselves.
+
+// Rows looked at per dataset; personal data shows up early or not at all
+const MAX_SCANNED_ROWS = 2000;
+
+// Free text: long values that are mostly different from each other
+const FREE_TEXT_MIN_LENGTH = 40;
+const FREE_TEXT_MIN_UNIQUE_SHARE = 0.5;
+const FREE_TEXT_MIN_VALUES = 5;
+
+function digitCount(text) {
+    return text.replace(/\D/g, '').length;
+}
+
+// Luhn checksum, so long order numbers are not taken for card numbers
+function passesLuhn(text) {
+    const digits = text.replace(/\D/g, '');
+    let sum = 0;
+    for (let index = 0; index < digits.length; index++) {
+        let digit = Number(digits[digits.length - 1 - index]);
+        if (index % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+const LOOKS_LIKE_DATE = /^(\d{4}[./-]\d{1,2}[./-]\d{1,2}|\d{1,2}[./-]\d{1,2}[./-]\d{2,4})/;
+const LOOKS_LIKE_DECIMAL = /^\d+[.,]\d+$/;
+
+/**
+ * Value patterns, in the order they are applied. Earlier patterns win, so an
+ * IP address is never also counted as a phone number.
+ */
+const PII_PATTERNS = {
+    email: {
+        label: 'Email addresses',
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+    },
+    ipAddress: {
+        label: 'IP addresses',
+        pattern: /\b((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)\b/g
+    },
+    creditCard: {
+        label: 'Card numbers',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        accept: match => passesLuhn(match)
+    },
+    nationalId: {
+        label: 'National ID numbers',
+        pattern: /\b(\d{3}-\d{2}-\d{4}|[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D])\b/g
+    },
+    phone: {
+        label: 'Phone numbers',
+        pattern: /(\+\d{1,3}[\s.-]?)?(\(\d{1,4}\)[\s.-]?)?\d[\d\s.-]{6,}\d/g,
+        accept: match => {
+            const digits = digitCount(match);
+            return digits >= 9 && digits <= 15 && !LOOKS_LIKE_DATE.test(match) && !LOOKS_LIKE_DECIMAL.test(match);
+        }
+    }
+};
+
+/**
+ * Header hints for columns that hold personal data whatever their values
+ * look like
+ */
+const HEADER_HINTS = {
+    personName: {
+        label: 'Names people',
+        pattern: /\b(agent|assignee|assigned to|owner|requester|requestor|customer|caller|contact|reporter|submitter|employee|user|technician|engineer|name)\b/i
+    },
+    contactDetails: {
+        label: 'Contact details',
+        pattern: /(e-?mail|phone|mobile|telephone|address)/i
+    }
+};
+
+const FREE_TEXT_LABEL = 'Free text';
+
+/**
+ * Replace every match of the given patterns in a piece of text
+ * @param {string} text - Text to scan
+ * @param {string[]} kinds - Keys of PII_PATTERNS to apply
+ * @param {Function} replace - (kind, match) => replacement
+ * @returns {Object} - text with the matches replaced and the kinds found
+ */
+function replacePII(text, kinds, replace) {
+    const found = [];
+    let result = text;
+    Object.entries(PII_PATTERNS).forEach(([kind, { pattern, accept }]) => {
+        if (!kinds.includes(kind)) return;
+        result = result.replace(pattern, match => {
+            if (accept && !accept(match)) return match;
+            found.push(kind);
+            return replace(kind, match);
+        });
+    });
+    return { text: result, found };
+}
+
+/**
+ * Start a scan of a stream of rows
+ * @returns {Object} - add(row) for each row, then finalize() for the
+ *   sampled row count and the flagged columns with what flagged them
+ */
+function createPIIScanner() {
+    const kinds = Object.keys(PII_PATTERNS);
+    const columns = new Map();
+    let sampledRows = 0;
+
+    const columnStats = (column) => {
+        if (!columns.has(column)) {
+            columns.set(column, { matches: {}, values: 0, totalLength: 0, distinct: new Set() });
+        }
+        return columns.get(column);
+    };
+
+    return {
+        add(row) {
+            if (sampledRows >= MAX_SCANNED_ROWS) return;
+            sampledRows++;
+
+            Object.entries(row).forEach(([column, value]) => {
+                const stats = columnStats(column);
+                // Phone, account and ID columns are often typed as numbers
+                // by the cleaning stage, so their digits are scanned too
+                const text = typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+                if (typeof text !== 'string' || text.trim() === '') return;
+
+                stats.values++;
+                stats.totalLength += text.length;
+                stats.distinct.add(text);
+                new Set(replacePII(text, kinds, () => '').found).forEach(kind => {
+                    stats.matches[kind] = (stats.matches[kind] || 0) + 1;
+                });
+            });
+        },
+
+        finalize() {
+            const flagged = [];
+            columns.forEach((stats, column) => {
+                const findings = Object.entries(stats.matches).map(([kind, count]) => ({
+                    kind, label: PII_PATTERNS[kind].label, source: 'values', count
+                }));
+
+                Object.entries(HEADER_HINTS).forEach(([kind, { label, pattern }]) => {
+                    if (pattern.test(column)) findings.push({ kind, label, source: 'header', count: null });
+                });
+
+                if (stats.values >= FREE_TEXT_MIN_VALUES &&
+                    stats.totalLength / stats.values >= FREE_TEXT_MIN_LENGTH &&
+                    stats.distinct.size / stats.values >= FREE_TEXT_MIN_UNIQUE_SHARE) {
+                    findings.push({ kind: 'freeText', label: FREE_TEXT_LABEL, source: 'values', count: stats.values });
+                }
+
+                if (findings.length > 0) flagged.push({ column, valuesScanned: stats.values, findings });
+            });
+
+            return { sampledRows, columns: flagged };
+        }
+    };
+}
+
+module.exports = {
+    PII_PATTERNS,
+    replacePII,
+    createPIIScanner
+};
@@ -0,0 +1,187 @@
+// Native PowerPoint export of the presentation report. Builds an editable
+// deck from the report JSON rather than the HTML, one slide per report
+// slide plus a title and a summary slide. Each slide's insights become its
+// speaker notes.
+
+const PptxGenJS = require('pptxgenjs');
+
+const COLORS = {
+    accent: '26DE81',
+    accentDark: '20BF6B',
+    text: '1E1E1E',
+    muted: '666666',
+    panel: 'F2F5F3',
+    white: 'FFFFFF'
+};
+
+const STATUS_COLORS = {
+    excellent: '26DE81',
+    good: '54A0FF',
+    needs_improvement: 'FF4757'
+};
+
+const FONT = 'Segoe UI';
+
+function notesFrom(lines) {
+    return lines.filter(Boolean).map(line => `• ${line}`).join('\n');
+}
+
+function addHeading(slide, title, headline) {
+    slide.addShape('rect', { x: 0, y: 0, w: '100%', h: 0.12, fill: { color: COLORS.accent } });
+    slide.addText(title || '', {
+        x: 0.5, y: 0.35, w: 12.3, h: 0.7,
+        fontFace: FONT, fontSize: 28, bold: true, color: COLORS.text
+    });
+    if (headline) {
+        slide.addText(headline, {
+            x: 0.5, y: 1.0, w: 12.3, h: 0.5,
+            fontFace: FONT, fontSize: 16, color: COLORS.accentDark
+        });
+    }
+}
+
+function addSlideNumber(slide, number, total) {
+    slide.addText(`${number} / ${total}`, {
+        x: 11.8, y: 7.0, w: 1.2, h: 0.3,
+        fontFace: FONT, fontSize: 10, color: COLORS.muted, align: 'right'
+    });
+}
+
+function addMetricTiles(slide, metrics) {
+    const tiles = metrics.slice(0, 4);
+    const width = 2.9;
+    const gap = 0.23;
+
+    tiles.forEach((metric, index) => {
+        const x = 0.5 + index * (width + gap);
+        slide.addShape('rect', {
+            x, y: 2.0, w: width, h: 3.2,
+            fill: { color: COLORS.panel },
+            line: { color: STATUS_COLORS[metric.status] || COLORS.accent, width: 2 }
+        });
+        slide.addText(String(metric.value ?? ''), {
+            x, y: 2.3, w: width, h: 1.1,
+            fontFace: FONT, fontSize: 36, bold: true, align: 'center',
+            color: STATUS_COLORS[metric.status] || COLORS.accentDark
+        });
+        slide.addText(metric.metric || '', {
+            x: x + 0.1, y: 3.5, w: width - 0.2, h: 0.6,
+            fontFace: FONT, fontSize: 14, bold: true, align: 'center', color: COLORS.text
+        });
+        slide.addText([
+            { text: String(metric.status || '').replace(/_/g, ' '), options: { breakLine: true } },
+            { text: metric.benchmark ? `Benchmark: ${metric.benchmark}` : '', options: { breakLine: Boolean(metric.change) } },
+            { text: metric.change || '' }
+        ], {
+            x: x + 0.1, y: 4.2, w: width - 0.2, h: 0.9,
+            fontFace: FONT, fontSize: 11, align: 'center', color: COLORS.muted
+        });
+    });
+}
+
+function addTable(slide, header, rows, columnWidths) {
+    const headerRow = header.map(text => ({
+        text,
+        options: { bold: true, color: COLORS.white, fill: { color: COLORS.accentDark } }
+    }));
+    slide.addTable([headerRow, ...rows.map(row => row.map(cell => String(cell ?? '')))], {
+        x: 0.5, y: 1.9, w: 12.3, colW: columnWidths,
+        fontFace: FONT, fontSize: 13, color: COLORS.text,
+        border: { type: 'solid', color: 'DDDDDD', pt: 1 },
+        fill: { color: COLORS.white },
+        autoPage: true
+    });
+}
+
+function addSectionSlide(pptx, reportSlide, number, total) {
+    const slide = pptx.addSlide();
+    const content = reportSlide.content || {};
+    addHeading(slide, reportSlide.title, content.headline);
+
+    switch (reportSlide.type) {
+        case 'metrics_overview':
+            addMetricTiles(slide, content.keyMetrics || []);
+            break;
+        case 'team_breakdown':
+            addTable(slide, ['Metric', 'Value', 'Context'],
+                (content.teamMetrics || []).map(metric => [metric.metric, metric.value, metric.context]),
+                [4, 2.3, 6]);
+            break;
+        case 'action_plan':
+            addTable(slide, ['Priority', 'Action', 'Timeline', 'Impact', 'Investment'],
+                (content.strategicActions || []).map(action =>
+                    [action.priority, action.action, action.timeline, action.impact, action.investment]),
+                [1.3, 4.6, 1.6, 3.3, 1.5]);
+            break;
+        default:
+            break;
+    }
+
+    slide.addNotes(notesFrom(content.insights || []));
+    addSlideNumber(slide, number, total);
+}
+
+/**
+ * Build an editable .pptx deck from a presentation report
+ * @param {Object} report - Presentation report (see assembleReport)
+ * @param {Object} [details] - totalRecords and generatedAt for the title slide
+ * @returns {Promise<Buffer>} - .pptx file contents
+ */
+async function renderPresentationPPTX(report, { totalRecords, generatedAt } = {}) {
+    const pptx = new PptxGenJS();
+    pptx.layout = 'LAYOUT_WIDE';
+    pptx.title = report.presentationTitle || 'IT Operations Performance Review';
+
+    const slides = report.slides || [];
+    const total = slides.length + 2;
+
+    const title = pptx.addSlide();
+    title.background = { color: COLORS.accentDark };
+    title.addText(pptx.title, {
+        x: 0.5, y: 2.2, w: 12.3, h: 1.2,
+        fontFace: FONT, fontSize: 40, bold: true, color: COLORS.white, align: 'center'
+    });
+    title.addText(report.executiveMessage || '', {
+        x: 1, y: 3.5, w: 11.3, h: 1,
+        fontFace: FONT, fontSize: 20, color: COLORS.white, align: 'center'
+    });
+    title.addText([
+        totalRecords !== undefined ? `${Number(totalRecords).toLocaleString()} tickets analyzed` : '',
+        generatedAt ? new Date(generatedAt).toLocaleDateString() : ''
+    ].filter(Boolean).join('  •  '), {
+        x: 1, y: 5.2, w: 11.3, h: 0.5,
+        fontFace: FONT, fontSize: 14, color: COLORS.white, align: 'center'
+    });
+    title.addNotes(notesFrom([report.executiveMessage, report.executiveSummary?.keyMessage]));
+
+    slides.forEach((reportSlide, index) => addSectionSlide(pptx, reportSlide, index + 2, total));
+
+    const summary = report.executiveSummary || {};
+    const closing = pptx.addSlide();
+    addHeading(closing, 'Executive Summary & Next Steps');
+    [
+        ['Key Message', summary.keyMessage],
+        ['Business Impact', summary.businessImpact],
+        ['Next Steps', summary.nextSteps],
+        ['Investment Required', summary.investmentRequired]
+    ].filter(([, text]) => text).forEach(([label, text], index) => {
+        const y = 1.6 + index * 1.3;
+        closing.addShape('rect', { x: 0.5, y, w: 0.08, h: 1.1, fill: { color: COLORS.accent } });
+        closing.addText([
+            { text: label, options: { bold: true, color: COLORS.accentDark, fontSize: 14, breakLine: true } },
+            { text, options: { color: COLORS.text, fontSize: 16 } }
+        ], { x: 0.75, y, w: 12, h: 1.1, fontFace: FONT, valign: 'top' });
+    });
+    closing.addNotes(notesFrom([
+        summary.keyMessage,
+        report.appendix?.dataSource,
+        report.appendix?.reportingPeriod && `Reporting period: ${report.appendix.reportingPeriod}`
+    ]));
+    addSlideNumber(closing, total, total);
+
+    return pptx.write({ outputType: 'nodebuffer' });
+}
+
+module.exports = {
+    renderPresentationPPTX
+};
@@ -0,0 +1,196 @@
+// What personal data may reach the LLM. Before a prompt is built, agent
+// names (and optionally categories and priorities) are swapped for stable
+// tokens such as Agent-07, and values matching the PII patterns are
+// redacted. Tokens the model repeats in its narrative can be swapped back
+// before the report is rendered. The computed tables never go through the
+// model, so they always show the real names.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { PII_PATTERNS, replacePII } = require('./piiScanner');
+
+const SETTINGS_PATH = path.join(__dirname, '../data/privacy-settings.json');
+
+// Analysis dimensions that can be pseudonymized, with their token prefix
+const DIMENSIONS = {
+    agent: { prefix: 'Agent', names: analysis => Object.keys(analysis.agents || {}) },
+    category: { prefix: 'Category', names: analysis => Object.keys(analysis.categories || {}) },
+    priority: { prefix: 'Priority', names: analysis => Object.keys(analysis.priorityAnalysis || {}) }
+};
+
+// Fallback values the analysis gives blank cells; they name nobody
+const PLACEHOLDER_NAMES = ['Unknown'];
+
+/**
+ * Agents are pseudonymized and every value pattern is redacted unless the
+ * settings say otherwise
+ */
+const DEFAULT_PRIVACY_SETTINGS = {
+    pseudonymize: { agent: true, category: false, priority: false },
+    redact: Object.keys(PII_PATTERNS),
+    protectFlaggedColumns: true,
+    restoreNames: true
+};
+
+function toBoolean(value, fallback) {
+    return typeof value === 'boolean' ? value : fallback;
+}
+
+/**
+ * Validate privacy settings and fill anything missing from the defaults
+ * @param {Object} settings - Stored or user supplied settings
+ * @returns {Object} - Complete settings
+ * @throws {Error} - When a redaction pattern is unknown
+ */
+function resolvePrivacySettings(settings) {
+    const source = settings || {};
+
+    const pseudonymize = {};
+    Object.keys(DIMENSIONS).forEach(dimension => {
+        pseudonymize[dimension] = toBoolean(source.pseudonymize?.[dimension], DEFAULT_PRIVACY_SETTINGS.pseudonymize[dimension]);
+    });
+
+    const redact = Array.isArray(source.redact) ? [...new Set(source.redact)] : DEFAULT_PRIVACY_SETTINGS.redact;
+    const unknown = redact.filter(kind => !PII_PATTERNS[kind]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown redaction pattern: ${unknown.join(', ')}`);
+    }
+
+    return {
+        pseudonymize,
+        redact: Object.keys(PII_PATTERNS).filter(kind => redact.includes(kind)),
+        protectFlaggedColumns: toBoolean(source.protectFlaggedColumns, DEFAULT_PRIVACY_SETTINGS.protectFlaggedColumns),
+        restoreNames: toBoolean(source.restoreNames, DEFAULT_PRIVACY_SETTINGS.restoreNames)
+    };
+}
+
+/**
+ * Load the saved privacy settings, or the defaults when none have been saved
+ * @returns {Promise<Object>} - Complete settings
+ */
+async function getPrivacySettings() {
+    if (!await fs.pathExists(SETTINGS_PATH)) return resolvePrivacySettings(DEFAULT_PRIVACY_SETTINGS);
+    const stored = await fs.readJson(SETTINGS_PATH, { throws: false });
+    return resolvePrivacySettings(stored || DEFAULT_PRIVACY_SETTINGS);
+}
+
+/**
+ * Validate and save the privacy settings
+ * @param {Object} input - pseudonymize, redact, protectFlaggedColumns, restoreNames
+ * @returns {Promise<Object>} - Saved settings
+ */
+async function savePrivacySettings(input) {
+    const settings = resolvePrivacySettings(input);
+    await fs.ensureDir(path.dirname(SETTINGS_PATH));
+    await fs.writeJson(SETTINGS_PATH, settings, { spaces: 2 });
+    return settings;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Dimensions whose mapped column the upload scan flagged
+function flaggedDimensions(sources) {
+    const flagged = new Set();
+    sources.forEach(({ mapping, pii }) => {
+        const columns = new Set((pii?.columns || []).map(entry => entry.column));
+        Object.keys(DIMENSIONS).forEach(dimension => {
+            if ((mapping?.fields?.[dimension] || []).some(column => columns.has(column))) flagged.add(dimension);
+        });
+    });
+    return flagged;
+}
+
+/**
+ * Build the pseudonymizer for one report
+ * @param {Object} settings - Resolved privacy settings
+ * @param {Object} context - analyses whose names are replaced (the current
+ *   period and the baseline, so both get the same tokens) and sources, the
+ *   mapping and upload scan of each dataset read
+ * @returns {Object} - protect(value) to apply before sending, restore(value)
+ *   to apply to the reply, restoresNames and summary() of what was done
+ */
+function createPseudonymizer(settings, { analyses = [], sources = [] } = {}) {
+    const flagged = settings.protectFlaggedColumns ? flaggedDimensions(sources) : new Set();
+    const tokens = new Map();
+    const names = new Map();
+    const pseudonymized = {};
+
+    Object.entries(DIMENSIONS).forEach(([dimension, { prefix, names: namesOf }]) => {
+        if (!settings.pseudonymize[dimension] && !flagged.has(dimension)) return;
+
+        const values = new Set();
+        analyses.filter(Boolean).forEach(analysis => namesOf(analysis).forEach(name => values.add(name)));
+        const sorted = [...values]
+            .filter(name => name.trim() !== '' && !PLACEHOLDER_NAMES.includes(name))
+            .sort((a, b) => a.localeCompare(b));
+        const width = Math.max(2, String(sorted.length).length);
+
+        sorted.forEach((name, index) => {
+            if (tokens.has(name)) return;
+            const token = `${prefix}-${String(index + 1).padStart(width, '0')}`;
+            tokens.set(name, token);
+            names.set(token, name);
+        });
+        pseudonymized[dimension] = sorted.length;
+    });
+
+    // Longest first so "Ann Lee" is replaced before "Ann"; names only match
+    // whole, not inside longer words
+    const namePattern = tokens.size > 0
+        ? new RegExp(`(?<![\\p{L}\\p{N}])(${[...tokens.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'gu')
+        : null;
+    const tokenPattern = names.size > 0
+        ? new RegExp(`\\b(${[...names.keys()].map(escapeRegExp).join('|')})\\b`, 'g')
+        : null;
+    const redacted = {};
+
+    const protectText = (text) => {
+        const named = namePattern ? text.replace(namePattern, name => tokens.get(name)) : text;
+        const result = replacePII(named, settings.redact, kind => `[${kind}]`);
+        result.found.forEach(kind => {
+            redacted[kind] = (redacted[kind] || 0) + 1;
+        });
+        return result.text;
+    };
+
+    const mapStrings = (value, mapText) => {
+        if (typeof value === 'string') return mapText(value);
+        if (Array.isArray(value)) return value.map(item => mapStrings(item, mapText));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [mapText(key), mapStrings(item, mapText)]));
+        }
+        return value;
+    };
+
+    return {
+        restoresNames: settings.restoreNames,
+
+        // Strings anywhere in the value, object keys included
+        protect(value) {
+            return mapStrings(value, protectText);
+        },
+
+        restore(value) {
+            if (!tokenPattern) return value;
+            return mapStrings(value, text => text.replace(tokenPattern, token => names.get(token)));
+        },
+
+        summary() {
+            return {
+                pseudonymized,
+                flaggedDimensions: [...flagged],
+                redacted: { ...redacted },
+                namesRestored: settings.restoreNames && tokens.size > 0
+            };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PRIVACY_SETTINGS,
+    getPrivacySettings,
+    savePrivacySettings,
+    createPseudonymizer
+};
@@ -0,0 +1,166 @@
+// Guards the prompts against text from uploaded files. Cell values reach the
+// model as agent names, categories, filter values and file names; a value
+// such as "Ignore previous instructions" or one that closes a JSON string
+// must stay inert data. Data therefore only enters a prompt through
+// dataBlock(), as escaped JSON between delimiters the data cannot produce,
+// and instruction-like values are flagged at upload and swapped for a
+// placeholder before sending.
+
+// Longest value passed to the model; names and categories are far shorter
+const MAX_PROMPT_VALUE_LENGTH = 200;
+const MAX_SUSPICIOUS_EXAMPLES = 3;
+const EXAMPLE_LENGTH = 80;
+
+const REMOVED_PLACEHOLDER = '[instruction-like text removed]';
+
+/**
+ * Signs that a value is addressed to the model rather than describing a
+ * ticket
+ */
+const INSTRUCTION_SIGNALS = {
+    overrideInstructions: {
+        label: 'Tells the model to ignore its instructions',
+        pattern: /\b(ignore|disregard|forget|override)\b[^.\n]{0,40}\b(instructions?|prompts?|rules|directions|guidelines)\b/i
+    },
+    roleMarker: {
+        label: 'Starts a chat turn',
+        pattern: /(^|[\r\n\u2028\u2029])\s*(system|assistant|human)\s*:/i
+    },
+    rolePlay: {
+        label: 'Assigns the model a role',
+        pattern: /\b(you are now|act as an?|pretend (to be|you are)|from now on,? you)\b/i
+    },
+    promptTerms: {
+        label: 'Mentions the prompt itself',
+        pattern: /\b(system prompt|jailbreak|prompt injection|developer mode)\b/i
+    },
+    outputControl: {
+        label: 'Dictates the reply',
+        pattern: /\b(respond|reply|answer) (only )?with\b|\boutput only\b|\breturn only\b/i
+    },
+    markup: {
+        label: 'Contains prompt markup',
+        pattern: /<\/?\s*(data|system|instructions?|prompt)\b|```|<\|[a-z_]+\|>|\[\/?INST\]/i
+    }
+};
+
+// Control characters, zero-width characters and bidi overrides can hide
+// text from whoever reviews the data
+const INVISIBLE_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+const LINE_BREAKS = /[\r\n\t\u2028\u2029]+/g;
+
+/**
+ * List the instruction signals a piece of text shows
+ * @param {string} text - Text to check
+ * @returns {string[]} - Keys of INSTRUCTION_SIGNALS that matched
+ */
+function findInstructionSignals(text) {
+    if (typeof text !== 'string' || text.length < 4) return [];
+    const visible = text.replace(INVISIBLE_CHARACTERS, '');
+    return Object.keys(INSTRUCTION_SIGNALS).filter(signal => INSTRUCTION_SIGNALS[signal].pattern.test(visible));
+}
+
+/**
+ * Start a scan of a stream of rows for instruction-like values. Every row
+ * is checked, since one planted value anywhere can reach the prompt.
+ * @returns {Object} - add(row) for each row, then finalize() for the rows
+ *   scanned and the columns holding suspicious values, with examples
+ */
+function createInstructionScanner() {
+    const columns = new Map();
+    let rowsScanned = 0;
+
+    return {
+        add(row) {
+            rowsScanned++;
+            Object.entries(row).forEach(([column, value]) => {
+                const signals = findInstructionSignals(value);
+                if (signals.length === 0) return;
+
+                if (!columns.has(column)) columns.set(column, { column, count: 0, signals: new Set(), examples: [] });
+                const entry = columns.get(column);
+                entry.count++;
+                signals.forEach(signal => entry.signals.add(signal));
+                if (entry.examples.length < MAX_SUSPICIOUS_EXAMPLES) {
+                    const visible = value.replace(INVISIBLE_CHARACTERS, '').replace(LINE_BREAKS, ' ');
+                    entry.examples.push({
+                        row: rowsScanned,
+                        value: visible.length > EXAMPLE_LENGTH ? `${visible.slice(0, EXAMPLE_LENGTH)}…` : visible
+                    });
+                }
+            });
+        },
+
+        finalize() {
+            return {
+                rowsScanned,
+                columns: [...columns.values()].map(entry => ({
+                    ...entry,
+                    signals: [...entry.signals].map(signal => ({ signal, label: INSTRUCTION_SIGNALS[signal].label }))
+                }))
+            };
+        }
+    };
+}
+
+/**
+ * Make data safe to put in a prompt: every string (object keys included)
+ * loses invisible characters and line breaks, is shortened, and is replaced
+ * by a placeholder when it reads like an instruction
+ * @returns {Object} - clean(value) and summary() of what was changed
+ */
+function createPromptSanitizer() {
+    const removed = new Set();
+    let shortened = 0;
+
+    const cleanText = (text) => {
+        if (findInstructionSignals(text).length > 0) {
+            removed.add(text);
+            return REMOVED_PLACEHOLDER;
+        }
+        const flat = text.replace(INVISIBLE_CHARACTERS, '').replace(LINE_BREAKS, ' ');
+        if (flat.length <= MAX_PROMPT_VALUE_LENGTH) return flat;
+        shortened++;
+        return `${flat.slice(0, MAX_PROMPT_VALUE_LENGTH)}…`;
+    };
+
+    const clean = (value) => {
+        if (typeof value === 'string') return cleanText(value);
+        if (Array.isArray(value)) return value.map(clean);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [cleanText(key), clean(item)]));
+        }
+        return value;
+    };
+
+    return {
+        clean,
+        summary() {
+            return { removedValues: removed.size, shortenedValues: shortened };
+        }
+    };
+}
+
+/**
+ * Wrap data for a prompt. The JSON is escaped so that no value can close
+ * the block or open another one: <, > and & only appear as \u escapes.
+ * @param {string} name - Block name the instructions refer to
+ * @param {*} value - Data to include
+ * @returns {string} - Delimited block
+ */
+function dataBlock(name, value) {
+    const json = JSON.stringify(value, null, 2)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026');
+    return `<data name="${name}">\n${json}\n</data>`;
+}
+
+module.exports = {
+    INSTRUCTION_SIGNALS,
+    REMOVED_PLACEHOLDER,
+    findInstructionSignals,
+    createInstructionScanner,
+    createPromptSanitizer,
+    dataBlock
+};
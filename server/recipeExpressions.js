@@ -0,0 +1,349 @@
+// The expression language of derived columns in transform recipes. Users
+// type these in DataPreview, so they are parsed into a tree and evaluated
+// against each row here; nothing is ever handed to eval or Function.
+//
+//   [Resolved Time] and Agent     column references (brackets for spaces)
+//   "text", 12.5, true, null      literals
+//   + - * / %                     arithmetic; + joins text when either side is text
+//   == != < <= > >=               comparison
+//   and or not (&& || !)          logic
+//   upper(Category)               functions, see FUNCTIONS below
+//
+// Evaluation never throws: a missing column, a bad date or a division by
+// zero gives null, so one odd row cannot stop an analysis.
+
+const moment = require('moment');
+const { parseTimestamp } = require('./slaPolicy');
+
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_DEPTH = 40;
+
+/**
+ * Thrown when an expression cannot be parsed; the message names the position
+ */
+class ExpressionError extends Error {}
+
+// Own keys only, so a word such as "constructor" is never taken for an
+// Object.prototype member
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (isBlank(value)) return null;
+    const number = Number(String(value).trim());
+    return Number.isFinite(number) ? number : null;
+}
+
+function toText(value) {
+    return isBlank(value) ? '' : String(value);
+}
+
+function truthy(value) {
+    if (typeof value === 'string') return value.trim() !== '' && value.toLowerCase() !== 'false';
+    return Boolean(value);
+}
+
+function minutesBetween(start, end) {
+    const from = parseTimestamp(start, 'UTC');
+    const to = parseTimestamp(end, 'UTC');
+    return from === null || to === null ? null : (to - from) / 60000;
+}
+
+function round(value, digits = 0) {
+    const number = toNumber(value);
+    if (number === null) return null;
+    const factor = 10 ** Math.max(0, Math.min(10, Math.trunc(toNumber(digits) || 0)));
+    return Math.round(number * factor) / factor;
+}
+
+/**
+ * Functions available in expressions: [minimum args, maximum args, implementation]
+ */
+const FUNCTIONS = {
+    upper: [1, 1, value => isBlank(value) ? null : toText(value).toUpperCase()],
+    lower: [1, 1, value => isBlank(value) ? null : toText(value).toLowerCase()],
+    trim: [1, 1, value => isBlank(value) ? null : toText(value).trim()],
+    len: [1, 1, value => toText(value).length],
+    concat: [1, 20, (...values) => values.map(toText).join('')],
+    substr: [2, 3, (value, start, length) => {
+        const text = toText(value);
+        const from = Math.max(0, toNumber(start) || 0);
+        return length === undefined ? text.slice(from) : text.slice(from, from + Math.max(0, toNumber(length) || 0));
+    }],
+    replace: [3, 3, (value, search, replacement) => isBlank(value) ? null : toText(value).split(toText(search)).join(toText(replacement))],
+    contains: [2, 2, (value, search) => toText(value).toLowerCase().includes(toText(search).toLowerCase())],
+    coalesce: [1, 20, (...values) => values.find(value => !isBlank(value)) ?? null],
+    if: [2, 3, (condition, then, otherwise = null) => truthy(condition) ? then : otherwise],
+    number: [1, 1, toNumber],
+    text: [1, 1, value => isBlank(value) ? null : toText(value)],
+    round: [1, 2, round],
+    date: [1, 1, value => {
+        const time = parseTimestamp(value, 'UTC');
+        return time === null ? null : moment.utc(time).format('YYYY-MM-DD');
+    }],
+    month: [1, 1, value => {
+        const time = parseTimestamp(value, 'UTC');
+        return time === null ? null : moment.utc(time).format('YYYY-MM');
+    }],
+    minutes_between: [2, 2, minutesBetween],
+    hours_between: [2, 2, (start, end) => {
+        const minutes = minutesBetween(start, end);
+        return minutes === null ? null : minutes / 60;
+    }],
+    days_between: [2, 2, (start, end) => {
+        const minutes = minutesBetween(start, end);
+        return minutes === null ? null : minutes / 1440;
+    }]
+};
+
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+const KEYWORDS = { true: true, false: false, null: null };
+const SYMBOLS = ['==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '(', ')', ','];
+
+function tokenize(source) {
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+        const char = source[index];
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+        const position = index + 1;
+
+        if (char === '"' || char === "'") {
+            let text = '';
+            index++;
+            while (index < source.length && source[index] !== char) {
+                if (source[index] === '\\' && index + 1 < source.length) index++;
+                text += source[index++];
+            }
+            if (index >= source.length) throw new ExpressionError(`Unclosed text starting at position ${position}`);
+            index++;
+            tokens.push({ type: 'literal', value: text, position });
+            continue;
+        }
+
+        if (char === '[') {
+            const end = source.indexOf(']', index);
+            if (end === -1) throw new ExpressionError(`Unclosed [ at position ${position}`);
+            const name = source.slice(index + 1, end).trim();
+            if (!name) throw new ExpressionError(`Empty column name at position ${position}`);
+            tokens.push({ type: 'column', value: name, position });
+            index = end + 1;
+            continue;
+        }
+
+        const number = source.slice(index).match(/^\d+(\.\d+)?/);
+        if (number) {
+            tokens.push({ type: 'literal', value: Number(number[0]), position });
+            index += number[0].length;
+            continue;
+        }
+
+        const word = source.slice(index).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (word) {
+            const lower = word[0].toLowerCase();
+            if (hasOwn(WORD_OPERATORS, lower)) {
+                tokens.push({ type: 'operator', value: WORD_OPERATORS[lower], position });
+            } else if (hasOwn(KEYWORDS, lower)) {
+                tokens.push({ type: 'literal', value: KEYWORDS[lower], position });
+            } else {
+                tokens.push({ type: 'name', value: word[0], position });
+            }
+            index += word[0].length;
+            continue;
+        }
+
+        const symbol = SYMBOLS.find(candidate => source.startsWith(candidate, index));
+        if (!symbol) throw new ExpressionError(`Unexpected "${char}" at position ${position}`);
+        tokens.push({ type: 'operator', value: symbol, position });
+        index += symbol.length;
+    }
+    return tokens;
+}
+
+// Binary operators from loosest to tightest binding
+const PRECEDENCE = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+function parse(tokens) {
+    let index = 0;
+    let depth = 0;
+
+    const peek = () => tokens[index];
+    const describe = (token) => token ? `"${token.value}" at position ${token.position}` : 'end of expression';
+    const expect = (value) => {
+        const token = tokens[index];
+        if (!token || token.type !== 'operator' || token.value !== value) {
+            throw new ExpressionError(`Expected "${value}" but found ${describe(token)}`);
+        }
+        index++;
+    };
+
+    function binary(level) {
+        if (level === PRECEDENCE.length) return unary();
+        let node = binary(level + 1);
+        while (peek()?.type === 'operator' && PRECEDENCE[level].includes(peek().value)) {
+            const operator = tokens[index++].value;
+            node = { type: 'binary', operator, left: node, right: binary(level + 1) };
+        }
+        return node;
+    }
+
+    function unary() {
+        const token = peek();
+        if (token?.type === 'operator' && (token.value === '-' || token.value === '!')) {
+            index++;
+            return { type: 'unary', operator: token.value, operand: unary() };
+        }
+        return primary();
+    }
+
+    function primary() {
+        const token = tokens[index++];
+        if (!token) throw new ExpressionError('Expression ends too early');
+        if (++depth > MAX_DEPTH) throw new ExpressionError('Expression is nested too deeply');
+        try {
+            if (token.type === 'literal') return { type: 'literal', value: token.value };
+            if (token.type === 'column') return { type: 'column', name: token.value };
+            if (token.type === 'name') {
+                if (peek()?.value !== '(') return { type: 'column', name: token.value };
+                const name = token.value.toLowerCase();
+                if (!hasOwn(FUNCTIONS, name)) throw new ExpressionError(`Unknown function "${token.value}" at position ${token.position}`);
+                index++;
+                const args = [];
+                if (peek()?.value !== ')') {
+                    args.push(binary(0));
+                    while (peek()?.value === ',') {
+                        index++;
+                        args.push(binary(0));
+                    }
+                }
+                expect(')');
+                const [min, max] = FUNCTIONS[name];
+                if (args.length < min || args.length > max) {
+                    const expected = min === max ? min : `${min} to ${max}`;
+                    throw new ExpressionError(`${name}() takes ${expected} argument${max === 1 ? '' : 's'}, got ${args.length}`);
+                }
+                return { type: 'call', name, args };
+            }
+            if (token.value === '(') {
+                const node = binary(0);
+                expect(')');
+                return node;
+            }
+            throw new ExpressionError(`Unexpected ${describe(token)}`);
+        } finally {
+            depth--;
+        }
+    }
+
+    const tree = binary(0);
+    if (index < tokens.length) throw new ExpressionError(`Unexpected ${describe(tokens[index])}`);
+    return tree;
+}
+
+function compare(operator, left, right) {
+    const a = toNumber(left);
+    const b = toNumber(right);
+    const [x, y] = a !== null && b !== null ? [a, b] : [toText(left), toText(right)];
+    switch (operator) {
+        case '==': return x === y;
+        case '!=': return x !== y;
+        case '<': return x < y;
+        case '<=': return x <= y;
+        case '>': return x > y;
+        default: return x >= y;
+    }
+}
+
+function arithmetic(operator, left, right) {
+    if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+        return toText(left) + toText(right);
+    }
+    const a = toNumber(left);
+    const b = toNumber(right);
+    if (a === null || b === null) return null;
+    switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        default: return b === 0 ? null : a % b;
+    }
+}
+
+function evaluate(node, row) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'column':
+            return hasOwn(row, node.name) ? row[node.name] ?? null : null;
+        case 'unary': {
+            const value = evaluate(node.operand, row);
+            if (node.operator === '!') return !truthy(value);
+            const number = toNumber(value);
+            return number === null ? null : -number;
+        }
+        case 'binary': {
+            if (node.operator === '&&') return truthy(evaluate(node.left, row)) && truthy(evaluate(node.right, row));
+            if (node.operator === '||') return truthy(evaluate(node.left, row)) || truthy(evaluate(node.right, row));
+            const left = evaluate(node.left, row);
+            const right = evaluate(node.right, row);
+            if (['==', '!=', '<', '<=', '>', '>='].includes(node.operator)) return compare(node.operator, left, right);
+            return arithmetic(node.operator, left, right);
+        }
+        default:
+            return FUNCTIONS[node.name][2](...node.args.map(arg => evaluate(arg, row)));
+    }
+}
+
+function collectColumns(node, columns = new Set()) {
+    if (node.type === 'column') columns.add(node.name);
+    if (node.operand) collectColumns(node.operand, columns);
+    if (node.left) collectColumns(node.left, columns);
+    if (node.right) collectColumns(node.right, columns);
+    (node.args || []).forEach(arg => collectColumns(arg, columns));
+    return columns;
+}
+
+/**
+ * Parse a derived column expression
+ * @param {string} source - Expression text
+ * @returns {Object} - columns the expression reads and evaluate(row),
+ *   which returns the value for a row (null when it cannot be worked out)
+ * @throws {ExpressionError} - When the expression is not valid
+ */
+function compileExpression(source) {
+    const text = String(source ?? '').trim();
+    if (!text) throw new ExpressionError('Expression is empty');
+    if (text.length > MAX_EXPRESSION_LENGTH) {
+        throw new ExpressionError(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    const tree = parse(tokenize(text));
+    return {
+        columns: [...collectColumns(tree)],
+        evaluate(row) {
+            try {
+                const value = evaluate(tree, row);
+                return typeof value === 'number' && !Number.isFinite(value) ? null : value;
+            } catch (error) {
+                return null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    FUNCTIONS,
+    ExpressionError,
+    compileExpression
+};
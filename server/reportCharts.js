@@ -0,0 +1,246 @@
+// Inline SVG charts for the HTML report templates, drawn from the SLA
+// analysis. Plain markup with no scripts or external assets, so the charts
+// work offline, in the PDF export and in saved copies of a report. Hovering
+// a bar or point shows its exact figures through the SVG <title> element.
+
+const { RESOLUTION_BENCHMARK } = require('./reportMetrics');
+const { ReportUtils } = require('./utils');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const COLORS = {
+    volume: '#45b7d1',
+    violations: '#ff4757',
+    excellent: '#26de81',
+    warning: '#feca57',
+    grid: '#3a3a3a',
+    text: '#b0b0b0'
+};
+// Horizontal bar charts show the largest groups only
+const MAX_BARS = 10;
+const WIDTH = 560;
+
+// Styles shared by every template; appended to each template's <style>
+const CHART_STYLES = `
+        .report-charts {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(420px, 1fr));
+            gap: 1.5rem;
+        }
+        .report-chart {
+            background: rgba(0,0,0,0.2);
+            border: 1px solid #333;
+            border-radius: 12px;
+            padding: 1rem 1.25rem;
+        }
+        .report-chart figcaption { color: #ffffff; font-weight: 600; margin-bottom: 0.75rem; }
+        .report-chart svg { width: 100%; height: auto; display: block; font-family: inherit; }
+        .report-chart .chart-note { color: #b0b0b0; font-size: 0.8rem; margin-top: 0.5rem; }
+        .report-chart .chart-mark { transition: opacity 0.2s ease; }
+        .report-chart .chart-mark:hover { opacity: 0.75; }
+        @media print {
+            .report-chart { break-inside: avoid; }
+        }`;
+
+function truncate(label, length = 18) {
+    const text = String(label);
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function percent(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+// Round an axis maximum up to a readable value
+function niceMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    return [1, 2, 2.5, 5, 10].map(step => step * magnitude).find(step => step >= value);
+}
+
+function rateColor(rate, good, fair) {
+    if (rate >= good) return COLORS.excellent;
+    return rate >= fair ? COLORS.warning : COLORS.violations;
+}
+
+function legend(items, y) {
+    return items.map(([label, color], index) => `
+        <rect x="${60 + index * 140}" y="${y}" width="12" height="12" rx="2" fill="${color}"/>
+        <text x="${78 + index * 140}" y="${y + 10}" font-size="12" fill="${COLORS.text}">${ReportUtils.escapeHTML(label)}</text>`).join('');
+}
+
+function figure(title, svg, note) {
+    return `
+            <figure class="report-chart">
+                <figcaption>${ReportUtils.escapeHTML(title)}</figcaption>
+                ${svg}
+                ${note ? `<div class="chart-note">${ReportUtils.escapeHTML(note)}</div>` : ''}
+            </figure>`;
+}
+
+// Horizontal bars with the label on the left and the value on the right
+function horizontalBars(items, { max, benchmark, unit = '' }) {
+    const labelWidth = 150;
+    const valueWidth = 70;
+    const rowHeight = 28;
+    const plotWidth = WIDTH - labelWidth - valueWidth;
+    const height = items.length * rowHeight + 10;
+    const x = value => labelWidth + (Math.min(value, max) / max) * plotWidth;
+
+    const bars = items.map((item, index) => {
+        const y = 5 + index * rowHeight;
+        return `
+        <g class="chart-mark">
+            <title>${ReportUtils.escapeHTML(item.tooltip)}</title>
+            <text x="${labelWidth - 8}" y="${y + 16}" font-size="12" fill="${COLORS.text}" text-anchor="end">${ReportUtils.escapeHTML(truncate(item.label))}</text>
+            <rect x="${labelWidth}" y="${y + 4}" width="${Math.max(x(item.value) - labelWidth, 1).toFixed(1)}" height="${rowHeight - 10}" rx="3" fill="${item.color}"/>
+            <text x="${x(item.value) + 6}" y="${y + 16}" font-size="12" fill="#ffffff">${ReportUtils.escapeHTML(`${item.value}${unit}`)}</text>
+        </g>`;
+    }).join('');
+
+    const benchmarkLine = benchmark === undefined ? '' : `
+        <line x1="${x(benchmark)}" y1="0" x2="${x(benchmark)}" y2="${height}" stroke="#ffffff" stroke-dasharray="4 4" stroke-opacity="0.5">
+            <title>Benchmark ${benchmark}${unit}</title>
+        </line>`;
+
+    return `<svg viewBox="0 0 ${WIDTH} ${height}" role="img" xmlns="http://www.w3.org/2000/svg">${bars}${benchmarkLine}
+    </svg>`;
+}
+
+// Monthly ticket volume as bars with violations drawn as a line on the same scale
+function monthlyTrendChart(analysis) {
+    const months = Object.keys(analysis.performanceTrends?.monthly || {}).sort();
+    if (months.length === 0) return '';
+
+    const data = months.map(month => ({ month, ...analysis.performanceTrends.monthly[month] }));
+    const height = 260;
+    const top = 15;
+    const bottom = 215;
+    const left = 50;
+    const plotWidth = WIDTH - left - 10;
+    const max = niceMax(Math.max(...data.map(d => Math.max(d.total, d.violations))));
+    const slot = plotWidth / data.length;
+    const barWidth = Math.min(slot * 0.6, 60);
+    const y = value => bottom - (value / max) * (bottom - top);
+    const labelEvery = Math.ceil(data.length / 12);
+
+    const gridLines = [0, 0.5, 1].map(fraction => `
+        <line x1="${left}" y1="${y(max * fraction)}" x2="${WIDTH - 10}" y2="${y(max * fraction)}" stroke="${COLORS.grid}"/>
+        <text x="${left - 6}" y="${y(max * fraction) + 4}" font-size="11" fill="${COLORS.text}" text-anchor="end">${Math.round(max * fraction)}</text>`).join('');
+
+    const bars = data.map((d, index) => {
+        const cx = left + slot * index + slot / 2;
+        return `
+        <g class="chart-mark">
+            <title>${ReportUtils.escapeHTML(`${d.month}: ${d.total} tickets, ${d.violations} violations (${percent(d.violations, d.total)}% of tickets)`)}</title>
+            <rect x="${(cx - barWidth / 2).toFixed(1)}" y="${y(d.total).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(bottom - y(d.total)).toFixed(1)}" rx="3" fill="${COLORS.volume}"/>
+            <circle cx="${cx.toFixed(1)}" cy="${y(d.violations).toFixed(1)}" r="4" fill="${COLORS.violations}"/>
+        </g>
+        ${index % labelEvery === 0 ? `<text x="${cx.toFixed(1)}" y="${bottom + 16}" font-size="11" fill="${COLORS.text}" text-anchor="middle">${ReportUtils.escapeHTML(d.month)}</text>` : ''}`;
+    }).join('');
+
+    const line = data.length > 1 ? `
+        <polyline points="${data.map((d, index) => `${(left + slot * index + slot / 2).toFixed(1)},${y(d.violations).toFixed(1)}`).join(' ')}" fill="none" stroke="${COLORS.violations}" stroke-width="2"/>` : '';
+
+    return figure('Monthly Volume & Violations', `<svg viewBox="0 0 ${WIDTH} ${height}" role="img" xmlns="http://www.w3.org/2000/svg">${gridLines}${line}${bars}
+        ${legend([['Tickets', COLORS.volume], ['Violations', COLORS.violations]], bottom + 30)}
+    </svg>`);
+}
+
+// Share of tickets with an SLA violation for each day of the week
+function dayOfWeekChart(analysis) {
+    const days = (analysis.insights?.timePatterns || [])
+        .filter(day => DAY_NAMES.includes(day.day))
+        .sort((a, b) => DAY_NAMES.indexOf(a.day) - DAY_NAMES.indexOf(b.day));
+    if (days.length === 0) return '';
+
+    const height = 230;
+    const top = 15;
+    const bottom = 200;
+    const left = 50;
+    const slot = (WIDTH - left - 10) / days.length;
+    const max = niceMax(Math.max(...days.map(day => parseFloat(day.violationRate) || 0)));
+    const y = value => bottom - (value / max) * (bottom - top);
+
+    const gridLines = [0, 0.5, 1].map(fraction => `
+        <line x1="${left}" y1="${y(max * fraction)}" x2="${WIDTH - 10}" y2="${y(max * fraction)}" stroke="${COLORS.grid}"/>
+        <text x="${left - 6}" y="${y(max * fraction) + 4}" font-size="11" fill="${COLORS.text}" text-anchor="end">${Math.round(max * fraction)}%</text>`).join('');
+
+    const bars = days.map((day, index) => {
+        const rate = parseFloat(day.violationRate) || 0;
+        const cx = left + slot * index + slot / 2;
+        return `
+        <g class="chart-mark">
+            <title>${ReportUtils.escapeHTML(`${day.day}: ${day.violations} violations across ${day.total} tickets (${rate}%)`)}</title>
+            <rect x="${(cx - slot * 0.3).toFixed(1)}" y="${y(rate).toFixed(1)}" width="${(slot * 0.6).toFixed(1)}" height="${(bottom - y(rate)).toFixed(1)}" rx="3" fill="${rateColor(100 - rate, 90, 75)}"/>
+            <text x="${cx.toFixed(1)}" y="${bottom + 16}" font-size="11" fill="${COLORS.text}" text-anchor="middle">${day.day.slice(0, 3)}</text>
+        </g>`;
+    }).join('');
+
+    return figure('Violation Rate by Day of Week', `<svg viewBox="0 0 ${WIDTH} ${height}" role="img" xmlns="http://www.w3.org/2000/svg">${gridLines}${bars}
+    </svg>`, 'Violations per ticket created on each day');
+}
+
+function categoryComplianceChart(analysis) {
+    const categories = Object.entries(analysis.categories || {})
+        .map(([category, data]) => ({ category, total: data.total, rate: parseFloat(data.complianceRate) || 0 }))
+        .sort((a, b) => b.total - a.total);
+    if (categories.length === 0) return '';
+
+    const shown = categories.slice(0, MAX_BARS).sort((a, b) => a.rate - b.rate);
+    const svg = horizontalBars(shown.map(c => ({
+        label: c.category,
+        value: c.rate,
+        color: rateColor(c.rate, RESOLUTION_BENCHMARK, 75),
+        tooltip: `${c.category}: ${c.rate}% compliant across ${c.total} tickets`
+    })), { max: 100, benchmark: RESOLUTION_BENCHMARK, unit: '%' });
+
+    const note = categories.length > MAX_BARS
+        ? `${MAX_BARS} largest of ${categories.length} categories; dashed line marks the ${RESOLUTION_BENCHMARK}% benchmark`
+        : `Dashed line marks the ${RESOLUTION_BENCHMARK}% benchmark`;
+    return figure('Compliance by Category', svg, note);
+}
+
+function agentWorkloadChart(analysis) {
+    const agents = Object.entries(analysis.agents || {})
+        .map(([agent, data]) => ({ agent, total: data.total }))
+        .sort((a, b) => b.total - a.total);
+    if (agents.length === 0) return '';
+
+    const totalTickets = agents.reduce((sum, agent) => sum + agent.total, 0);
+    const svg = horizontalBars(agents.slice(0, MAX_BARS).map(a => ({
+        label: a.agent,
+        value: a.total,
+        color: COLORS.volume,
+        tooltip: `${a.agent}: ${a.total} tickets (${percent(a.total, totalTickets)}% of all tickets)`
+    })), { max: niceMax(agents[0].total) });
+
+    const note = agents.length > MAX_BARS
+        ? `${MAX_BARS} busiest of ${agents.length} agents`
+        : `Tickets handled by each of ${agents.length} agent${agents.length === 1 ? '' : 's'}`;
+    return figure('Agent Workload Distribution', svg, note);
+}
+
+const CHARTS = {
+    monthlyTrend: monthlyTrendChart,
+    dayOfWeek: dayOfWeekChart,
+    categoryCompliance: categoryComplianceChart,
+    agentWorkload: agentWorkloadChart
+};
+
+/**
+ * Render charts of an SLA analysis as inline SVG
+ * @param {Object} slaAnalysis - Analysis from createSLAAccumulator().finalize()
+ * @param {Array} [charts] - Which charts to draw, in order; all by default
+ * @returns {string} - HTML for a .report-charts grid, or '' without data
+ */
+function renderReportCharts(slaAnalysis, charts = Object.keys(CHARTS)) {
+    if (!slaAnalysis) return '';
+    const figures = charts.map(chart => CHARTS[chart](slaAnalysis)).join('');
+    return figures ? `<div class="report-charts">${figures}
+        </div>` : '';
+}
+
+module.exports = {
+    CHART_STYLES,
+    renderReportCharts
+};
@@ -0,0 +1,150 @@
+// Period-over-period comparison for reports: which baseline a request asks
+// for, and the markup the HTML templates use to show what changed. The
+// figures themselves come from buildPeriodComparison() in reportMetrics.js.
+
+const { normalizeFilters } = require('./reportFilters');
+const { ReportUtils } = require('./utils');
+
+const ARROWS = { up: '▲', down: '▼', stable: '▬' };
+// Rows per table; the comparison lists the largest changes first
+const MAX_ROWS = 10;
+
+// Styles shared by every template; appended to each template's <style>
+const COMPARISON_STYLES = `
+        .trend-badge {
+            display: inline-block;
+            margin-top: 0.5rem;
+            padding: 0.2rem 0.6rem;
+            border-radius: 999px;
+            font-size: 0.8rem;
+            font-weight: 600;
+        }
+        .trend-badge.trend-improving { background: rgba(38, 222, 129, 0.2); color: #26de81; }
+        .trend-badge.trend-declining { background: rgba(255, 71, 87, 0.2); color: #ff4757; }
+        .trend-badge.trend-neutral, .trend-badge.trend-stable { background: rgba(176, 176, 176, 0.15); color: #b0b0b0; }
+        .period-comparison { display: grid; gap: 1.5rem; }
+        .period-comparison .comparison-periods { color: #b0b0b0; }
+        .period-comparison table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+        .period-comparison th, .period-comparison td {
+            padding: 0.5rem 0.75rem;
+            border-bottom: 1px solid #333;
+            text-align: left;
+        }
+        .period-comparison th { color: #b0b0b0; font-weight: 600; }
+        .period-comparison h3 { color: #ffffff; margin: 0 0 0.75rem; font-size: 1.1rem; }
+        .period-comparison .comparison-tables {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(420px, 1fr));
+            gap: 1.5rem;
+        }
+        @media print {
+            .period-comparison table { break-inside: avoid; }
+        }`;
+
+/**
+ * Validate the baseline a report should be compared with
+ * @param {Object} [input] - datasetId of the baseline (defaults to the
+ *   report's own dataset) and its dateFrom/dateTo (YYYY-MM-DD, inclusive)
+ * @param {string} datasetId - Dataset the report is generated from
+ * @param {Object|null} filters - The report's normalized filters
+ * @returns {Object|null} - { datasetId, filters } of the baseline, or null
+ *   when no comparison was asked for
+ */
+function normalizeBaseline(input, datasetId, filters) {
+    if (input === undefined || input === null) return null;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Baseline must be an object');
+    }
+    if (input.datasetId !== undefined && typeof input.datasetId !== 'string') {
+        throw new Error('datasetId must be a string');
+    }
+
+    // Like for like: the baseline keeps the report's agent, category and
+    // priority filters and only brings its own date range
+    const baseline = {
+        datasetId: input.datasetId || datasetId,
+        filters: normalizeFilters({ ...(filters || {}), dateFrom: input.dateFrom, dateTo: input.dateTo })
+    };
+    if (baseline.datasetId === datasetId && JSON.stringify(baseline.filters) === JSON.stringify(filters)) {
+        throw new Error('Baseline must be another dataset or a different date range');
+    }
+    return baseline;
+}
+
+/**
+ * Render the change of a metric against the baseline
+ * @param {Object} metric - Key metric with trend, change and assessment
+ * @returns {string} - HTML badge, or '' when the report has no baseline
+ */
+function renderTrendBadge(metric) {
+    if (!metric || !metric.change) return '';
+    return `<div class="trend-badge trend-${metric.assessment}">${ARROWS[metric.trend] || ''} ${ReportUtils.escapeHTML(metric.change)}</div>`;
+}
+
+function changeCell(row) {
+    return `<td><span class="trend-badge trend-${row.assessment}">${ARROWS[row.trend] || ''} ${ReportUtils.escapeHTML(row.change)}</span></td>`;
+}
+
+function compliance(value) {
+    return value === null ? '—' : `${value.toFixed(1)}%`;
+}
+
+function groupTable(title, rows) {
+    if (!rows.length) return '';
+    return `
+            <div>
+                <h3>${title}</h3>
+                <table>
+                    <thead><tr><th>Name</th><th>Tickets</th><th>Compliance</th><th>Change</th></tr></thead>
+                    <tbody>
+                        ${rows.slice(0, MAX_ROWS).map(row => `
+                        <tr>
+                            <td>${ReportUtils.escapeHTML(row.name)}</td>
+                            <td>${row.baselineTickets} → ${row.currentTickets}</td>
+                            <td>${compliance(row.baselineCompliance)} → ${compliance(row.currentCompliance)}</td>
+                            ${changeCell(row)}
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+}
+
+/**
+ * Render the period comparison of a report
+ * @param {Object} [periodComparison] - Output of buildPeriodComparison()
+ * @returns {string} - HTML for a .period-comparison block, or '' without one
+ */
+function renderPeriodComparison(periodComparison) {
+    if (!periodComparison) return '';
+    const { currentPeriod, baselinePeriod, metrics, agents, categories } = periodComparison;
+
+    return `
+        <div class="period-comparison">
+            <p class="comparison-periods">
+                ${ReportUtils.escapeHTML(currentPeriod)} compared with ${ReportUtils.escapeHTML(baselinePeriod)}
+            </p>
+            <table>
+                <thead><tr><th>Metric</th><th>Baseline</th><th>Current</th><th>Change</th></tr></thead>
+                <tbody>
+                    ${metrics.map(metric => `
+                    <tr>
+                        <td>${metric.label}</td>
+                        <td>${metric.baseline}</td>
+                        <td>${metric.current}</td>
+                        ${changeCell(metric)}
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            <div class="comparison-tables">
+                ${groupTable('Agents', agents)}
+                ${groupTable('Categories', categories)}
+            </div>
+        </div>`;
+}
+
+module.exports = {
+    COMPARISON_STYLES,
+    normalizeBaseline,
+    renderTrendBadge,
+    renderPeriodComparison
+};
@@ -0,0 +1,129 @@
+const { ticketDimensions } = require('./analysis');
+const { resolveMapping } = require('./mappingProfiles');
+const { parseTimestamp } = require('./slaPolicy');
+
+/**
+ * Dimensions a filter can include or exclude values of. Values are matched
+ * case-insensitively against the mapped column, with blanks counting as
+ * the analysis' fallback ('Unknown' agent and category, 'Medium' priority).
+ */
+const FILTER_FIELDS = ['agent', 'category', 'priority'];
+const FIELD_LABELS = { agent: 'Agent', category: 'Category', priority: 'Priority' };
+const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function toValueList(value, label) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) throw new Error(`${label} must be a list`);
+    return [...new Set(value.map(item => String(item).trim()).filter(Boolean))];
+}
+
+function toDate(value, label) {
+    if (value === undefined || value === null || value === '') return null;
+    if (!CALENDAR_DATE.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new Error(`${label} must be a date in YYYY-MM-DD format`);
+    }
+    return value;
+}
+
+/**
+ * Validate a filter model from a request
+ * @param {Object} [input] - dateFrom and dateTo (YYYY-MM-DD, inclusive, on
+ *   the created date) plus { include, exclude } value lists per field
+ * @returns {Object|null} - Normalized filters, or null when none are active
+ */
+function normalizeFilters(input) {
+    if (input === undefined || input === null) return null;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Filters must be an object');
+    }
+
+    const filters = {
+        dateFrom: toDate(input.dateFrom, 'dateFrom'),
+        dateTo: toDate(input.dateTo, 'dateTo')
+    };
+    if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+        throw new Error('dateFrom must not be after dateTo');
+    }
+
+    FILTER_FIELDS.forEach(field => {
+        const value = input[field] || {};
+        filters[field] = {
+            include: toValueList(value.include, `${field}.include`),
+            exclude: toValueList(value.exclude, `${field}.exclude`)
+        };
+    });
+
+    const active = filters.dateFrom || filters.dateTo ||
+        FILTER_FIELDS.some(field => filters[field].include.length || filters[field].exclude.length);
+    return active ? filters : null;
+}
+
+/**
+ * Build a predicate that keeps the rows matching the filters
+ * @param {Object|null} filters - Output of normalizeFilters
+ * @param {Object} mapping - Column mapping the analysis uses
+ * @param {Object} slaPolicy - Resolved SLA policy; dates are compared in its timezone
+ * @returns {Function|null} - row => boolean, or null when nothing is filtered
+ */
+function createRowFilter(filters, mapping, slaPolicy) {
+    if (!filters) return null;
+
+    const { fields } = resolveMapping(mapping);
+    const lists = FILTER_FIELDS.map(field => ({
+        field,
+        include: new Set(filters[field].include.map(value => value.toLowerCase())),
+        exclude: new Set(filters[field].exclude.map(value => value.toLowerCase()))
+    }));
+
+    return row => {
+        const dimensions = ticketDimensions(row, fields);
+
+        for (const { field, include, exclude } of lists) {
+            const value = String(dimensions[field]).toLowerCase();
+            if (include.size && !include.has(value)) return false;
+            if (exclude.has(value)) return false;
+        }
+
+        if (filters.dateFrom || filters.dateTo) {
+            // Tickets without a readable created date cannot be placed in the range
+            const created = parseTimestamp(dimensions.createdValue, slaPolicy.timezone);
+            if (created === null) return false;
+            const day = new Date(created).toISOString().substring(0, 10);
+            if (filters.dateFrom && day < filters.dateFrom) return false;
+            if (filters.dateTo && day > filters.dateTo) return false;
+        }
+        return true;
+    };
+}
+
+/**
+ * Describe active filters for report headers and prompts
+ * @param {Object|null} filters - Output of normalizeFilters
+ * @returns {Array} - One short sentence per active filter
+ */
+function describeFilters(filters) {
+    if (!filters) return [];
+
+    const lines = [];
+    if (filters.dateFrom && filters.dateTo) {
+        lines.push(`Created ${filters.dateFrom} to ${filters.dateTo}`);
+    } else if (filters.dateFrom) {
+        lines.push(`Created on or after ${filters.dateFrom}`);
+    } else if (filters.dateTo) {
+        lines.push(`Created on or before ${filters.dateTo}`);
+    }
+
+    FILTER_FIELDS.forEach(field => {
+        const { include, exclude } = filters[field];
+        if (include.length) lines.push(`${FIELD_LABELS[field]}: ${include.join(', ')}`);
+        if (exclude.length) lines.push(`${FIELD_LABELS[field]} excluding: ${exclude.join(', ')}`);
+    });
+    return lines;
+}
+
+module.exports = {
+    FILTER_FIELDS,
+    normalizeFilters,
+    createRowFilter,
+    describeFilters
+};
@@ -0,0 +1,182 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// Stages a report job reports, in the order they run
+const REPORT_STAGES = [
+    { id: 'parsing', label: 'Loading dataset' },
+    { id: 'analysing', label: 'Analysing SLA performance' },
+    { id: 'calling_model', label: 'Writing the narrative' },
+    { id: 'rendering', label: 'Rendering report' },
+    { id: 'saving', label: 'Saving report' }
+];
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+// Finished jobs stay readable for a while so a client that reconnects, or
+// polls instead of streaming, still gets the outcome
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+class JobCancelledError extends Error {
+    constructor() {
+        super('Report generation was cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+// Thrown by a task to fail with a message meant for the user, e.g. when
+// the input turns out to be unusable part way through
+class JobFailedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JobFailedError';
+    }
+}
+
+// What the status endpoint and the event stream expose
+function publicView(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        stage: job.stage,
+        stages: job.stages,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+function publish(job, event) {
+    job.updatedAt = new Date().toISOString();
+    job.events.emit('update', { event, job: publicView(job) });
+}
+
+function finish(job, status, fields) {
+    Object.assign(job, { status, stage: null }, fields);
+    job.stages.forEach(stage => {
+        if (stage.status === 'running') {
+            stage.status = status === 'completed' ? 'done' : status;
+            stage.finishedAt = new Date().toISOString();
+        }
+    });
+    publish(job, status);
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Start a job in the background and return it straight away
+ * @param {string} type - Kind of job, e.g. 'report'
+ * @param {Function} task - async ({ stage, signal }) => result. Call
+ *   stage(id) as each stage begins; it throws once the job is cancelled.
+ *   Pass signal to anything that can be aborted mid-flight.
+ * @returns {Object} - Public view of the new job
+ */
+function startJob(type, task) {
+    const controller = new AbortController();
+    const job = {
+        id: uuidv4(),
+        type,
+        status: 'running',
+        stage: null,
+        stages: REPORT_STAGES.map(stage => ({ ...stage, status: 'pending' })),
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        controller,
+        events: new EventEmitter()
+    };
+    jobs.set(job.id, job);
+
+    const stage = id => {
+        if (controller.signal.aborted) throw new JobCancelledError();
+        job.stages.forEach(entry => {
+            if (entry.status === 'running') {
+                entry.status = 'done';
+                entry.finishedAt = new Date().toISOString();
+            }
+            if (entry.id === id) {
+                entry.status = 'running';
+                entry.startedAt = new Date().toISOString();
+            }
+        });
+        job.stage = id;
+        publish(job, 'stage');
+    };
+
+    // Run after the caller has had a chance to hand out the job ID
+    setImmediate(async () => {
+        try {
+            const result = await task({ stage, signal: controller.signal });
+            if (controller.signal.aborted) throw new JobCancelledError();
+            finish(job, 'completed', { result });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                finish(job, 'cancelled', { error: new JobCancelledError().message });
+            } else {
+                console.error(`Job ${job.id} failed:`, error);
+                finish(job, 'failed', {
+                    error: error instanceof JobFailedError ? error.message : `Failed to generate ${type}`
+                });
+            }
+        }
+    });
+
+    return publicView(job);
+}
+
+/**
+ * Look up a job
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} - Public view of the job, or null if unknown
+ */
+function getJob(jobId) {
+    const job = jobs.get(jobId);
+    return job ? publicView(job) : null;
+}
+
+/**
+ * Cancel a running job. The task stops at its next stage boundary, or
+ * sooner wherever it passed the abort signal on.
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} - Public view of the job, or null if unknown
+ */
+function cancelJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    if (!FINISHED_STATES.includes(job.status)) {
+        job.controller.abort();
+        job.status = 'cancelling';
+        publish(job, 'cancelling');
+    }
+    return publicView(job);
+}
+
+/**
+ * Listen for a job's updates until it finishes
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with { event, job } on every update
+ * @returns {Function|null} - Unsubscribe function, or null if unknown
+ */
+function subscribeToJob(jobId, listener) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    job.events.on('update', listener);
+    return () => job.events.off('update', listener);
+}
+
+function isFinished(job) {
+    return FINISHED_STATES.includes(job.status);
+}
+
+module.exports = {
+    REPORT_STAGES,
+    JobFailedError,
+    startJob,
+    getJob,
+    cancelJob,
+    subscribeToJob,
+    isFinished
+};
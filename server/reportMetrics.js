@@ -0,0 +1,549 @@
+// Computed report sections. Every number a report shows comes from here,
+// straight out of analyzeSLAPerformance, and is merged with the narrative
+// (written by the LLM or by offlineReport.js) just before rendering.
+
+const RESPONSE_BENCHMARK = 95;
+const RESOLUTION_BENCHMARK = 90;
+
+// Changes within these bounds count as stable when comparing periods:
+// compliance in percentage points, everything else relative to the baseline
+const STABLE_COMPLIANCE_POINTS = 0.5;
+const STABLE_RELATIVE_CHANGE = 0.02;
+// Agents and categories listed in a comparison, largest changes first
+const COMPARED_GROUP_LIMIT = 15;
+
+function rate(value) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function violationRate(stats) {
+    return stats.total > 0 ? (stats.responseViolations + stats.resolutionViolations) / stats.total : 0;
+}
+
+function metricStatus(value, excellent, good) {
+    if (value >= excellent) return 'excellent';
+    if (value >= good) return 'good';
+    return 'needs_improvement';
+}
+
+function standardStatus(value, benchmark) {
+    if (value >= benchmark) return 'Exceeds Standard';
+    if (value >= benchmark - 5) return 'Meets Standard';
+    return 'Below Standard';
+}
+
+function agentPerformance(stats) {
+    const violations = violationRate(stats);
+    if (violations < 0.05) return 'Excellent';
+    if (violations < 0.1) return 'Good';
+    return 'Needs Improvement';
+}
+
+// Format minutes the way a reader would say them
+function formatDuration(minutes) {
+    if (minutes < 60) return `${Math.round(minutes)}m`;
+    if (minutes < 24 * 60) return `${(minutes / 60).toFixed(1)}h`;
+    return `${(minutes / (24 * 60)).toFixed(1)}d`;
+}
+
+/**
+ * Pull the figures every report type talks about out of the analysis once
+ * @param {Object} slaAnalysis - Output of analyzeSLAPerformance
+ * @returns {Object} - Rates, counts and ranked agents/categories
+ */
+function summarize(slaAnalysis) {
+    const agents = Object.entries(slaAnalysis.agents || {});
+    const categories = Object.entries(slaAnalysis.categories || {});
+    const insights = slaAnalysis.insights || {};
+    const totalRecords = slaAnalysis.totalTickets;
+
+    const rankedAgents = [...agents].sort(([, a], [, b]) =>
+        (a.responseViolations + a.resolutionViolations) - (b.responseViolations + b.resolutionViolations)
+    );
+    const busiestAgent = [...agents].sort(([, a], [, b]) => b.total - a.total)[0];
+    const months = Object.keys(slaAnalysis.performanceTrends?.monthly || {}).sort();
+
+    return {
+        totalRecords,
+        responseRate: rate(slaAnalysis.firstResponseSLA.compliancePercentage),
+        resolutionRate: rate(slaAnalysis.resolutionSLA.compliancePercentage),
+        responseViolations: slaAnalysis.firstResponseSLA.violations,
+        resolutionViolations: slaAnalysis.resolutionSLA.violations,
+        totalViolations: slaAnalysis.firstResponseSLA.violations + slaAnalysis.resolutionSLA.violations,
+        averageResponseTime: slaAnalysis.firstResponseSLA.measuredFromTimestamps > 0
+            ? slaAnalysis.firstResponseSLA.averageResponseTime
+            : null,
+        averageResolutionTime: slaAnalysis.resolutionSLA.measuredFromTimestamps > 0
+            ? slaAnalysis.resolutionSLA.averageResolutionTime
+            : null,
+        agents,
+        rankedAgents,
+        agentCount: agents.length,
+        ticketsPerAgent: agents.length > 0 ? Math.round(totalRecords / agents.length) : 0,
+        busiestAgent: busiestAgent ? { name: busiestAgent[0], share: busiestAgent[1].total / totalRecords } : null,
+        excellentAgents: agents.filter(([, stats]) => violationRate(stats) < 0.05).length,
+        goodAgents: agents.filter(([, stats]) => violationRate(stats) >= 0.05 && violationRate(stats) < 0.1).length,
+        strugglingAgents: agents.filter(([, stats]) => violationRate(stats) >= 0.1).length,
+        categories,
+        months,
+        monthly: slaAnalysis.performanceTrends?.monthly || {},
+        worstCategory: (insights.categoryInsights || []).find(category => category.violations > 0) || null,
+        worstDay: (insights.timePatterns || []).find(day => day.violations > 0) || null,
+        improvementAreas: insights.improvementAreas || [],
+        topPerformers: insights.topPerformers || [],
+        recommendations: insights.recommendations || []
+    };
+}
+
+function signed(value, digits = 1) {
+    const fixed = value.toFixed(digits);
+    return value > 0 ? `+${fixed}` : fixed;
+}
+
+function formatValue(kind, value) {
+    if (value === null || value === undefined) return 'n/a';
+    if (kind === 'points') return `${value.toFixed(1)}%`;
+    if (kind === 'duration') return formatDuration(value);
+    return String(value);
+}
+
+function formatChange(kind, current, baseline) {
+    const delta = current - baseline;
+    if (kind === 'points') return `${signed(delta)} pts`;
+    if (kind === 'duration') return `${delta < 0 ? '-' : '+'}${formatDuration(Math.abs(delta))}`;
+    return baseline > 0 ? `${signed(delta, 0)} (${signed(delta / baseline * 100)}%)` : signed(delta, 0);
+}
+
+/**
+ * Compare one figure between a baseline and the current period
+ * @param {string} kind - points (compliance %), count or duration (minutes)
+ * @param {number|null} current - Current value
+ * @param {number|null} baseline - Baseline value
+ * @param {boolean|null} higherIsBetter - null for figures that are neither
+ *   good nor bad in themselves, such as volume
+ * @returns {Object} - trend (up, down or stable), change as text, and an
+ *   assessment of improving, declining, neutral or stable
+ */
+function compareValues(kind, current, baseline, higherIsBetter) {
+    if (current === null || current === undefined || baseline === null || baseline === undefined) {
+        return { trend: 'stable', change: 'n/a', assessment: 'stable' };
+    }
+
+    const delta = current - baseline;
+    const tolerance = kind === 'points'
+        ? STABLE_COMPLIANCE_POINTS
+        : Math.max(kind === 'count' ? 1 : 0, Math.abs(baseline) * STABLE_RELATIVE_CHANGE);
+    if (Math.abs(delta) < tolerance) {
+        return { trend: 'stable', change: formatChange(kind, current, baseline), assessment: 'stable' };
+    }
+
+    let assessment = 'neutral';
+    if (higherIsBetter !== null) {
+        assessment = (delta > 0) === higherIsBetter ? 'improving' : 'declining';
+    }
+    return { trend: delta > 0 ? 'up' : 'down', change: formatChange(kind, current, baseline), assessment };
+}
+
+// Trend fields of a key metric; without a baseline there is nothing to compare
+function metricTrend(baseline, kind, current, previous, higherIsBetter) {
+    if (!baseline) return { trend: 'stable' };
+    const { trend, change, assessment } = compareValues(kind, current, previous, higherIsBetter);
+    return { trend, change: `${change} vs baseline`, assessment };
+}
+
+function overallHealth(facts) {
+    const average = (facts.responseRate + facts.resolutionRate) / 2;
+    if (average >= 95) return 'Excellent';
+    if (average >= 85) return 'Good';
+    return 'Needs Improvement';
+}
+
+// Compare violations per ticket in the first and last month of the data
+function trendDirection(facts) {
+    if (facts.months.length < 2) return 'Single period - no trend';
+
+    const perTicket = month => {
+        const stats = facts.monthly[month];
+        return stats.total > 0 ? stats.violations / stats.total : 0;
+    };
+    const change = perTicket(facts.months[facts.months.length - 1]) - perTicket(facts.months[0]);
+
+    if (change < -0.02) return 'Improving';
+    if (change > 0.02) return 'Declining';
+    return 'Stable';
+}
+
+function reportingPeriod(facts) {
+    if (facts.months.length === 0) return 'Complete uploaded dataset';
+    const first = facts.months[0];
+    const last = facts.months[facts.months.length - 1];
+    return first === last ? first : `${first} to ${last}`;
+}
+
+// Key metrics carry real trends only when there is a baseline to compare with
+function buildKeyMetrics(facts, baseline = null) {
+    const metrics = [
+        {
+            label: 'SLA Compliance Rate',
+            value: `${facts.responseRate.toFixed(1)}%`,
+            ...metricTrend(baseline, 'points', facts.responseRate, baseline?.responseRate, true),
+            businessImpact: `${facts.responseViolations} first response breaches`,
+            benchmark: `${RESPONSE_BENCHMARK}%`,
+            status: metricStatus(facts.responseRate, RESPONSE_BENCHMARK, 90)
+        },
+        {
+            label: 'Resolution Efficiency',
+            value: `${facts.resolutionRate.toFixed(1)}%`,
+            ...metricTrend(baseline, 'points', facts.resolutionRate, baseline?.resolutionRate, true),
+            businessImpact: `${facts.resolutionViolations} resolution breaches`,
+            benchmark: `${RESOLUTION_BENCHMARK}%`,
+            status: metricStatus(facts.resolutionRate, RESOLUTION_BENCHMARK, 85)
+        },
+        {
+            label: 'Team Productivity',
+            value: String(facts.ticketsPerAgent),
+            ...metricTrend(baseline, 'count', facts.ticketsPerAgent, baseline?.ticketsPerAgent, null),
+            businessImpact: `Tickets per agent across ${facts.agentCount} agents`,
+            benchmark: '150',
+            status: 'good'
+        },
+        {
+            label: 'Service Volume',
+            value: String(facts.totalRecords),
+            ...metricTrend(baseline, 'count', facts.totalRecords, baseline?.totalRecords, null),
+            businessImpact: 'Tickets in the analysed period',
+            benchmark: '1000',
+            status: 'good'
+        }
+    ];
+
+    if (facts.averageResponseTime !== null) {
+        metrics.push({
+            label: 'Average First Response',
+            value: formatDuration(facts.averageResponseTime),
+            ...metricTrend(baseline, 'duration', facts.averageResponseTime, baseline?.averageResponseTime, false),
+            businessImpact: 'Measured from ticket timestamps',
+            benchmark: 'Per-priority targets',
+            status: metricStatus(facts.responseRate, RESPONSE_BENCHMARK, 90)
+        });
+    }
+    if (facts.averageResolutionTime !== null) {
+        metrics.push({
+            label: 'Average Resolution',
+            value: formatDuration(facts.averageResolutionTime),
+            ...metricTrend(baseline, 'duration', facts.averageResolutionTime, baseline?.averageResolutionTime, false),
+            businessImpact: 'Measured from ticket timestamps',
+            benchmark: 'Per-priority targets',
+            status: metricStatus(facts.resolutionRate, RESOLUTION_BENCHMARK, 85)
+        });
+    }
+
+    return metrics;
+}
+
+function buildSLAPerformance(slaAnalysis, facts) {
+    const section = (sla, value, benchmark, focus) => ({
+        complianceRate: `${value.toFixed(1)}%`,
+        violations: sla.violations,
+        totalEvaluated: sla.total,
+        benchmark: `${benchmark}%`,
+        performanceGap: `${Math.max(0, benchmark - value).toFixed(1)}%`,
+        status: standardStatus(value, benchmark),
+        actionRequired: value < benchmark ? `Yes - Focus on ${focus}` : 'No - Maintain current performance'
+    });
+
+    return {
+        firstResponseSLA: section(slaAnalysis.firstResponseSLA, facts.responseRate, RESPONSE_BENCHMARK, 'response time improvement'),
+        resolutionSLA: section(slaAnalysis.resolutionSLA, facts.resolutionRate, RESOLUTION_BENCHMARK, 'resolution efficiency')
+    };
+}
+
+function buildTeamPerformance(facts) {
+    return {
+        totalAgents: facts.agentCount,
+        averageTicketsPerAgent: facts.ticketsPerAgent,
+        topPerformers: facts.rankedAgents.slice(0, 3).map(([agent, stats]) => ({
+            agent,
+            totalTickets: stats.total,
+            violationRate: `${(violationRate(stats) * 100).toFixed(1)}%`,
+            responseViolations: stats.responseViolations,
+            resolutionViolations: stats.resolutionViolations,
+            performance: agentPerformance(stats)
+        })),
+        performanceDistribution: {
+            excellentPerformers: facts.excellentAgents,
+            goodPerformers: facts.goodAgents,
+            needsImprovement: facts.strugglingAgents
+        }
+    };
+}
+
+function buildCategoryAnalysis(facts) {
+    return facts.categories.map(([category, stats]) => {
+        const violations = violationRate(stats);
+        return {
+            category,
+            volume: stats.total,
+            percentage: `${(stats.total / facts.totalRecords * 100).toFixed(1)}%`,
+            responseViolations: stats.responseViolations,
+            resolutionViolations: stats.resolutionViolations,
+            overallHealth: violations < 0.05 ? 'Excellent' : violations < 0.15 ? 'Good' : 'Needs Focus'
+        };
+    });
+}
+
+const COMPARED_METRICS = [
+    { label: 'First Response Compliance', kind: 'points', higherIsBetter: true, value: facts => facts.responseRate },
+    { label: 'Resolution Compliance', kind: 'points', higherIsBetter: true, value: facts => facts.resolutionRate },
+    { label: 'Ticket Volume', kind: 'count', higherIsBetter: null, value: facts => facts.totalRecords },
+    { label: 'SLA Violations', kind: 'count', higherIsBetter: false, value: facts => facts.totalViolations },
+    { label: 'Tickets per Agent', kind: 'count', higherIsBetter: null, value: facts => facts.ticketsPerAgent },
+    { label: 'Average First Response', kind: 'duration', higherIsBetter: false, value: facts => facts.averageResponseTime },
+    { label: 'Average Resolution', kind: 'duration', higherIsBetter: false, value: facts => facts.averageResolutionTime }
+];
+
+// Per-agent or per-category compliance and volume in both periods. Names
+// found in only one period are listed after those present in both.
+function compareGroups(current, baseline) {
+    const before = new Map(baseline);
+    const after = new Map(current);
+    const names = [...new Set([...after.keys(), ...before.keys()])];
+
+    const rows = names.map(name => {
+        const now = after.get(name);
+        const then = before.get(name);
+        const row = {
+            name,
+            currentTickets: now ? now.total : 0,
+            baselineTickets: then ? then.total : 0,
+            currentCompliance: now ? rate(now.complianceRate) : null,
+            baselineCompliance: then ? rate(then.complianceRate) : null
+        };
+        if (!now || !then) {
+            return { ...row, change: now ? 'New' : 'Not present', trend: 'stable', assessment: 'neutral', delta: -1 };
+        }
+        const delta = Math.abs(row.currentCompliance - row.baselineCompliance);
+        return { ...row, ...compareValues('points', row.currentCompliance, row.baselineCompliance, true), delta };
+    });
+
+    return rows
+        .sort((a, b) => b.delta - a.delta || b.currentTickets - a.currentTickets)
+        .slice(0, COMPARED_GROUP_LIMIT)
+        .map(({ delta, ...row }) => row);
+}
+
+function periodLabel(facts, source) {
+    return source ? `${source} (${reportingPeriod(facts)})` : reportingPeriod(facts);
+}
+
+/**
+ * Compare the current analysis with a baseline period
+ * @param {Object} facts - summarize() of the current analysis
+ * @param {Object} baseline - summarize() of the baseline analysis
+ * @param {Object} [sources] - current and baseline file names, given when
+ *   the two periods come from different datasets
+ * @returns {Object} - Period labels plus metric, agent and category changes
+ */
+function buildPeriodComparison(facts, baseline, sources = {}) {
+    return {
+        currentPeriod: periodLabel(facts, sources.current),
+        baselinePeriod: periodLabel(baseline, sources.baseline),
+        metrics: COMPARED_METRICS.map(({ label, kind, higherIsBetter, value }) => ({
+            label,
+            current: formatValue(kind, value(facts)),
+            baseline: formatValue(kind, value(baseline)),
+            ...compareValues(kind, value(facts), value(baseline), higherIsBetter)
+        })),
+        agents: compareGroups(facts.agents, baseline.agents),
+        categories: compareGroups(facts.categories, baseline.categories)
+    };
+}
+
+// Overall direction against the baseline, judged on both compliance rates
+function comparisonDirection(facts, baseline, label) {
+    const average = summary => (summary.responseRate + summary.resolutionRate) / 2;
+    const { assessment } = compareValues('points', average(facts), average(baseline), true);
+    return `${assessment.charAt(0).toUpperCase()}${assessment.slice(1)} vs ${label}`;
+}
+
+function buildTeamMetrics(facts) {
+    return [
+        { metric: 'Total Agents', value: String(facts.agentCount), context: 'Agents with assigned tickets' },
+        { metric: 'Avg Tickets/Agent', value: String(facts.ticketsPerAgent), context: 'Workload per agent' },
+        { metric: 'Top Performer Rate', value: String(facts.excellentAgents), context: 'Agents with <5% violation rate' }
+    ];
+}
+
+/**
+ * Build the sections of a report that hold computed figures
+ * @param {Object} slaAnalysis - Output of analyzeSLAPerformance
+ * @param {string} reportType - executive, detailed or presentation
+ * @param {Object} [comparison] - analysis of a baseline period to compare
+ *   with, plus currentSource and baselineSource file names when the periods
+ *   come from different datasets
+ * @returns {Object} - Computed sections for assembleReport()
+ */
+function buildComputedSections(slaAnalysis, reportType, comparison = null) {
+    const facts = summarize(slaAnalysis);
+    const baseline = comparison ? summarize(comparison.analysis) : null;
+    const periodComparison = baseline
+        ? buildPeriodComparison(facts, baseline, { current: comparison.currentSource, baseline: comparison.baselineSource })
+        : undefined;
+
+    switch (reportType) {
+        case 'executive':
+            return { keyMetrics: buildKeyMetrics(facts, baseline), periodComparison };
+        case 'presentation':
+            return {
+                keyMetrics: buildKeyMetrics(facts, baseline).slice(0, 4).map(metric => ({
+                    metric: metric.label,
+                    value: metric.value,
+                    status: metric.status,
+                    trend: metric.trend,
+                    change: metric.change,
+                    assessment: metric.assessment,
+                    benchmark: metric.benchmark
+                })),
+                teamMetrics: buildTeamMetrics(facts),
+                appendix: {
+                    dataSource: `${facts.totalRecords} support tickets analyzed`,
+                    analysisMethod: 'SLA metrics computed from the dataset with a written narrative',
+                    confidence: 'High - figures computed directly from the dataset',
+                    reportingPeriod: reportingPeriod(facts)
+                },
+                periodComparison
+            };
+        default:
+            return {
+                reportMetadata: {
+                    generatedDate: new Date().toLocaleDateString(),
+                    totalRecords: facts.totalRecords,
+                    analysisDepth: 'Complete dataset analysis',
+                    dataQuality: `Reporting period: ${reportingPeriod(facts)}`
+                },
+                performanceOverview: {
+                    overallHealth: overallHealth(facts),
+                    trendDirection: periodComparison
+                        ? comparisonDirection(facts, baseline, periodComparison.baselinePeriod)
+                        : trendDirection(facts)
+                },
+                slaPerformance: buildSLAPerformance(slaAnalysis, facts),
+                teamPerformance: buildTeamPerformance(facts),
+                categoryAnalysis: buildCategoryAnalysis(facts),
+                periodComparison
+            };
+    }
+}
+
+/**
+ * Merge a narrative with the computed sections into the structure the
+ * report template renders. Computed values always win.
+ * @param {string} reportType - executive, detailed or presentation
+ * @param {Object} narrative - Narrative fields (see NARRATIVE_SCHEMAS)
+ * @param {Object} computed - Output of buildComputedSections()
+ * @returns {Object} - Complete report
+ */
+function assembleReport(reportType, narrative, computed) {
+    switch (reportType) {
+        case 'executive':
+            return {
+                title: narrative.title,
+                executiveSummary: narrative.executiveSummary,
+                keyMetrics: computed.keyMetrics,
+                strategicInsights: narrative.strategicInsights,
+                businessRecommendations: narrative.businessRecommendations,
+                riskAssessment: narrative.riskAssessment,
+                competitiveAdvantages: narrative.competitiveAdvantages,
+                periodComparison: computed.periodComparison
+            };
+        case 'presentation': {
+            const { metricsOverview, teamBreakdown, actionPlan } = narrative.slides;
+            return {
+                presentationTitle: narrative.presentationTitle,
+                executiveMessage: narrative.executiveMessage,
+                slides: [
+                    {
+                        slideNumber: 1,
+                        title: metricsOverview.title,
+                        type: 'metrics_overview',
+                        content: { headline: metricsOverview.headline, keyMetrics: computed.keyMetrics, insights: metricsOverview.insights }
+                    },
+                    {
+                        slideNumber: 2,
+                        title: teamBreakdown.title,
+                        type: 'team_breakdown',
+                        content: { headline: teamBreakdown.headline, teamMetrics: computed.teamMetrics, insights: teamBreakdown.insights }
+                    },
+                    {
+                        slideNumber: 3,
+                        title: actionPlan.title,
+                        type: 'action_plan',
+                        content: { headline: actionPlan.headline, strategicActions: actionPlan.strategicActions, insights: actionPlan.insights }
+                    }
+                ],
+                executiveSummary: narrative.executiveSummary,
+                appendix: computed.appendix,
+                periodComparison: computed.periodComparison
+            };
+        }
+        default:
+            return {
+                reportMetadata: { title: narrative.title, ...computed.reportMetadata },
+                performanceOverview: { ...computed.performanceOverview, ...narrative.performanceOverview },
+                slaPerformance: computed.slaPerformance,
+                teamPerformance: computed.teamPerformance,
+                categoryAnalysis: computed.categoryAnalysis,
+                operationalInsights: narrative.operationalInsights,
+                actionableRecommendations: narrative.actionableRecommendations,
+                periodComparison: computed.periodComparison
+            };
+    }
+}
+
+/**
+ * Headline figures kept with a stored report so it can be listed and
+ * compared without re-reading the report itself
+ * @param {Object} slaAnalysis - Output of analyzeSLAPerformance
+ * @returns {Object} - Compliance rates, violations and team size
+ */
+function summarizeKeyMetrics(slaAnalysis) {
+    const facts = summarize(slaAnalysis);
+    return {
+        totalTickets: facts.totalRecords,
+        firstResponseCompliance: facts.responseRate,
+        resolutionCompliance: facts.resolutionRate,
+        totalViolations: facts.totalViolations,
+        agents: facts.agentCount,
+        overallHealth: overallHealth(facts)
+    };
+}
+
+/**
+ * Read the title out of an assembled report
+ * @param {string} reportType - executive, detailed or presentation
+ * @param {Object} report - Output of assembleReport()
+ * @returns {string|undefined} - Report title
+ */
+function reportTitle(reportType, report) {
+    switch (reportType) {
+        case 'executive':
+            return report.title;
+        case 'presentation':
+            return report.presentationTitle;
+        default:
+            return report.reportMetadata?.title;
+    }
+}
+
+module.exports = {
+    RESPONSE_BENCHMARK,
+    RESOLUTION_BENCHMARK,
+    summarize,
+    overallHealth,
+    buildPeriodComparison,
+    buildComputedSections,
+    assembleReport,
+    summarizeKeyMetrics,
+    reportTitle
+};
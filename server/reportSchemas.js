@@ -0,0 +1,243 @@
+// JSON schemas for the narrative the LLM writes for each report type, plus
+// the helpers used to validate a model reply, ask for a repair and default what
+// could not be repaired. The validator covers the subset of JSON Schema the
+// schemas below use: type, enum, required, properties, items and minItems.
+
+const text = { type: 'string' };
+const impact = { type: 'string', enum: ['high', 'medium', 'low'] };
+const textList = { type: 'array', items: text };
+
+function object(properties, required = Object.keys(properties)) {
+    return { type: 'object', properties, required };
+}
+
+function list(items, minItems = 0) {
+    return { type: 'array', items, minItems };
+}
+
+function slide(properties = {}) {
+    return object({ title: text, headline: text, ...properties, insights: textList }, ['title', 'headline']);
+}
+
+// Only the written parts of each report. Metrics, counts and tables come
+// from reportMetrics.js and are never asked of the model.
+const NARRATIVE_SCHEMAS = {
+    executive: object({
+        title: text,
+        executiveSummary: text,
+        strategicInsights: list(object({
+            category: text,
+            insight: text,
+            impact,
+            recommendation: text
+        })),
+        businessRecommendations: list(object({
+            priority: text,
+            action: text,
+            timeline: text,
+            investment: text,
+            expectedROI: text
+        })),
+        riskAssessment: list(object({
+            risk: text,
+            probability: text,
+            impact: text,
+            mitigation: text
+        })),
+        competitiveAdvantages: textList
+    }),
+
+    detailed: object({
+        title: text,
+        performanceOverview: object({
+            keyStrengths: textList,
+            improvementAreas: textList
+        }),
+        operationalInsights: textList,
+        actionableRecommendations: list(object({
+            category: text,
+            items: textList
+        }))
+    }),
+
+    presentation: object({
+        presentationTitle: text,
+        executiveMessage: text,
+        slides: object({
+            metricsOverview: slide(),
+            teamBreakdown: slide(),
+            actionPlan: slide({
+                strategicActions: list(object({
+                    priority: text,
+                    action: text,
+                    timeline: text,
+                    impact: text,
+                    investment: text
+                }))
+            })
+        }),
+        executiveSummary: object({
+            keyMessage: text,
+            businessImpact: text,
+            nextSteps: text,
+            investmentRequired: text
+        }, ['keyMessage', 'businessImpact', 'nextSteps'])
+    })
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, expected) {
+    const actual = typeOf(value);
+    const types = Array.isArray(expected) ? expected : [expected];
+    return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+function joinPath(base, key) {
+    return typeof key === 'number' ? `${base}[${key}]` : base ? `${base}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema node
+ * @param {*} value - Value to check
+ * @param {string} [at] - Path of the value, used in error messages
+ * @returns {Array} - Errors as { path, message }
+ */
+function validateSchema(schema, value, at = '') {
+    if (schema.type && !matchesType(value, schema.type)) {
+        const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+        return [{ path: at, message: value === undefined ? 'is required' : `must be ${expected}` }];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (schema.properties && typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: joinPath(at, key), message: 'is required' });
+            }
+        });
+        Object.entries(schema.properties).forEach(([key, child]) => {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(child, value[key], joinPath(at, key)));
+            }
+        });
+    }
+
+    if (typeOf(value) === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(schema.items, item, joinPath(at, index)));
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a parsed narrative against its report type's schema
+ * @param {string} reportType - executive, detailed or presentation
+ * @param {*} narrative - Parsed model reply
+ * @returns {Array} - Errors as { path, message }; empty when valid
+ */
+function validateNarrative(reportType, narrative) {
+    return validateSchema(NARRATIVE_SCHEMAS[reportType] || NARRATIVE_SCHEMAS.detailed, narrative, '');
+}
+
+/**
+ * Parse a model reply, tolerating code fences and text around the JSON
+ * @param {string} reply - Raw reply text
+ * @returns {*} - Parsed value
+ * @throws {SyntaxError} - When no JSON object can be parsed
+ */
+function parseReportJSON(reply) {
+    const cleaned = String(reply).trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, '');
+
+    try {
+        return JSON.parse(cleaned);
+    } catch (error) {
+        // Models sometimes wrap the object in a sentence of explanation
+        const start = cleaned.indexOf('{');
+        const end = cleaned.lastIndexOf('}');
+        if (start === -1 || end <= start) throw error;
+        return JSON.parse(cleaned.slice(start, end + 1));
+    }
+}
+
+/**
+ * Format validation errors for a repair prompt or a log line
+ * @param {Array} errors - Errors from validateNarrative()
+ * @param {number} [limit] - Maximum number of errors to list
+ * @returns {string} - One error per line
+ */
+function formatErrors(errors, limit = 20) {
+    const lines = errors.slice(0, limit).map(error => `- ${error.path || '(root)'} ${error.message}`);
+    if (errors.length > limit) {
+        lines.push(`- ...and ${errors.length - limit} more`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Build the follow-up message asking the model to fix its reply
+ * @param {Array} errors - Errors from validateNarrative()
+ * @returns {string} - Repair prompt
+ */
+function buildRepairPrompt(errors) {
+    return `Your previous reply did not match the required JSON structure:
+${formatErrors(errors)}
+
+Return the complete corrected JSON object only, with no commentary or code fences.`;
+}
+
+/**
+ * Replace every top-level field that failed validation with the
+ * corresponding field from a known-good narrative
+ * @param {string} reportType - executive, detailed or presentation
+ * @param {*} narrative - Parsed model reply, or null when it was not JSON
+ * @param {Object} defaults - Valid narrative of the same type to take fields from
+ * @returns {Object} - { narrative, defaultedFields }
+ */
+function fillInvalidFields(reportType, narrative, defaults) {
+    if (typeOf(narrative) !== 'object') {
+        return { narrative: defaults, defaultedFields: Object.keys(defaults) };
+    }
+
+    const invalid = new Set(validateNarrative(reportType, narrative).map(error => error.path.split(/[.[]/)[0]));
+    const merged = { ...narrative };
+    invalid.forEach(field => {
+        if (field && defaults[field] !== undefined) {
+            merged[field] = defaults[field];
+        } else if (field) {
+            delete merged[field];
+        }
+    });
+
+    return { narrative: merged, defaultedFields: [...invalid].filter(Boolean) };
+}
+
+module.exports = {
+    NARRATIVE_SCHEMAS,
+    validateSchema,
+    validateNarrative,
+    parseReportJSON,
+    formatErrors,
+    buildRepairPrompt,
+    fillInvalidFields
+};
@@ -0,0 +1,129 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const REPORTS_DIR = path.join(__dirname, '../reports');
+
+// Each report is stored as <id>.html next to <id>.json, which holds its
+// metadata (see ReportUtils.generateMetadata) and the report content
+function reportFile(reportId, extension) {
+    // IDs are generated by uuidv4; reject anything else so a crafted ID
+    // cannot escape the reports directory
+    if (!/^[0-9a-f-]{36}$/i.test(String(reportId))) return null;
+    return path.join(REPORTS_DIR, `${reportId}${extension}`);
+}
+
+/**
+ * Write a rendered report and its metadata
+ * @param {Object} metadata - Report metadata including id
+ * @param {string} html - Rendered report
+ * @param {Object} content - Report JSON and generation details
+ * @returns {Promise<Object>} - Stored record
+ */
+async function saveReport(metadata, html, content) {
+    const htmlPath = reportFile(metadata.id, '.html');
+    if (!htmlPath) throw new Error('Invalid report ID');
+    await fs.ensureDir(REPORTS_DIR);
+
+    const stored = { ...metadata, content };
+    await fs.writeFile(htmlPath, html);
+    await fs.writeJson(reportFile(metadata.id, '.json'), stored, { spaces: 2 });
+    return stored;
+}
+
+/**
+ * Read a report's metadata and content
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object|null>} - Stored record or null when not found
+ */
+async function getReport(reportId) {
+    const metaPath = reportFile(reportId, '.json');
+    if (!metaPath || !await fs.pathExists(metaPath)) return null;
+    return fs.readJson(metaPath);
+}
+
+/**
+ * Update the editable parts of a report's metadata
+ * @param {string} reportId - Report ID
+ * @param {Object} changes - Any of title, tags and pinned
+ * @returns {Promise<Object|null>} - Updated record or null when not found
+ */
+async function updateReport(reportId, changes) {
+    const stored = await getReport(reportId);
+    if (!stored) return null;
+
+    const updated = { ...stored };
+    if (typeof changes.title === 'string' && changes.title.trim()) updated.title = changes.title.trim();
+    if (Array.isArray(changes.tags)) updated.tags = changes.tags;
+    if (typeof changes.pinned === 'boolean') updated.pinned = changes.pinned;
+
+    await fs.writeJson(reportFile(reportId, '.json'), updated, { spaces: 2 });
+    return updated;
+}
+
+/**
+ * Find the rendered HTML of a report
+ * @param {string} reportId - Report ID
+ * @returns {Promise<string|null>} - Path of the HTML file or null
+ */
+async function getReportHTMLPath(reportId) {
+    const htmlPath = reportFile(reportId, '.html');
+    return htmlPath && await fs.pathExists(htmlPath) ? htmlPath : null;
+}
+
+function matchesSearch(report, query) {
+    const haystack = [report.title, report.type, report.fileName, ...(report.tags || [])]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+}
+
+/**
+ * List stored reports, newest first
+ * @param {Object} [filters] - Optional query (matched against title, type,
+ *   file name and tags), type and tag
+ * @returns {Promise<Array>} - Report metadata without the report content
+ */
+async function listReports({ query, type, tag } = {}) {
+    if (!await fs.pathExists(REPORTS_DIR)) return [];
+
+    const files = (await fs.readdir(REPORTS_DIR)).filter(file => file.endsWith('.json'));
+    const reports = [];
+    for (const file of files) {
+        const stored = await getReport(path.basename(file, '.json'));
+        if (!stored) continue;
+
+        const { content, ...summary } = stored;
+        if (type && summary.type !== type) continue;
+        if (tag && !(summary.tags || []).includes(tag)) continue;
+        if (query && !matchesSearch(summary, query)) continue;
+        reports.push(summary);
+    }
+    return reports.sort((a, b) => b.generatedAt.localeCompare(a.generatedAt));
+}
+
+/**
+ * Delete a report and its metadata
+ * @param {string} reportId - Report ID
+ * @returns {Promise<boolean>} - Whether a report was removed
+ */
+async function deleteReport(reportId) {
+    const htmlPath = reportFile(reportId, '.html');
+    const metaPath = reportFile(reportId, '.json');
+    if (!htmlPath) return false;
+
+    const existed = await fs.pathExists(htmlPath) || await fs.pathExists(metaPath);
+    await fs.remove(htmlPath);
+    await fs.remove(metaPath);
+    return existed;
+}
+
+module.exports = {
+    REPORTS_DIR,
+    saveReport,
+    getReport,
+    updateReport,
+    getReportHTMLPath,
+    listReports,
+    deleteReport
+};
@@ -0,0 +1,285 @@
+// Background retention for generated reports, stored datasets and stray
+// uploads. Successful uploads are moved into the dataset store, so anything
+// left in /uploads is an abandoned or failed upload. Deleting reports and
+// datasets is opt-in: every limit on them is off unless configured. Pinned
+// reports are never deleted.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { REPORTS_DIR } = require('./reportStore');
+const { DATASETS_DIR } = require('./datasetStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Where retention looks and where it records its last run. Runs take other
+ * paths so they can work on a scratch copy.
+ */
+const RETENTION_PATHS = {
+    reportsDir: REPORTS_DIR,
+    datasetsDir: DATASETS_DIR,
+    uploadsDir: path.join(__dirname, '../uploads'),
+    lastRunPath: path.join(__dirname, '../data/retention-last-run.json')
+};
+
+function readNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Read the retention policy from the environment. A limit of 0 disables it.
+ * @param {Object} [env] - Environment to read from
+ * @returns {Object} - Retention policy
+ */
+function getRetentionPolicy(env = process.env) {
+    return {
+        reportMaxAgeDays: readNumber(env.REPORT_RETENTION_DAYS, 0),
+        reportMaxCount: readNumber(env.REPORT_MAX_COUNT, 0),
+        reportMaxDiskMB: readNumber(env.REPORT_MAX_DISK_MB, 0),
+        datasetMaxAgeDays: readNumber(env.DATASET_RETENTION_DAYS, 0),
+        uploadMaxAgeHours: readNumber(env.UPLOAD_RETENTION_HOURS, 24),
+        intervalMinutes: readNumber(env.RETENTION_INTERVAL_MINUTES, 60)
+    };
+}
+
+async function fileSize(filePath) {
+    try {
+        return (await fs.stat(filePath)).size;
+    } catch (error) {
+        return 0;
+    }
+}
+
+// Total size of the files under a directory: a dataset's rows, metadata and
+// source files
+async function directorySize(dir) {
+    let total = 0;
+    for (const entry of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+        const entryPath = path.join(dir, entry.name);
+        total += entry.isDirectory() ? await directorySize(entryPath) : await fileSize(entryPath);
+    }
+    return total;
+}
+
+// Every report on disk, including older ones saved before reports had
+// metadata, with its size and age
+async function collectReports(reportsDir) {
+    if (!await fs.pathExists(reportsDir)) return [];
+
+    const ids = new Set((await fs.readdir(reportsDir))
+        .map(file => path.basename(file, path.extname(file)))
+        .filter(id => ID_PATTERN.test(id)));
+
+    const reports = [];
+    for (const id of ids) {
+        const htmlPath = path.join(reportsDir, `${id}.html`);
+        const metaPath = path.join(reportsDir, `${id}.json`);
+        const meta = await fs.readJson(metaPath).catch(() => null);
+        const stats = await fs.stat(await fs.pathExists(htmlPath) ? htmlPath : metaPath);
+
+        reports.push({
+            id,
+            title: meta?.title || null,
+            pinned: Boolean(meta?.pinned),
+            generatedAt: meta?.generatedAt ? Date.parse(meta.generatedAt) : stats.mtimeMs,
+            bytes: await fileSize(htmlPath) + await fileSize(metaPath)
+        });
+    }
+    return reports.sort((a, b) => b.generatedAt - a.generatedAt);
+}
+
+// Decide which reports go, applying age, then count, then disk usage
+function selectReports(reports, policy, now) {
+    const selected = new Map();
+    const candidates = reports.filter(report => !report.pinned);
+
+    if (policy.reportMaxAgeDays > 0) {
+        const cutoff = now - policy.reportMaxAgeDays * 24 * HOUR_MS;
+        candidates
+            .filter(report => report.generatedAt < cutoff)
+            .forEach(report => selected.set(report.id, `Older than ${policy.reportMaxAgeDays} days`));
+    }
+
+    if (policy.reportMaxCount > 0) {
+        // Pinned reports count towards the limit but are kept regardless
+        let kept = reports.filter(report => report.pinned).length;
+        candidates
+            .filter(report => !selected.has(report.id))
+            .forEach(report => {
+                if (kept < policy.reportMaxCount) {
+                    kept++;
+                } else {
+                    selected.set(report.id, `More than ${policy.reportMaxCount} reports`);
+                }
+            });
+    }
+
+    if (policy.reportMaxDiskMB > 0) {
+        const limit = policy.reportMaxDiskMB * 1024 * 1024;
+        let used = reports
+            .filter(report => !selected.has(report.id))
+            .reduce((total, report) => total + report.bytes, 0);
+        [...candidates].reverse()
+            .filter(report => !selected.has(report.id))
+            .forEach(report => {
+                if (used > limit) {
+                    used -= report.bytes;
+                    selected.set(report.id, `Reports use more than ${policy.reportMaxDiskMB} MB`);
+                }
+            });
+    }
+
+    return reports
+        .filter(report => selected.has(report.id))
+        .map(report => ({
+            id: report.id,
+            title: report.title,
+            generatedAt: new Date(report.generatedAt).toISOString(),
+            bytes: report.bytes,
+            reason: selected.get(report.id)
+        }));
+}
+
+async function selectDatasets(policy, now, datasetsDir) {
+    if (policy.datasetMaxAgeDays <= 0 || !await fs.pathExists(datasetsDir)) return [];
+
+    const cutoff = now - policy.datasetMaxAgeDays * 24 * HOUR_MS;
+    const datasets = [];
+    for (const id of (await fs.readdir(datasetsDir)).filter(name => ID_PATTERN.test(name))) {
+        const meta = await fs.readJson(path.join(datasetsDir, id, 'meta.json')).catch(() => null);
+        if (meta && Date.parse(meta.createdAt) < cutoff) {
+            datasets.push({
+                id,
+                fileName: meta.fileName || null,
+                createdAt: meta.createdAt,
+                bytes: await directorySize(path.join(datasetsDir, id)),
+                reason: `Older than ${policy.datasetMaxAgeDays} days`
+            });
+        }
+    }
+    return datasets;
+}
+
+async function selectUploads(policy, now, uploadsDir) {
+    if (policy.uploadMaxAgeHours <= 0 || !await fs.pathExists(uploadsDir)) return [];
+
+    const cutoff = now - policy.uploadMaxAgeHours * HOUR_MS;
+    const uploads = [];
+    for (const file of await fs.readdir(uploadsDir)) {
+        const stats = await fs.stat(path.join(uploadsDir, file));
+        if (stats.isFile() && stats.mtimeMs < cutoff) {
+            uploads.push({
+                file,
+                modifiedAt: stats.mtime.toISOString(),
+                bytes: stats.size,
+                reason: `Older than ${policy.uploadMaxAgeHours} hours`
+            });
+        }
+    }
+    return uploads;
+}
+
+/**
+ * Apply the retention policy once
+ * @param {Object} [options] - dryRun to only report what would be deleted,
+ *   policy to override getRetentionPolicy(), paths to override any of
+ *   RETENTION_PATHS
+ * @returns {Promise<Object>} - Run summary with the reports, datasets and
+ *   uploads deleted (or that would be), bytes freed and any errors
+ */
+async function runRetention({ dryRun = false, policy = getRetentionPolicy(), paths } = {}) {
+    const { reportsDir, datasetsDir, uploadsDir, lastRunPath } = { ...RETENTION_PATHS, ...paths };
+    const startedAt = new Date();
+    const now = startedAt.getTime();
+    const reports = selectReports(await collectReports(reportsDir), policy, now);
+    const datasets = await selectDatasets(policy, now, datasetsDir);
+    const uploads = await selectUploads(policy, now, uploadsDir);
+    const errors = [];
+
+    if (!dryRun) {
+        for (const report of reports) {
+            try {
+                await fs.remove(path.join(reportsDir, `${report.id}.html`));
+                await fs.remove(path.join(reportsDir, `${report.id}.json`));
+            } catch (error) {
+                errors.push({ target: `report ${report.id}`, message: error.message });
+            }
+        }
+        for (const dataset of datasets) {
+            try {
+                await fs.remove(path.join(datasetsDir, dataset.id));
+            } catch (error) {
+                errors.push({ target: `dataset ${dataset.id}`, message: error.message });
+            }
+        }
+        for (const upload of uploads) {
+            try {
+                await fs.remove(path.join(uploadsDir, upload.file));
+            } catch (error) {
+                errors.push({ target: `upload ${upload.file}`, message: error.message });
+            }
+        }
+    }
+
+    const summary = {
+        dryRun,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        policy,
+        reports,
+        datasets,
+        uploads,
+        freedBytes: [...reports, ...datasets, ...uploads].reduce((total, item) => total + item.bytes, 0),
+        errors
+    };
+
+    await fs.outputJson(lastRunPath, summary, { spaces: 2 });
+    return summary;
+}
+
+/**
+ * Read the summary of the most recent run, dry or not
+ * @param {string} [lastRunPath] - Where the run recorded it
+ * @returns {Promise<Object|null>} - Run summary or null if none yet
+ */
+async function getLastRetentionRun(lastRunPath = RETENTION_PATHS.lastRunPath) {
+    if (!await fs.pathExists(lastRunPath)) return null;
+    return fs.readJson(lastRunPath);
+}
+
+/**
+ * Run retention shortly after startup and then on the configured interval
+ * @param {Object} [policy] - Policy to use, read from the environment by default
+ * @returns {Function|null} - Stops the scheduler, or null when disabled
+ */
+function startRetentionScheduler(policy = getRetentionPolicy()) {
+    if (policy.intervalMinutes <= 0) return null;
+
+    const run = async () => {
+        try {
+            const summary = await runRetention({ policy });
+            if (summary.reports.length || summary.datasets.length || summary.uploads.length) {
+                console.log(`Retention removed ${summary.reports.length} report(s), ${summary.datasets.length} dataset(s) and ${summary.uploads.length} upload(s)`);
+            }
+        } catch (error) {
+            console.error('Retention run failed:', error);
+        }
+    };
+
+    const startup = setTimeout(run, 10 * 1000).unref();
+    const interval = setInterval(run, policy.intervalMinutes * 60 * 1000).unref();
+    return () => {
+        clearTimeout(startup);
+        clearInterval(interval);
+    };
+}
+
+module.exports = {
+    RETENTION_PATHS,
+    getRetentionPolicy,
+    runRetention,
+    getLastRetentionRun,
+    startRetentionScheduler
+};
@@ -0,0 +1,276 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+
+const POLICY_PATH = path.join(__dirname, '../data/sla-policy.json');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Longest span walked day by day when counting business minutes
+const MAX_BUSINESS_DAYS = 3660;
+
+// Timestamp layouts accepted when a value carries no UTC offset. Day-first
+// layouts come after ISO so unambiguous exports are never misread.
+const TIMESTAMP_FORMATS = [
+    moment.ISO_8601,
+    'YYYY-MM-DD HH:mm:ss',
+    'YYYY-MM-DD HH:mm',
+    'YYYY/MM/DD HH:mm:ss',
+    'YYYY/MM/DD HH:mm',
+    'DD-MM-YYYY HH:mm:ss',
+    'DD-MM-YYYY HH:mm',
+    'DD/MM/YYYY HH:mm:ss',
+    'DD/MM/YYYY HH:mm',
+    'DD MMM YYYY HH:mm:ss',
+    'DD MMM YYYY HH:mm',
+    'ddd, DD MMM YYYY HH:mm:ss'
+];
+
+const UTC_OFFSET_SUFFIX = /(Z|[+-]\d{2}:?\d{2})$/i;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Built-in targets. Urgent tickets run on a 24x7 clock, everything else
+ * only counts time inside business hours.
+ */
+const DEFAULT_SLA_POLICY = {
+    timezone: 'UTC',
+    businessHours: {
+        days: [1, 2, 3, 4, 5],
+        start: '09:00',
+        end: '17:00'
+    },
+    holidays: [],
+    targets: [
+        { name: 'P1', match: ['Urgent', 'Critical', 'P1', '1'], responseMinutes: 15, resolutionMinutes: 240, businessHoursOnly: false },
+        { name: 'P2', match: ['High', 'P2', '2'], responseMinutes: 60, resolutionMinutes: 480, businessHoursOnly: true },
+        { name: 'P3', match: ['Medium', 'Normal', 'P3', '3'], responseMinutes: 240, resolutionMinutes: 1440, businessHoursOnly: true },
+        { name: 'P4', match: ['Low', 'P4', '4'], responseMinutes: 480, resolutionMinutes: 2880, businessHoursOnly: true }
+    ]
+};
+
+function toList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function toMinutes(value, label) {
+    if (value === null || value === undefined || value === '') return null;
+    const minutes = Number(value);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+        throw new Error(`${label} must be a positive number of minutes`);
+    }
+    return minutes;
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validate an SLA policy and fill anything missing from the defaults
+ * @param {Object} policy - Stored or user supplied policy
+ * @returns {Object} - Complete policy
+ */
+function resolveSLAPolicy(policy) {
+    const source = policy || {};
+    const hours = { ...DEFAULT_SLA_POLICY.businessHours, ...source.businessHours };
+
+    const timezone = String(source.timezone || DEFAULT_SLA_POLICY.timezone).trim();
+    if (!isValidTimezone(timezone)) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+    }
+
+    if (!TIME_OF_DAY.test(hours.start) || !TIME_OF_DAY.test(hours.end) || hours.start >= hours.end) {
+        throw new Error('Business hours must be HH:MM with the start before the end');
+    }
+
+    const days = [...new Set((hours.days || []).map(Number))].sort();
+    if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new Error('Business days must be numbers from 0 (Sunday) to 6 (Saturday)');
+    }
+
+    const holidays = toList(source.holidays);
+    const invalidHoliday = holidays.find(date => !CALENDAR_DATE.test(date) || !moment.utc(date, 'YYYY-MM-DD', true).isValid());
+    if (invalidHoliday) {
+        throw new Error(`Holiday "${invalidHoliday}" must be a YYYY-MM-DD date`);
+    }
+
+    const targets = (Array.isArray(source.targets) ? source.targets : DEFAULT_SLA_POLICY.targets).map(target => {
+        const name = String(target.name || '').trim();
+        if (!name) {
+            throw new Error('Every SLA target needs a name');
+        }
+        return {
+            name,
+            match: toList(target.match).length > 0 ? toList(target.match) : [name],
+            responseMinutes: toMinutes(target.responseMinutes, `${name} response target`),
+            resolutionMinutes: toMinutes(target.resolutionMinutes, `${name} resolution target`),
+            businessHoursOnly: target.businessHoursOnly !== false
+        };
+    });
+
+    return {
+        timezone,
+        businessHours: { days, start: hours.start, end: hours.end },
+        holidays: [...new Set(holidays)].sort(),
+        targets
+    };
+}
+
+/**
+ * Load the saved SLA policy, or the defaults when none has been saved
+ * @returns {Promise<Object>} - Complete policy
+ */
+async function getSLAPolicy() {
+    if (!await fs.pathExists(POLICY_PATH)) return resolveSLAPolicy(DEFAULT_SLA_POLICY);
+    const stored = await fs.readJson(POLICY_PATH, { throws: false });
+    return resolveSLAPolicy(stored || DEFAULT_SLA_POLICY);
+}
+
+/**
+ * Validate and save the SLA policy
+ * @param {Object} input - Timezone, business hours, holidays and targets
+ * @returns {Promise<Object>} - Saved policy
+ */
+async function saveSLAPolicy(input) {
+    const policy = resolveSLAPolicy(input);
+    await fs.ensureDir(path.dirname(POLICY_PATH));
+    await fs.writeJson(POLICY_PATH, policy, { spaces: 2 });
+    return policy;
+}
+
+/**
+ * Find the target that applies to a ticket priority. A target matches when
+ * one of its match values equals the priority or one of its words, so
+ * "P1", "1 - Critical" and "Critical" all hit the same target.
+ * @param {Object} policy - Resolved policy
+ * @param {*} priority - Priority value from the ticket
+ * @returns {Object|null} - Matching target or null
+ */
+function findTarget(policy, priority) {
+    const value = String(priority || '').trim().toLowerCase();
+    if (!value) return null;
+    const words = value.split(/[^a-z0-9]+/).filter(Boolean);
+
+    return policy.targets.find(target =>
+        target.match.some(match => {
+            const candidate = match.toLowerCase();
+            return candidate === value || words.includes(candidate);
+        })
+    ) || null;
+}
+
+const wallClockFormatters = new Map();
+
+// Shift an instant to the wall-clock time of a timezone, expressed as UTC
+// milliseconds so calendar arithmetic can use the getUTC* accessors
+function toWallClock(instant, timezone) {
+    if (timezone === 'UTC') return instant;
+
+    if (!wallClockFormatters.has(timezone)) {
+        wallClockFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    wallClockFormatters.get(timezone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Parse a ticket timestamp into wall-clock milliseconds in the policy
+ * timezone. Values without a UTC offset are taken to already be local time.
+ * @param {*} value - Cell value
+ * @param {string} timezone - Policy timezone
+ * @returns {number|null} - Wall-clock milliseconds or null when unparseable
+ */
+function parseTimestamp(value, timezone) {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim();
+
+    if (UTC_OFFSET_SUFFIX.test(text)) {
+        const instant = moment(text, moment.ISO_8601, true);
+        return instant.isValid() ? toWallClock(instant.valueOf(), timezone) : null;
+    }
+
+    const local = moment.utc(text, TIMESTAMP_FORMATS, true);
+    return local.isValid() ? local.valueOf() : null;
+}
+
+function minutesOfDay(time) {
+    const [, hours, minutes] = time.match(TIME_OF_DAY);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Minutes between two wall-clock times that fall inside business hours,
+ * skipping non-working days and holidays
+ * @param {number} start - Wall-clock milliseconds
+ * @param {number} end - Wall-clock milliseconds
+ * @param {Object} policy - Resolved policy
+ * @returns {number} - Business minutes
+ */
+function businessMinutesBetween(start, end, policy) {
+    const { days, start: open, end: close } = policy.businessHours;
+    const openOffset = minutesOfDay(open) * MINUTE_MS;
+    const closeOffset = minutesOfDay(close) * MINUTE_MS;
+    const lastDay = Math.min(end, start + MAX_BUSINESS_DAYS * DAY_MS);
+    let total = 0;
+
+    for (let day = Math.floor(start / DAY_MS) * DAY_MS; day < lastDay; day += DAY_MS) {
+        const date = new Date(day);
+        if (!days.includes(date.getUTCDay())) continue;
+        if (policy.holidays.includes(date.toISOString().substring(0, 10))) continue;
+
+        const from = Math.max(day + openOffset, start);
+        const to = Math.min(day + closeOffset, end);
+        if (to > from) total += to - from;
+    }
+
+    return total / MINUTE_MS;
+}
+
+/**
+ * Duration between two timestamps on the clock a target runs on
+ * @param {number} start - Wall-clock milliseconds
+ * @param {number} end - Wall-clock milliseconds
+ * @param {Object} policy - Resolved policy
+ * @param {Object|null} target - Target from findTarget(); 24x7 when null
+ * @returns {number|null} - Minutes, or null when end precedes start
+ */
+function measureMinutes(start, end, policy, target) {
+    if (start === null || end === null || end < start) return null;
+    if (target && target.businessHoursOnly) {
+        return businessMinutesBetween(start, end, policy);
+    }
+    return (end - start) / MINUTE_MS;
+}
+
+module.exports = {
+    DEFAULT_SLA_POLICY,
+    resolveSLAPolicy,
+    getSLAPolicy,
+    saveSLAPolicy,
+    findTarget,
+    parseTimestamp,
+    businessMinutesBetween,
+    measureMinutes
+};
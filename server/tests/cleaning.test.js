@@ -0,0 +1,96 @@
+// The cleaning stage, on its own and behind the CSV reader it types rows for
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { openRowSource } = require('../fileReaders');
+const { DataUtils } = require('../utils');
+
+async function readCleanedCSV(text) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cleaning-'));
+    try {
+        const filePath = path.join(dir, 'tickets.csv');
+        await fs.writeFile(filePath, text);
+        const { rows } = await openRowSource(filePath, 'csv');
+        const cleaner = DataUtils.createCleaner();
+        const cleaned = [];
+        for await (const row of rows) {
+            const cleanedRow = cleaner.clean(row);
+            if (cleanedRow) cleaned.push(cleanedRow);
+        }
+        return { rows: cleaned, report: cleaner.report() };
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('CSV codes with leading zeros stay text', async () => {
+    const { rows } = await readCleanedCSV([
+        'Ticket ID,Count,Reference,Escalated',
+        '00123,42,12345678901234567890,TRUE',
+        '0,-1.5,007,no'
+    ].join('\n'));
+
+    assert.deepEqual(rows, [
+        { 'Ticket ID': '00123', Count: 42, Reference: '12345678901234567890', Escalated: true },
+        { 'Ticket ID': 0, Count: -1.5, Reference: '007', Escalated: false }
+    ]);
+});
+
+test('CSV placeholders, padding and dates are cleaned and reported', async () => {
+    const { rows, report } = await readCleanedCSV([
+        'Ticket ID,Agent,Created',
+        'T1, Ann ,31/01/2025 08:00',
+        'T2,N/A,2025-02-01'
+    ].join('\n'));
+
+    assert.deepEqual(rows, [
+        // Day-first dates are already rewritten by the dialect's locale step
+        { 'Ticket ID': 'T1', Agent: 'Ann', Created: '2025-01-31 08:00' },
+        { 'Ticket ID': 'T2', Agent: null, Created: '2025-02-01' }
+    ]);
+    assert.equal(report.rowsKept, 2);
+    assert.deepEqual(report.dateColumns, ['Created']);
+    assert.deepEqual(report.issues.map(issue => [issue.kind, issue.count]), [
+        ['nullToken', 1],
+        ['trimmed', 1]
+    ]);
+});
+
+test('cleaner drops rows with no values and keeps unreadable dates', () => {
+    const cleaner = DataUtils.createCleaner();
+
+    assert.deepEqual(cleaner.clean({ Created: '2025-03-04', Note: 'x' }), { Created: '2025-03-04', Note: 'x' });
+    assert.deepEqual(cleaner.clean({ Created: 'soon', Note: 'y' }), { Created: 'soon', Note: 'y' });
+    assert.equal(cleaner.clean({ Created: ' ', Note: 'none' }), null);
+
+    const kinds = cleaner.report().issues.map(issue => `${issue.kind}:${issue.action}`);
+    assert.deepEqual(kinds, ['emptyRow:dropped', 'nullToken:coerced', 'trimmed:coerced', 'unparsedDate:kept']);
+});
+
+test('cells named like Object.prototype members stay text', async () => {
+    const { rows } = await readCleanedCSV([
+        'Ticket ID,Queue,Note',
+        'T1,Constructor,toString',
+        'T2,valueOf,__proto__'
+    ].join('\n'));
+
+    assert.deepEqual(rows, [
+        { 'Ticket ID': 'T1', Queue: 'Constructor', Note: 'toString' },
+        { 'Ticket ID': 'T2', Queue: 'valueOf', Note: '__proto__' }
+    ]);
+    assert.deepEqual(DataUtils.convertCell('hasOwnProperty'), { value: 'hasOwnProperty', changes: [] });
+});
+
+test('convertCell types numbers, booleans and month-first dates', () => {
+    assert.deepEqual(DataUtils.convertCell('12'), { value: 12, changes: [] });
+    assert.deepEqual(DataUtils.convertCell('0042'), { value: '0042', changes: [] });
+    assert.deepEqual(DataUtils.convertCell('Yes'), { value: true, changes: ['boolean'] });
+    assert.deepEqual(DataUtils.convertCell('12/31/2025'), {
+        value: '2025-12-31',
+        changes: ['monthFirstDate'],
+        format: 'MM/DD/YYYY'
+    });
+});
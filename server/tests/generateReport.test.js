@@ -0,0 +1,168 @@
+// The whole generate-report flow against the fixture provider: upload a CSV,
+// start a report job, follow it to completion and download the report.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_FIXTURES_DIR } = require('../llmProviders');
+const { ReportUtils } = require('../utils');
+
+// Names straight from CSV cells must reach the report as text, not markup
+const MARKUP_AGENT = '<img src=x onerror=alert(1)>';
+const MARKUP_CATEGORY = '<script>alert(1)</script>';
+
+// The recorded replies, with a detailed one that names the pseudonymized
+// agents by token and carries markup of its own
+const MODEL_MARKUP = '<b onmouseover=alert(2)>Review</b>';
+const FIXTURES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+fs.copySync(DEFAULT_FIXTURES_DIR, FIXTURES_DIR);
+const detailedReply = fs.readJsonSync(path.join(DEFAULT_FIXTURES_DIR, 'detailed.txt'));
+detailedReply.operationalInsights[1] = `Agent-01, Agent-02, Agent-03 and Agent-04 are below 90% compliance. ${MODEL_MARKUP} their workload.`;
+fs.writeJsonSync(path.join(FIXTURES_DIR, 'detailed.txt'), detailedReply, { spaces: 2 });
+
+// Read when index.js creates its provider, so set before requiring it
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LLM_FIXTURES_DIR = FIXTURES_DIR;
+
+const app = require('../index');
+
+const TICKETS_CSV = path.join(__dirname, '../fixtures/tickets.csv');
+const JOB_TIMEOUT_MS = 30 * 1000;
+
+let server;
+let baseUrl;
+const created = { datasets: [], reports: [] };
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    for (const reportId of created.reports) {
+        await fetch(`${baseUrl}/api/reports/${reportId}`, { method: 'DELETE' });
+    }
+    for (const datasetId of created.datasets) {
+        await fetch(`${baseUrl}/api/datasets/${datasetId}`, { method: 'DELETE' });
+    }
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(FIXTURES_DIR);
+});
+
+async function upload(content) {
+    const form = new FormData();
+    form.append('csvFile', new Blob([content || await fs.readFile(TICKETS_CSV)], { type: 'text/csv' }), 'tickets.csv');
+    const response = await fetch(`${baseUrl}/api/upload`, { method: 'POST', body: form });
+    const result = await response.json();
+    assert.equal(response.status, 200, result.error);
+    created.datasets.push(result.datasetId);
+    return result;
+}
+
+async function runReport(body) {
+    const response = await fetch(`${baseUrl}/api/generate-report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const started = await response.json();
+    assert.equal(response.status, 202, started.error);
+
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        const { job } = await (await fetch(`${baseUrl}${started.statusUrl}`)).json();
+        if (job.status === 'completed') {
+            created.reports.push(job.result.reportId);
+            return job.result;
+        }
+        assert.notEqual(job.status, 'failed', job.error);
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Report job did not finish in time');
+}
+
+async function uploadWithMarkup() {
+    const csv = (await fs.readFile(TICKETS_CSV, 'utf8'))
+        .replace(/,Cy,/g, `,${MARKUP_AGENT},`)
+        .replace(/,Hardware,/g, `,${MARKUP_CATEGORY},`);
+    return upload(csv);
+}
+
+async function downloadHTML(result) {
+    const download = await fetch(`${baseUrl}${result.downloadUrl}`);
+    assert.equal(download.status, 200);
+    return download.text();
+}
+
+function assertNamesEscaped(html) {
+    assert.ok(!html.includes(MARKUP_AGENT), 'agent name rendered as markup');
+    assert.ok(!html.includes(MARKUP_CATEGORY), 'category name rendered as markup');
+    assert.ok(html.includes(ReportUtils.escapeHTML(MARKUP_AGENT)), 'agent name missing from the report');
+    assert.ok(html.includes(ReportUtils.escapeHTML(MARKUP_CATEGORY)), 'category name missing from the report');
+}
+
+test('generates a report from the recorded LLM reply', async () => {
+    const { datasetId, totalRecords } = await upload();
+    assert.equal(totalRecords, 30);
+
+    const fixture = JSON.parse((await fs.readFile(path.join(DEFAULT_FIXTURES_DIR, 'executive.txt'), 'utf8'))
+        .replace(/^```json\s*|\s*```\s*$/g, ''));
+    const result = await runReport({ datasetId, reportType: 'executive' });
+
+    assert.equal(result.generationMode, 'ai');
+    assert.equal(result.partiallyGenerated, false);
+    const report = JSON.parse(result.analysis);
+    assert.equal(report.executiveSummary, fixture.executiveSummary);
+    // Figures come from the analysis, not from the reply
+    assert.ok(Array.isArray(report.keyMetrics) && report.keyMetrics.length > 0);
+    assert.ok(result.privacy.pseudonymized.agent > 0);
+
+    const download = await fetch(`${baseUrl}${result.downloadUrl}`);
+    assert.equal(download.status, 200);
+    assert.match(await download.text(), /<html/i);
+});
+
+test('offline mode skips the provider', async () => {
+    const { datasetId } = await upload();
+    const result = await runReport({ datasetId, reportType: 'detailed', mode: 'offline' });
+
+    assert.equal(result.generationMode, 'offline');
+    assert.equal(result.privacy, undefined);
+    assert.ok(JSON.parse(result.analysis).performanceOverview);
+});
+
+test('offline reports escape agent and category names', async (t) => {
+    const { datasetId } = await uploadWithMarkup();
+    for (const reportType of ['detailed', 'executive', 'presentation']) {
+        await t.test(reportType, async () => {
+            const result = await runReport({ datasetId, reportType, mode: 'offline' });
+            assertNamesEscaped(await downloadHTML(result));
+        });
+    }
+});
+
+test('names restored into the model narrative are escaped', async () => {
+    const { datasetId } = await uploadWithMarkup();
+    const result = await runReport({ datasetId, reportType: 'detailed' });
+
+    assert.equal(result.generationMode, 'ai');
+    const insight = JSON.parse(result.analysis).operationalInsights[1];
+    assert.ok(insight.includes(MARKUP_AGENT), 'token not restored to the real name');
+
+    const html = await downloadHTML(result);
+    assertNamesEscaped(html);
+    assert.ok(!html.includes(MODEL_MARKUP), 'model markup rendered as markup');
+    assert.ok(html.includes(ReportUtils.escapeHTML(insight)));
+});
+
+test('rejects a report for an unknown dataset', async () => {
+    const response = await fetch(`${baseUrl}/api/generate-report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ datasetId: 'missing', reportType: 'executive' })
+    });
+    assert.equal(response.status, 404);
+});
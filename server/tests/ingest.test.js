@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ingestFile, applyRecipe } = require('../ingest');
+const { getDataset, updateDataset, iterateDatasetRows, deleteDataset } = require('../datasetStore');
+const { RecipeError, normalizeRecipe } = require('../transformRecipes');
+
+const CREATED_AT = '2020-01-01T00:00:00.000Z';
+
+async function firstRow(datasetId) {
+    for await (const row of iterateDatasetRows(datasetId)) return row;
+    return null;
+}
+
+test('reading a dataset again keeps its recipe and creation time', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ingest-'));
+    let datasetId;
+    try {
+        const tickets = path.join(dir, 'tickets.csv');
+        const other = path.join(dir, 'other.csv');
+        await fs.writeFile(tickets, 'Ticket ID,Agent\nT1,Ann\nT2,Bo\n');
+        await fs.writeFile(other, 'Ticket ID,Person\nT1,Ann\n');
+
+        const dataset = await ingestFile(tickets, { fileName: 'tickets.csv', format: 'csv' });
+        datasetId = dataset.id;
+        const recipe = normalizeRecipe({ steps: [{ type: 'rename', from: 'Agent', to: 'Owner' }] });
+        await applyRecipe(dataset, recipe);
+        await updateDataset(datasetId, { createdAt: CREATED_AT });
+
+        const reread = await ingestFile(tickets, { fileName: 'tickets.csv', format: 'csv', datasetId });
+        assert.deepEqual(reread.recipe, recipe);
+        assert.deepEqual(reread.sourceColumns, ['Ticket ID', 'Agent']);
+        assert.deepEqual(reread.dataStructure.columns, ['Ticket ID', 'Owner']);
+        assert.equal(reread.createdAt, CREATED_AT);
+        assert.deepEqual(await getDataset(datasetId), reread);
+
+        // A recipe that no longer fits fails before the stored rows change
+        await assert.rejects(
+            ingestFile(other, { fileName: 'other.csv', format: 'csv', datasetId }),
+            error => error instanceof RecipeError && /no column named "Agent"/.test(error.message)
+        );
+        assert.deepEqual(await firstRow(datasetId), { 'Ticket ID': 'T1', Agent: 'Ann' });
+        assert.deepEqual(await getDataset(datasetId), reread);
+    } finally {
+        if (datasetId) await deleteDataset(datasetId);
+        await fs.remove(dir);
+    }
+});
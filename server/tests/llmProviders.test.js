@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULT_FIXTURES_DIR,
+    REPORT_SETTINGS,
+    createLLMProvider,
+    getReportSettings,
+    detectReportType,
+    loadFixture
+} = require('../llmProviders');
+
+test('createLLMProvider picks the provider named by LLM_PROVIDER', () => {
+    assert.equal(createLLMProvider({}).name, 'anthropic');
+    assert.equal(createLLMProvider({ LLM_PROVIDER: 'OpenAI' }).name, 'openai');
+    assert.equal(createLLMProvider({ LLM_PROVIDER: 'fixture' }).name, 'fixture');
+    assert.throws(() => createLLMProvider({ LLM_PROVIDER: 'nope' }), /Unknown LLM_PROVIDER "nope"/);
+});
+
+test('providers report whether they are configured', () => {
+    assert.equal(createLLMProvider({}).isConfigured(), false);
+    assert.equal(createLLMProvider({ CLAUDE_API_KEY: 'key' }).isConfigured(), true);
+    assert.equal(createLLMProvider({ LLM_PROVIDER: 'openai' }).isConfigured(), false);
+    assert.equal(createLLMProvider({ LLM_PROVIDER: 'openai', LLM_BASE_URL: 'http://localhost:11434/v1' }).isConfigured(), true);
+    assert.equal(createLLMProvider({ LLM_PROVIDER: 'fixture' }).isConfigured(), true);
+});
+
+test('getReportSettings layers per-type overrides over global ones and defaults', () => {
+    const provider = createLLMProvider({ LLM_PROVIDER: 'openai' });
+
+    assert.deepEqual(getReportSettings(provider, 'executive', {}), {
+        model: provider.defaultModel,
+        ...REPORT_SETTINGS.executive
+    });
+    assert.deepEqual(getReportSettings(provider, 'detailed', {
+        LLM_MODEL: 'global-model',
+        LLM_MAX_TOKENS: '1000',
+        LLM_DETAILED_MODEL: 'detailed-model',
+        LLM_DETAILED_TEMPERATURE: '0.9'
+    }), { model: 'detailed-model', maxTokens: 1000, temperature: 0.9 });
+    // Unknown report types and unreadable numbers fall back to the defaults
+    assert.deepEqual(getReportSettings(provider, 'other', { LLM_TEMPERATURE: 'warm' }), {
+        model: provider.defaultModel,
+        ...REPORT_SETTINGS.detailed
+    });
+});
+
+test('detectReportType reads the REPORT TYPE line', () => {
+    assert.equal(detectReportType('Intro\n\nREPORT TYPE: presentation\n'), 'presentation');
+    assert.equal(detectReportType('report type: Executive'), 'executive');
+    assert.equal(detectReportType('No type here'), 'detailed');
+});
+
+test('loadFixture falls back to default.txt and fails without either', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+    try {
+        await assert.rejects(loadFixture(dir, 'executive'), /No LLM fixture for report type "executive"/);
+        await fs.writeFile(path.join(dir, 'default.txt'), 'fallback');
+        assert.equal(await loadFixture(dir, 'executive'), 'fallback');
+        await fs.writeFile(path.join(dir, 'executive.txt'), 'specific');
+        assert.equal(await loadFixture(dir, 'executive'), 'specific');
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('fixture provider replays the reply for the requested report type', async () => {
+    const provider = createLLMProvider({ LLM_PROVIDER: 'fixture' });
+    const executive = await fs.readFile(path.join(DEFAULT_FIXTURES_DIR, 'executive.txt'), 'utf8');
+    const presentation = await fs.readFile(path.join(DEFAULT_FIXTURES_DIR, 'presentation.txt'), 'utf8');
+
+    assert.equal(await provider.complete({ reportType: 'executive', messages: [{ role: 'user', content: '' }] }), executive);
+    // Without a reportType the last message decides
+    assert.equal(await provider.complete({ messages: [{ role: 'user', content: 'REPORT TYPE: presentation' }] }), presentation);
+});
@@ -0,0 +1,63 @@
+// The mock server against the real providers: both speak to it exactly as
+// they would to the hosted APIs.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { DEFAULT_FIXTURES_DIR, createLLMProvider } = require('../llmProviders');
+const app = require('../mockLLMServer');
+
+const settings = { model: 'mock', maxTokens: 100, temperature: 0 };
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const fixture = reportType => fs.readFile(path.join(DEFAULT_FIXTURES_DIR, `${reportType}.txt`), 'utf8');
+
+test('replays fixtures in the OpenAI chat completions format', async () => {
+    const provider = createLLMProvider({ LLM_PROVIDER: 'openai', LLM_BASE_URL: `${baseUrl}/v1` });
+    const reply = await provider.complete({
+        ...settings,
+        messages: [{ role: 'user', content: 'REPORT TYPE: executive' }]
+    });
+    assert.equal(reply, await fixture('executive'));
+});
+
+test('replays fixtures in the Anthropic messages format', async () => {
+    const provider = createLLMProvider({ LLM_PROVIDER: 'anthropic', LLM_BASE_URL: baseUrl, LLM_API_KEY: 'mock' });
+    const reply = await provider.complete({
+        ...settings,
+        messages: [{ role: 'user', content: 'REPORT TYPE: presentation' }]
+    });
+    assert.equal(reply, await fixture('presentation'));
+});
+
+test('picks the fixture from the first prompt, not a repair follow-up', async () => {
+    const provider = createLLMProvider({ LLM_PROVIDER: 'openai', LLM_BASE_URL: `${baseUrl}/v1` });
+    const reply = await provider.complete({
+        ...settings,
+        messages: [
+            { role: 'user', content: 'REPORT TYPE: executive' },
+            { role: 'assistant', content: '{}' },
+            { role: 'user', content: 'Fix the JSON' }
+        ]
+    });
+    assert.equal(reply, await fixture('executive'));
+});
+
+test('OpenAI provider reports a failed request', async () => {
+    const provider = createLLMProvider({ LLM_PROVIDER: 'openai', LLM_BASE_URL: `${baseUrl}/missing` });
+    await assert.rejects(
+        provider.complete({ ...settings, messages: [{ role: 'user', content: 'REPORT TYPE: detailed' }] }),
+        /LLM endpoint returned 404/
+    );
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { openRowSource } = require('../fileReaders');
+const { DataUtils } = require('../utils');
+const { createPIIScanner, replacePII } = require('../piiScanner');
+
+async function scanCSV(text) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pii-'));
+    try {
+        const filePath = path.join(dir, 'tickets.csv');
+        await fs.writeFile(filePath, text);
+        const { rows } = await openRowSource(filePath, 'csv');
+        const cleaner = DataUtils.createCleaner();
+        const scanner = createPIIScanner();
+        const cleaned = [];
+        for await (const raw of rows) {
+            const row = cleaner.clean(raw);
+            if (!row) continue;
+            cleaned.push(row);
+            scanner.add(row);
+        }
+        return { rows: cleaned, scan: scanner.finalize() };
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+const findingsOf = (scan, column) => {
+    const entry = scan.columns.find(flagged => flagged.column === column);
+    return entry ? entry.findings.map(finding => [finding.kind, finding.source, finding.count]) : [];
+};
+
+test('flags a phone column the cleaner typed as numbers', async () => {
+    const { rows, scan } = await scanCSV([
+        'Ticket ID,Callback,Reopened',
+        'T1,4155550123,0',
+        'T2,4155550199,2',
+        'T3,,1'
+    ].join('\n'));
+
+    assert.equal(typeof rows[0].Callback, 'number');
+    assert.deepEqual(findingsOf(scan, 'Callback'), [['phone', 'values', 2]]);
+    assert.equal(scan.columns.find(flagged => flagged.column === 'Callback').valuesScanned, 2);
+    // Small counts are numbers too, but nothing like personal data
+    assert.deepEqual(findingsOf(scan, 'Reopened'), []);
+});
+
+test('flags string values and headers', () => {
+    const scanner = createPIIScanner();
+    scanner.add({ Requester: 'Ann', Notes: 'Mail ann@example.com', Card: '4111 1111 1111 1111' });
+    scanner.add({ Requester: 'Bo', Notes: 'Order 12345678901234567', Card: null });
+    const scan = scanner.finalize();
+
+    assert.equal(scan.sampledRows, 2);
+    assert.deepEqual(findingsOf(scan, 'Requester'), [['personName', 'header', null]]);
+    // The order number fails the card checksum and is too long for a phone
+    assert.deepEqual(findingsOf(scan, 'Notes'), [['email', 'values', 1]]);
+    assert.deepEqual(findingsOf(scan, 'Card'), [['creditCard', 'values', 1]]);
+});
+
+test('replacePII leaves dates and decimals alone', () => {
+    const result = replacePII('Call +1 415 555 0123 on 2025-01-31 10:00, cost 1234567.89', ['phone'], kind => `[${kind}]`);
+    assert.equal(result.text, 'Call [phone] on 2025-01-31 10:00, cost 1234567.89');
+    assert.deepEqual(result.found, ['phone']);
+});
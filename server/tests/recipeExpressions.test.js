@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionError, compileExpression } = require('../recipeExpressions');
+
+test('evaluates columns, operators and functions against a row', () => {
+    const expression = compileExpression('upper(Agent) + " (" + [Ticket Count] * 2 + ")"');
+    assert.deepEqual(expression.columns, ['Agent', 'Ticket Count']);
+    assert.equal(expression.evaluate({ Agent: 'ann', 'Ticket Count': 4 }), 'ANN (8)');
+
+    assert.equal(compileExpression('Priority == "High" and not Escalated').evaluate({ Priority: 'High', Escalated: false }), true);
+    // Missing columns and division by zero give null rather than throwing
+    assert.equal(compileExpression('Missing + 1').evaluate({}), null);
+    assert.equal(compileExpression('1 / 0').evaluate({}), null);
+});
+
+test('words named like Object.prototype members are plain identifiers', () => {
+    const expression = compileExpression('constructor + " " + toString');
+    assert.deepEqual(expression.columns, ['constructor', 'toString']);
+    assert.equal(expression.evaluate({ constructor: 'Ann', toString: 'Lee' }), 'Ann Lee');
+    // Inherited members are not columns of the row
+    assert.equal(compileExpression('constructor').evaluate({}), null);
+    assert.equal(compileExpression('[valueOf] == null').evaluate({}), true);
+});
+
+test('rejects unknown functions, including Object.prototype members', () => {
+    assert.throws(() => compileExpression('constructor(Agent)'), ExpressionError);
+    assert.throws(() => compileExpression('hasOwnProperty(Agent)'), /Unknown function "hasOwnProperty"/);
+    assert.throws(() => compileExpression('nope(1)'), /Unknown function "nope" at position 1/);
+});
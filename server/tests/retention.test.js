@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { getRetentionPolicy, runRetention, getLastRetentionRun } = require('../retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS);
+
+const REPORT_IDS = {
+    old: '00000000-0000-4000-8000-000000000001',
+    pinned: '00000000-0000-4000-8000-000000000002',
+    recent: '00000000-0000-4000-8000-000000000003'
+};
+const DATASET_IDS = {
+    old: '00000000-0000-4000-8000-000000000011',
+    recent: '00000000-0000-4000-8000-000000000012'
+};
+
+// A scratch copy of the directories retention works on
+async function createTree() {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'retention-'));
+    const paths = {
+        reportsDir: path.join(root, 'reports'),
+        datasetsDir: path.join(root, 'datasets'),
+        uploadsDir: path.join(root, 'uploads'),
+        lastRunPath: path.join(root, 'retention-last-run.json')
+    };
+
+    const report = async (id, generatedAt, pinned = false) => {
+        await fs.outputFile(path.join(paths.reportsDir, `${id}.html`), '<html></html>');
+        await fs.outputJson(path.join(paths.reportsDir, `${id}.json`), { id, title: id, generatedAt: generatedAt.toISOString(), pinned });
+    };
+    await report(REPORT_IDS.old, daysAgo(40));
+    await report(REPORT_IDS.pinned, daysAgo(40), true);
+    await report(REPORT_IDS.recent, daysAgo(1));
+
+    const dataset = async (id, createdAt) => {
+        await fs.outputFile(path.join(paths.datasetsDir, id, 'rows.ndjson'), '{"Ticket":"T1"}\n');
+        await fs.outputJson(path.join(paths.datasetsDir, id, 'meta.json'), { id, fileName: `${id}.csv`, createdAt: createdAt.toISOString() });
+    };
+    await dataset(DATASET_IDS.old, daysAgo(100));
+    await dataset(DATASET_IDS.recent, daysAgo(10));
+
+    await fs.outputFile(path.join(paths.uploadsDir, 'stale.csv'), 'a,b\n');
+    await fs.utimes(path.join(paths.uploadsDir, 'stale.csv'), daysAgo(2), daysAgo(2));
+    await fs.outputFile(path.join(paths.uploadsDir, 'fresh.csv'), 'a,b\n');
+
+    return { root, paths };
+}
+
+test('deleting reports and datasets is off unless configured', () => {
+    const defaults = getRetentionPolicy({});
+    assert.equal(defaults.reportMaxAgeDays, 0);
+    assert.equal(defaults.reportMaxCount, 0);
+    assert.equal(defaults.reportMaxDiskMB, 0);
+    assert.equal(defaults.datasetMaxAgeDays, 0);
+    assert.equal(defaults.uploadMaxAgeHours, 24);
+
+    const configured = getRetentionPolicy({ REPORT_RETENTION_DAYS: '30', DATASET_RETENTION_DAYS: '90' });
+    assert.equal(configured.reportMaxAgeDays, 30);
+    assert.equal(configured.datasetMaxAgeDays, 90);
+});
+
+test('the default policy only removes stale uploads', async () => {
+    const { root, paths } = await createTree();
+    try {
+        const summary = await runRetention({ policy: getRetentionPolicy({}), paths });
+        assert.deepEqual(summary.reports, []);
+        assert.deepEqual(summary.datasets, []);
+        assert.deepEqual(summary.uploads.map(upload => upload.file), ['stale.csv']);
+        assert.ok(await fs.pathExists(path.join(paths.reportsDir, `${REPORT_IDS.old}.html`)));
+        assert.ok(await fs.pathExists(path.join(paths.datasetsDir, DATASET_IDS.old)));
+    } finally {
+        await fs.remove(root);
+    }
+});
+
+test('removes reports and datasets past their age limits and records the run', async () => {
+    const { root, paths } = await createTree();
+    const policy = getRetentionPolicy({ REPORT_RETENTION_DAYS: '30', DATASET_RETENTION_DAYS: '90' });
+    try {
+        const preview = await runRetention({ dryRun: true, policy, paths });
+        assert.deepEqual(preview.reports.map(report => report.id), [REPORT_IDS.old]);
+        assert.deepEqual(preview.datasets.map(dataset => dataset.id), [DATASET_IDS.old]);
+        assert.equal(preview.datasets[0].reason, 'Older than 90 days');
+        assert.ok(preview.datasets[0].bytes > 0);
+        assert.deepEqual(await getLastRetentionRun(paths.lastRunPath), preview);
+        assert.ok(await fs.pathExists(path.join(paths.datasetsDir, DATASET_IDS.old)), 'a dry run deletes nothing');
+
+        const summary = await runRetention({ policy, paths });
+        assert.equal(summary.dryRun, false);
+        assert.deepEqual(summary.errors, []);
+        assert.equal(summary.freedBytes, [...summary.reports, ...summary.datasets, ...summary.uploads]
+            .reduce((total, item) => total + item.bytes, 0));
+        assert.deepEqual(await getLastRetentionRun(paths.lastRunPath), summary);
+
+        assert.deepEqual((await fs.readdir(paths.reportsDir)).sort(), [
+            `${REPORT_IDS.pinned}.html`, `${REPORT_IDS.pinned}.json`,
+            `${REPORT_IDS.recent}.html`, `${REPORT_IDS.recent}.json`
+        ]);
+        assert.deepEqual(await fs.readdir(paths.datasetsDir), [DATASET_IDS.recent]);
+        assert.deepEqual(await fs.readdir(paths.uploadsDir), ['fresh.csv']);
+    } finally {
+        await fs.remove(root);
+    }
+});
@@ -0,0 +1,364 @@
+// Transform recipes: ordered steps that tidy a dataset's columns before it
+// is analysed, e.g. renaming "Urgency" to "Priority" or mapping P1/P2/P3
+// onto Critical/High/Medium so two exports group the same way. Recipes are
+// saved for reuse like mapping profiles. A dataset's stored rows are left
+// as uploaded and the recipe applied to it is run whenever they are read.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { ExpressionError, compileExpression } = require('./recipeExpressions');
+
+const RECIPES_PATH = path.join(__dirname, '../data/transform-recipes.json');
+
+const MAX_STEPS = 50;
+// Distinct values listed when suggesting a value mapping
+const MAX_DISTINCT_VALUES = 200;
+const PRIORITY_LEVELS = ['Critical', 'High', 'Medium', 'Low', 'Planning'];
+// P1, Sev 2, Severity-3, Priority 4...
+const PRIORITY_CODE_PATTERN = /^(p|priority|sev|severity)[\s_-]*([1-5])$/i;
+
+/**
+ * Thrown when a recipe is malformed or does not fit a dataset's columns;
+ * the message is shown to the user
+ */
+class RecipeError extends Error {}
+
+function requireName(value, label, stepNumber) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name) throw new RecipeError(`Step ${stepNumber}: ${label} is required`);
+    return name;
+}
+
+function requireNames(value, label, stepNumber, minimum) {
+    const names = Array.isArray(value) ? value.map(name => requireName(name, label, stepNumber)) : [];
+    if (names.length < minimum) throw new RecipeError(`Step ${stepNumber}: at least ${minimum} ${label}s are required`);
+    if (new Set(names).size !== names.length) throw new RecipeError(`Step ${stepNumber}: ${label}s must be different`);
+    return names;
+}
+
+function normalizeStep(step, index) {
+    const number = index + 1;
+    if (!step || typeof step !== 'object') throw new RecipeError(`Step ${number} must be an object`);
+
+    switch (step.type) {
+        case 'rename':
+            return { type: 'rename', from: requireName(step.from, 'column', number), to: requireName(step.to, 'new name', number) };
+        case 'mapValues': {
+            if (!step.values || typeof step.values !== 'object' || Array.isArray(step.values)) {
+                throw new RecipeError(`Step ${number}: values must map each original value to its replacement`);
+            }
+            const values = {};
+            Object.entries(step.values).forEach(([from, to]) => {
+                if (to !== null && typeof to !== 'string' && typeof to !== 'number') {
+                    throw new RecipeError(`Step ${number}: replacement for "${from}" must be text`);
+                }
+                values[from] = to === null ? null : String(to);
+            });
+            return { type: 'mapValues', column: requireName(step.column, 'column', number), values };
+        }
+        case 'split': {
+            if (typeof step.separator !== 'string' || step.separator === '') {
+                throw new RecipeError(`Step ${number}: separator is required`);
+            }
+            return {
+                type: 'split',
+                column: requireName(step.column, 'column', number),
+                separator: step.separator,
+                into: requireNames(step.into, 'new column', number, 2),
+                keepOriginal: Boolean(step.keepOriginal)
+            };
+        }
+        case 'merge':
+            return {
+                type: 'merge',
+                columns: requireNames(step.columns, 'column', number, 2),
+                separator: typeof step.separator === 'string' ? step.separator : ' ',
+                into: requireName(step.into, 'new column', number),
+                keepOriginals: Boolean(step.keepOriginals)
+            };
+        case 'derive': {
+            const expression = String(step.expression ?? '').trim();
+            try {
+                compileExpression(expression);
+            } catch (error) {
+                if (error instanceof ExpressionError) throw new RecipeError(`Step ${number}: ${error.message}`);
+                throw error;
+            }
+            return { type: 'derive', column: requireName(step.column, 'column', number), expression };
+        }
+        default:
+            throw new RecipeError(`Step ${number}: unknown step type ${JSON.stringify(step.type)}`);
+    }
+}
+
+/**
+ * Validate the steps of a recipe
+ * @param {Object} input - Recipe with a steps array
+ * @returns {Object} - { steps } with every step normalized
+ * @throws {RecipeError} - When a step is malformed
+ */
+function normalizeRecipe(input) {
+    if (!input || typeof input !== 'object' || !Array.isArray(input.steps)) {
+        throw new RecipeError('Recipe must have a list of steps');
+    }
+    if (input.steps.length > MAX_STEPS) {
+        throw new RecipeError(`Recipe has more than ${MAX_STEPS} steps`);
+    }
+    return { steps: input.steps.map(normalizeStep) };
+}
+
+/**
+ * Columns a step reads; derived columns read the columns in their expression
+ * @param {Object} step - Normalized step
+ * @returns {Array} - Column names
+ */
+function stepInputs(step) {
+    switch (step.type) {
+        case 'rename': return [step.from];
+        case 'merge': return step.columns;
+        case 'derive': return compileExpression(step.expression).columns;
+        default: return [step.column];
+    }
+}
+
+/**
+ * Work out the columns each step leaves, checking every column a step reads
+ * exists at that point and no step overwrites a column by accident
+ * @param {Object} recipe - Normalized recipe
+ * @param {Array} columns - Columns of the dataset's stored rows
+ * @returns {Array} - Columns after the last step
+ * @throws {RecipeError} - When a step does not fit the columns
+ */
+function checkRecipeColumns(recipe, columns) {
+    return recipe.steps.reduce((current, step, index) => {
+        const number = index + 1;
+        const missing = stepInputs(step).filter(column => !current.includes(column));
+        if (missing.length) {
+            throw new RecipeError(`Step ${number}: no column named ${missing.map(column => `"${column}"`).join(', ')}`);
+        }
+        const created = { rename: [step.to], split: step.into, merge: [step.into] }[step.type] || [];
+        const taken = created.filter(column => current.includes(column) && !(step.type === 'split' && column === step.column && !step.keepOriginal));
+        if (taken.length) {
+            throw new RecipeError(`Step ${number}: column "${taken[0]}" already exists`);
+        }
+        return Object.keys(applyStep(step, Object.fromEntries(current.map(column => [column, null])), compileExpression));
+    }, columns);
+}
+
+function replaceColumn(row, column, entries) {
+    const result = {};
+    Object.entries(row).forEach(([key, value]) => {
+        if (key === column) {
+            entries.forEach(([name, newValue]) => {
+                result[name] = newValue;
+            });
+        } else {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+function applyStep(step, row, compile) {
+    switch (step.type) {
+        case 'rename':
+            return replaceColumn(row, step.from, [[step.to, row[step.from]]]);
+        case 'mapValues': {
+            const value = row[step.column];
+            const key = value === null || value === undefined ? '' : String(value);
+            return Object.prototype.hasOwnProperty.call(step.values, key)
+                ? { ...row, [step.column]: step.values[key] }
+                : row;
+        }
+        case 'split': {
+            const value = row[step.column];
+            const parts = value === null || value === undefined ? [] : String(value).split(step.separator);
+            // Anything beyond the last new column stays joined in it
+            const tail = parts.slice(step.into.length - 1).join(step.separator);
+            const values = step.into.map((column, index) => {
+                const part = index === step.into.length - 1 ? tail : parts[index];
+                return part === undefined || part.trim() === '' ? null : part.trim();
+            });
+            const entries = step.into.map((column, index) => [column, values[index]]);
+            return replaceColumn(row, step.column, step.keepOriginal ? [[step.column, value], ...entries] : entries);
+        }
+        case 'merge': {
+            const parts = step.columns.map(column => row[column]).filter(value => value !== null && value !== undefined && value !== '');
+            const merged = parts.length ? parts.join(step.separator) : null;
+            if (step.keepOriginals) return { ...row, [step.into]: merged };
+            const [first, ...rest] = step.columns;
+            const result = replaceColumn(row, first, [[step.into, merged]]);
+            rest.forEach(column => delete result[column]);
+            return result;
+        }
+        default: {
+            const value = compile(step.expression).evaluate(row);
+            return { ...row, [step.column]: value === undefined ? null : value };
+        }
+    }
+}
+
+/**
+ * Turn a recipe into a function that transforms one row
+ * @param {Object} recipe - Normalized recipe
+ * @returns {Function} - row => transformed row; the input row is not changed
+ */
+function createTransform(recipe) {
+    // Each expression is parsed once, not once per row
+    const compiled = new Map();
+    const compile = (expression) => {
+        if (!compiled.has(expression)) compiled.set(expression, compileExpression(expression));
+        return compiled.get(expression);
+    };
+    return (row) => recipe.steps.reduce((current, step) => applyStep(step, current, compile), row);
+}
+
+/**
+ * Transform a stream of rows, or pass it through when there is no recipe
+ * @param {AsyncIterable} rows - Rows as stored
+ * @param {Object|null} recipe - Normalized recipe
+ * @returns {AsyncGenerator<Object>} - Transformed rows
+ */
+async function* transformRows(rows, recipe) {
+    const transform = recipe?.steps.length ? createTransform(recipe) : null;
+    for await (const row of rows) {
+        yield transform ? transform(row) : row;
+    }
+}
+
+/**
+ * Count a column's distinct values and suggest replacements that would
+ * group spellings of the same value, e.g. "high" and "High ", or priority
+ * codes such as P1 onto Critical
+ * @param {AsyncIterable} rows - Rows to read
+ * @param {string} column - Column to count
+ * @returns {Promise<Object>} - values ([{ value, count }], busiest first),
+ *   suggestions ({ value: replacement }) and whether the list was truncated
+ */
+async function describeColumnValues(rows, column) {
+    const counts = new Map();
+    let truncated = false;
+    for await (const row of rows) {
+        const value = row[column];
+        if (value === null || value === undefined || value === '') continue;
+        const key = String(value);
+        if (counts.has(key)) {
+            counts.set(key, counts.get(key) + 1);
+        } else if (counts.size < MAX_DISTINCT_VALUES) {
+            counts.set(key, 1);
+        } else {
+            truncated = true;
+        }
+    }
+
+    const values = [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+    const suggestions = {};
+
+    // Spellings differing only in case or spacing go to the busiest one
+    const spellings = new Map();
+    values.forEach(({ value }) => {
+        const key = value.trim().replace(/\s+/g, ' ').toLowerCase();
+        if (!spellings.has(key)) spellings.set(key, value);
+        else suggestions[value] = spellings.get(key);
+    });
+
+    values.forEach(({ value }) => {
+        const code = value.trim().match(PRIORITY_CODE_PATTERN);
+        if (code && !suggestions[value]) suggestions[value] = PRIORITY_LEVELS[Number(code[2]) - 1];
+    });
+
+    return { values, suggestions, truncated };
+}
+
+async function readStoredRecipes() {
+    if (!await fs.pathExists(RECIPES_PATH)) return [];
+    const stored = await fs.readJson(RECIPES_PATH, { throws: false });
+    return Array.isArray(stored) ? stored : [];
+}
+
+async function writeStoredRecipes(recipes) {
+    await fs.ensureDir(path.dirname(RECIPES_PATH));
+    await fs.writeJson(RECIPES_PATH, recipes, { spaces: 2 });
+}
+
+/**
+ * List saved recipes
+ * @returns {Promise<Array>} - Transform recipes
+ */
+async function listRecipes() {
+    return readStoredRecipes();
+}
+
+/**
+ * Look up a recipe by ID
+ * @param {string} id - Recipe ID
+ * @returns {Promise<Object|null>} - Recipe or null when not found
+ */
+async function getRecipe(id) {
+    return (await readStoredRecipes()).find(recipe => recipe.id === id) || null;
+}
+
+/**
+ * Create or update a saved recipe
+ * @param {Object} input - Recipe name and steps
+ * @param {string} [id] - Existing recipe ID to update
+ * @returns {Promise<Object|null>} - Saved recipe, or null if the ID is unknown
+ * @throws {RecipeError} - When the name is missing or a step is malformed
+ */
+async function saveRecipe(input, id) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+        throw new RecipeError('Recipe name is required');
+    }
+    const { steps } = normalizeRecipe(input);
+
+    const recipes = await readStoredRecipes();
+    const existingIndex = id ? recipes.findIndex(recipe => recipe.id === id) : -1;
+    if (id && existingIndex === -1) return null;
+
+    const now = new Date().toISOString();
+    const recipe = {
+        id: id || uuidv4(),
+        name,
+        steps,
+        createdAt: existingIndex >= 0 ? recipes[existingIndex].createdAt : now,
+        updatedAt: now
+    };
+
+    if (existingIndex >= 0) {
+        recipes[existingIndex] = recipe;
+    } else {
+        recipes.push(recipe);
+    }
+
+    await writeStoredRecipes(recipes);
+    return recipe;
+}
+
+/**
+ * Delete a saved recipe. Datasets it was applied to keep their own copy.
+ * @param {string} id - Recipe ID
+ * @returns {Promise<boolean>} - Whether a recipe was removed
+ */
+async function deleteRecipe(id) {
+    const recipes = await readStoredRecipes();
+    const remaining = recipes.filter(recipe => recipe.id !== id);
+    if (remaining.length === recipes.length) return false;
+
+    await writeStoredRecipes(remaining);
+    return true;
+}
+
+module.exports = {
+    RecipeError,
+    normalizeRecipe,
+    checkRecipeColumns,
+    createTransform,
+    transformRows,
+    describeColumnValues,
+    listRecipes,
+    getRecipe,
+    saveRecipe,
+    deleteRecipe
+};
@@ -1,190 +1,171 @@
-const fs = require('fs-extra');
-const path = require('path');
 const moment = require('moment');
 
+// Cell text that stands for a missing value in ticket exports
+const NULL_TOKENS = new Set(['null', 'undefined', 'n/a', '#n/a', 'na', 'nan', 'none', '-', '--', '—']);
+// Already in the form the SLA policy and trend analysis read: ISO 8601,
+// optionally without the T or the UTC offset
+const CANONICAL_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+// Only text carrying a four-digit year is tried against the date layouts
+const DATE_CANDIDATE_PATTERN = /^(?=.*\d{4})[\w,.:/\- ]{6,40}$/;
+// Day-first layouts are tried before month-first ones, as in the SLA
+// policy; a month-first reading is only used when no day-first one fits.
+// Single digits are zero-padded before parsing, so 1/2/2025 matches too.
+const DAY_FIRST_DATE_FORMATS = [
+    'YYYY/MM/DD HH:mm:ss', 'YYYY/MM/DD HH:mm', 'YYYY/MM/DD',
+    'DD/MM/YYYY HH:mm:ss', 'DD/MM/YYYY HH:mm', 'DD/MM/YYYY hh:mm A', 'DD/MM/YYYY',
+    'DD.MM.YYYY HH:mm:ss', 'DD.MM.YYYY HH:mm', 'DD.MM.YYYY',
+    'DD-MM-YYYY HH:mm:ss', 'DD-MM-YYYY HH:mm', 'DD-MM-YYYY',
+    'DD MMM YYYY HH:mm:ss', 'DD MMM YYYY HH:mm', 'DD MMM YYYY',
+    'ddd, DD MMM YYYY HH:mm:ss',
+    'MMM DD, YYYY hh:mm A', 'MMM DD, YYYY HH:mm', 'MMM DD, YYYY',
+    'YYYYMMDD HHmmss'
+];
+const MONTH_FIRST_DATE_FORMATS = ['MM/DD/YYYY HH:mm:ss', 'MM/DD/YYYY HH:mm', 'MM/DD/YYYY hh:mm A', 'MM/DD/YYYY'];
+const BOOLEAN_WORDS = { true: true, yes: true, false: false, no: false };
+// Leading zeros mark codes such as "00123" that must stay text
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+const MAX_CLEANING_EXAMPLES = 5;
+
+/**
+ * What the cleaning stage did to a dataset's rows, in the order DataPreview
+ * lists them. "dropped" issues remove the row; the rest change a value.
+ */
+const CLEANING_ISSUES = {
+    emptyRow: { label: 'Rows with no values', action: 'dropped' },
+    nullToken: { label: 'Placeholders read as empty', action: 'coerced' },
+    trimmed: { label: 'Surrounding whitespace trimmed', action: 'coerced' },
+    dateFormat: { label: 'Dates rewritten as YYYY-MM-DD', action: 'coerced' },
+    monthFirstDate: { label: 'Dates only valid month-first', action: 'coerced' },
+    unparsedDate: { label: 'Unreadable values in date columns', action: 'kept' },
+    boolean: { label: 'Yes/no values read as true/false', action: 'coerced' }
+};
+
+function parseDate(text, preferredFormat) {
+    const padded = text.replace(/\b(\d)\b/g, '0$1');
+    const formats = preferredFormat ? [preferredFormat, ...DAY_FIRST_DATE_FORMATS] : DAY_FIRST_DATE_FORMATS;
+    for (const format of [...formats, ...MONTH_FIRST_DATE_FORMATS]) {
+        const parsed = moment.utc(padded, format, true);
+        if (parsed.isValid()) return { parsed, format };
+    }
+    return null;
+}
+
 /**
  * Data validation and cleaning utilities
  */
 class DataUtils {
     /**
-     * Clean and validate CSV data
-     * @param {Array} data - Raw CSV data
-     * @returns {Object} - Cleaned data with validation info
+     * Create the cleaning stage uploads stream through: trims text, turns
+     * placeholders such as "N/A" into nulls, rewrites dates into
+     * YYYY-MM-DD [HH:mm:ss] and drops rows left with no values. Every
+     * change is counted, with a few example rows per kind of change.
+     * @returns {Object} - clean(row), returning the cleaned row or null when
+     *   it is dropped, and report() once every row has been seen
      */
-    static cleanData(data) {
-        if (!Array.isArray(data) || data.length === 0) {
-            return { data: [], errors: ['No data provided'], warnings: [] };
-        }
-
-        const errors = [];
-        const warnings = [];
-        const cleanedData = [];
-
-        // Get column names from first row
-        const columns = Object.keys(data[0]);
-        
-        if (columns.length === 0) {
-            errors.push('No columns detected in data');
-            return { data: [], errors, warnings };
-        }
-
-        // Process each row
-        data.forEach((row, index) => {
-            const cleanedRow = {};
-            let hasValidData = false;
+    static createCleaner() {
+        let columns = null;
+        let rowsRead = 0;
+        let rowsKept = 0;
+        const issues = {};
+        // Columns that have held a date, and the layout they last used
+        const dateFormats = {};
+
+        const record = (kind, example) => {
+            if (!issues[kind]) issues[kind] = { count: 0, examples: [] };
+            issues[kind].count++;
+            if (issues[kind].examples.length < MAX_CLEANING_EXAMPLES) issues[kind].examples.push(example);
+        };
 
-            columns.forEach(col => {
-                let value = row[col];
-                
-                // Handle null/undefined values
-                if (value === null || value === undefined || value === '') {
-                    cleanedRow[col] = null;
-                } else {
-                    // Convert to appropriate type
-                    cleanedRow[col] = this.convertValue(value);
-                    hasValidData = true;
+        return {
+            clean(row) {
+                if (!columns) columns = Object.keys(row);
+                rowsRead++;
+
+                const cleaned = {};
+                let hasValue = false;
+                columns.forEach(column => {
+                    const raw = row[column];
+                    const { value, changes, format } = DataUtils.convertCell(raw, dateFormats[column]);
+                    if (format !== undefined) {
+                        dateFormats[column] = format;
+                    } else if (typeof value === 'string' && column in dateFormats) {
+                        changes.push('unparsedDate');
+                    }
+                    changes.forEach(kind => record(kind, { row: rowsRead, column, value: raw, result: value }));
+
+                    cleaned[column] = value;
+                    if (value !== null) hasValue = true;
+                });
+
+                if (!hasValue) {
+                    record('emptyRow', { row: rowsRead, column: null, value: null, result: null });
+                    return null;
                 }
-            });
-
-            // Only include rows with at least some valid data
-            if (hasValidData) {
-                cleanedData.push(cleanedRow);
-            } else {
-                warnings.push(`Row ${index + 1} contains no valid data`);
+                rowsKept++;
+                return cleaned;
+            },
+
+            report() {
+                return {
+                    columns: columns || [],
+                    rowsRead,
+                    rowsKept,
+                    dateColumns: Object.keys(dateFormats),
+                    issues: Object.entries(CLEANING_ISSUES)
+                        .filter(([kind]) => issues[kind])
+                        .map(([kind, { label, action }]) => ({ kind, label, action, ...issues[kind] }))
+                };
             }
-        });
-
-        // Data quality checks
-        if (cleanedData.length < data.length * 0.8) {
-            warnings.push('More than 20% of rows were filtered out due to data quality issues');
-        }
-
-        return {
-            data: cleanedData,
-            errors,
-            warnings,
-            originalCount: data.length,
-            cleanedCount: cleanedData.length
         };
     }
 
     /**
-     * Convert string values to appropriate types
-     * @param {*} value - Value to convert
-     * @returns {*} - Converted value
+     * Convert a cell to the type it holds and say what was changed
+     * @param {*} value - Cell value as read from the file
+     * @param {string} [dateFormat] - Date layout the column last used, tried first
+     * @returns {Object} - value, changes (CLEANING_ISSUES keys) and, when the
+     *   cell holds a date, the moment format it was read with (null when it
+     *   was already canonical)
      */
-    static convertValue(value) {
-        if (typeof value !== 'string') return value;
+    static convertCell(value, dateFormat) {
+        if (value === undefined || value === null || value === '') return { value: null, changes: [] };
+        if (typeof value !== 'string') return { value, changes: [] };
 
+        const changes = [];
         const trimmed = value.trim();
-        
-        // Check for numbers
-        if (/^\d+$/.test(trimmed)) {
-            return parseInt(trimmed, 10);
-        }
-        
-        if (/^\d*\.\d+$/.test(trimmed)) {
-            return parseFloat(trimmed);
+        if (trimmed !== value) changes.push('trimmed');
+        if (trimmed === '') return { value: null, changes };
+        if (NULL_TOKENS.has(trimmed.toLowerCase())) return { value: null, changes: [...changes, 'nullToken'] };
+
+        // Numbers stay numbers: 1 and 0 are IDs and counts far more often than
+        // flags. Integers too long to hold exactly stay text, like codes.
+        if (NUMBER_PATTERN.test(trimmed) && Number.isSafeInteger(Math.trunc(Number(trimmed)))) {
+            return { value: Number(trimmed), changes };
         }
-
-        // Check for dates
-        const dateValue = moment(trimmed, ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD HH:mm:ss'], true);
-        if (dateValue.isValid()) {
-            return dateValue.toISOString();
-        }
-
-        // Check for booleans
-        const lowerValue = trimmed.toLowerCase();
-        if (['true', 'yes', '1', 'y'].includes(lowerValue)) return true;
-        if (['false', 'no', '0', 'n'].includes(lowerValue)) return false;
-
-        return trimmed;
-    }
-
-    /**
-     * Analyze data patterns and suggest improvements
-     * @param {Array} data - Data to analyze
-     * @returns {Object} - Analysis results
-     */
-    static analyzeDataQuality(data) {
-        if (!data || data.length === 0) {
-            return { quality: 'poor', suggestions: ['No data to analyze'] };
+        const lower = trimmed.toLowerCase();
+        // Own keys only: "constructor" or "toString" are text, not booleans
+        if (Object.prototype.hasOwnProperty.call(BOOLEAN_WORDS, lower)) {
+            if (lower === 'yes' || lower === 'no') changes.push('boolean');
+            return { value: BOOLEAN_WORDS[lower], changes };
         }
 
-        const columns = Object.keys(data[0]);
-        const analysis = {
-            totalRows: data.length,
-            totalColumns: columns.length,
-            columnAnalysis: {},
-            suggestions: [],
-            quality: 'good'
-        };
-
-        // Analyze each column
-        columns.forEach(col => {
-            const values = data.map(row => row[col]).filter(val => val !== null && val !== undefined);
-            const nullCount = data.length - values.length;
-            const uniqueCount = new Set(values).size;
-            
-            analysis.columnAnalysis[col] = {
-                nullCount,
-                nullPercentage: (nullCount / data.length) * 100,
-                uniqueCount,
-                uniquePercentage: (uniqueCount / values.length) * 100,
-                dataType: this.inferDataType(values),
-                sampleValues: values.slice(0, 5)
-            };
-
-            // Quality suggestions
-            if (nullCount > data.length * 0.5) {
-                analysis.suggestions.push(`Column "${col}" has more than 50% missing values`);
-                analysis.quality = 'warning';
-            }
-
-            if (uniqueCount === 1 && values.length > 1) {
-                analysis.suggestions.push(`Column "${col}" has the same value for all rows`);
-            }
-        });
-
-        // Overall quality assessment
-        if (data.length < 10) {
-            analysis.quality = 'poor';
-            analysis.suggestions.push('Dataset is very small (less than 10 rows)');
-        } else if (data.length < 100) {
-            analysis.quality = 'warning';
-            analysis.suggestions.push('Dataset is small (less than 100 rows) - insights may be limited');
+        if (CANONICAL_DATE_PATTERN.test(trimmed)) {
+            return { value: trimmed, changes, format: null };
         }
-
-        return analysis;
-    }
-
-    /**
-     * Infer data type from array of values
-     * @param {Array} values - Array of values
-     * @returns {string} - Inferred data type
-     */
-    static inferDataType(values) {
-        if (values.length === 0) return 'unknown';
-
-        const types = values.map(val => typeof val);
-        const uniqueTypes = [...new Set(types)];
-
-        if (uniqueTypes.length === 1) {
-            const type = uniqueTypes[0];
-            
-            // Check for dates in strings
-            if (type === 'string') {
-                const sampleValues = values.slice(0, 10);
-                const dateCount = sampleValues.filter(val => moment(val, moment.ISO_8601, true).isValid()).length;
-                if (dateCount > sampleValues.length * 0.7) {
-                    return 'date';
-                }
+        if (DATE_CANDIDATE_PATTERN.test(trimmed)) {
+            const date = parseDate(trimmed, dateFormat);
+            if (date) {
+                const hasTime = /[Hh]/.test(date.format);
+                changes.push(MONTH_FIRST_DATE_FORMATS.includes(date.format) ? 'monthFirstDate' : 'dateFormat');
+                return {
+                    value: date.parsed.format(hasTime ? 'YYYY-MM-DD HH:mm:ss' : 'YYYY-MM-DD'),
+                    changes,
+                    format: date.format
+                };
             }
-            
-            return type;
         }
 
-        return 'mixed';
+        return { value: trimmed, changes };
     }
 }
 
@@ -196,15 +177,28 @@ class ReportUtils {
      * Generate report metadata
      * @param {string} reportType - Type of report
      * @param {Object} dataStructure - Data structure info
+     * @param {Object} [details] - id, title, fileName, datasetId,
+     *   generationMode, keyMetrics, tags, filters (descriptions of the
+     *   active filters) and baseline (the period compared with) of the
+     *   generated report
      * @returns {Object} - Report metadata
      */
-    static generateMetadata(reportType, dataStructure) {
+    static generateMetadata(reportType, dataStructure, details = {}) {
         return {
-            id: this.generateId(),
+            id: details.id || this.generateId(),
             type: reportType,
+            title: details.title || `${reportType.charAt(0).toUpperCase()}${reportType.slice(1)} Report`,
+            fileName: details.fileName || null,
+            datasetId: details.datasetId || null,
+            generationMode: details.generationMode || null,
             generatedAt: new Date().toISOString(),
             dataRows: dataStructure.totalRows,
             dataColumns: dataStructure.columns.length,
+            keyMetrics: details.keyMetrics || {},
+            tags: details.tags || [],
+            filters: details.filters || [],
+            baseline: details.baseline || null,
+            pinned: false,
             capabilities: {
                 timeAnalysis: dataStructure.hasDateColumns,
                 userAnalysis: dataStructure.hasUserColumns,
@@ -214,39 +208,25 @@ class ReportUtils {
     }
 
     /**
-     * Generate unique ID
-     * @returns {string} - Unique ID
+     * Escape text for insertion into report HTML
+     * @param {*} value - Text to escape
+     * @returns {string} - Escaped text
      */
-    static generateId() {
-        return `report_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    static escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
-     * Clean up old reports
-     * @param {string} reportsDir - Reports directory
-     * @param {number} maxAgeHours - Maximum age in hours
+     * Generate unique ID
+     * @returns {string} - Unique ID
      */
-    static async cleanupOldReports(reportsDir, maxAgeHours = 24) {
-        try {
-            const reportsPath = path.resolve(reportsDir);
-            if (!await fs.pathExists(reportsPath)) return;
-
-            const files = await fs.readdir(reportsPath);
-            const now = Date.now();
-            const maxAge = maxAgeHours * 60 * 60 * 1000;
-
-            for (const file of files) {
-                const filePath = path.join(reportsPath, file);
-                const stats = await fs.stat(filePath);
-                
-                if (now - stats.mtime.getTime() > maxAge) {
-                    await fs.remove(filePath);
-                    console.log(`Cleaned up old report: ${file}`);
-                }
-            }
-        } catch (error) {
-            console.error('Error cleaning up old reports:', error);
-        }
+    static generateId() {
+        return `report_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 }
 
@@ -297,21 +277,22 @@ class ErrorUtils {
     /**
      * Handle file upload errors
      * @param {Error} error - Upload error
+     * @param {number} maxBytes - Configured upload size limit
      * @returns {Object} - Formatted error response
      */
-    static handleUploadError(error) {
+    static handleUploadError(error, maxBytes = 10 * 1024 * 1024) {
         console.error('Upload Error:', error);
 
         if (error.code === 'LIMIT_FILE_SIZE') {
-            return this.createError('File too large (max 10MB)', 'FILE_TOO_LARGE', 413);
+            return this.createError(`File too large (max ${Math.round(maxBytes / 1024 / 1024)}MB)`, 'FILE_TOO_LARGE', 413);
         }
         
         if (error.code === 'LIMIT_FILE_COUNT') {
             return this.createError('Too many files uploaded', 'TOO_MANY_FILES', 400);
         }
         
-        if (error.message.includes('Only CSV files are allowed')) {
-            return this.createError('Invalid file type - CSV files only', 'INVALID_FILE_TYPE', 400);
+        if (error.message.includes('files are allowed')) {
+            return this.createError('Invalid file type - CSV, Excel (.xlsx), JSON or NDJSON files only', 'INVALID_FILE_TYPE', 400);
         }
 
         return this.createError('File upload failed', 'UPLOAD_ERROR', 500);
@@ -0,0 +1,187 @@
+// Excel export of the computed SLA analysis, for analysts who want to pivot
+// the numbers behind a report themselves. One sheet per dimension of the
+// analysis plus a sheet listing every ticket that breached an SLA. The
+// workbook is streamed so large datasets never sit in memory whole.
+
+const ExcelJS = require('exceljs');
+const { createSLAAccumulator } = require('./analysis');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Rates are kept as strings with one decimal in the analysis; numbers pivot better
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function violationRate(violations, total) {
+    return total > 0 ? Math.round((violations / total) * 1000) / 10 : null;
+}
+
+function addSheet(workbook, name, columns, rows) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns;
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row).commit());
+    sheet.commit();
+}
+
+function summaryRows(analysis, fileName) {
+    const response = analysis.firstResponseSLA;
+    const resolution = analysis.resolutionSLA;
+    return [
+        { metric: 'Source file', value: fileName || 'Unknown' },
+        { metric: 'Exported at', value: new Date().toISOString() },
+        { metric: 'Total tickets', value: analysis.totalTickets },
+        { metric: 'First response tickets measured', value: response.total },
+        { metric: 'First response violations', value: response.violations },
+        { metric: 'First response compliance %', value: toNumber(response.compliancePercentage) },
+        { metric: 'Average first response (min)', value: response.averageResponseTime },
+        { metric: 'Resolution tickets measured', value: resolution.total },
+        { metric: 'Resolution violations', value: resolution.violations },
+        { metric: 'Resolution compliance %', value: toNumber(resolution.compliancePercentage) },
+        { metric: 'Average resolution (min)', value: resolution.averageResolutionTime },
+        { metric: 'Agents', value: Object.keys(analysis.agents).length },
+        { metric: 'Categories', value: Object.keys(analysis.categories).length }
+    ];
+}
+
+const TIME_COLUMNS = [
+    { header: 'Avg Response (min)', key: 'averageResponseTime', width: 20 },
+    { header: 'Avg Resolution (min)', key: 'averageResolutionTime', width: 22 }
+];
+
+const VIOLATION_COLUMNS = [
+    { header: 'Tickets', key: 'total', width: 10 },
+    { header: 'Response Violations', key: 'responseViolations', width: 20 },
+    { header: 'Resolution Violations', key: 'resolutionViolations', width: 22 },
+    { header: 'Compliance %', key: 'complianceRate', width: 14 }
+];
+
+function dimensionRows(group) {
+    return Object.entries(group).map(([name, data]) => ({
+        name,
+        ...data,
+        complianceRate: toNumber(data.complianceRate)
+    }));
+}
+
+function trendColumns(label, width) {
+    return [
+        { header: label, key: 'name', width },
+        { header: 'Tickets', key: 'total', width: 10 },
+        { header: 'Violations', key: 'violations', width: 12 },
+        { header: 'Violations per Ticket %', key: 'violationRate', width: 24 }
+    ];
+}
+
+function trendRows(group, label = name => name) {
+    return Object.entries(group).map(([name, data]) => ({
+        name: label(name),
+        total: data.total,
+        violations: data.violations,
+        violationRate: violationRate(data.violations, data.total)
+    }));
+}
+
+function violationType(judged) {
+    const response = judged.response.outcome === 'violation';
+    const resolution = judged.resolution.outcome === 'violation';
+    if (response && resolution) return 'First response and resolution';
+    return response ? 'First response' : 'Resolution';
+}
+
+/**
+ * Stream an .xlsx workbook of an SLA analysis
+ * @param {Stream} stream - Writable stream receiving the workbook
+ * @param {Object} options - analysis from createSLAAccumulator().finalize(),
+ *   rows (async iterable of the dataset's rows), columns of the dataset,
+ *   the mapping and slaPolicy the analysis was computed with, and fileName
+ * @returns {Promise<number>} - Number of violating tickets listed
+ */
+async function writeAnalysisWorkbook(stream, { analysis, rows, columns = [], mapping, slaPolicy, fileName }) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    workbook.created = new Date();
+
+    addSheet(workbook, 'Summary', [
+        { header: 'Metric', key: 'metric', width: 34 },
+        { header: 'Value', key: 'value', width: 28 }
+    ], summaryRows(analysis, fileName));
+
+    addSheet(workbook, 'Agents', [
+        { header: 'Agent', key: 'name', width: 24 },
+        ...VIOLATION_COLUMNS,
+        { header: 'Total Violations', key: 'totalViolations', width: 16 },
+        ...TIME_COLUMNS,
+        { header: 'Top Category', key: 'topCategory', width: 20 }
+    ], dimensionRows(analysis.agents));
+
+    addSheet(workbook, 'Categories', [
+        { header: 'Category', key: 'name', width: 24 },
+        ...VIOLATION_COLUMNS,
+        ...TIME_COLUMNS
+    ], dimensionRows(analysis.categories));
+
+    addSheet(workbook, 'Priorities', [
+        { header: 'Priority', key: 'name', width: 16 },
+        { header: 'SLA Target', key: 'slaTarget', width: 18 },
+        { header: 'Response Target (min)', key: 'responseTargetMinutes', width: 22 },
+        { header: 'Resolution Target (min)', key: 'resolutionTargetMinutes', width: 24 },
+        ...VIOLATION_COLUMNS,
+        ...TIME_COLUMNS
+    ], dimensionRows(analysis.priorityAnalysis));
+
+    addSheet(workbook, 'Time Patterns', trendColumns('Date', 14),
+        trendRows(analysis.timePatterns).sort((a, b) => a.name.localeCompare(b.name)));
+
+    addSheet(workbook, 'Daily Trends', trendColumns('Day of Week', 14),
+        trendRows(analysis.performanceTrends.daily, day => DAY_NAMES[day] || 'Unknown')
+            .sort((a, b) => DAY_NAMES.indexOf(a.name) - DAY_NAMES.indexOf(b.name)));
+
+    addSheet(workbook, 'Monthly Trends', trendColumns('Month', 12),
+        trendRows(analysis.performanceTrends.monthly).sort((a, b) => a.name.localeCompare(b.name)));
+
+    // Re-judge every ticket with the same mapping and policy; only the
+    // per-ticket outcomes are used, the aggregates above are already final
+    const violations = workbook.addWorksheet('Violations', { views: [{ state: 'frozen', ySplit: 1 }] });
+    violations.columns = [
+        { header: 'Row', width: 8 },
+        { header: 'Violation', width: 28 },
+        { header: 'SLA Target', width: 18 },
+        { header: 'Response (min)', width: 16 },
+        { header: 'Response Target (min)', width: 22 },
+        { header: 'Resolution (min)', width: 18 },
+        { header: 'Resolution Target (min)', width: 24 },
+        ...columns.map(column => ({ header: column, width: 18 }))
+    ];
+    violations.getRow(1).font = { bold: true };
+
+    const judge = createSLAAccumulator(mapping, slaPolicy);
+    let rowNumber = 0;
+    let listed = 0;
+    for await (const row of rows) {
+        rowNumber++;
+        const judged = judge.add(row);
+        if (judged.response.outcome !== 'violation' && judged.resolution.outcome !== 'violation') continue;
+
+        listed++;
+        violations.addRow([
+            rowNumber,
+            violationType(judged),
+            judged.slaTarget,
+            judged.response.minutes,
+            judged.response.targetMinutes,
+            judged.resolution.minutes,
+            judged.resolution.targetMinutes,
+            ...columns.map(column => row[column] ?? null)
+        ]).commit();
+    }
+    violations.commit();
+
+    await workbook.commit();
+    return listed;
+}
+
+module.exports = {
+    writeAnalysisWorkbook
+};
@@ -41,17 +41,37 @@ if not exist ".env" (
         echo # Claude API Configuration
         echo CLAUDE_API_KEY=your_claude_api_key_here
         echo.
+        echo # LLM Provider: anthropic, openai or fixture
+        echo LLM_PROVIDER=anthropic
+        echo # LLM_MODEL=
+        echo # LLM_BASE_URL=
+        echo # LLM_API_KEY=
+        echo # LLM_REPAIR_ATTEMPTS=1
+        echo.
         echo # Server Configuration
         echo PORT=5000
         echo NODE_ENV=development
         echo.
         echo # File Upload Limits
-        echo MAX_FILE_SIZE=10485760
+        echo MAX_FILE_SIZE=262144000
         echo UPLOAD_DIR=uploads
         echo.
         echo # Report Storage
         echo REPORTS_DIR=reports
         echo.
+        echo # PDF export runs headless Chrome - set when running as root in a container
+        echo # PDF_NO_SANDBOX=true
+        echo.
+        echo # Retention - 0 disables a limit, pinned reports are always kept
+        echo # Reports and datasets are only deleted once a limit is set here
+        echo # REPORT_RETENTION_DAYS=0
+        echo # REPORT_MAX_COUNT=0
+        echo # REPORT_MAX_DISK_MB=0
+        echo # DATASET_RETENTION_DAYS=0
+        echo UPLOAD_RETENTION_HOURS=24
+        echo RETENTION_INTERVAL_MINUTES=60
+        echo # ADMIN_TOKEN=
+        echo.
         echo # CORS Settings
         echo ALLOWED_ORIGINS=http://localhost:3000,http://localhost:5000
     ) > .env